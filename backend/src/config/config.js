@@ -13,6 +13,10 @@ const envVarsSchema = Joi.object()
 
     // Frontend URL for CORS and redirects
     FRONTEND_URL: Joi.string().default('http://localhost:3000'),
+    TRUST_PROXY: Joi.alternatives()
+      .try(Joi.boolean(), Joi.number().integer().min(0), Joi.string())
+      .default(false)
+      .description('Express trust proxy: true, a number of proxies or their addresses'),
 
     // Database
     MONGODB_URI: Joi.string().required().description('MongoDB connection string'),
@@ -43,6 +47,61 @@ const envVarsSchema = Joi.object()
     // AI Services
     OPENAI_API_KEY: Joi.string().description('OpenAI API key for content generation'),
     DEEPL_API_KEY: Joi.string().description('DeepL API key for translations'),
+    AI_PROVIDER: Joi.string()
+      .valid('openai', 'local', 'echo')
+      .default('openai')
+      .description('AI provider used by the AI service'),
+    AI_LOCAL_BASE_URL: Joi.string()
+      .default('http://localhost:11434/v1')
+      .description('base URL of an OpenAI-compatible local server'),
+    AI_LOCAL_API_KEY: Joi.string().default('local').description('API key sent to the local server'),
+    AI_FIXTURES_PATH: Joi.string().description(
+      'JSON file with canned responses for the echo provider',
+    ),
+    AI_REQUEST_TIMEOUT_MS: Joi.number().default(60000).description('AI request timeout'),
+    AI_MAX_RETRIES: Joi.number().default(2).description('retries for failed AI requests'),
+    AI_MODEL: Joi.string().default('gpt-4').description('default model for AI requests'),
+    AI_MODEL_CONTENT: Joi.string().description('model for blog content generation'),
+    AI_MODEL_SEO: Joi.string().description('model for SEO metadata generation'),
+    AI_MODEL_IMPROVE: Joi.string().description('model for content improvement'),
+    AI_MODEL_TRANSLATION: Joi.string().description('model for translations'),
+    AI_MODEL_TITLES: Joi.string().description('model for title generation'),
+    AI_MODEL_MODERATION: Joi.string().description('model for comment moderation'),
+    AI_MODEL_EMBEDDING: Joi.string()
+      .default('text-embedding-3-small')
+      .description('model for post embeddings (related posts)'),
+    TRANSLATION_WORKER_ENABLED: Joi.boolean()
+      .default(true)
+      .description('run the translation job worker in this process'),
+    TRANSLATION_WORKER_CONCURRENCY: Joi.number()
+      .default(2)
+      .description('translation jobs processed in parallel'),
+    TRANSLATION_JOB_MAX_ATTEMPTS: Joi.number()
+      .default(3)
+      .description('attempts before a translation job is marked failed'),
+    TRANSLATION_JOB_BACKOFF_MS: Joi.number()
+      .default(5000)
+      .description('base delay before retrying a failed translation job'),
+    TRANSLATION_JOB_STALL_TIMEOUT_MS: Joi.number()
+      .default(60000)
+      .description('time without heartbeat after which a running translation job is requeued'),
+    PUBLISH_SCHEDULER_ENABLED: Joi.boolean()
+      .default(true)
+      .description('publish scheduled posts from this process'),
+    PUBLISH_SCHEDULER_INTERVAL_MS: Joi.number()
+      .default(15000)
+      .description('how often due publication and unpublication jobs are run'),
+
+    // Sitemaps
+    SITEMAP_BASE_URL: Joi.string().description(
+      'public URL the sitemaps are served from, defaults to the requested host',
+    ),
+    SITEMAP_PAGE_SIZE: Joi.number()
+      .integer()
+      .min(1)
+      .max(50000)
+      .default(50000)
+      .description('URLs per sitemap, at most the protocol limit of 50,000'),
 
     // Payment
     STRIPE_SECRET_KEY: Joi.string().description('Stripe API secret key'),
@@ -78,6 +137,8 @@ module.exports = {
   port: envVars.PORT,
   apiVersion: envVars.API_VERSION,
   frontendUrl: envVars.FRONTEND_URL,
+  // Proxies trusted to give the client's address, used for rate limits and metered reads
+  trustProxy: envVars.TRUST_PROXY,
 
   mongoose: {
     url: envVars.MONGODB_URI + (envVars.NODE_ENV === 'test' ? '-test' : ''),
@@ -120,6 +181,57 @@ module.exports = {
     apiKey: envVars.DEEPL_API_KEY,
   },
 
+  ai: {
+    provider: envVars.AI_PROVIDER,
+    // Model per AIService task, falling back to the default model
+    models: {
+      default: envVars.AI_MODEL,
+      content: envVars.AI_MODEL_CONTENT || envVars.AI_MODEL,
+      seo: envVars.AI_MODEL_SEO || envVars.AI_MODEL,
+      metaDescription: envVars.AI_MODEL_SEO || envVars.AI_MODEL,
+      improve: envVars.AI_MODEL_IMPROVE || envVars.AI_MODEL,
+      translation: envVars.AI_MODEL_TRANSLATION || envVars.AI_MODEL,
+      translationSegments: envVars.AI_MODEL_TRANSLATION || envVars.AI_MODEL,
+      titles: envVars.AI_MODEL_TITLES || envVars.AI_MODEL,
+      moderation: envVars.AI_MODEL_MODERATION || envVars.AI_MODEL,
+      embedding: envVars.AI_MODEL_EMBEDDING,
+    },
+    providers: {
+      openai: {
+        apiKey: envVars.OPENAI_API_KEY,
+        timeout: envVars.AI_REQUEST_TIMEOUT_MS,
+        maxRetries: envVars.AI_MAX_RETRIES,
+      },
+      local: {
+        baseURL: envVars.AI_LOCAL_BASE_URL,
+        apiKey: envVars.AI_LOCAL_API_KEY,
+        timeout: envVars.AI_REQUEST_TIMEOUT_MS,
+        maxRetries: envVars.AI_MAX_RETRIES,
+      },
+      echo: {
+        fixturesPath: envVars.AI_FIXTURES_PATH,
+      },
+    },
+  },
+
+  translationQueue: {
+    workerEnabled: envVars.TRANSLATION_WORKER_ENABLED,
+    concurrency: envVars.TRANSLATION_WORKER_CONCURRENCY,
+    maxAttempts: envVars.TRANSLATION_JOB_MAX_ATTEMPTS,
+    backoffMs: envVars.TRANSLATION_JOB_BACKOFF_MS,
+    stallTimeoutMs: envVars.TRANSLATION_JOB_STALL_TIMEOUT_MS,
+  },
+
+  publishScheduler: {
+    enabled: envVars.PUBLISH_SCHEDULER_ENABLED,
+    intervalMs: envVars.PUBLISH_SCHEDULER_INTERVAL_MS,
+  },
+
+  sitemap: {
+    baseUrl: envVars.SITEMAP_BASE_URL,
+    pageSize: envVars.SITEMAP_PAGE_SIZE,
+  },
+
   // Payment processing
   stripe: {
     secretKey: envVars.STRIPE_SECRET_KEY,
@@ -148,7 +260,4 @@ module.exports = {
       dsn: envVars.SENTRY_DSN,
     },
   },
-
-  // Supported languages for content
-  languages: ['en', 'fr', 'de', 'es'],
 };
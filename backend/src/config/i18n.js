@@ -3,6 +3,7 @@ const i18next = require('i18next');
 const i18nextMiddleware = require('i18next-http-middleware');
 const i18nextFsBackend = require('i18next-fs-backend');
 const config = require('./config');
+const languages = require('./languages');
 
 /**
  * Initialize i18n configuration
@@ -18,10 +19,10 @@ const initializeI18n = () => {
         addPath: path.join(__dirname, '../locales/{{lng}}/{{ns}}.missing.json'),
       },
 
-      // Default language and fallback
-      fallbackLng: 'en',
-      preload: ['en', 'fr', 'de', 'es'],
-      supportedLngs: ['en', 'fr', 'de', 'es'],
+      // Default language and fallback, languages come from the language registry
+      fallbackLng: languages.getDefaultLanguage(),
+      preload: languages.getEnabledCodes(),
+      supportedLngs: languages.getEnabledCodes(),
 
       // Namespace configuration
       defaultNS: 'common',
@@ -45,6 +46,15 @@ const initializeI18n = () => {
       },
     });
 
+  // Follow languages enabled or disabled at runtime, missing locale files fall back
+  languages.onLanguagesChange(() => {
+    const codes = languages.getEnabledCodes();
+    i18next.options.supportedLngs = [...codes, 'cimode'];
+    i18next.options.fallbackLng = [languages.getDefaultLanguage()];
+    i18next.options.preload = codes;
+    i18next.loadLanguages(codes);
+  });
+
   return i18next;
 };
 
@@ -0,0 +1,161 @@
+/**
+ * Language registry
+ *
+ * Single source of truth for the content languages: schemas, validations, AI
+ * prompts and i18n all read from here. The built-in languages below are used
+ * until the registry is loaded from the database (see language.service), where
+ * admins can add and enable languages at runtime.
+ */
+
+const defaultLanguages = [
+  {
+    code: 'en',
+    name: 'English',
+    nativeName: 'English',
+    locale: 'en-US',
+    timeZone: 'Europe/London',
+    promptContext: 'US/UK business culture with focus on efficiency and ROI',
+    rtl: false,
+    enabled: true,
+    isDefault: true,
+  },
+  {
+    code: 'fr',
+    name: 'French',
+    nativeName: 'Français',
+    locale: 'fr-FR',
+    timeZone: 'Europe/Paris',
+    promptContext: 'French business culture emphasizing quality and innovation',
+    rtl: false,
+    enabled: true,
+  },
+  {
+    code: 'de',
+    name: 'German',
+    nativeName: 'Deutsch',
+    locale: 'de-DE',
+    timeZone: 'Europe/Berlin',
+    promptContext:
+      'German business culture focusing on precision, quality, and technical excellence',
+    rtl: false,
+    enabled: true,
+  },
+  {
+    code: 'es',
+    name: 'Spanish',
+    nativeName: 'Español',
+    locale: 'es-ES',
+    timeZone: 'Europe/Madrid',
+    promptContext:
+      'Spanish/Latin American business culture with warm, relationship-focused approach',
+    rtl: false,
+    enabled: true,
+  },
+  {
+    code: 'it',
+    name: 'Italian',
+    nativeName: 'Italiano',
+    locale: 'it-IT',
+    timeZone: 'Europe/Rome',
+    promptContext: 'Italian business culture valuing design, craftsmanship and relationships',
+    rtl: false,
+    enabled: false,
+  },
+  {
+    code: 'pt',
+    name: 'Portuguese',
+    nativeName: 'Português',
+    locale: 'pt-BR',
+    timeZone: 'America/Sao_Paulo',
+    promptContext: 'Brazilian and Portuguese business culture with a fast-growing startup scene',
+    rtl: false,
+    enabled: false,
+  },
+];
+
+let registry = new Map(defaultLanguages.map((language) => [language.code, language]));
+const listeners = [];
+
+/**
+ * Get registered languages
+ * @param {Object} [options]
+ * @param {boolean} [options.enabledOnly] - Only return enabled languages
+ * @returns {Array<Object>}
+ */
+const getLanguages = ({ enabledOnly = false } = {}) =>
+  [...registry.values()].filter((language) => !enabledOnly || language.enabled);
+
+/**
+ * Get a registered language by code
+ * @param {string} code - Language code
+ * @returns {Object|undefined}
+ */
+const getLanguage = (code) => registry.get(code);
+
+/**
+ * Get the codes of the enabled languages
+ * @returns {Array<string>}
+ */
+const getEnabledCodes = () => getLanguages({ enabledOnly: true }).map((language) => language.code);
+
+/**
+ * Check if a language is registered, enabled or not
+ * Used by schemas so content in a disabled language stays valid.
+ * @param {string} code - Language code
+ * @returns {boolean}
+ */
+const isSupported = (code) => registry.has(code);
+
+/**
+ * Check if a language is enabled
+ * @param {string} code - Language code
+ * @returns {boolean}
+ */
+const isEnabled = (code) => !!registry.get(code)?.enabled;
+
+/**
+ * Get the default content language
+ * @returns {string} - Language code
+ */
+const getDefaultLanguage = () =>
+  (getLanguages().find((language) => language.isDefault && language.enabled) || defaultLanguages[0])
+    .code;
+
+/**
+ * Language to serve for a requested code, e.g. from an Accept-Language header
+ * Codes that are not enabled get the default language, so what clients send cannot
+ * multiply cache entries or renders.
+ * @param {string} [code] - Requested language code
+ * @returns {string} - Enabled language code
+ */
+const resolveLanguage = (code) => (isEnabled(code) ? code : getDefaultLanguage());
+
+/**
+ * Replace the registry, called when languages are loaded or changed
+ * @param {Array<Object>} languages - Language definitions
+ */
+const setLanguages = (languages) => {
+  registry = new Map(languages.map((language) => [language.code, language]));
+  listeners.forEach((listener) => listener(getLanguages()));
+};
+
+/**
+ * Register a listener called with every language whenever the registry changes
+ * @param {Function} listener
+ */
+const onLanguagesChange = (listener) => {
+  listeners.push(listener);
+};
+
+module.exports = {
+  defaultLanguages,
+  getLanguages,
+  getLanguage,
+  getEnabledCodes,
+  isSupported,
+  isEnabled,
+  getDefaultLanguage,
+  resolveLanguage,
+  setLanguages,
+  onLanguagesChange,
+};
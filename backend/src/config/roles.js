@@ -33,8 +33,12 @@ const allRoles = {
     'getPremiumBlogPosts',
     'createBlogPosts',
     'manageBlogPosts',
+    'reviewBlogPosts',
+    'publishBlogPosts',
     'getCategories',
     'manageCategories',
+    'manageTags',
+    'moderateComments',
     'updateProfile',
     'getAffiliateStats',
     'getSubscription',
@@ -55,8 +59,12 @@ const allRoles = {
     'getPremiumBlogPosts',
     'createBlogPosts',
     'manageBlogPosts',
+    'reviewBlogPosts',
+    'publishBlogPosts',
     'getCategories',
     'manageCategories',
+    'manageTags',
+    'moderateComments',
     'getUsers',
     'manageUsers',
     'updateProfile',
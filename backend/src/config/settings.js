@@ -0,0 +1,214 @@
+const Joi = require('joi');
+
+/**
+ * System settings definitions
+ *
+ * Every setting stored in the SystemSettings collection is declared here with
+ * its category, default value, validation schema and whether it is exposed on
+ * the public settings endpoint. Keys are `<category>.<name>`; settings that were
+ * never saved fall back to their default.
+ */
+
+const definitions = {
+  'general.siteName': {
+    default: 'AI Tools Blog',
+    schema: Joi.string().max(100),
+    description: 'Name of the site',
+    isPublic: true,
+  },
+  'general.siteDescription': {
+    default: 'The best AI tools reviews and guides',
+    schema: Joi.string().max(500),
+    description: 'Short description of the site',
+    isPublic: true,
+  },
+  'general.contactEmail': {
+    default: 'admin@example.com',
+    schema: Joi.string().email(),
+    description: 'Address contact requests are sent to',
+  },
+  // Not stored: read from and saved to the language registry, see settings.service
+  'general.defaultLanguage': {
+    schema: Joi.string()
+      .lowercase()
+      .pattern(/^[a-z]{2,3}$/),
+    description: 'Language of the site when none is requested',
+    isPublic: true,
+  },
+  'seo.defaultTitle': {
+    default: '{pageName} | AI Tools Blog',
+    schema: Joi.string().max(200),
+    description: 'Page title template',
+    isPublic: true,
+  },
+  'seo.defaultDescription': {
+    default: 'Discover the latest AI tools and how to use them effectively',
+    schema: Joi.string().max(500),
+    description: 'Meta description of pages without their own',
+    isPublic: true,
+  },
+  'seo.defaultKeywords': {
+    default: 'ai tools, machine learning, artificial intelligence',
+    schema: Joi.string().max(500),
+    description: 'Meta keywords of pages without their own',
+    isPublic: true,
+  },
+  'seo.defaultOgImage': {
+    default: '/images/site-default-og.jpg',
+    schema: Joi.string().max(500),
+    description: 'Open Graph image of pages without their own',
+    isPublic: true,
+  },
+  'seo.googleAnalyticsId': {
+    default: '',
+    schema: Joi.string().allow(''),
+    description: 'Google Analytics measurement id',
+    isPublic: true,
+  },
+  'seo.facebookPixelId': {
+    default: '',
+    schema: Joi.string().allow(''),
+    description: 'Facebook pixel id',
+    isPublic: true,
+  },
+  'seo.googleSiteVerification': {
+    default: '',
+    schema: Joi.string().allow(''),
+    description: 'Google Search Console verification token',
+    isPublic: true,
+  },
+  'seo.bingSiteVerification': {
+    default: '',
+    schema: Joi.string().allow(''),
+    description: 'Bing Webmaster Tools verification token',
+    isPublic: true,
+  },
+  'seo.robots': {
+    default: 'index, follow',
+    schema: Joi.string().max(200),
+    description: 'Default robots meta directives',
+    isPublic: true,
+  },
+  'seo.structuredData': {
+    default: null,
+    schema: Joi.object().allow(null),
+    description: 'Site-wide JSON-LD, generated from the site settings when empty',
+    isPublic: true,
+  },
+  'content.postsPerPage': {
+    default: 10,
+    schema: Joi.number().integer().min(1).max(100),
+    description: 'Posts per page in listings',
+    isPublic: true,
+  },
+  'content.maxRelatedPosts': {
+    default: 3,
+    schema: Joi.number().integer().min(0).max(10),
+    description: 'Related posts shown under a post',
+    isPublic: true,
+  },
+  'content.defaultFeaturedImage': {
+    default: '/images/default-featured.jpg',
+    schema: Joi.string().max(500),
+    description: 'Featured image of posts without their own',
+    isPublic: true,
+  },
+  'content.allowComments': {
+    default: true,
+    schema: Joi.boolean(),
+    description: 'Whether readers can comment on posts',
+    isPublic: true,
+  },
+  'content.commentEditWindowMinutes': {
+    default: 15,
+    schema: Joi.number().integer().min(0).max(1440),
+    description: 'Minutes during which authors can edit their comments',
+    isPublic: true,
+  },
+  'content.commentMaxDepth': {
+    default: 3,
+    schema: Joi.number().integer().min(0).max(10),
+    description: 'Levels of replies under a comment, 0 for no replies',
+    isPublic: true,
+  },
+  'content.commentsPerHour': {
+    default: 10,
+    schema: Joi.number().integer().min(1).max(1000),
+    description: 'Comments a user can post per hour',
+  },
+  'content.moderateAllComments': {
+    default: false,
+    schema: Joi.boolean(),
+    description: 'Whether every comment waits for moderation, not only suspicious ones',
+  },
+  'monetization.enableAffiliateLinks': {
+    default: true,
+    schema: Joi.boolean(),
+    description: 'Whether affiliate links are tracked',
+  },
+  'monetization.enableSubscriptions': {
+    default: true,
+    schema: Joi.boolean(),
+    description: 'Whether readers can subscribe to premium plans',
+    isPublic: true,
+  },
+  'monetization.freePremiumReads': {
+    default: 3,
+    schema: Joi.number().integer().min(0).max(100),
+    description: 'Premium posts readers without a subscription can read per month, 0 for none',
+    isPublic: true,
+  },
+  'monetization.premiumTeaserWords': {
+    default: 150,
+    schema: Joi.number().integer().min(0).max(1000),
+    description: 'Words of premium posts shown to readers without access',
+    isPublic: true,
+  },
+  'monetization.defaultCommission': {
+    default: 5,
+    schema: Joi.number().min(0).max(100),
+    description: 'Default affiliate commission in percent',
+  },
+  'security.enableCaptcha': {
+    default: true,
+    schema: Joi.boolean(),
+    description: 'Whether forms require a captcha',
+  },
+  'security.jwtExpiryHours': {
+    default: 24,
+    schema: Joi.number().integer().min(1).max(168),
+    description: 'Lifetime of access tokens in hours',
+  },
+  'security.maxLoginAttempts': {
+    default: 5,
+    schema: Joi.number().integer().min(1).max(10),
+    description: 'Failed logins before an account is locked',
+  },
+};
+
+/**
+ * Get the category of a setting key
+ * @param {string} key - Setting key
+ * @returns {string}
+ */
+const getCategory = (key) => key.split('.')[0];
+
+/**
+ * Build the Joi schema of settings grouped by category, as accepted by the admin API
+ * @returns {Object} - Joi object keys by category
+ */
+const groupedSchema = () =>
+  Object.entries(definitions).reduce((categories, [key, definition]) => {
+    const category = getCategory(key);
+    const name = key.slice(category.length + 1);
+    categories[category] = (categories[category] || Joi.object()).keys({
+      [name]: definition.schema,
+    });
+    return categories;
+  }, {});
+
+module.exports = {
+  definitions,
+  getCategory,
+  groupedSchema,
+};
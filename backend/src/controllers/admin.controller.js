@@ -4,6 +4,8 @@ const ApiError = require('../utils/ApiError');
 const { User, BlogPost } = require('../models');
 const { cache } = require('../config/redis');
 const analyticsService = require('../services/analytics.service');
+const settingsService = require('../services/settings.service');
+const workflowService = require('../services/workflow.service');
 
 /**
  * Admin controller for administrative operations
@@ -156,63 +158,32 @@ const updateUserRoles = catchAsync(async (req, res) => {
 });
 
 /**
- * Get pending post approvals
+ * Get posts waiting for review
  * @route GET /v1/admin/approvals
- * @access Private (requires admin permission)
+ * @access Private (requires reviewBlogPosts permission)
  */
 const getPendingApprovals = catchAsync(async (req, res) => {
-  const pendingPosts = await BlogPost.find({ status: 'pending' })
+  const pendingPosts = await BlogPost.find({ status: 'in_review' })
     .populate('author', 'name email')
     .sort({ updatedAt: -1 })
-    .select('title description author status updatedAt');
+    .select('title excerpt author status updatedAt');
 
   res.status(httpStatus.OK).json(pendingPosts);
 });
 
 /**
- * Approve or reject a blog post
+ * Approve a post under review or request changes on it
  * @route PATCH /v1/admin/approvals/:postId
- * @access Private (requires admin permission)
+ * @access Private (requires reviewBlogPosts permission)
  */
 const updateApprovalStatus = catchAsync(async (req, res) => {
-  const { postId } = req.params;
   const { status, feedbackNote } = req.body;
 
-  if (!['published', 'rejected'].includes(status)) {
-    throw new ApiError(httpStatus.BAD_REQUEST, 'Status must be either "published" or "rejected"');
-  }
-
-  const post = await BlogPost.findById(postId);
-  if (!post) {
-    throw new ApiError(httpStatus.NOT_FOUND, 'Post not found');
-  }
-
-  if (post.status !== 'pending') {
-    throw new ApiError(httpStatus.BAD_REQUEST, 'Only pending posts can be approved or rejected');
-  }
-
-  // Update post status
-  post.status = status;
-
-  // Add feedback note if provided
-  if (feedbackNote) {
-    if (!post.notes) post.notes = [];
-    post.notes.push({
-      author: req.user.id,
-      content: feedbackNote,
-      createdAt: new Date(),
-    });
-  }
-
-  // Set publishedAt if publishing
-  if (status === 'published') {
-    post.publishedAt = new Date();
-  }
-
-  await post.save();
-
-  // Clear cache for blog listings
-  await cache.del('cache:/api/v1/blog?');
+  const post = await workflowService.transitionPost(
+    req.params.postId,
+    { status, note: feedbackNote },
+    req.user,
+  );
 
   // Track event
   await analyticsService.trackEvent('post_approval_updated', {
@@ -223,7 +194,7 @@ const updateApprovalStatus = catchAsync(async (req, res) => {
   });
 
   res.status(httpStatus.OK).json({
-    message: `Post has been ${status === 'published' ? 'approved and published' : 'rejected'}`,
+    message: `Post has been ${status === 'approved' ? 'approved' : 'sent back for changes'}`,
     post: {
       id: post._id,
       title: post.title,
@@ -236,52 +207,10 @@ const updateApprovalStatus = catchAsync(async (req, res) => {
 /**
  * Get system settings
  * @route GET /v1/admin/settings
- * @access Private (requires admin permission)
+ * @access Private (requires manageSiteSettings permission)
  */
 const getSystemSettings = catchAsync(async (req, res) => {
-  // This would typically come from a settings collection in the database
-  // For this implementation, we'll use cached or default settings
-
-  const cacheKey = 'system:settings';
-  let settings = await cache.get(cacheKey);
-
-  if (!settings) {
-    // Default settings
-    settings = {
-      general: {
-        siteName: 'AI Tools Blog',
-        siteDescription: 'The best AI tools reviews and guides',
-        contactEmail: 'admin@example.com',
-        defaultLanguage: 'en',
-      },
-      seo: {
-        defaultTitle: '{pageName} | AI Tools Blog',
-        defaultDescription: 'Discover the latest AI tools and how to use them effectively',
-        defaultKeywords: 'ai tools, machine learning, artificial intelligence',
-        googleAnalyticsId: '',
-        facebookPixelId: '',
-      },
-      content: {
-        postsPerPage: 10,
-        maxRelatedPosts: 3,
-        defaultFeaturedImage: '/images/default-featured.jpg',
-        allowComments: true,
-      },
-      monetization: {
-        enableAffiliateLinks: true,
-        enableSubscriptions: true,
-        defaultCommission: 5,
-      },
-      security: {
-        enableCaptcha: true,
-        jwtExpiryHours: 24,
-        maxLoginAttempts: 5,
-      },
-    };
-
-    // Cache for 1 hour
-    await cache.set(cacheKey, settings, 3600);
-  }
+  const settings = await settingsService.getSettings();
 
   res.status(httpStatus.OK).json(settings);
 });
@@ -289,7 +218,7 @@ const getSystemSettings = catchAsync(async (req, res) => {
 /**
  * Update system settings
  * @route PATCH /v1/admin/settings
- * @access Private (requires admin permission)
+ * @access Private (requires manageSiteSettings permission)
  */
 const updateSystemSettings = catchAsync(async (req, res) => {
   const { settings } = req.body;
@@ -298,11 +227,7 @@ const updateSystemSettings = catchAsync(async (req, res) => {
     throw new ApiError(httpStatus.BAD_REQUEST, 'Settings object is required');
   }
 
-  // This would typically update a settings collection in the database
-  // For this implementation, we'll update the cache
-
-  const cacheKey = 'system:settings';
-  await cache.set(cacheKey, settings, 3600);
+  const updatedSettings = await settingsService.updateSettings(settings, req.user.id);
 
   // Track event
   await analyticsService.trackEvent('system_settings_updated', {
@@ -312,10 +237,21 @@ const updateSystemSettings = catchAsync(async (req, res) => {
 
   res.status(httpStatus.OK).json({
     message: 'System settings updated successfully',
-    settings,
+    settings: updatedSettings,
   });
 });
 
+/**
+ * Get the stored settings with who changed them last
+ * @route GET /v1/admin/settings/audit
+ * @access Private (requires manageSiteSettings permission)
+ */
+const getSettingsAudit = catchAsync(async (req, res) => {
+  const settings = await settingsService.getSettingsAudit();
+
+  res.status(httpStatus.OK).json(settings);
+});
+
 /**
  * Clear system cache
  * @route POST /v1/admin/cache/clear
@@ -362,5 +298,6 @@ module.exports = {
   updateApprovalStatus,
   getSystemSettings,
   updateSystemSettings,
+  getSettingsAudit,
   clearCache,
 };
@@ -1,6 +1,7 @@
 const httpStatus = require('http-status');
 const catchAsync = require('../utils/catchAsync');
 const analyticsService = require('../services/analytics.service');
+const commentService = require('../services/comment.service');
 const { BlogPost } = require('../models');
 
 /**
@@ -159,7 +160,7 @@ const getUserEngagement = catchAsync(async (req, res) => {
       averageSessionDuration: engagementEvents.averageSessionDuration,
       pageViewsPerSession: engagementEvents.pageViewsPerSession,
       bounceRate: engagementEvents.bounceRate,
-      commentCount: engagementEvents.commentCount,
+      commentCount: await commentService.countComments(analyticsService.getPeriodStartDate(period)),
     },
     retention: {
       day1: engagementEvents.retention.day1,
@@ -329,7 +330,6 @@ async function getEngagementEvents(_period) {
     averageSessionDuration: '3m 24s',
     pageViewsPerSession: 2.7,
     bounceRate: '38%',
-    commentCount: 156,
     retention: {
       day1: '68%',
       day7: '42%',
@@ -1,10 +1,41 @@
 const httpStatus = require('http-status');
 const catchAsync = require('../utils/catchAsync');
-const { blogService, aiService, analyticsService } = require('../services');
+const {
+  blogService,
+  aiService,
+  analyticsService,
+  translationQueueService,
+  searchService,
+  relatedPostsService,
+  settingsService,
+  revisionService,
+  workflowService,
+  paywallService,
+  entitlementService,
+} = require('../services');
 const ApiError = require('../utils/ApiError');
 const pick = require('../utils/pick');
 const { cache } = require('../config/redis');
 const i18next = require('i18next');
+const languages = require('../config/languages');
+
+/**
+ * Whether the authenticated user, if any, can read premium posts
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+const canReadPremium = (req) => paywallService.isEntitled(req.user);
+
+/**
+ * Serve a post read by the requesting reader, premium posts behind the paywall
+ * @private
+ */
+const gatePost = (req, post) =>
+  paywallService.gatePost(
+    post,
+    req.user,
+    paywallService.getReaderId(req.user, { ip: req.ip, userAgent: req.headers['user-agent'] }),
+  );
 
 /**
  * Create a new blog post with optional AI assistance
@@ -12,32 +43,54 @@ const i18next = require('i18next');
  */
 const createPost = catchAsync(async (req, res) => {
   const { useAI, generateSEO, ...postData } = req.body;
-
-  // Optional AI content generation
-  if (useAI && postData.title && postData.keywords) {
-    const generatedContent = await aiService.generateBlogContent({
-      title: postData.title,
-      topic: postData.topic || postData.title,
-      keywords: postData.keywords,
-      language: postData.language || 'en',
-      wordCount: postData.wordCount || 1500,
-      tone: postData.tone || 'professional',
-    });
-
-    postData.content = generatedContent;
-  }
-
-  // Create the post
-  const post = await blogService.createPost({
-    ...postData,
-    author: req.user.id,
+  const generateContent = useAI && postData.title && postData.keywords;
+  const wordCount = postData.wordCount || 1500;
+
+  // Every quota is used before any AI call, the words asked for stand for the article
+  const quotas = {
+    ...(generateContent && { aiWords: wordCount }),
+    ...(generateSEO && { seoGenerations: 1 }),
+  };
+  await entitlementService.consumeQuotas(req.user, quotas);
+
+  // Create the post, with optional AI content generation
+  const post = await entitlementService.refundOnFailure(req.user, quotas, async () => {
+    if (generateContent) {
+      postData.content = await aiService.generateBlogContent({
+        title: postData.title,
+        topic: postData.topic || postData.title,
+        keywords: postData.keywords,
+        language: postData.language || 'en',
+        wordCount,
+        tone: postData.tone || 'professional',
+      });
+    }
+
+    return blogService.createPost(
+      {
+        ...postData,
+        author: req.user.id,
+      },
+      { source: useAI ? 'ai-generate' : 'manual' },
+    );
   });
+  if (generateContent) {
+    // Count the words generated rather than those asked for
+    await entitlementService.recordUsage(
+      req.user,
+      'aiWords',
+      entitlementService.countWords(post.content) - wordCount,
+    );
+  }
+  await workflowService.refreshPost(post);
 
   // Generate SEO metadata if requested
-  if (generateSEO && post.content) {
-    const seoData = await aiService.generateMetaDescription(post.content, post.language || 'en');
-
-    post.metaDescription = seoData;
+  if (generateSEO) {
+    post.metaDescription = await entitlementService.refundOnFailure(
+      req.user,
+      { seoGenerations: 1 },
+      () => aiService.generateMetaDescription(post.content, post.language || 'en'),
+    );
     await post.save();
   }
 
@@ -68,34 +121,70 @@ const getPosts = catchAsync(async (req, res) => {
   const cacheKey = `posts:${JSON.stringify(filter)}:${JSON.stringify(options)}:${language}`;
   const cachedResult = await cache.get(cacheKey);
 
-  if (cachedResult) {
-    return res.send(cachedResult);
+  let posts = cachedResult;
+  if (!posts) {
+    // Get posts with localization
+    posts = await blogService.getPosts(filter, { ...options, language });
+
+    // Cache results for 5 minutes, before premium content is gated
+    await cache.set(cacheKey, posts, 300);
   }
 
-  // Get posts with localization
-  const posts = await blogService.getPosts(filter, { ...options, language });
+  res.send({ ...posts, results: await paywallService.gatePosts(posts.results, req.user) });
+});
 
-  // Cache results for 5 minutes
-  await cache.set(cacheKey, posts, 300);
+/**
+ * Full-text search of published posts in every language
+ * Queries are stemmed in the requested language; the language, category and tag
+ * filters narrow the results and come with facet counts.
+ * @public
+ */
+const searchPosts = catchAsync(async (req, res) => {
+  const query = pick(req.query, ['q', 'language', 'category', 'tag']);
+  const options = pick(req.query, ['limit', 'page']);
+  const searchLanguage = languages.resolveLanguage(
+    req.query.language || req.headers['accept-language']?.split(',')[0]?.split('-')[0],
+  );
+  const result = await searchService.searchPosts(query, {
+    ...options,
+    searchLanguage,
+    canReadPremium: canReadPremium(req),
+  });
 
-  res.send(posts);
+  res.send(result);
 });
 
 /**
- * Get blog post by slug
+ * Rebuild the search index from the published posts
+ * @restricted to admin
+ */
+const reindexSearch = catchAsync(async (req, res) => {
+  const indexed = await searchService.rebuildIndex();
+
+  res.send({ indexed });
+});
+
+/**
+ * Get blog post by slug in any language
+ * The language comes from the URL prefix (/v1/blog/:language/slug/:slug), the query or
+ * the Accept-Language header. The response includes canonicalUrl and hreflang alternates.
+ * Premium posts are served in full to entitled readers only, see paywallService.
  * @public
  */
 const getPostBySlug = catchAsync(async (req, res) => {
   // Extract language from request or use default
   const language =
-    req.query.language || req.headers['accept-language']?.split(',')[0]?.split('-')[0] || 'en';
+    req.params.language ||
+    req.query.language ||
+    req.headers['accept-language']?.split(',')[0]?.split('-')[0] ||
+    'en';
 
   // Try to get from cache first
   const cacheKey = `post:${req.params.slug}:${language}`;
   const cachedPost = await cache.get(cacheKey);
 
   if (cachedPost) {
-    return res.send(cachedPost);
+    return res.send(await gatePost(req, cachedPost));
   }
 
   // Get post with proper language
@@ -117,10 +206,10 @@ const getPostBySlug = catchAsync(async (req, res) => {
   // Increment view count
   await blogService.incrementViews(post.id, true);
 
-  // Cache result for 10 minutes
+  // Cache result for 10 minutes, before premium content is gated
   await cache.set(cacheKey, post, 600);
 
-  res.send(post);
+  res.send(await gatePost(req, post));
 });
 
 /**
@@ -134,28 +223,144 @@ const getPost = catchAsync(async (req, res) => {
 
   const post = await blogService.getPostById(req.params.id, language);
 
-  if (!post) {
+  // Embargoed posts are not served before their publication time
+  if (!post || post.publishAt > new Date()) {
     throw new ApiError(httpStatus.NOT_FOUND, i18next.t('blog:postNotFound', { ns: 'blog' }));
   }
 
-  res.send(post);
+  res.send(await gatePost(req, post));
+});
+
+/**
+ * Get the posts related to a published post, in the requested language
+ * Premium posts are only recommended to readers who can read them.
+ * @public
+ */
+const getRelatedPosts = catchAsync(async (req, res) => {
+  // Results are cached per language, only enabled ones get their own
+  const language = languages.resolveLanguage(
+    req.query.language || req.headers['accept-language']?.split(',')[0]?.split('-')[0],
+  );
+  const limit = req.query.limit ?? (await settingsService.getSetting('content.maxRelatedPosts'));
+  const premium = canReadPremium(req);
+
+  // Neighbours change when other posts do, so results only live for an hour
+  const cacheKey = `post:${req.params.id}:related:${language}:${limit}:${premium ? 'premium' : 'free'}`;
+  const cached = await cache.get(cacheKey);
+  if (cached) {
+    return res.send(cached);
+  }
+
+  const related = await relatedPostsService.getRelatedPosts(req.params.id, language, {
+    limit,
+    canReadPremium: premium,
+  });
+  await cache.set(cacheKey, related, 3600);
+
+  res.send(related);
 });
 
 /**
  * Update blog post
+ * With `improvements`, the content (as sent, or the current one) is improved by AI first,
+ * counted in the AI words of the user's plan.
  * @restricted to author or admin
  */
 const updatePost = catchAsync(async (req, res) => {
-  const post = await blogService.updatePost(req.params.id, req.body, req.user.id);
+  const { improvements, ...updateBody } = req.body;
+
+  if (improvements) {
+    // Checked before any quota is used
+    const current = await blogService.getEditablePost(req.params.id, req.user.id);
+    const content = updateBody.content || current.content;
+    const wordCount = entitlementService.countWords(content);
+    updateBody.content = await entitlementService.withQuota(req.user, 'aiWords', wordCount, () =>
+      aiService.improveContent(
+        content,
+        improvements,
+        updateBody.language || current.language || 'en',
+      ),
+    );
+    await entitlementService.recordUsage(
+      req.user,
+      'aiWords',
+      entitlementService.countWords(updateBody.content) - wordCount,
+    );
+  }
+
+  const post = await blogService.updatePost(req.params.id, updateBody, req.user.id, {
+    source: improvements ? 'ai-improve' : 'manual',
+  });
 
   if (!post) {
     throw new ApiError(httpStatus.NOT_FOUND, i18next.t('blog:postNotFound', { ns: 'blog' }));
   }
 
-  // Clear cache for this post in all languages
-  await cache.clearByPattern(`post:${post.slug}:*`);
-  await cache.clearByPattern(`post:${post.id}:*`);
-  await cache.clearByPattern('posts:*');
+  await workflowService.refreshPost(post);
+
+  res.send(post);
+});
+
+/**
+ * Move a post to another editorial workflow status
+ * Each transition checks its own right, see workflowService.
+ * @restricted to authors, reviewers and publishers
+ */
+const transitionPost = catchAsync(async (req, res) => {
+  const post = await workflowService.transitionPost(req.params.id, req.body, req.user);
+
+  res.send({ ...post.toJSON(), notes: post.notes });
+});
+
+/**
+ * Set or clear the publication and unpublication times of a post or translation
+ * @restricted to publishers
+ */
+const schedulePost = catchAsync(async (req, res) => {
+  const post = await workflowService.schedulePost(req.params.id, req.body, req.user);
+
+  res.send({ ...post.toJSON(), notes: post.notes });
+});
+
+/**
+ * List the revisions of a post, newest first
+ * @restricted to users who can manage posts
+ */
+const getRevisions = catchAsync(async (req, res) => {
+  const options = pick(req.query, ['limit', 'page']);
+  const result = await revisionService.queryRevisions(req.params.id, options);
+
+  res.send(result);
+});
+
+/**
+ * Get a revision of a post with its text
+ * @restricted to users who can manage posts
+ */
+const getRevision = catchAsync(async (req, res) => {
+  const revision = await revisionService.getRevision(req.params.id, req.params.revision);
+
+  res.send(revision);
+});
+
+/**
+ * Word-level diff between two revisions of a post
+ * @restricted to users who can manage posts
+ */
+const diffRevisions = catchAsync(async (req, res) => {
+  const diff = await revisionService.diffRevisions(req.params.id, req.query.from, req.query.to);
+
+  res.send(diff);
+});
+
+/**
+ * Restore a revision of a post, recorded as a new revision
+ * @restricted to author or admin
+ */
+const restoreRevision = catchAsync(async (req, res) => {
+  const post = await blogService.restoreRevision(req.params.id, req.params.revision, req.user.id);
+
+  await workflowService.refreshPost(post);
 
   res.send(post);
 });
@@ -165,17 +370,16 @@ const updatePost = catchAsync(async (req, res) => {
  * @restricted to author or admin
  */
 const deletePost = catchAsync(async (req, res) => {
-  await blogService.deletePost(req.params.id, req.user.id);
+  const post = await blogService.deletePost(req.params.id, req.user.id);
 
-  // Clear relevant caches
-  await cache.clearByPattern(`post:${req.params.id}:*`);
-  await cache.clearByPattern('posts:*');
+  await workflowService.refreshPost(post);
 
   res.status(httpStatus.NO_CONTENT).send();
 });
 
 /**
- * Generate translations for a post
+ * Queue translations for a post
+ * Translations run in the background, progress is reported by GET /v1/translations/status/:postId
  * @restricted to author, translator or admin
  */
 const translatePost = catchAsync(async (req, res) => {
@@ -186,18 +390,27 @@ const translatePost = catchAsync(async (req, res) => {
     throw new ApiError(httpStatus.NOT_FOUND, i18next.t('blog:postNotFound', { ns: 'blog' }));
   }
 
-  // Generate translations using AI
-  const translations = await blogService.translatePost(
-    req.params.id,
-    targetLanguages || ['en', 'fr', 'de', 'es'],
+  // Never queue a translation into the source language
+  const sourceLanguage = post.language || languages.getDefaultLanguage();
+  const targets = (targetLanguages || languages.getEnabledCodes()).filter(
+    (lang) => lang !== sourceLanguage,
   );
 
-  // Clear cache for this post in all languages
-  await cache.clearByPattern(`post:${post.slug}:*`);
-  await cache.clearByPattern(`post:${post.id}:*`);
-  await cache.clearByPattern('posts:*');
+  const { queued, jobs } = await entitlementService.withQuota(
+    req.user,
+    'translations',
+    targets.length,
+    () =>
+      translationQueueService.enqueueTranslation(req.params.id, targets, {
+        requestedBy: req.user.id,
+      }),
+  );
+  // Languages already queued or running were paid for by the request that queued them
+  if (queued.length < targets.length) {
+    await entitlementService.recordUsage(req.user, 'translations', queued.length - targets.length);
+  }
 
-  res.send({ translations });
+  res.status(httpStatus.ACCEPTED).send({ postId: req.params.id, sourceLanguage, jobs });
 });
 
 /**
@@ -205,14 +418,13 @@ const translatePost = catchAsync(async (req, res) => {
  * @restricted to author or admin
  */
 const updateSEO = catchAsync(async (req, res) => {
-  const post = await blogService.getPostById(req.params.id);
-
-  if (!post) {
-    throw new ApiError(httpStatus.NOT_FOUND, i18next.t('blog:postNotFound', { ns: 'blog' }));
-  }
+  // Checked before any quota is used
+  const post = await blogService.getEditablePost(req.params.id, req.user.id);
 
   // Generate SEO metadata using AI
-  const seoData = await aiService.generateSEO(post.title, post.content);
+  const seoData = await entitlementService.withQuota(req.user, 'seoGenerations', 1, () =>
+    aiService.generateSEO(post.title, post.content, post.language),
+  );
 
   // Update post with SEO data
   const updatedPost = await blogService.updatePost(
@@ -225,9 +437,7 @@ const updateSEO = catchAsync(async (req, res) => {
     req.user.id,
   );
 
-  // Clear cache for this post
-  await cache.clearByPattern(`post:${post.slug}:*`);
-  await cache.clearByPattern(`post:${post.id}:*`);
+  await workflowService.refreshPost(updatedPost);
 
   res.send(updatedPost);
 });
@@ -260,9 +470,18 @@ const trackAffiliateClick = catchAsync(async (req, res) => {
 module.exports = {
   createPost,
   getPosts,
+  searchPosts,
+  reindexSearch,
   getPost,
   getPostBySlug,
+  getRelatedPosts,
   updatePost,
+  transitionPost,
+  schedulePost,
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision,
   deletePost,
   translatePost,
   updateSEO,
@@ -0,0 +1,104 @@
+const httpStatus = require('http-status');
+const pick = require('../utils/pick');
+const ApiError = require('../utils/ApiError');
+const catchAsync = require('../utils/catchAsync');
+const { categoryService } = require('../services');
+const { getDefaultLanguage } = require('../config/languages');
+
+/**
+ * Language categories are served in: the query, the Accept-Language header or the default
+ * @private
+ */
+const getLanguage = (req) =>
+  req.query.language ||
+  req.headers['accept-language']?.split(',')[0]?.split('-')[0] ||
+  getDefaultLanguage();
+
+/**
+ * Create a category
+ * @route POST /v1/categories
+ * @access Private (requires manageCategories permission)
+ */
+const createCategory = catchAsync(async (req, res) => {
+  const category = await categoryService.createCategory(req.body);
+  res.status(httpStatus.CREATED).send(category);
+});
+
+/**
+ * List categories, localized
+ * @route GET /v1/categories
+ * @access Public
+ */
+const getCategories = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['parent', 'isActive']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const language = getLanguage(req);
+  const result = await categoryService.queryCategories(filter, options);
+  res.send({
+    ...result,
+    results: result.results.map((category) => categoryService.localizeCategory(category, language)),
+  });
+});
+
+/**
+ * Get the tree of active categories, localized
+ * @route GET /v1/categories/tree
+ * @access Public
+ */
+const getCategoryTree = catchAsync(async (req, res) => {
+  const tree = await categoryService.getCategoryTree(getLanguage(req));
+  res.send(tree);
+});
+
+/**
+ * Get an active category by its slug in any language, localized with its ancestors and children
+ * @route GET /v1/categories/slug/:slug
+ * @access Public
+ */
+const getCategoryBySlug = catchAsync(async (req, res) => {
+  const category = await categoryService.getCategoryBySlug(req.params.slug, getLanguage(req));
+  res.send(category);
+});
+
+/**
+ * Get a category with all its translations
+ * @route GET /v1/categories/:categoryId
+ * @access Private (requires manageCategories permission)
+ */
+const getCategory = catchAsync(async (req, res) => {
+  const category = await categoryService.getCategoryById(req.params.categoryId);
+  if (!category) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Category not found');
+  }
+  res.send(category);
+});
+
+/**
+ * Update a category, moving it with its subtree when its parent changes
+ * @route PATCH /v1/categories/:categoryId
+ * @access Private (requires manageCategories permission)
+ */
+const updateCategory = catchAsync(async (req, res) => {
+  const category = await categoryService.updateCategoryById(req.params.categoryId, req.body);
+  res.send(category);
+});
+
+/**
+ * Delete a category without subcategories or posts
+ * @route DELETE /v1/categories/:categoryId
+ * @access Private (requires manageCategories permission)
+ */
+const deleteCategory = catchAsync(async (req, res) => {
+  await categoryService.deleteCategoryById(req.params.categoryId);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+module.exports = {
+  createCategory,
+  getCategories,
+  getCategoryTree,
+  getCategoryBySlug,
+  getCategory,
+  updateCategory,
+  deleteCategory,
+};
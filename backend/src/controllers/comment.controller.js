@@ -0,0 +1,101 @@
+const httpStatus = require('http-status');
+const pick = require('../utils/pick');
+const catchAsync = require('../utils/catchAsync');
+const { commentService } = require('../services');
+const { getDefaultLanguage } = require('../config/languages');
+
+/**
+ * Language comments are read and written in: the request's, the Accept-Language header
+ * or the default
+ * @private
+ */
+const getLanguage = (req) =>
+  req.body?.language ||
+  req.query.language ||
+  req.headers['accept-language']?.split(',')[0]?.split('-')[0] ||
+  getDefaultLanguage();
+
+/**
+ * Comment on a post, or reply to a comment
+ * Comments held for moderation are returned with their pending status.
+ * @route POST /v1/comments
+ * @access Private (authenticated users)
+ */
+const createComment = catchAsync(async (req, res) => {
+  const comment = await commentService.createComment(
+    { ...req.body, language: getLanguage(req) },
+    req.user,
+  );
+  res.status(httpStatus.CREATED).send(comment);
+});
+
+/**
+ * Comment threads of a post in a language
+ * @route GET /v1/comments
+ * @access Public (authenticated readers also see their pending comments)
+ */
+const getComments = catchAsync(async (req, res) => {
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await commentService.getPostComments(
+    req.query.post,
+    getLanguage(req),
+    options,
+    req.user,
+  );
+  res.send(result);
+});
+
+/**
+ * Edit a comment within the edit window
+ * @route PATCH /v1/comments/:commentId
+ * @access Private (comment author)
+ */
+const updateComment = catchAsync(async (req, res) => {
+  const comment = await commentService.updateComment(req.params.commentId, req.body, req.user);
+  res.send(comment);
+});
+
+/**
+ * Delete a comment
+ * @route DELETE /v1/comments/:commentId
+ * @access Private (comment author or moderators)
+ */
+const deleteComment = catchAsync(async (req, res) => {
+  await commentService.deleteComment(req.params.commentId, req.user);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+/**
+ * Comments waiting for moderation, with their scores
+ * @route GET /v1/comments/moderation
+ * @access Private (requires moderateComments permission)
+ */
+const getModerationQueue = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['status', 'post', 'language']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await commentService.getModerationQueue(filter, options);
+  res.send(result);
+});
+
+/**
+ * Approve, reject or mark a comment as spam
+ * @route POST /v1/comments/:commentId/moderation
+ * @access Private (requires moderateComments permission)
+ */
+const moderateComment = catchAsync(async (req, res) => {
+  const comment = await commentService.moderateComment(
+    req.params.commentId,
+    req.body.status,
+    req.user,
+  );
+  res.send(comment);
+});
+
+module.exports = {
+  createComment,
+  getComments,
+  updateComment,
+  deleteComment,
+  getModerationQueue,
+  moderateComment,
+};
@@ -0,0 +1,41 @@
+const httpStatus = require('http-status');
+const catchAsync = require('../utils/catchAsync');
+const pick = require('../utils/pick');
+const feedService = require('../services/feed.service');
+
+/**
+ * Feed controller for RSS, Atom and JSON Feed syndication
+ */
+
+/**
+ * Get a feed of the latest published posts in a language
+ * Supports conditional requests with If-None-Match and If-Modified-Since.
+ * @route GET /v1/feeds/:language/:format
+ * @access Public
+ */
+const getFeed = catchAsync(async (req, res) => {
+  const { language, format } = req.params;
+  const feedUrl = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+  const feed = await feedService.getFeed(
+    format,
+    language,
+    pick(req.query, ['category', 'tag']),
+    feedUrl,
+  );
+
+  res.set({
+    'Content-Type': feed.contentType,
+    ETag: feed.etag,
+    'Last-Modified': feed.lastModified.toUTCString(),
+  });
+
+  if (req.fresh) {
+    return res.status(httpStatus.NOT_MODIFIED).end();
+  }
+
+  res.status(httpStatus.OK).send(feed.body);
+});
+
+module.exports = {
+  getFeed,
+};
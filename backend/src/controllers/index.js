@@ -3,7 +3,12 @@ module.exports.userController = require('./user.controller');
 module.exports.blogController = require('./blog.controller');
 module.exports.translationController = require('./translation.controller');
 module.exports.seoController = require('./seo.controller');
+module.exports.feedController = require('./feed.controller');
 module.exports.subscriptionController = require('./subscription.controller');
 module.exports.analyticsController = require('./analytics.controller');
 module.exports.affiliateController = require('./affiliate.controller');
 module.exports.adminController = require('./admin.controller');
+module.exports.settingsController = require('./settings.controller');
+module.exports.categoryController = require('./category.controller');
+module.exports.tagController = require('./tag.controller');
+module.exports.commentController = require('./comment.controller');
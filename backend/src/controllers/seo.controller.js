@@ -1,70 +1,118 @@
 const httpStatus = require('http-status');
 const catchAsync = require('../utils/catchAsync');
+const pick = require('../utils/pick');
 const { BlogPost } = require('../models');
 const ApiError = require('../utils/ApiError');
 const aiService = require('../services/ai.service');
 const analyticsService = require('../services/analytics.service');
+const sitemapService = require('../services/sitemap.service');
+const structuredDataService = require('../services/structuredData.service');
+const settingsService = require('../services/settings.service');
+const seoAuditService = require('../services/seoAudit.service');
+const ogImageService = require('../services/ogImage.service');
+const entitlementService = require('../services/entitlement.service');
+const { localizePost, getPostAlternates } = require('../services/blog.service');
+const { getDefaultLanguage, resolveLanguage } = require('../config/languages');
+const config = require('../config/config');
 const { cache } = require('../config/redis');
 
 /**
  * SEO Controller for managing metadata across the blog
  */
 
+const SEO_FIELDS = ['metaTitle', 'metaDescription', 'keywords', 'canonicalUrl', 'ogImage'];
+
 /**
- * Generate SEO metadata for a blog post
- * @route POST /v1/seo/generate/:postId
- * @access Private (requires manageBlogPosts permission)
+ * Find a post and the language its SEO is edited in
+ * SEO fields of another language than the source are stored on its translation.
+ * @param {ObjectId} postId - Post id
+ * @param {string} [language] - Language code, defaults to the source language
+ * @returns {Promise<{post: BlogPost, language: string, pathPrefix: string}>}
  */
-const generateSEOMetadata = catchAsync(async (req, res) => {
-  const { postId } = req.params;
-  const { language } = req.query;
-
+const getPostForSEO = async (postId, language) => {
   const post = await BlogPost.findById(postId);
   if (!post) {
     throw new ApiError(httpStatus.NOT_FOUND, 'Blog post not found');
   }
 
-  // Choose appropriate content based on language
-  let content = post.content;
-  let title = post.title;
-
-  if (language && language !== post.language && post.translations && post.translations[language]) {
-    content = post.translations[language].content;
-    title = post.translations[language].title;
+  const sourceLanguage = post.language || getDefaultLanguage();
+  if (!language || language === sourceLanguage) {
+    return { post, language: sourceLanguage, pathPrefix: '' };
+  }
+  if (!post.getTranslation(language)) {
+    throw new ApiError(httpStatus.NOT_FOUND, `Blog post has no translation in ${language}`);
   }
+  return { post, language, pathPrefix: `translations.${language}.` };
+};
+
+/**
+ * SEO fields of a post as served in a language
+ * @param {BlogPost} post - Blog post document
+ * @param {string} language - Language code
+ * @returns {Object}
+ */
+const getServedSEO = (post, language) => {
+  const localizedPost = localizePost(post, language);
+
+  return {
+    title: localizedPost.title,
+    slug: localizedPost.slug,
+    metaTitle: localizedPost.metaTitle || localizedPost.title,
+    metaDescription: localizedPost.metaDescription,
+    keywords: localizedPost.keywords || [],
+    canonicalUrl: localizedPost.canonicalUrl || getPostAlternates(post)[localizedPost.language],
+    ogImage: localizedPost.ogImage?.url ? localizedPost.ogImage : localizedPost.featuredImage,
+    language: localizedPost.language,
+  };
+};
+
+/**
+ * Clear the caches serving the SEO of a post
+ * @param {BlogPost} post - Blog post document
+ * @returns {Promise}
+ */
+const invalidatePostSEO = async (post) => {
+  await cache.clearByPattern(`post:${post.slug}:*`);
+  await cache.clearByPattern(`post:${post.id}:*`);
+  await sitemapService.invalidatePost(post);
+};
+
+/**
+ * Generate SEO metadata for a blog post
+ * @route POST /v1/seo/generate/:postId
+ * @access Private (requires manageBlogPosts permission)
+ */
+const generateSEOMetadata = catchAsync(async (req, res) => {
+  const { post, language, pathPrefix } = await getPostForSEO(req.params.postId, req.query.language);
+
+  // Generate from the content of the language
+  const { title, content } = pathPrefix ? post.getTranslation(language) : post;
 
   // Track SEO generation attempt
   await analyticsService.trackEvent('seo_generation', {
     userId: req.user.id,
     postId: post._id,
-    language: language || post.language,
+    language,
   });
 
   // Generate SEO metadata using AI
-  const seoMetadata = await aiService.generateSEO(title, content);
-
-  // Prepare update object
-  const updateData = {};
-
-  // If we're dealing with the primary language
-  if (!language || language === post.language) {
-    updateData.metaTitle = seoMetadata.title;
-    updateData.metaDescription = seoMetadata.description;
-    updateData.keywords = seoMetadata.keywords;
-  }
-  // If we're dealing with a translation
-  else if (post.translations && post.translations[language]) {
-    if (!post.translations[language].meta) {
-      post.translations[language].meta = {};
-    }
-
-    updateData[`translations.${language}.meta.title`] = seoMetadata.title;
-    updateData[`translations.${language}.meta.description`] = seoMetadata.description;
-    updateData[`translations.${language}.meta.keywords`] = seoMetadata.keywords;
-  }
+  const seoMetadata = await entitlementService.withQuota(req.user, 'seoGenerations', 1, () =>
+    aiService.generateSEO(title, content, language),
+  );
 
   // Update the post with new SEO metadata
-  await BlogPost.findByIdAndUpdate(postId, { $set: updateData }, { new: true });
+  const updatedPost = await BlogPost.findByIdAndUpdate(
+    post._id,
+    {
+      $set: {
+        [`${pathPrefix}metaTitle`]: seoMetadata.title,
+        [`${pathPrefix}metaDescription`]: seoMetadata.description,
+        [`${pathPrefix}keywords`]: seoMetadata.keywords,
+      },
+    },
+    { new: true, runValidators: true },
+  );
+  await invalidatePostSEO(updatedPost);
 
   res.status(httpStatus.OK).json({
     message: 'SEO metadata generated successfully',
@@ -78,57 +126,26 @@ const generateSEOMetadata = catchAsync(async (req, res) => {
  * @access Private (requires manageBlogPosts permission)
  */
 const updateSEOMetadata = catchAsync(async (req, res) => {
-  const { postId } = req.params;
-  const { metaTitle, metaDescription, keywords, language, canonicalUrl } = req.body;
-
-  const post = await BlogPost.findById(postId);
-  if (!post) {
-    throw new ApiError(httpStatus.NOT_FOUND, 'Blog post not found');
-  }
+  const { post, language, pathPrefix } = await getPostForSEO(req.params.postId, req.body.language);
 
-  // Prepare update object
-  const updateData = {};
+  // Only the given fields are updated, in the language they are given for
+  const updateData = Object.entries(pick(req.body, SEO_FIELDS)).reduce(
+    (update, [field, value]) => ({ ...update, [`${pathPrefix}${field}`]: value }),
+    {},
+  );
 
-  // If we're dealing with the primary language
-  if (!language || language === post.language) {
-    if (metaTitle) updateData.metaTitle = metaTitle;
-    if (metaDescription) updateData.metaDescription = metaDescription;
-    if (keywords) updateData.keywords = keywords;
-    if (canonicalUrl) updateData.canonicalUrl = canonicalUrl;
-  }
-  // If we're dealing with a translation
-  else if (post.translations && post.translations[language]) {
-    if (metaTitle) updateData[`translations.${language}.meta.title`] = metaTitle;
-    if (metaDescription) updateData[`translations.${language}.meta.description`] = metaDescription;
-    if (keywords) updateData[`translations.${language}.meta.keywords`] = keywords;
-  }
-
-  // Update the post with new SEO metadata
-  const updatedPost = await BlogPost.findByIdAndUpdate(postId, { $set: updateData }, { new: true });
-
-  // Clear cache for this post
-  await cache.del(`cache:/api/v1/blog/${post._id}`);
-  await cache.del(`cache:/api/v1/blog/slug/${post.slug}`);
+  const updatedPost = await BlogPost.findByIdAndUpdate(
+    post._id,
+    { $set: updateData },
+    { new: true, runValidators: true },
+  );
+  await invalidatePostSEO(updatedPost);
 
   res.status(httpStatus.OK).json({
     message: 'SEO metadata updated successfully',
     post: {
       id: updatedPost._id,
-      title: updatedPost.title,
-      slug: updatedPost.slug,
-      metaTitle:
-        language && language !== post.language
-          ? updatedPost.translations?.[language]?.meta?.title
-          : updatedPost.metaTitle,
-      metaDescription:
-        language && language !== post.language
-          ? updatedPost.translations?.[language]?.meta?.description
-          : updatedPost.metaDescription,
-      keywords:
-        language && language !== post.language
-          ? updatedPost.translations?.[language]?.meta?.keywords
-          : updatedPost.keywords,
-      canonicalUrl: updatedPost.canonicalUrl,
+      ...getServedSEO(updatedPost, language),
     },
   });
 });
@@ -139,70 +156,18 @@ const updateSEOMetadata = catchAsync(async (req, res) => {
  * @access Private (requires manageBlogPosts permission)
  */
 const getSEOMetadata = catchAsync(async (req, res) => {
-  const { postId } = req.params;
-  const { language } = req.query;
-
-  const post = await BlogPost.findById(postId);
-  if (!post) {
-    throw new ApiError(httpStatus.NOT_FOUND, 'Blog post not found');
-  }
-
-  let seoData = {
-    title: post.title,
-    slug: post.slug,
-    metaTitle: post.metaTitle || post.title,
-    metaDescription: post.metaDescription,
-    keywords: post.keywords || [],
-    canonicalUrl: post.canonicalUrl,
-    language: post.language || 'en',
-  };
+  const { post, language } = await getPostForSEO(req.params.postId, req.query.language);
 
-  // If requesting translation SEO data
-  if (language && language !== post.language && post.translations && post.translations[language]) {
-    const translation = post.translations[language];
-    seoData = {
-      title: translation.title || post.title,
-      slug: translation.slug || post.slug,
-      metaTitle: translation.meta?.title || translation.title || post.metaTitle,
-      metaDescription: translation.meta?.description || post.metaDescription,
-      keywords: translation.meta?.keywords || post.keywords || [],
-      canonicalUrl: post.canonicalUrl,
-      language,
-    };
-  }
-
-  res.status(httpStatus.OK).json(seoData);
+  res.status(httpStatus.OK).json(getServedSEO(post, language));
 });
 
 /**
  * Get site-wide SEO settings
  * @route GET /v1/seo/site-settings
- * @access Private (requires admin permission)
+ * @access Private (requires manageSiteSettings permission)
  */
 const getSiteSEOSettings = catchAsync(async (req, res) => {
-  // In a real implementation, this would fetch from a settings collection
-  // Here we're returning default values
-
-  const settings = {
-    siteName: 'AI Tools Blog',
-    siteDescription: 'The latest reviews and insights on AI tools for businesses and entrepreneurs',
-    defaultOgImage: '/images/site-default-og.jpg',
-    googleAnalyticsId: 'UA-XXXXXXXXX-X',
-    googleSiteVerification: '',
-    bingSiteVerification: '',
-    robots: 'index, follow',
-    structuredData: {
-      '@context': 'https://schema.org',
-      '@type': 'WebSite',
-      name: 'AI Tools Blog',
-      url: 'https://aitoolsblog.com',
-      potentialAction: {
-        '@type': 'SearchAction',
-        target: 'https://aitoolsblog.com/search?q={search_term_string}',
-        'query-input': 'required name=search_term_string',
-      },
-    },
-  };
+  const settings = await settingsService.getSiteSEOSettings();
 
   res.status(httpStatus.OK).json(settings);
 });
@@ -210,22 +175,10 @@ const getSiteSEOSettings = catchAsync(async (req, res) => {
 /**
  * Update site-wide SEO settings
  * @route PUT /v1/seo/site-settings
- * @access Private (requires admin permission)
+ * @access Private (requires manageSiteSettings permission)
  */
 const updateSiteSEOSettings = catchAsync(async (req, res) => {
-  const {
-    siteName,
-    siteDescription,
-    defaultOgImage,
-    googleAnalyticsId,
-    googleSiteVerification,
-    bingSiteVerification,
-    robots,
-    structuredData,
-  } = req.body;
-
-  // In a real implementation, this would update a settings collection
-  // Here we just acknowledge the request
+  const settings = await settingsService.updateSiteSEOSettings(req.body, req.user.id);
 
   // Track settings update
   await analyticsService.trackEvent('seo_settings_updated', {
@@ -235,23 +188,134 @@ const updateSiteSEOSettings = catchAsync(async (req, res) => {
 
   res.status(httpStatus.OK).json({
     message: 'SEO settings updated successfully',
-    settings: {
-      siteName,
-      siteDescription,
-      defaultOgImage,
-      googleAnalyticsId,
-      googleSiteVerification,
-      bingSiteVerification,
-      robots,
-      structuredData,
-    },
+    settings,
   });
 });
 
+/**
+ * Audit the SEO of a post in a language
+ * @route GET /v1/seo/:postId/audit
+ * @access Private (requires manageBlogPosts permission)
+ */
+const getPostAudit = catchAsync(async (req, res) => {
+  const audit = await seoAuditService.auditPostById(req.params.postId, req.query.language);
+
+  res.status(httpStatus.OK).json(audit);
+});
+
+/**
+ * List the published posts with the lowest SEO scores in a language
+ * @route GET /v1/seo/audit
+ * @access Private (requires manageSiteSettings permission)
+ */
+const getAuditReport = catchAsync(async (req, res) => {
+  const report = await seoAuditService.getAuditReport(
+    req.query.language || getDefaultLanguage(),
+    pick(req.query, ['limit']),
+  );
+
+  res.status(httpStatus.OK).json(report);
+});
+
+/**
+ * Language asked for, from the query or the Accept-Language header
+ * Responses are cached per language, so only enabled languages get their own.
+ * @param {Object} req - Express request
+ * @param {string} [language] - Language given in the query
+ * @returns {string} - Enabled language code
+ */
+const preferredLanguage = (req, language) =>
+  resolveLanguage(language || req.headers['accept-language']?.split(',')[0]?.split('-')[0]);
+
+/**
+ * URL the SEO routes are served from
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+const seoBaseUrl = (req) =>
+  config.sitemap.baseUrl || `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+/**
+ * Get the JSON-LD structured data of a published post
+ * @route GET /v1/seo/:postId/structured-data
+ * @access Public
+ */
+const getStructuredData = catchAsync(async (req, res) => {
+  const { postId } = req.params;
+  const language = preferredLanguage(req, req.query.language);
+
+  // Cleared with the rest of the post cache when the post changes
+  const cacheKey = `post:${postId}:structured-data:${language}`;
+  const cached = await cache.get(cacheKey);
+  if (cached) {
+    return res.status(httpStatus.OK).json(cached);
+  }
+
+  const structuredData = await structuredDataService.getPostStructuredData(postId, language);
+  await cache.set(cacheKey, structuredData, 3600);
+
+  res.status(httpStatus.OK).json(structuredData);
+});
+
+/**
+ * Get the social card of a published post, or its Open Graph and Twitter meta tags
+ * The PNG is served by default, clients accepting JSON get the meta tags with the
+ * URL of the image to share.
+ * @route GET /v1/seo/:postId/og-image
+ * @access Public
+ */
+const getOgImage = catchAsync(async (req, res) => {
+  const { postId } = req.params;
+  const language = preferredLanguage(req, req.query.lang);
+
+  // The first type is picked for */*, so crawlers get the image
+  if (req.accepts(['image/png', 'application/json']) === 'application/json') {
+    const meta = await ogImageService.getPostSocialMeta(postId, language, seoBaseUrl(req));
+    return res.status(httpStatus.OK).json(meta);
+  }
+
+  const image = await ogImageService.getPostOgImage(postId, language);
+  res.type('image/png').set({
+    'Cache-Control': 'public, max-age=86400',
+    // Embedded by the frontend and social networks from other origins
+    'Cross-Origin-Resource-Policy': 'cross-origin',
+  });
+  res.status(httpStatus.OK).send(image);
+});
+
+/**
+ * Get the sitemap index
+ * @route GET /v1/seo/sitemap.xml
+ * @access Public
+ */
+const getSitemapIndex = catchAsync(async (req, res) => {
+  const xml = await sitemapService.getSitemapIndex(seoBaseUrl(req));
+
+  res.type('application/xml').status(httpStatus.OK).send(xml);
+});
+
+/**
+ * Get a page of the sitemap of a language and content type
+ * @route GET /v1/seo/sitemaps/:language/:type-:page.xml
+ * @access Public
+ */
+const getSitemap = catchAsync(async (req, res) => {
+  const { language, type, page } = req.params;
+  const xml = await sitemapService.getSitemap(language, type, page);
+
+  res.type('application/xml').status(httpStatus.OK).send(xml);
+});
+
 module.exports = {
   generateSEOMetadata,
   updateSEOMetadata,
   getSEOMetadata,
   getSiteSEOSettings,
   updateSiteSEOSettings,
+  getPostAudit,
+  getAuditReport,
+  getStructuredData,
+  getOgImage,
+  getSitemapIndex,
+  getSitemap,
 };
@@ -0,0 +1,18 @@
+const httpStatus = require('http-status');
+const catchAsync = require('../utils/catchAsync');
+const settingsService = require('../services/settings.service');
+
+/**
+ * Get the public system settings
+ * @route GET /v1/settings/public
+ * @access Public
+ */
+const getPublicSettings = catchAsync(async (req, res) => {
+  const settings = await settingsService.getSettings({ publicOnly: true });
+
+  res.status(httpStatus.OK).json(settings);
+});
+
+module.exports = {
+  getPublicSettings,
+};
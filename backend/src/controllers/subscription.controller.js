@@ -5,7 +5,8 @@ const { User } = require('../models');
 const stripe = require('../config/stripe');
 const config = require('../config/config');
 const analyticsService = require('../services/analytics.service');
-const logger = require('../utils/logger');
+const entitlementService = require('../services/entitlement.service');
+const logger = require('../config/logger');
 
 /**
  * Subscription Controller for managing Stripe-based billing
@@ -79,7 +80,7 @@ const createCheckoutSession = catchAsync(async (req, res) => {
   }
 
   // Create or get Stripe customer
-  let customerId = user.stripeCustomerId;
+  let customerId = user.subscription.stripeCustomerId;
 
   if (!customerId) {
     // Create a new customer in Stripe
@@ -94,7 +95,7 @@ const createCheckoutSession = catchAsync(async (req, res) => {
     customerId = customer.id;
 
     // Save Stripe customer ID in user profile
-    user.stripeCustomerId = customerId;
+    user.subscription.stripeCustomerId = customerId;
     await user.save();
   }
 
@@ -135,10 +136,16 @@ const getUserSubscription = catchAsync(async (req, res) => {
   }
 
   // If user has Stripe customer ID and subscription ID, get latest details
-  if (user.stripeCustomerId && user.subscription && user.subscription.subscriptionId) {
+  if (
+    user.subscription &&
+    user.subscription.stripeCustomerId &&
+    user.subscription.stripeSubscriptionId
+  ) {
     try {
       // Get latest subscription details from Stripe
-      const subscriptionDetails = await stripe.getSubscription(user.subscription.subscriptionId);
+      const subscriptionDetails = await stripe.getSubscription(
+        user.subscription.stripeSubscriptionId,
+      );
 
       // Update subscription status in db if it has changed
       if (subscriptionDetails.status !== user.subscription.status) {
@@ -183,12 +190,12 @@ const cancelSubscription = catchAsync(async (req, res) => {
   }
 
   // Check if user has an active subscription
-  if (!user.subscription || !user.subscription.subscriptionId) {
+  if (!user.subscription || !user.subscription.stripeSubscriptionId) {
     throw new ApiError(httpStatus.BAD_REQUEST, 'No active subscription found');
   }
 
   // Cancel subscription in Stripe
-  const subscriptionId = user.subscription.subscriptionId;
+  const subscriptionId = user.subscription.stripeSubscriptionId;
   await stripe.cancelSubscription(subscriptionId, !cancelImmediately);
 
   // Update user's subscription status
@@ -275,13 +282,13 @@ const createPortalSession = catchAsync(async (req, res) => {
 
   // Get user
   const user = await User.findById(userId);
-  if (!user || !user.stripeCustomerId) {
+  if (!user || !user.subscription?.stripeCustomerId) {
     throw new ApiError(httpStatus.NOT_FOUND, 'User not found or no Stripe customer associated');
   }
 
   // Create customer portal session
   const portalSession = await stripe.createCustomerPortalSession(
-    user.stripeCustomerId,
+    user.subscription.stripeCustomerId,
     returnUrl || `${config.frontendUrl}/account`,
   );
 
@@ -290,6 +297,21 @@ const createPortalSession = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Plan of a Stripe subscription, as a user planId
+ * @private
+ */
+async function getPlanId(subscription) {
+  const priceId = subscription.items.data[0].price.id;
+  const plan = await entitlementService.getPlanByPrice(priceId);
+  if (!plan) {
+    // The customer pays for a plan that gives them nothing, the plan needs the price
+    logger.error(`No plan sells Stripe price ${priceId} of subscription ${subscription.id}`);
+    return 'free';
+  }
+  return plan.code.toLowerCase();
+}
+
 /**
  * Handler for checkout.session.completed webhook event
  * @private
@@ -309,25 +331,21 @@ async function handleCheckoutSessionCompleted(session) {
     const subscription = await stripe.getSubscription(subscriptionId);
 
     // Find user by Stripe customer ID
-    const user = await User.findOne({ stripeCustomerId: customerId });
+    const user = await User.findOne({ 'subscription.stripeCustomerId': customerId });
     if (!user) {
       logger.error('No user found with Stripe customer ID:', customerId);
       return;
     }
 
-    // Update user with subscription info
-    user.subscription = {
-      subscriptionId,
-      planId: subscription.items.data[0].price.id,
+    // Update user with subscription info, the plan and its period give the usage quotas
+    Object.assign(user.subscription, {
+      stripeSubscriptionId: subscriptionId,
+      planId: await getPlanId(subscription),
       status: subscription.status,
+      currentPeriodStart: new Date(subscription.current_period_start * 1000),
       currentPeriodEnd: new Date(subscription.current_period_end * 1000),
       cancelAtPeriodEnd: subscription.cancel_at_period_end,
-    };
-
-    // Add premium role to user if not already present
-    if (!user.roles.includes('premium')) {
-      user.roles.push('premium');
-    }
+    });
 
     await user.save();
 
@@ -350,32 +368,18 @@ async function handleCheckoutSessionCompleted(session) {
 async function handleSubscriptionUpdated(subscription) {
   try {
     // Find user by subscription ID
-    const user = await User.findOne({ 'subscription.subscriptionId': subscription.id });
+    const user = await User.findOne({ 'subscription.stripeSubscriptionId': subscription.id });
     if (!user) {
       return;
     }
 
-    // Update user subscription info
+    // Update user subscription info, usage quotas start over with a new period
     user.subscription.status = subscription.status;
+    user.subscription.planId = await getPlanId(subscription);
+    user.subscription.currentPeriodStart = new Date(subscription.current_period_start * 1000);
     user.subscription.currentPeriodEnd = new Date(subscription.current_period_end * 1000);
     user.subscription.cancelAtPeriodEnd = subscription.cancel_at_period_end;
 
-    // If plan ID changed, update that too
-    if (subscription.items.data[0].price.id !== user.subscription.planId) {
-      user.subscription.planId = subscription.items.data[0].price.id;
-    }
-
-    // Handle subscription status
-    if (subscription.status === 'active') {
-      // Ensure user has premium role
-      if (!user.roles.includes('premium')) {
-        user.roles.push('premium');
-      }
-    } else if (['canceled', 'unpaid', 'past_due'].includes(subscription.status)) {
-      // Remove premium role if subscription is inactive
-      user.roles = user.roles.filter((role) => role !== 'premium');
-    }
-
     await user.save();
 
     // Track subscription event
@@ -398,18 +402,15 @@ async function handleSubscriptionUpdated(subscription) {
 async function handleSubscriptionDeleted(subscription) {
   try {
     // Find user by subscription ID
-    const user = await User.findOne({ 'subscription.subscriptionId': subscription.id });
+    const user = await User.findOne({ 'subscription.stripeSubscriptionId': subscription.id });
     if (!user) {
       logger.error('No user found with subscription ID:', subscription.id);
       return;
     }
 
-    // Update user subscription status
+    // Update user subscription status, back to the free plan and its quotas
     user.subscription.status = 'canceled';
 
-    // Remove premium role
-    user.roles = user.roles.filter((role) => role !== 'premium');
-
     await user.save();
 
     // Track subscription cancellation
@@ -433,7 +434,7 @@ async function handleInvoicePaymentSucceeded(invoice) {
 
   try {
     // Find user by subscription ID
-    const user = await User.findOne({ 'subscription.subscriptionId': invoice.subscription });
+    const user = await User.findOne({ 'subscription.stripeSubscriptionId': invoice.subscription });
     if (!user) {
       logger.error('No user found with subscription ID:', invoice.subscription);
       return;
@@ -462,7 +463,7 @@ async function handleInvoicePaymentFailed(invoice) {
 
   try {
     // Find user by subscription ID
-    const user = await User.findOne({ 'subscription.subscriptionId': invoice.subscription });
+    const user = await User.findOne({ 'subscription.stripeSubscriptionId': invoice.subscription });
     if (!user) {
       logger.error('No user found with subscription ID:', invoice.subscription);
       return;
@@ -496,7 +497,7 @@ const reactivateSubscription = catchAsync(async (req, res) => {
   }
 
   // Check if user has a subscription
-  if (!user.subscription || !user.subscription.subscriptionId) {
+  if (!user.subscription || !user.subscription.stripeSubscriptionId) {
     throw new ApiError(httpStatus.BAD_REQUEST, 'No subscription found to reactivate');
   }
 
@@ -506,7 +507,7 @@ const reactivateSubscription = catchAsync(async (req, res) => {
   }
 
   // Reactivate the subscription
-  await stripe.subscriptions.update(user.subscription.subscriptionId, {});
+  await stripe.subscriptions.update(user.subscription.stripeSubscriptionId, {});
 
   // Update user record
   user.subscription.cancelAtPeriodEnd = false;
@@ -515,7 +516,7 @@ const reactivateSubscription = catchAsync(async (req, res) => {
   // Track event
   await analyticsService.trackEvent('subscription_reactivated', {
     userId,
-    subscriptionId: user.subscription.subscriptionId,
+    subscriptionId: user.subscription.stripeSubscriptionId,
   });
 
   res.status(httpStatus.OK).json({
@@ -541,14 +542,14 @@ const getUpcomingInvoice = catchAsync(async (req, res) => {
     throw new ApiError(httpStatus.NOT_FOUND, 'User not found');
   }
 
-  if (!user.stripeCustomerId) {
+  if (!user.subscription.stripeCustomerId) {
     throw new ApiError(httpStatus.BAD_REQUEST, 'No customer ID found');
   }
 
   // Get upcoming invoice
   const invoice = await stripe.getUpcomingInvoice(
-    user.stripeCustomerId,
-    user.subscription?.subscriptionId,
+    user.subscription.stripeCustomerId,
+    user.subscription?.stripeSubscriptionId,
   );
 
   res.status(httpStatus.OK).json({
@@ -578,12 +579,12 @@ const getPaymentMethods = catchAsync(async (req, res) => {
     throw new ApiError(httpStatus.NOT_FOUND, 'User not found');
   }
 
-  if (!user.stripeCustomerId) {
+  if (!user.subscription.stripeCustomerId) {
     throw new ApiError(httpStatus.BAD_REQUEST, 'No customer ID found');
   }
 
   // Get payment methods
-  const paymentMethods = await stripe.getPaymentMethods(user.stripeCustomerId);
+  const paymentMethods = await stripe.getPaymentMethods(user.subscription.stripeCustomerId);
 
   res.status(httpStatus.OK).json({
     payment_methods: paymentMethods.data.map((pm) => ({
@@ -611,12 +612,12 @@ const getInvoiceHistory = catchAsync(async (req, res) => {
     throw new ApiError(httpStatus.NOT_FOUND, 'User not found');
   }
 
-  if (!user.stripeCustomerId) {
+  if (!user.subscription.stripeCustomerId) {
     throw new ApiError(httpStatus.BAD_REQUEST, 'No customer ID found');
   }
 
   // Get invoices
-  const invoices = await stripe.getInvoices(user.stripeCustomerId);
+  const invoices = await stripe.getInvoices(user.subscription.stripeCustomerId);
 
   res.status(httpStatus.OK).json({
     invoices: invoices.data.map((invoice) => ({
@@ -650,12 +651,14 @@ const applyDiscount = catchAsync(async (req, res) => {
     throw new ApiError(httpStatus.NOT_FOUND, 'User not found');
   }
 
-  if (!user.stripeCustomerId) {
+  if (!user.subscription.stripeCustomerId) {
     throw new ApiError(httpStatus.BAD_REQUEST, 'No customer ID found');
   }
 
   // Apply discount
-  const result = await stripe.customers.update(user.stripeCustomerId, { coupon: couponId });
+  const result = await stripe.customers.update(user.subscription.stripeCustomerId, {
+    coupon: couponId,
+  });
 
   // Track event
   await analyticsService.trackEvent('discount_applied', {
@@ -699,7 +702,7 @@ const updateSubscription = catchAsync(async (req, res) => {
   }
 
   // Check if user has a subscription
-  if (!user.subscription || !user.subscription.subscriptionId) {
+  if (!user.subscription || !user.subscription.stripeSubscriptionId) {
     throw new ApiError(httpStatus.BAD_REQUEST, 'No active subscription found');
   }
 
@@ -710,12 +713,12 @@ const updateSubscription = catchAsync(async (req, res) => {
 
   // Update the subscription
   const updatedSubscription = await stripe.updateSubscription(
-    user.subscription.subscriptionId,
+    user.subscription.stripeSubscriptionId,
     newPlanId,
   );
 
   // Update user record
-  user.subscription.planId = newPlanId;
+  user.subscription.planId = await getPlanId(updatedSubscription);
   await user.save();
 
   // Track event
@@ -735,6 +738,16 @@ const updateSubscription = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Get the usage of the current user's plan features in the current billing period
+ * @route GET /v1/subscriptions/usage
+ * @access Private
+ */
+const getUsage = catchAsync(async (req, res) => {
+  const usage = await entitlementService.getUsage(req.user);
+  res.status(httpStatus.OK).json(usage);
+});
+
 module.exports = {
   getSubscriptionPlans,
   createCheckoutSession,
@@ -748,4 +761,5 @@ module.exports = {
   getInvoiceHistory,
   applyDiscount,
   updateSubscription,
+  getUsage,
 };
@@ -0,0 +1,143 @@
+const httpStatus = require('http-status');
+const pick = require('../utils/pick');
+const ApiError = require('../utils/ApiError');
+const catchAsync = require('../utils/catchAsync');
+const { tagService, blogService, feedService, paywallService } = require('../services');
+const { cache } = require('../config/redis');
+const { Tag } = require('../models');
+const { resolveLanguage } = require('../config/languages');
+
+/**
+ * Language tags are served in: the query, the Accept-Language header or the default
+ * @private
+ */
+const getLanguage = (req) =>
+  resolveLanguage(
+    req.query.language || req.headers['accept-language']?.split(',')[0]?.split('-')[0],
+  );
+
+/**
+ * Create a tag
+ * @route POST /v1/tags
+ * @access Private (requires manageTags permission)
+ */
+const createTag = catchAsync(async (req, res) => {
+  const tag = await tagService.createTag(req.body);
+  res.status(httpStatus.CREATED).send(tag);
+});
+
+/**
+ * List tags with localized labels, most used first
+ * @route GET /v1/tags
+ * @access Public
+ */
+const getTags = catchAsync(async (req, res) => {
+  // Keys are letters and digits only, safe in a prefix match
+  const filter = req.query.q ? { key: new RegExp(`^${Tag.toKey(req.query.q)}`) } : {};
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const language = getLanguage(req);
+  const result = await tagService.queryTags(filter, options);
+  res.send({
+    ...result,
+    results: result.results.map((tag) => tagService.localizeTag(tag, language)),
+  });
+});
+
+/**
+ * Tag page: the tag with its localized label and its published posts in the language
+ * Any spelling of the tag finds it.
+ * @route GET /v1/tags/slug/:slug
+ * @access Public
+ */
+const getTagPage = catchAsync(async (req, res) => {
+  const language = getLanguage(req);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+
+  // Listed posts change with posts, so the page lives with the posts:* caches. Every
+  // spelling of the tag shares the page of its slug.
+  const tag = await tagService.getTagBySlug(req.params.slug);
+  const cacheKey = `posts:tag:${tag.slug}:${JSON.stringify(options)}:${language}`;
+  let page = await cache.get(cacheKey);
+  if (!page) {
+    const posts = await blogService.getPosts({ tags: tag.slug }, { ...options, language });
+    page = { tag: tagService.localizeTag(tag, language), posts };
+    // Cached before premium content is gated
+    await cache.set(cacheKey, page, 300);
+  }
+
+  res.send({
+    ...page,
+    posts: {
+      ...page.posts,
+      results: await paywallService.gatePosts(page.posts.results, req.user),
+    },
+  });
+});
+
+/**
+ * Get a tag with its synonyms and all its labels
+ * @route GET /v1/tags/:tagId
+ * @access Private (requires manageTags permission)
+ */
+const getTag = catchAsync(async (req, res) => {
+  const tag = await tagService.getTagById(req.params.tagId);
+  if (!tag) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Tag not found');
+  }
+  res.send(tag);
+});
+
+/**
+ * Update a tag, renaming it in every post when its slug changes
+ * @route PATCH /v1/tags/:tagId
+ * @access Private (requires manageTags permission)
+ */
+const updateTag = catchAsync(async (req, res) => {
+  const tag = await tagService.updateTagById(req.params.tagId, req.body);
+  await feedService.invalidateFeeds();
+  res.send(tag);
+});
+
+/**
+ * Merge tags into a tag, in every post
+ * @route POST /v1/tags/:tagId/merge
+ * @access Private (requires manageTags permission)
+ */
+const mergeTags = catchAsync(async (req, res) => {
+  const tag = await tagService.mergeTags(req.params.tagId, req.body.tags);
+  await feedService.invalidateFeeds();
+  res.send(tag);
+});
+
+/**
+ * Delete a tag, removing it from every post
+ * @route DELETE /v1/tags/:tagId
+ * @access Private (requires manageTags permission)
+ */
+const deleteTag = catchAsync(async (req, res) => {
+  await tagService.deleteTagById(req.params.tagId);
+  await feedService.invalidateFeeds();
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+/**
+ * Resolve the tags of every post against the taxonomy
+ * @route POST /v1/tags/normalize
+ * @access Private (requires manageTags permission)
+ */
+const normalizePostTags = catchAsync(async (req, res) => {
+  const result = await tagService.normalizePostTags();
+  await feedService.invalidateFeeds();
+  res.send(result);
+});
+
+module.exports = {
+  createTag,
+  getTags,
+  getTagPage,
+  getTag,
+  updateTag,
+  mergeTags,
+  deleteTag,
+  normalizePostTags,
+};
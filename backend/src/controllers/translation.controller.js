@@ -1,11 +1,19 @@
 const httpStatus = require('http-status');
 const catchAsync = require('../utils/catchAsync');
+const pick = require('../utils/pick');
 const aiService = require('../services/ai.service');
-const { BlogPost } = require('../models');
+const { BlogPost, Translation } = require('../models');
 const ApiError = require('../utils/ApiError');
-const config = require('../config/config');
+const languages = require('../config/languages');
 const i18next = require('i18next');
+const { computeSourceRevision, diffSourceRevision } = require('../utils/sourceRevision');
 const analyticsService = require('../services/analytics.service');
+const translationQueueService = require('../services/translationQueue.service');
+const glossaryService = require('../services/glossary.service');
+const translationReviewService = require('../services/translationReview.service');
+const languageService = require('../services/language.service');
+const workflowService = require('../services/workflow.service');
+const entitlementService = require('../services/entitlement.service');
 
 /**
  * Translation controller for managing multilingual content
@@ -17,13 +25,53 @@ const analyticsService = require('../services/analytics.service');
  * @access Public
  */
 const getLanguages = catchAsync(async (req, res) => {
-  const languages = config.languages.map((code) => ({
-    code,
-    name: getLanguageName(code),
-    isDefault: code === config.defaultLanguage,
+  const defaultLanguage = languages.getDefaultLanguage();
+  const enabledLanguages = languages.getLanguages({ enabledOnly: true }).map((language) => ({
+    code: language.code,
+    name: language.nativeName,
+    englishName: language.name,
+    locale: language.locale,
+    rtl: language.rtl,
+    isDefault: language.code === defaultLanguage,
   }));
 
-  res.status(httpStatus.OK).json(languages);
+  res.status(httpStatus.OK).json(enabledLanguages);
+});
+
+/**
+ * Get every registered language, enabled or not
+ * @route GET /v1/translations/languages/all
+ * @access Private (requires manageSiteSettings permission)
+ */
+const getAllLanguages = catchAsync(async (req, res) => {
+  res.status(httpStatus.OK).json(languages.getLanguages());
+});
+
+/**
+ * Register a new language
+ * @route POST /v1/translations/languages
+ * @access Private (requires manageSiteSettings permission)
+ */
+const createLanguage = catchAsync(async (req, res) => {
+  const language = await languageService.createLanguage(req.body);
+  res.status(httpStatus.CREATED).json(language);
+});
+
+/**
+ * Update a language, e.g. enable it or make it the default
+ * @route PATCH /v1/translations/languages/:code
+ * @access Private (requires manageSiteSettings permission)
+ */
+const updateLanguage = catchAsync(async (req, res) => {
+  const language = await languageService.updateLanguageByCode(req.params.code, req.body);
+
+  await analyticsService.trackEvent('language_updated', {
+    userId: req.user.id,
+    language: language.code,
+    enabled: language.enabled,
+  });
+
+  res.status(httpStatus.OK).json(language);
 });
 
 /**
@@ -32,9 +80,9 @@ const getLanguages = catchAsync(async (req, res) => {
  * @access Public
  */
 const getNamespaces = catchAsync(async (req, res) => {
-  const language = req.query.language || config.defaultLanguage;
+  const language = req.query.language || languages.getDefaultLanguage();
 
-  if (!config.languages.includes(language)) {
+  if (!languages.isEnabled(language)) {
     throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid language code');
   }
 
@@ -50,7 +98,7 @@ const getNamespaces = catchAsync(async (req, res) => {
 const translateContent = catchAsync(async (req, res) => {
   const { content, title, sourceLanguage, targetLanguage } = req.body;
 
-  if (!config.languages.includes(sourceLanguage) || !config.languages.includes(targetLanguage)) {
+  if (!languages.isEnabled(sourceLanguage) || !languages.isEnabled(targetLanguage)) {
     throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid language code');
   }
 
@@ -66,14 +114,26 @@ const translateContent = catchAsync(async (req, res) => {
     contentLength: content.length,
   });
 
-  const translatedContent = await aiService.translateContent(
-    content,
-    title,
+  const glossary = await glossaryService.getTermsForText(
     sourceLanguage,
     targetLanguage,
+    `${title}\n${content}`,
+  );
+
+  const translatedContent = await entitlementService.withQuota(req.user, 'translations', 1, () =>
+    aiService.translateContent(content, title, sourceLanguage, targetLanguage, { glossary }),
   );
 
-  res.status(httpStatus.OK).json(translatedContent);
+  const glossaryViolations = [
+    ...glossaryService
+      .checkTranslation(title, translatedContent.title, glossary)
+      .map((violation) => ({ ...violation, field: 'title' })),
+    ...glossaryService
+      .checkTranslation(content, translatedContent.content, glossary)
+      .map((violation) => ({ ...violation, field: 'content' })),
+  ];
+
+  res.status(httpStatus.OK).json({ ...translatedContent, glossaryViolations });
 });
 
 /**
@@ -89,25 +149,70 @@ const getTranslationStatus = catchAsync(async (req, res) => {
     throw new ApiError(httpStatus.NOT_FOUND, 'Blog post not found');
   }
 
-  const sourceLanguage = post.language || config.defaultLanguage;
+  const sourceLanguage = post.language || languages.getDefaultLanguage();
   const status = {};
 
+  // Translations record the source revision they were made from, compare with the current one
+  const sourceRevision = computeSourceRevision(post);
+
+  // Live progress of queued translation jobs, by language
+  const jobs = await translationQueueService.getJobStatus(postId);
+
+  // Translations waiting for review or sent back by a reviewer, by language
+  const reviews = (await Translation.findBySourceId(postId)).reduce((byLanguage, translation) => {
+    byLanguage[translation.language] = {
+      translationId: translation.id,
+      status: translation.status,
+      reviewNotes: translation.reviewNotes,
+      glossaryViolations: translation.glossaryViolations.length,
+      stale: diffSourceRevision(translation.sourceRevision, sourceRevision).stale,
+    };
+    return byLanguage;
+  }, {});
+  const reviewStatus = { pending: 'in_review', draft: 'rejected' };
+
   // Check which languages have translations
-  for (const lang of config.languages) {
+  for (const lang of languages.getEnabledCodes()) {
+    const job = jobs[lang];
+    const review = reviews[lang];
+    const published = post.getTranslation(lang);
+
     if (lang === sourceLanguage) {
       status[lang] = {
         status: 'original',
         percentage: 100,
         completedAt: post.updatedAt,
       };
-    } else if (post.translations && post.translations[lang] && post.translations[lang].content) {
-      const translationDate = post.translations[lang].updatedAt || post.updatedAt;
-      const isOutdated = post.updatedAt > translationDate;
+    } else if (job && job.status !== 'done') {
+      status[lang] = {
+        status: job.status,
+        // Share of the segments sent to the AI provider so far, unknown until it starts
+        percentage: job.status === 'running' ? (job.progress ?? null) : 0,
+        completedAt: null,
+        job,
+      };
+    } else if (published && published.approvedAt && published.content) {
+      const changes = diffSourceRevision(published.sourceRevision, sourceRevision);
+      // Glossary terms the translation used changed since, see flagGlossaryChanges
+      if (published.glossaryChangedAt) {
+        Object.assign(changes, { stale: true, glossaryChangedAt: published.glossaryChangedAt });
+      }
 
       status[lang] = {
-        status: isOutdated ? 'outdated' : 'translated',
+        status: changes.stale ? 'outdated' : 'translated',
         percentage: 100,
-        completedAt: translationDate,
+        completedAt: published.approvedAt,
+        ...(changes.stale && { changes }),
+        ...(job && { job }),
+        ...(review && { review }),
+      };
+    } else if (review && reviewStatus[review.status]) {
+      status[lang] = {
+        status: reviewStatus[review.status],
+        percentage: 75,
+        completedAt: null,
+        ...(job && { job }),
+        review,
       };
     } else {
       status[lang] = {
@@ -120,6 +225,8 @@ const getTranslationStatus = catchAsync(async (req, res) => {
 
   res.status(httpStatus.OK).json({
     sourceLanguage,
+    sourceRevision: sourceRevision.hash,
+    staleLanguages: Object.keys(status).filter((lang) => status[lang].status === 'outdated'),
     translationStatus: status,
   });
 });
@@ -133,7 +240,7 @@ const updateTranslations = catchAsync(async (req, res) => {
   const { language } = req.params;
   const { namespace = 'common', translations } = req.body;
 
-  if (!config.languages.includes(language)) {
+  if (!languages.isEnabled(language)) {
     throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid language code');
   }
 
@@ -153,7 +260,7 @@ const updateTranslations = catchAsync(async (req, res) => {
   });
 
   res.status(httpStatus.OK).json({
-    message: `Translations for ${getLanguageName(language)} updated successfully`,
+    message: `Translations for ${languages.getLanguage(language).nativeName} updated successfully`,
     language,
     namespace,
     updatedKeys: Object.keys(translations).length,
@@ -161,24 +268,170 @@ const updateTranslations = catchAsync(async (req, res) => {
 });
 
 /**
- * Helper function to get language name from code
- * @private
+ * Create a glossary term
+ * @route POST /v1/translations/glossary
+ * @access Private (requires manageTranslations permission)
+ */
+const createGlossaryTerm = catchAsync(async (req, res) => {
+  const term = await glossaryService.createTerm({ ...req.body, createdBy: req.user.id });
+  await translationReviewService.flagGlossaryChanges([term]);
+  res.status(httpStatus.CREATED).json(term);
+});
+
+/**
+ * List glossary terms
+ * @route GET /v1/translations/glossary
+ * @access Private (requires manageTranslations permission)
  */
-function getLanguageName(code) {
-  const languageNames = {
-    en: 'English',
-    fr: 'Français',
-    de: 'Deutsch',
-    es: 'Español',
-  };
+const getGlossaryTerms = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['term', 'sourceLanguage', 'targetLanguage', 'doNotTranslate']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await glossaryService.queryTerms(filter, options);
+  res.status(httpStatus.OK).json(result);
+});
 
-  return languageNames[code] || code;
-}
+/**
+ * Get a glossary term
+ * @route GET /v1/translations/glossary/:termId
+ * @access Private (requires manageTranslations permission)
+ */
+const getGlossaryTerm = catchAsync(async (req, res) => {
+  const term = await glossaryService.getTermById(req.params.termId);
+  if (!term) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Glossary term not found');
+  }
+  res.status(httpStatus.OK).json(term);
+});
+
+/**
+ * Update a glossary term
+ * @route PATCH /v1/translations/glossary/:termId
+ * @access Private (requires manageTranslations permission)
+ */
+const updateGlossaryTerm = catchAsync(async (req, res) => {
+  const previous = await glossaryService.getTermById(req.params.termId);
+  const term = await glossaryService.updateTermById(req.params.termId, req.body);
+  await translationReviewService.flagGlossaryChanges([previous, term]);
+  res.status(httpStatus.OK).json(term);
+});
+
+/**
+ * Delete a glossary term
+ * @route DELETE /v1/translations/glossary/:termId
+ * @access Private (requires manageTranslations permission)
+ */
+const deleteGlossaryTerm = catchAsync(async (req, res) => {
+  const term = await glossaryService.deleteTermById(req.params.termId);
+  await translationReviewService.flagGlossaryChanges([term]);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+/**
+ * List translations in the review queue
+ * Defaults to pending translations; translators see theirs and unassigned ones with mine=true
+ * @route GET /v1/translations/review
+ * @access Private (requires manageTranslations permission)
+ */
+const getReviewQueue = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['language', 'status', 'sourceId']);
+  if (req.query.mine) {
+    filter.assignedTo = { $in: [req.user.id, null] };
+  }
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await translationReviewService.queryTranslations(filter, options);
+  res.status(httpStatus.OK).json(result);
+});
+
+/**
+ * Get a translation under review
+ * @route GET /v1/translations/review/:translationId
+ * @access Private (requires manageTranslations permission)
+ */
+const getReviewTranslation = catchAsync(async (req, res) => {
+  const translation = await translationReviewService.getTranslationById(req.params.translationId);
+  if (!translation) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Translation not found');
+  }
+  res.status(httpStatus.OK).json(translation);
+});
+
+/**
+ * Edit a translation under review
+ * @route PATCH /v1/translations/review/:translationId
+ * @access Private (requires manageTranslations permission)
+ */
+const updateReviewTranslation = catchAsync(async (req, res) => {
+  const translation = await translationReviewService.updateTranslationById(
+    req.params.translationId,
+    req.body,
+    req.user.id,
+  );
+  res.status(httpStatus.OK).json(translation);
+});
+
+/**
+ * Approve a translation and publish it
+ * @route POST /v1/translations/review/:translationId/approve
+ * @access Private (requires manageTranslations permission)
+ */
+const approveTranslation = catchAsync(async (req, res) => {
+  const translation = await translationReviewService.approveTranslation(
+    req.params.translationId,
+    req.user.id,
+    req.body,
+  );
+  // The post is now served in one more language
+  const post = await BlogPost.findById(translation.sourceId);
+  await workflowService.refreshPost(post);
+
+  await analyticsService.trackEvent('translation_approved', {
+    userId: req.user.id,
+    translationId: translation.id,
+    language: translation.language,
+    origin: translation.origin,
+  });
+
+  res.status(httpStatus.OK).json(translation);
+});
+
+/**
+ * Reject a translation
+ * @route POST /v1/translations/review/:translationId/reject
+ * @access Private (requires manageTranslations permission)
+ */
+const rejectTranslation = catchAsync(async (req, res) => {
+  const translation = await translationReviewService.rejectTranslation(
+    req.params.translationId,
+    req.user.id,
+    req.body,
+  );
+
+  await analyticsService.trackEvent('translation_rejected', {
+    userId: req.user.id,
+    translationId: translation.id,
+    language: translation.language,
+  });
+
+  res.status(httpStatus.OK).json(translation);
+});
 
 module.exports = {
   getLanguages,
+  getAllLanguages,
+  createLanguage,
+  updateLanguage,
   getNamespaces,
   translateContent,
   getTranslationStatus,
   updateTranslations,
+  createGlossaryTerm,
+  getGlossaryTerms,
+  getGlossaryTerm,
+  updateGlossaryTerm,
+  deleteGlossaryTerm,
+  getReviewQueue,
+  getReviewTranslation,
+  updateReviewTranslation,
+  approveTranslation,
+  rejectTranslation,
 };
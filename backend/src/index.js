@@ -2,13 +2,46 @@ const mongoose = require('mongoose');
 const app = require('./app');
 const config = require('./config/config');
 const logger = require('./config/logger');
+const {
+  translationQueueService,
+  languageService,
+  workflowService,
+  migrationService,
+} = require('./services');
 
 let server;
-mongoose.connect(config.mongoose.url, config.mongoose.options).then(() => {
+mongoose.connect(config.mongoose.url, config.mongoose.options).then(async () => {
   logger.info('Connected to MongoDB');
+
+  // Replace the built-in languages with the registry stored in the database
+  await languageService
+    .loadLanguages()
+    .catch((error) => logger.error('Failed to load languages, using built-in list:', error));
+  // Languages changed on other instances
+  languageService
+    .subscribeToChanges()
+    .catch((error) => logger.error(`Failed to subscribe to language changes: ${error.message}`));
+
+  // Bring documents stored by earlier versions up to date, the API serves meanwhile
+  migrationService
+    .runMigrations()
+    .catch((error) => logger.error(`Migrations failed: ${error.message}`));
+
   server = app.listen(config.port, () => {
     logger.info(`Listening to port ${config.port}`);
   });
+
+  if (config.translationQueue.workerEnabled) {
+    translationQueueService
+      .startWorker()
+      .catch((error) => logger.error('Failed to start translation worker:', error));
+  }
+
+  if (config.publishScheduler.enabled) {
+    workflowService
+      .startScheduler()
+      .catch((error) => logger.error(`Failed to start publish scheduler: ${error.message}`));
+  }
 });
 
 const exitHandler = () => {
@@ -32,6 +65,8 @@ process.on('unhandledRejection', unexpectedErrorHandler);
 
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received');
+  translationQueueService.stopWorker();
+  workflowService.stopScheduler();
   if (server) {
     server.close();
   }
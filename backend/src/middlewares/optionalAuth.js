@@ -0,0 +1,15 @@
+const auth = require('./auth');
+
+/**
+ * Authenticate the request when it has credentials, let it through anonymous otherwise
+ * Invalid credentials are still rejected, so clients notice an expired token.
+ * @returns {Function} - Express middleware
+ */
+const optionalAuth = () => (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  return auth()(req, res, next);
+};
+
+module.exports = optionalAuth;
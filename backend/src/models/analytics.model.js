@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { toJSON, paginate } = require('./plugins');
+const { isSupported } = require('../config/languages');
 
 const analyticsSchema = mongoose.Schema(
   {
@@ -43,7 +44,10 @@ const analyticsSchema = mongoose.Schema(
     },
     language: {
       type: String,
-      enum: ['en', 'fr', 'de', 'es'],
+      validate: {
+        validator: isSupported,
+        message: '{VALUE} is not a registered language',
+      },
       index: true,
     },
   },
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
-const { toJSON, paginate } = require('./plugins');
+const { toJSON, paginate, translations } = require('./plugins');
+const { isSupported, getDefaultLanguage } = require('../config/languages');
 
 const affiliateLinkSchema = mongoose.Schema(
   {
@@ -30,6 +31,12 @@ const affiliateLinkSchema = mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Reviewer rating of the tool out of 5, emitted as Review markup
+    rating: {
+      type: Number,
+      min: 0,
+      max: 5,
+    },
   },
   {
     _id: true,
@@ -37,6 +44,26 @@ const affiliateLinkSchema = mongoose.Schema(
   },
 );
 
+const workflowNoteSchema = mongoose.Schema(
+  {
+    author: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+    },
+    fromStatus: String,
+    toStatus: String,
+    content: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+  },
+  {
+    _id: false,
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
 const translationSchema = mongoose.Schema(
   {
     title: {
@@ -59,6 +86,50 @@ const translationSchema = mongoose.Schema(
       trim: true,
       lowercase: true,
     },
+    // SEO of the language, served instead of the source language one
+    metaTitle: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    metaDescription: {
+      type: String,
+      trim: true,
+      maxlength: 160,
+    },
+    keywords: [String],
+    canonicalUrl: String,
+    ogImage: {
+      url: String,
+      alt: String,
+    },
+    // Set when a reviewed Translation is published, unapproved copies are never served.
+    // Embargoed translations get it when publishAt comes, and lose it at unpublishAt.
+    approvedAt: {
+      type: Date,
+    },
+    publishAt: Date,
+    unpublishAt: Date,
+    // Zone the schedule was entered in, schedule times are shown in it
+    timeZone: String,
+    translationId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Translation',
+    },
+    // Revision of the source the translation was made from, see utils/sourceRevision
+    sourceRevision: {
+      hash: String,
+      sections: [
+        {
+          _id: false,
+          key: String,
+          heading: String,
+          hash: String,
+        },
+      ],
+    },
+    // Set when glossary terms the translation used changed, it is outdated until translated again
+    glossaryChangedAt: Date,
   },
   {
     _id: false,
@@ -74,13 +145,33 @@ const blogPostSchema = mongoose.Schema(
       trim: true,
       maxlength: 200,
     },
+    // Unique in the source language, see slugs
     slug: {
       type: String,
       required: true,
-      unique: true,
+      index: true,
       trim: true,
       lowercase: true,
     },
+    // Source language of the post
+    language: {
+      type: String,
+      default: getDefaultLanguage,
+      validate: {
+        validator: isSupported,
+        message: '{VALUE} is not a registered language',
+      },
+      index: true,
+    },
+    // Slug of the post in every language it is served in (source and approved
+    // translations), kept in sync on save and unique per language
+    slugs: [
+      {
+        _id: false,
+        language: String,
+        slug: String,
+      },
+    ],
     content: {
       type: String,
       required: true,
@@ -91,14 +182,6 @@ const blogPostSchema = mongoose.Schema(
       maxlength: 500,
     },
 
-    // Multi-language support
-    translations: {
-      en: translationSchema,
-      fr: translationSchema,
-      de: translationSchema,
-      es: translationSchema,
-    },
-
     // SEO
     metaTitle: {
       type: String,
@@ -112,6 +195,11 @@ const blogPostSchema = mongoose.Schema(
     },
     keywords: [String],
     canonicalUrl: String,
+    // Image shared on social networks, the featured image when not set
+    ogImage: {
+      url: String,
+      alt: String,
+    },
 
     // Monetization
     isPremium: {
@@ -133,15 +221,38 @@ const blogPostSchema = mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Approved comments, kept in sync by the comment service
+    commentCount: {
+      type: Number,
+      default: 0,
+    },
     readingTime: Number,
 
-    // Status and relationships
+    // Status and relationships, changed through the editorial workflow
     status: {
       type: String,
-      enum: ['draft', 'published', 'archived'],
+      enum: [
+        'draft',
+        'in_review',
+        'changes_requested',
+        'approved',
+        'scheduled',
+        'published',
+        'archived',
+      ],
       default: 'draft',
     },
     publishedAt: Date,
+    // When a scheduled post is published, and when a published post is archived
+    publishAt: Date,
+    unpublishAt: Date,
+    // Zone the schedule was entered in, schedule times are shown in it
+    timeZone: String,
+    // Workflow transitions, with the note left by whoever made them. Not served to readers.
+    notes: {
+      type: [workflowNoteSchema],
+      private: true,
+    },
     author: {
       type: mongoose.SchemaTypes.ObjectId,
       ref: 'User',
@@ -185,6 +296,14 @@ const blogPostSchema = mongoose.Schema(
 // Add plugin that converts mongoose to json
 blogPostSchema.plugin(toJSON);
 blogPostSchema.plugin(paginate);
+// Multi-language support, one entry per registered language
+blogPostSchema.plugin(translations, { schema: translationSchema });
+
+blogPostSchema.index({ status: 1, publishAt: 1 });
+blogPostSchema.index(
+  { 'slugs.language': 1, 'slugs.slug': 1 },
+  { unique: true, partialFilterExpression: { 'slugs.slug': { $exists: true } } },
+);
 
 // Generate slug from title if not provided
 blogPostSchema.pre('validate', function (next) {
@@ -217,6 +336,79 @@ blogPostSchema.pre('save', function (next) {
   next();
 });
 
+// Index the source slug and approved translation slugs by language
+blogPostSchema.pre('save', function (next) {
+  const slugs = [{ language: this.language, slug: this.slug }];
+  this.translations.forEach((translation, language) => {
+    if (language !== this.language && translation.approvedAt && translation.slug) {
+      slugs.push({ language, slug: translation.slug });
+    }
+  });
+  this.slugs = slugs;
+  next();
+});
+
+/**
+ * Check if a slug is already used by another post in a language
+ * @param {string} slug - Slug
+ * @param {string} language - Language code
+ * @param {ObjectId} [excludePostId] - The id of the post to be excluded
+ * @returns {Promise<boolean>}
+ */
+blogPostSchema.statics.isSlugTaken = async function (slug, language, excludePostId) {
+  const post = await this.findOne({
+    slugs: { $elemMatch: { language, slug } },
+    _id: { $ne: excludePostId },
+  });
+  return !!post;
+};
+
+/**
+ * Find a post by its slug in a language, or in any language when not found
+ * Outside the language, a source slug is preferred over translated ones. A slug used by
+ * several posts there is ambiguous, and no post is found.
+ * @param {string} slug - Slug
+ * @param {string} language - Preferred language
+ * @returns {Promise<BlogPost|null>}
+ */
+blogPostSchema.statics.findBySlug = async function (slug, language) {
+  const post = await this.findOne({ slugs: { $elemMatch: { language, slug } } });
+  if (post) {
+    return post;
+  }
+  // Slugs are unique per language, so at most one post per language matches
+  const matches = await this.find({ 'slugs.slug': slug });
+  const bySource = matches.filter((match) => match.slug === slug);
+  const candidates = bySource.length > 0 ? bySource : matches;
+  return candidates.length === 1 ? candidates[0] : null;
+};
+
+/**
+ * Suffix the approved translated slugs another post uses in their language
+ * Translated slugs were not unique before slugs were indexed by language, posts stored
+ * then are saved with this first.
+ * @returns {Promise<Array<string>>} - Languages whose slug was changed
+ */
+blogPostSchema.methods.resolveSlugConflicts = async function () {
+  const changed = [];
+  for (const [language, translation] of this.translations) {
+    if (language === this.language || !translation.approvedAt || !translation.slug) {
+      continue;
+    }
+    let candidate = translation.slug;
+    let suffix = 2;
+    while (await this.constructor.isSlugTaken(candidate, language, this._id)) {
+      candidate = `${translation.slug}-${suffix}`;
+      suffix += 1;
+    }
+    if (candidate !== translation.slug) {
+      translation.slug = candidate;
+      changed.push(language);
+    }
+  }
+  return changed;
+};
+
 /**
  * @typedef BlogPost
  */
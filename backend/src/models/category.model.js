@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const { toJSON, paginate } = require('./plugins');
+const { toJSON, paginate, translations } = require('./plugins');
 
 const translationSchema = mongoose.Schema(
   {
@@ -39,13 +39,6 @@ const categorySchema = mongoose.Schema(
       type: String,
       trim: true,
     },
-    // Multi-language support
-    translations: {
-      en: translationSchema,
-      fr: translationSchema,
-      de: translationSchema,
-      es: translationSchema,
-    },
     // SEO
     metaTitle: {
       type: String,
@@ -102,17 +95,29 @@ const categorySchema = mongoose.Schema(
 // add plugin that converts mongoose to json
 categorySchema.plugin(toJSON);
 categorySchema.plugin(paginate);
+// Multi-language support, one entry per registered language
+categorySchema.plugin(translations, { schema: translationSchema });
+
+categorySchema.index({ 'ancestors._id': 1 });
 
-// Generate slug from name if not provided
+const slugify = (name) =>
+  name
+    .toLowerCase()
+    .replace(/[^\w\s-]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .trim();
+
+// Generate slugs from names if not provided, translated slugs included
 categorySchema.pre('validate', function (next) {
   if (this.isModified('name') && !this.slug) {
-    this.slug = this.name
-      .toLowerCase()
-      .replace(/[^\w\s-]/g, '')
-      .replace(/\s+/g, '-')
-      .replace(/-+/g, '-')
-      .trim();
+    this.slug = slugify(this.name);
   }
+  this.translations.forEach((translation) => {
+    if (translation.name && !translation.slug) {
+      translation.slug = slugify(translation.name);
+    }
+  });
   next();
 });
 
@@ -149,6 +154,21 @@ categorySchema.pre('save', async function (next) {
   next();
 });
 
+/**
+ * Check if a slug is already used by another category, in a language or as source slug
+ * @param {string} slug - Slug
+ * @param {string} [language] - Language of a translated slug, the source slug when omitted
+ * @param {ObjectId} [excludeCategoryId] - The id of the category to be excluded
+ * @returns {Promise<boolean>}
+ */
+categorySchema.statics.isSlugTaken = async function (slug, language, excludeCategoryId) {
+  const category = await this.findOne({
+    [language ? `translations.${language}.slug` : 'slug']: slug,
+    _id: { $ne: excludeCategoryId },
+  });
+  return !!category;
+};
+
 /**
  * Find categories by parent
  * @param {ObjectId} [parentId] - The parent category id (null for root categories)
@@ -158,6 +178,26 @@ categorySchema.statics.findByParent = async function (parentId = null) {
   return this.find({ parent: parentId, isActive: true }).sort({ sortOrder: 1, name: 1 });
 };
 
+/**
+ * Recount the posts of categories, archived posts aside
+ * Counting again rather than incrementing keeps counts right whatever changed the posts.
+ * @param {Array<ObjectId>} categoryIds - Categories whose posts changed
+ * @returns {Promise<void>}
+ */
+categorySchema.statics.updatePostCounts = async function (categoryIds) {
+  const BlogPost = mongoose.model('BlogPost');
+  const ids = [...new Set(categoryIds.filter(Boolean).map((id) => id.toString()))];
+  await Promise.all(
+    ids.map(async (id) => {
+      const postCount = await BlogPost.countDocuments({
+        category: id,
+        status: { $ne: 'archived' },
+      });
+      await this.updateOne({ _id: id }, { postCount });
+    }),
+  );
+};
+
 /**
  * Increment post count
  * @returns {Promise<void>}
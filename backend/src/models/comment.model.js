@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+const { isSupported } = require('../config/languages');
+
+const moderationSchema = mongoose.Schema(
+  {
+    spam: Number,
+    toxicity: Number,
+    reasons: [String],
+    // Who scored the comment: the AI provider, or the local heuristic when it could not
+    source: {
+      type: String,
+      enum: ['ai', 'heuristic'],
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Reader comment on a post
+ *
+ * Comments belong to a post in one language. Replies point to their parent and
+ * to the top-level comment of their thread, so a thread is fetched in one query.
+ * Deleted comments keep their place in the thread with their content removed.
+ */
+const commentSchema = mongoose.Schema(
+  {
+    post: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'BlogPost',
+      required: true,
+    },
+    language: {
+      type: String,
+      required: true,
+      validate: {
+        validator: isSupported,
+        message: '{VALUE} is not a registered language',
+      },
+    },
+    author: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    parent: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Comment',
+    },
+    // Top-level comment of the thread, the comment itself for top-level comments
+    root: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Comment',
+    },
+    // 0 for top-level comments
+    depth: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    content: {
+      type: String,
+      trim: true,
+      maxlength: 5000,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'spam'],
+      default: 'pending',
+    },
+    // Scores are for moderators, not served to readers
+    moderation: {
+      type: moderationSchema,
+      private: true,
+    },
+    moderatedBy: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      private: true,
+    },
+    moderatedAt: {
+      type: Date,
+      private: true,
+    },
+    editedAt: Date,
+    deletedAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      // Readers see when a comment was posted
+      transform: (doc, ret) => {
+        ret.createdAt = doc.createdAt;
+      },
+    },
+  },
+);
+
+commentSchema.plugin(toJSON);
+commentSchema.plugin(paginate);
+
+commentSchema.index({ post: 1, language: 1, status: 1, depth: 1, createdAt: -1 });
+commentSchema.index({ root: 1, createdAt: 1 });
+commentSchema.index({ status: 1, createdAt: 1 });
+commentSchema.index({ author: 1, createdAt: -1 });
+
+// Top-level comments are the root of their own thread
+commentSchema.pre('validate', function (next) {
+  if (!this.parent) {
+    this.root = this._id;
+    this.depth = 0;
+  }
+  next();
+});
+
+/**
+ * Recount the approved comments of posts
+ * @param {Array<ObjectId>} postIds - Post ids
+ * @returns {Promise<void>}
+ */
+commentSchema.statics.updateCommentCounts = async function (postIds) {
+  const BlogPost = mongoose.model('BlogPost');
+  const ids = [...new Set(postIds.filter(Boolean).map((id) => id.toString()))];
+  await Promise.all(
+    ids.map(async (id) => {
+      const commentCount = await this.countDocuments({
+        post: id,
+        status: 'approved',
+        deletedAt: null,
+      });
+      await BlogPost.updateOne({ _id: id }, { commentCount });
+    }),
+  );
+};
+
+/**
+ * @typedef Comment
+ */
+const Comment = mongoose.model('Comment', commentSchema);
+
+module.exports = Comment;
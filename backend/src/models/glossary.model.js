@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+const glossarySchema = mongoose.Schema(
+  {
+    term: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    sourceLanguage: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // Empty target language applies the entry to every target language
+    targetLanguage: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    // Preferred translation of the term, required unless the term must not be translated
+    translation: {
+      type: String,
+      trim: true,
+    },
+    doNotTranslate: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    caseSensitive: {
+      type: Boolean,
+      default: false,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// add plugin that converts mongoose to json
+glossarySchema.plugin(toJSON);
+glossarySchema.plugin(paginate);
+
+glossarySchema.index({ term: 1, sourceLanguage: 1, targetLanguage: 1 }, { unique: true });
+
+glossarySchema.pre('validate', function (next) {
+  if (!this.doNotTranslate && !this.translation) {
+    this.invalidate(
+      'translation',
+      'A preferred translation is required unless the term is do-not-translate',
+    );
+  }
+  next();
+});
+
+/**
+ * Check if a term already exists for a language pair
+ * @param {string} term - Source term
+ * @param {string} sourceLanguage - Source language code
+ * @param {string|null} targetLanguage - Target language code
+ * @param {ObjectId} [excludeTermId] - The id of the entry to be excluded
+ * @returns {Promise<boolean>}
+ */
+glossarySchema.statics.isTermTaken = async function (
+  term,
+  sourceLanguage,
+  targetLanguage,
+  excludeTermId,
+) {
+  const entry = await this.findOne({
+    term,
+    sourceLanguage,
+    targetLanguage: targetLanguage || null,
+    _id: { $ne: excludeTermId },
+  });
+  return !!entry;
+};
+
+/**
+ * Get entries that apply to a language pair, including entries for all target languages
+ * @param {string} sourceLanguage - Source language code
+ * @param {string} targetLanguage - Target language code
+ * @returns {Promise<Glossary[]>}
+ */
+glossarySchema.statics.findForPair = async function (sourceLanguage, targetLanguage) {
+  return this.find({ sourceLanguage, targetLanguage: { $in: [targetLanguage, null] } });
+};
+
+/**
+ * @typedef Glossary
+ */
+const Glossary = mongoose.model('Glossary', glossarySchema);
+
+module.exports = Glossary;
@@ -7,3 +7,11 @@ module.exports.Analytics = require('./analytics.model');
 module.exports.Affiliate = require('./affiliate.model');
 module.exports.SystemSettings = require('./system-settings.model');
 module.exports.Category = require('./category.model');
+module.exports.TranslationMemory = require('./translationMemory.model');
+module.exports.Glossary = require('./glossary.model');
+module.exports.Language = require('./language.model');
+module.exports.SearchDocument = require('./searchDocument.model');
+module.exports.PostEmbedding = require('./postEmbedding.model');
+module.exports.PostRevision = require('./postRevision.model');
+module.exports.Tag = require('./tag.model');
+module.exports.Comment = require('./comment.model');
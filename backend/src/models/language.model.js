@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { toJSON } = require('./plugins');
+
+const languageSchema = mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: /^[a-z]{2,3}$/,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    nativeName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // BCP 47 locale used for hreflang, feeds and date formatting, e.g. pt-BR
+    locale: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // IANA time zone of the market, local publication times are read in it
+    timeZone: {
+      type: String,
+      default: 'UTC',
+      trim: true,
+    },
+    // Market and culture description used in AI prompts
+    promptContext: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    rtl: {
+      type: Boolean,
+      default: false,
+    },
+    enabled: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// add plugin that converts mongoose to json
+languageSchema.plugin(toJSON);
+
+/**
+ * @typedef Language
+ */
+const Language = mongoose.model('Language', languageSchema);
+
+module.exports = Language;
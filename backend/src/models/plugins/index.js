@@ -1,2 +1,3 @@
 module.exports.toJSON = require('./toJSON.plugin');
 module.exports.paginate = require('./paginate.plugin');
+module.exports.translations = require('./translations.plugin');
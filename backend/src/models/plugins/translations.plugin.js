@@ -0,0 +1,36 @@
+/* eslint-disable no-param-reassign */
+const { isSupported } = require('../../config/languages');
+
+/**
+ * A mongoose schema plugin which adds a `translations` map keyed by language code:
+ *  - values use the given sub-schema and keys must be registered languages, so
+ *    languages enabled at runtime need no schema change
+ *  - toObject flattens the map, translations read as plain objects like in toJSON
+ *  - adds a getTranslation(language) document method
+ */
+const translations = (schema, options) => {
+  schema.add({
+    translations: {
+      type: Map,
+      of: options.schema,
+      default: {},
+      validate: {
+        validator: (value) => !value || [...value.keys()].every(isSupported),
+        message: 'translations can only contain registered languages',
+      },
+    },
+  });
+
+  schema.options.toObject = Object.assign(schema.options.toObject || {}, { flattenMaps: true });
+
+  /**
+   * Get the translation for a language
+   * @param {string} language - Language code
+   * @returns {Object|undefined}
+   */
+  schema.methods.getTranslation = function (language) {
+    return this.translations ? this.translations.get(language) : undefined;
+  };
+};
+
+module.exports = translations;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { toJSON } = require('./plugins');
+
+/**
+ * Vectors of a published post in one language, used to find related posts
+ *
+ * Term frequencies are always stored, the embedding only when the AI provider
+ * could compute one. Both are recomputed when the hash of the text changes.
+ */
+const postEmbeddingSchema = mongoose.Schema(
+  {
+    post: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'BlogPost',
+      required: true,
+    },
+    language: {
+      type: String,
+      required: true,
+    },
+    // Hash of the embedded text, to skip posts whose text did not change
+    textHash: {
+      type: String,
+      required: true,
+    },
+    // Log-scaled frequencies of the most frequent terms, for TF-IDF similarity
+    terms: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    // Embedding model, vectors of different models are never compared
+    model: String,
+    vector: {
+      type: [Number],
+      default: undefined,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+postEmbeddingSchema.plugin(toJSON);
+
+postEmbeddingSchema.index({ post: 1, language: 1 }, { unique: true });
+postEmbeddingSchema.index({ language: 1, model: 1 });
+
+/**
+ * @typedef PostEmbedding
+ */
+const PostEmbedding = mongoose.model('PostEmbedding', postEmbeddingSchema);
+
+module.exports = PostEmbedding;
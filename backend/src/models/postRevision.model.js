@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+const revisionTextSchema = mongoose.Schema(
+  {
+    title: String,
+    excerpt: String,
+    content: String,
+    // Revision of the source a translation was made from, restored with its text
+    sourceRevision: {
+      hash: String,
+      sections: [
+        {
+          _id: false,
+          key: String,
+          heading: String,
+          hash: String,
+        },
+      ],
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Snapshot of the text of a post, taken on every save that changes it
+ *
+ * Revisions are numbered per post from 1. Each one holds the whole text of the
+ * source language and of the approved translations, so any revision can be
+ * restored on its own.
+ */
+const postRevisionSchema = mongoose.Schema(
+  {
+    post: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'BlogPost',
+      required: true,
+    },
+    number: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    title: String,
+    excerpt: String,
+    content: String,
+    translations: {
+      type: Map,
+      of: revisionTextSchema,
+      default: {},
+    },
+    // Fields changed since the previous revision, e.g. content or translations.fr.title
+    changedFields: [String],
+    source: {
+      type: String,
+      enum: ['manual', 'ai-generate', 'ai-improve', 'translation', 'restore'],
+      default: 'manual',
+    },
+    author: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+    },
+    // Number of the revision a restore brought back
+    restoredFrom: Number,
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      // The date of a revision is part of its history
+      transform: (doc, ret) => {
+        ret.createdAt = doc.createdAt;
+      },
+    },
+  },
+);
+
+postRevisionSchema.plugin(toJSON);
+postRevisionSchema.plugin(paginate);
+
+postRevisionSchema.index({ post: 1, number: -1 }, { unique: true });
+
+/**
+ * @typedef PostRevision
+ */
+const PostRevision = mongoose.model('PostRevision', postRevisionSchema);
+
+module.exports = PostRevision;
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { toJSON } = require('./plugins');
+
+/**
+ * Full-text search index of published posts
+ *
+ * One document per post and language it is served in (the source and every
+ * approved translation), so each one is stemmed with the rules of its own
+ * language. Kept in sync by search.service when posts and translations change.
+ */
+const searchDocumentSchema = mongoose.Schema(
+  {
+    post: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'BlogPost',
+      required: true,
+    },
+    language: {
+      type: String,
+      required: true,
+    },
+    // Stemming language of the text index, 'none' when MongoDB has no stemmer for it
+    textLanguage: {
+      type: String,
+      default: 'none',
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    slug: String,
+    excerpt: String,
+    // Content as plain text, Markdown removed
+    content: String,
+    category: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Category',
+    },
+    tags: [String],
+    isPremium: {
+      type: Boolean,
+      default: false,
+    },
+    publishedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+searchDocumentSchema.plugin(toJSON);
+
+searchDocumentSchema.index({ post: 1, language: 1 }, { unique: true });
+searchDocumentSchema.index(
+  { title: 'text', excerpt: 'text', content: 'text', tags: 'text' },
+  {
+    name: 'search_text',
+    weights: { title: 10, tags: 5, excerpt: 4, content: 1 },
+    default_language: 'none',
+    language_override: 'textLanguage',
+  },
+);
+
+/**
+ * @typedef SearchDocument
+ */
+const SearchDocument = mongoose.model('SearchDocument', searchDocumentSchema);
+
+module.exports = SearchDocument;
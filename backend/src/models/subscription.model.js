@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const { toJSON, paginate } = require('./plugins');
+const { toJSON, paginate, translations } = require('./plugins');
 
 const priceSchema = mongoose.Schema(
   {
@@ -36,11 +36,27 @@ const featureSchema = mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Usage allowed per billing period, unlimited when not set. Features named aiWords,
+    // translations and seoGenerations are enforced, see entitlementService.
     limit: Number,
   },
   { _id: false },
 );
 
+const translationSchema = mongoose.Schema(
+  {
+    name: String,
+    description: String,
+    features: [
+      {
+        name: String,
+        description: String,
+      },
+    ],
+  },
+  { _id: false },
+);
+
 const subscriptionSchema = mongoose.Schema(
   {
     name: {
@@ -74,49 +90,6 @@ const subscriptionSchema = mongoose.Schema(
       of: String,
       default: {},
     },
-    // Translations for multilingual support
-    translations: {
-      en: {
-        name: String,
-        description: String,
-        features: [
-          {
-            name: String,
-            description: String,
-          },
-        ],
-      },
-      fr: {
-        name: String,
-        description: String,
-        features: [
-          {
-            name: String,
-            description: String,
-          },
-        ],
-      },
-      de: {
-        name: String,
-        description: String,
-        features: [
-          {
-            name: String,
-            description: String,
-          },
-        ],
-      },
-      es: {
-        name: String,
-        description: String,
-        features: [
-          {
-            name: String,
-            description: String,
-          },
-        ],
-      },
-    },
   },
   {
     timestamps: true,
@@ -126,6 +99,8 @@ const subscriptionSchema = mongoose.Schema(
 // add plugin that converts mongoose to json
 subscriptionSchema.plugin(toJSON);
 subscriptionSchema.plugin(paginate);
+// Translations for multilingual support, one entry per registered language
+subscriptionSchema.plugin(translations, { schema: translationSchema });
 
 /**
  * Find subscription plan by code
@@ -150,11 +125,12 @@ subscriptionSchema.statics.findActivePlans = async function () {
  * @returns {Array<Object>}
  */
 subscriptionSchema.methods.getFeaturesInLanguage = function (lang = 'en') {
-  if (!this.translations || !this.translations[lang]) {
+  const translation = this.getTranslation(lang);
+  if (!translation) {
     return this.features;
   }
 
-  const localizedFeatures = this.translations[lang].features || [];
+  const localizedFeatures = translation.features || [];
   return this.features.map((feature, index) => {
     const localizedFeature = localizedFeatures[index] || {};
     return {
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate, translations } = require('./plugins');
+
+const translationSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+  },
+  { _id: false },
+);
+
+const tagSchema = mongoose.Schema(
+  {
+    // Label in the default language
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Canonical slug, the value stored in the tags of posts
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+    },
+    // Normalized form of the slug, "ChatGPT", "chat-gpt" and "Chat GPT" all have the same key
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Keys of other spellings resolving to this tag, and of tags merged or renamed into it
+    synonyms: {
+      type: [String],
+      index: true,
+    },
+    // Posts tagged, archived posts aside
+    postCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// add plugin that converts mongoose to json
+tagSchema.plugin(toJSON);
+tagSchema.plugin(paginate);
+// Labels per language, one entry per registered language
+tagSchema.plugin(translations, { schema: translationSchema });
+
+/**
+ * Slug of a tag label: lowercase words without accents, joined by hyphens
+ * @param {string} label
+ * @returns {string}
+ */
+tagSchema.statics.slugify = (label) =>
+  label
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .trim()
+    .replace(/[\s_]+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+
+/**
+ * Key of a tag label, the slug without separators
+ * @param {string} label
+ * @returns {string}
+ */
+tagSchema.statics.toKey = function (label) {
+  return this.slugify(label).replace(/-/g, '');
+};
+
+// Keep the key in sync with the slug
+tagSchema.pre('validate', function (next) {
+  if (this.isModified('name') && !this.slug) {
+    this.slug = this.constructor.slugify(this.name);
+  }
+  if (this.isModified('slug')) {
+    this.key = this.constructor.toKey(this.slug);
+  }
+  next();
+});
+
+/**
+ * Find the tag a label resolves to, by its key or one of its synonyms
+ * @param {string} label - Tag label, in any spelling
+ * @returns {Promise<Tag>}
+ */
+tagSchema.statics.findByLabel = async function (label) {
+  const key = this.toKey(label);
+  return this.findOne({ $or: [{ key }, { synonyms: key }] });
+};
+
+/**
+ * Check if a key is already used by another tag, as its key or a synonym
+ * @param {string} key - Tag key
+ * @param {ObjectId} [excludeTagId] - The id of the tag to be excluded
+ * @returns {Promise<boolean>}
+ */
+tagSchema.statics.isKeyTaken = async function (key, excludeTagId) {
+  const tag = await this.findOne({ $or: [{ key }, { synonyms: key }], _id: { $ne: excludeTagId } });
+  return !!tag;
+};
+
+/**
+ * Recount the posts of tags, archived posts aside
+ * @param {Array<string>} slugs - Slugs of the tags whose posts changed
+ * @returns {Promise<void>}
+ */
+tagSchema.statics.updatePostCounts = async function (slugs) {
+  const BlogPost = mongoose.model('BlogPost');
+  await Promise.all(
+    [...new Set(slugs)].map(async (slug) => {
+      const postCount = await BlogPost.countDocuments({ tags: slug, status: { $ne: 'archived' } });
+      await this.updateOne({ slug }, { postCount });
+    }),
+  );
+};
+
+/**
+ * @typedef Tag
+ */
+const Tag = mongoose.model('Tag', tagSchema);
+
+module.exports = Tag;
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { toJSON, paginate } = require('./plugins');
+const { isSupported } = require('../config/languages');
 
 const translationSchema = mongoose.Schema(
   {
@@ -12,7 +13,10 @@ const translationSchema = mongoose.Schema(
     language: {
       type: String,
       required: true,
-      enum: ['en', 'fr', 'de', 'es'],
+      validate: {
+        validator: isSupported,
+        message: '{VALUE} is not a registered language',
+      },
       index: true,
     },
     title: {
@@ -27,7 +31,6 @@ const translationSchema = mongoose.Schema(
     slug: {
       type: String,
       required: true,
-      unique: true,
       trim: true,
       lowercase: true,
     },
@@ -62,6 +65,43 @@ const translationSchema = mongoose.Schema(
     reviewDate: {
       type: Date,
     },
+    // machine: produced by the AI provider, human: edited by a translator since
+    origin: {
+      type: String,
+      enum: ['machine', 'human'],
+      default: 'machine',
+    },
+    assignedTo: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      index: true,
+    },
+    reviewNotes: {
+      type: String,
+      trim: true,
+    },
+    // Revision of the source the translation was made from, see utils/sourceRevision
+    sourceRevision: {
+      hash: String,
+      sections: [
+        {
+          _id: false,
+          key: String,
+          heading: String,
+          hash: String,
+        },
+      ],
+    },
+    glossaryViolations: [
+      {
+        _id: false,
+        type: { type: String },
+        term: String,
+        expected: String,
+        field: String,
+        message: String,
+      },
+    ],
   },
   {
     timestamps: true,
@@ -74,6 +114,8 @@ translationSchema.plugin(paginate);
 
 // Create compound index for sourceId + language
 translationSchema.index({ sourceId: 1, language: 1 }, { unique: true });
+// Slugs only need to be unique within a language
+translationSchema.index({ language: 1, slug: 1 }, { unique: true });
 
 /**
  * Get translations for a blog post
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { toJSON } = require('./plugins');
+
+const translationMemorySchema = mongoose.Schema(
+  {
+    sourceLanguage: {
+      type: String,
+      required: true,
+    },
+    targetLanguage: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 of the trimmed source text
+    sourceHash: {
+      type: String,
+      required: true,
+    },
+    sourceText: {
+      type: String,
+      required: true,
+    },
+    targetText: {
+      type: String,
+      required: true,
+    },
+    // Where the pair came from: machine translation or a human edit
+    origin: {
+      type: String,
+      enum: ['machine', 'human'],
+      default: 'machine',
+    },
+    posts: [
+      {
+        type: mongoose.SchemaTypes.ObjectId,
+        ref: 'BlogPost',
+      },
+    ],
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+    lastUsedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// add plugin that converts mongoose to json
+translationMemorySchema.plugin(toJSON);
+
+translationMemorySchema.index(
+  { sourceLanguage: 1, targetLanguage: 1, sourceHash: 1 },
+  { unique: true },
+);
+
+/**
+ * Find stored segment pairs for a language pair
+ * @param {string} sourceLanguage - Source language code
+ * @param {string} targetLanguage - Target language code
+ * @param {Array<string>} hashes - Source segment hashes
+ * @returns {Promise<Map<string, TranslationMemory>>} - Entries by source hash
+ */
+translationMemorySchema.statics.findByHashes = async function (
+  sourceLanguage,
+  targetLanguage,
+  hashes,
+) {
+  const entries = await this.find({ sourceLanguage, targetLanguage, sourceHash: { $in: hashes } });
+  return new Map(entries.map((entry) => [entry.sourceHash, entry]));
+};
+
+/**
+ * @typedef TranslationMemory
+ */
+const TranslationMemory = mongoose.model('TranslationMemory', translationMemorySchema);
+
+module.exports = TranslationMemory;
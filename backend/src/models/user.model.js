@@ -4,12 +4,16 @@ const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const { toJSON, paginate } = require('./plugins');
 const { roles } = require('../config/roles');
+const { isSupported, getDefaultLanguage } = require('../config/languages');
 
 const subscriptionSchema = mongoose.Schema(
   {
+    // Code of the Subscription plan, lowercased. Plans are managed in the database, so
+    // codes are checked against them when the subscription changes, see entitlementService.
     planId: {
       type: String,
-      enum: ['free', 'basic', 'pro', 'enterprise'],
+      trim: true,
+      lowercase: true,
       default: 'free',
     },
     status: {
@@ -117,8 +121,11 @@ const userSchema = mongoose.Schema(
     // Preferences
     preferredLanguage: {
       type: String,
-      enum: ['en', 'fr', 'de', 'es'],
-      default: 'en',
+      validate: {
+        validator: isSupported,
+        message: '{VALUE} is not a registered language',
+      },
+      default: getDefaultLanguage,
     },
 
     // Subscription
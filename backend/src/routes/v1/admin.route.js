@@ -41,31 +41,26 @@ router.patch(
 
 /**
  * GET /v1/admin/approvals
- * Get pending post approvals
+ * Get posts waiting for review
  */
-router.get('/approvals', auth('admin'), adminController.getPendingApprovals);
+router.get('/approvals', auth('reviewBlogPosts'), adminController.getPendingApprovals);
 
 /**
  * PATCH /v1/admin/approvals/:postId
- * Approve or reject a blog post
+ * Approve a post under review or request changes on it
  */
 router.patch(
   '/approvals/:postId',
-  auth('admin'),
+  auth('reviewBlogPosts'),
   validate(adminValidation.updateApprovalStatus),
   adminController.updateApprovalStatus,
 );
 
 /**
  * GET /v1/admin/settings
- * Get system settings
+ * Get system settings, stored values or defaults
  */
-router.get(
-  '/settings',
-  auth('admin'),
-  cacheMiddleware(3600), // Cache for 1 hour
-  adminController.getSystemSettings,
-);
+router.get('/settings', auth('manageSiteSettings'), adminController.getSystemSettings);
 
 /**
  * PATCH /v1/admin/settings
@@ -73,11 +68,17 @@ router.get(
  */
 router.patch(
   '/settings',
-  auth('admin'),
+  auth('manageSiteSettings'),
   validate(adminValidation.updateSystemSettings),
   adminController.updateSystemSettings,
 );
 
+/**
+ * GET /v1/admin/settings/audit
+ * List stored settings with the user who last changed each one
+ */
+router.get('/settings/audit', auth('manageSiteSettings'), adminController.getSettingsAudit);
+
 /**
  * POST /v1/admin/cache/clear
  * Clear system cache
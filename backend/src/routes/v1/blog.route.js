@@ -1,25 +1,108 @@
 const express = require('express');
 const validate = require('../../middlewares/validate');
 const auth = require('../../middlewares/auth');
+const optionalAuth = require('../../middlewares/optionalAuth');
 const cacheMiddleware = require('../../middlewares/cache');
 const blogValidation = require('../../validations/blog.validation');
 const blogController = require('../../controllers/blog.controller');
+const { paywallService } = require('../../services');
 
 const router = express.Router();
 
+// Listings are cached per access tier, premium content is gated for readers without access
+const listingCacheKey = (req) =>
+  `cache:${req.originalUrl}:${req.headers['accept-language'] || 'en'}:${paywallService.getAccessTier(req.user)}`;
+
 router
   .route('/')
   .post(auth('manageBlogPosts'), validate(blogValidation.createPost), blogController.createPost)
-  .get(cacheMiddleware(300), validate(blogValidation.getPosts), blogController.getPosts);
+  .get(
+    optionalAuth(),
+    cacheMiddleware(300, listingCacheKey),
+    validate(blogValidation.getPosts),
+    blogController.getPosts,
+  );
+
+// Full-text search, premium readers get snippets of premium content
+router.get(
+  '/search',
+  optionalAuth(),
+  validate(blogValidation.searchPosts),
+  blogController.searchPosts,
+);
+router.post('/search/reindex', auth('manageSiteSettings'), blogController.reindexSearch);
 
 router
   .route('/:id')
-  .get(validate(blogValidation.getPost), blogController.getPost)
+  .get(optionalAuth(), validate(blogValidation.getPost), blogController.getPost)
   .put(auth('manageBlogPosts'), validate(blogValidation.updatePost), blogController.updatePost)
   .delete(auth('manageBlogPosts'), validate(blogValidation.deletePost), blogController.deletePost);
 
-// Special route for getting post by slug
-router.get('/slug/:slug', validate(blogValidation.getPostBySlug), blogController.getPostBySlug);
+// Related posts, premium readers also get premium recommendations
+router.get(
+  '/:id/related',
+  optionalAuth(),
+  validate(blogValidation.getRelatedPosts),
+  blogController.getRelatedPosts,
+);
+
+// Editorial workflow, each transition checks its own right
+router.post(
+  '/:id/status',
+  auth(),
+  validate(blogValidation.transitionPost),
+  blogController.transitionPost,
+);
+
+// Publication and unpublication times of a post or translation, in their market time zone
+router.put(
+  '/:id/schedule',
+  auth('publishBlogPosts'),
+  validate(blogValidation.schedulePost),
+  blogController.schedulePost,
+);
+
+// Revision history, the diff route comes before :revision
+router.get(
+  '/:id/revisions',
+  auth('manageBlogPosts'),
+  validate(blogValidation.getRevisions),
+  blogController.getRevisions,
+);
+router.get(
+  '/:id/revisions/diff',
+  auth('manageBlogPosts'),
+  validate(blogValidation.diffRevisions),
+  blogController.diffRevisions,
+);
+router.get(
+  '/:id/revisions/:revision',
+  auth('manageBlogPosts'),
+  validate(blogValidation.getRevision),
+  blogController.getRevision,
+);
+router.post(
+  '/:id/revisions/:revision/restore',
+  auth('manageBlogPosts'),
+  validate(blogValidation.restoreRevision),
+  blogController.restoreRevision,
+);
+
+// Special route for getting post by slug, premium posts are gated by the paywall
+router.get(
+  '/slug/:slug',
+  optionalAuth(),
+  validate(blogValidation.getPostBySlug),
+  blogController.getPostBySlug,
+);
+
+// Locale-prefixed route, resolves a slug from any language and serves the post in :language
+router.get(
+  '/:language/slug/:slug',
+  optionalAuth(),
+  validate(blogValidation.getLocalizedPostBySlug),
+  blogController.getPostBySlug,
+);
 
 // Route for translations
 router.post(
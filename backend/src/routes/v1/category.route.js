@@ -0,0 +1,67 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const categoryValidation = require('../../validations/category.validation');
+const categoryController = require('../../controllers/category.controller');
+
+const router = express.Router();
+
+/**
+ * GET|POST /v1/categories
+ * List categories localized (public), or create one (requires manageCategories permission)
+ */
+router
+  .route('/')
+  .post(
+    auth('manageCategories'),
+    validate(categoryValidation.createCategory),
+    categoryController.createCategory,
+  )
+  .get(validate(categoryValidation.getCategories), categoryController.getCategories);
+
+/**
+ * GET /v1/categories/tree
+ * Tree of active categories, localized
+ * Public endpoint
+ */
+router.get(
+  '/tree',
+  validate(categoryValidation.getCategoryTree),
+  categoryController.getCategoryTree,
+);
+
+/**
+ * GET /v1/categories/slug/:slug
+ * Active category by its slug in any language, with its ancestors and children
+ * Public endpoint
+ */
+router.get(
+  '/slug/:slug',
+  validate(categoryValidation.getCategoryBySlug),
+  categoryController.getCategoryBySlug,
+);
+
+/**
+ * GET|PATCH|DELETE /v1/categories/:categoryId
+ * Get, update or delete a category, with all its translations
+ * Private endpoint (requires manageCategories permission)
+ */
+router
+  .route('/:categoryId')
+  .get(
+    auth('manageCategories'),
+    validate(categoryValidation.getCategory),
+    categoryController.getCategory,
+  )
+  .patch(
+    auth('manageCategories'),
+    validate(categoryValidation.updateCategory),
+    categoryController.updateCategory,
+  )
+  .delete(
+    auth('manageCategories'),
+    validate(categoryValidation.deleteCategory),
+    categoryController.deleteCategory,
+  );
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const optionalAuth = require('../../middlewares/optionalAuth');
+const validate = require('../../middlewares/validate');
+const commentValidation = require('../../validations/comment.validation');
+const commentController = require('../../controllers/comment.controller');
+
+const router = express.Router();
+
+/**
+ * GET|POST /v1/comments
+ * Comment threads of a post (public), or comment on a post (authenticated users)
+ */
+router
+  .route('/')
+  .post(auth(), validate(commentValidation.createComment), commentController.createComment)
+  .get(optionalAuth(), validate(commentValidation.getComments), commentController.getComments);
+
+/**
+ * GET /v1/comments/moderation
+ * Moderation queue
+ * Private endpoint (requires moderateComments permission)
+ */
+router.get(
+  '/moderation',
+  auth('moderateComments'),
+  validate(commentValidation.getModerationQueue),
+  commentController.getModerationQueue,
+);
+
+/**
+ * PATCH|DELETE /v1/comments/:commentId
+ * Edit a comment (its author, within the edit window) or delete it (its author or moderators)
+ */
+router
+  .route('/:commentId')
+  .patch(auth(), validate(commentValidation.updateComment), commentController.updateComment)
+  .delete(auth(), validate(commentValidation.deleteComment), commentController.deleteComment);
+
+/**
+ * POST /v1/comments/:commentId/moderation
+ * Approve, reject or mark a comment as spam
+ * Private endpoint (requires moderateComments permission)
+ */
+router.post(
+  '/:commentId/moderation',
+  auth('moderateComments'),
+  validate(commentValidation.moderateComment),
+  commentController.moderateComment,
+);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const validate = require('../../middlewares/validate');
+const feedValidation = require('../../validations/feed.validation');
+const feedController = require('../../controllers/feed.controller');
+
+const router = express.Router();
+
+/**
+ * GET /v1/feeds/:language/:format
+ * RSS (rss), Atom (atom) or JSON Feed (json) of the latest posts in a language,
+ * optionally filtered by ?category=<slug> and ?tag=<tag>
+ * Public endpoint
+ */
+router.get('/:language/:format', validate(feedValidation.getFeed), feedController.getFeed);
+
+module.exports = router;
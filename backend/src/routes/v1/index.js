@@ -5,10 +5,15 @@ const docsRoute = require('./docs.route');
 const blogRoute = require('./blog.route');
 const translationRoute = require('./translation.route');
 const seoRoute = require('./seo.route');
+const feedRoute = require('./feed.route');
 const subscriptionRoute = require('./subscription.route');
 const analyticsRoute = require('./analytics.route');
 const affiliateRoute = require('./affiliate.route');
 const adminRoute = require('./admin.route');
+const settingsRoute = require('./settings.route');
+const categoryRoute = require('./category.route');
+const tagRoute = require('./tag.route');
+const commentRoute = require('./comment.route');
 const config = require('../../config/config');
 
 const router = express.Router();
@@ -34,6 +39,10 @@ const defaultRoutes = [
     path: '/seo',
     route: seoRoute,
   },
+  {
+    path: '/feeds',
+    route: feedRoute,
+  },
   {
     path: '/subscriptions',
     route: subscriptionRoute,
@@ -50,6 +59,22 @@ const defaultRoutes = [
     path: '/admin',
     route: adminRoute,
   },
+  {
+    path: '/settings',
+    route: settingsRoute,
+  },
+  {
+    path: '/categories',
+    route: categoryRoute,
+  },
+  {
+    path: '/tags',
+    route: tagRoute,
+  },
+  {
+    path: '/comments',
+    route: commentRoute,
+  },
 ];
 
 const devRoutes = [
@@ -7,6 +7,55 @@ const seoController = require('../../controllers/seo.controller');
 
 const router = express.Router();
 
+/**
+ * GET /v1/seo/sitemap.xml
+ * Sitemap index listing the sitemaps of every language and content type
+ * Public endpoint
+ */
+router.get('/sitemap.xml', seoController.getSitemapIndex);
+
+/**
+ * GET /v1/seo/sitemaps/:language/:type-:page.xml
+ * Page of the posts or categories sitemap of a language
+ * Public endpoint
+ */
+router.get(
+  '/sitemaps/:language/:type-:page.xml',
+  validate(seoValidation.getSitemap),
+  seoController.getSitemap,
+);
+
+/**
+ * GET /v1/seo/site-settings
+ * Get site-wide SEO settings
+ * Private endpoint (requires manageSiteSettings permission)
+ */
+router.get('/site-settings', auth('manageSiteSettings'), seoController.getSiteSEOSettings);
+
+/**
+ * PUT /v1/seo/site-settings
+ * Update site-wide SEO settings
+ * Private endpoint (requires manageSiteSettings permission)
+ */
+router.put(
+  '/site-settings',
+  auth('manageSiteSettings'),
+  validate(seoValidation.updateSiteSEOSettings),
+  seoController.updateSiteSEOSettings,
+);
+
+/**
+ * GET /v1/seo/audit
+ * List the published posts with the lowest SEO scores in a language
+ * Private endpoint (requires manageSiteSettings permission)
+ */
+router.get(
+  '/audit',
+  auth('manageSiteSettings'),
+  validate(seoValidation.getAuditReport),
+  seoController.getAuditReport,
+);
+
 /**
  * POST /v1/seo/generate/:postId
  * Generate SEO metadata for a blog post
@@ -32,40 +81,47 @@ router.put(
 );
 
 /**
- * GET /v1/seo/:postId
- * Get SEO metadata for a blog post
+ * GET /v1/seo/:postId/audit
+ * Audit the SEO of a post in a language, with a score and findings
  * Private endpoint (requires manageBlogPosts permission)
  */
 router.get(
-  '/:postId',
+  '/:postId/audit',
   auth('manageBlogPosts'),
-  validate(seoValidation.getSEOMetadata),
-  cacheMiddleware(300), // Cache for 5 minutes
-  seoController.getSEOMetadata,
+  validate(seoValidation.getPostAudit),
+  seoController.getPostAudit,
 );
 
 /**
- * GET /v1/seo/site-settings
- * Get site-wide SEO settings
- * Private endpoint (requires admin permission)
+ * GET /v1/seo/:postId/structured-data
+ * Get the JSON-LD (BlogPosting, BreadcrumbList, Organization, Product reviews) of a published post
+ * Public endpoint
  */
 router.get(
-  '/site-settings',
-  auth('admin'),
-  cacheMiddleware(3600), // Cache for 1 hour
-  seoController.getSiteSEOSettings,
+  '/:postId/structured-data',
+  validate(seoValidation.getStructuredData),
+  seoController.getStructuredData,
 );
 
 /**
- * PUT /v1/seo/site-settings
- * Update site-wide SEO settings
- * Private endpoint (requires admin permission)
+ * GET /v1/seo/:postId/og-image?lang=fr
+ * 1200x630 PNG social card of a published post, or its Open Graph and Twitter meta
+ * tags when JSON is accepted
+ * Public endpoint
  */
-router.put(
-  '/site-settings',
-  auth('admin'),
-  validate(seoValidation.updateSiteSEOSettings),
-  seoController.updateSiteSEOSettings,
+router.get('/:postId/og-image', validate(seoValidation.getOgImage), seoController.getOgImage);
+
+/**
+ * GET /v1/seo/:postId
+ * Get SEO metadata for a blog post
+ * Private endpoint (requires manageBlogPosts permission)
+ */
+router.get(
+  '/:postId',
+  auth('manageBlogPosts'),
+  validate(seoValidation.getSEOMetadata),
+  cacheMiddleware(300), // Cache for 5 minutes
+  seoController.getSEOMetadata,
 );
 
 module.exports = router;
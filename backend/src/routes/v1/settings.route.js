@@ -0,0 +1,13 @@
+const express = require('express');
+const settingsController = require('../../controllers/settings.controller');
+
+const router = express.Router();
+
+/**
+ * GET /v1/settings/public
+ * Get the settings the site frontend needs (site name, SEO defaults...)
+ * Public endpoint
+ */
+router.get('/public', settingsController.getPublicSettings);
+
+module.exports = router;
@@ -33,6 +33,13 @@ router.post(
  */
 router.get('/my-subscription', auth(), subscriptionController.getUserSubscription);
 
+/**
+ * GET /v1/subscriptions/usage
+ * Get plan feature usage and quotas of the current billing period
+ * Private endpoint (requires authentication)
+ */
+router.get('/usage', auth(), subscriptionController.getUsage);
+
 /**
  * POST /v1/subscriptions/cancel
  * Cancel subscription for current user
@@ -0,0 +1,61 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const optionalAuth = require('../../middlewares/optionalAuth');
+const validate = require('../../middlewares/validate');
+const tagValidation = require('../../validations/tag.validation');
+const tagController = require('../../controllers/tag.controller');
+
+const router = express.Router();
+
+/**
+ * GET|POST /v1/tags
+ * List tags with localized labels (public), or create one (requires manageTags permission)
+ */
+router
+  .route('/')
+  .post(auth('manageTags'), validate(tagValidation.createTag), tagController.createTag)
+  .get(validate(tagValidation.getTags), tagController.getTags);
+
+/**
+ * POST /v1/tags/normalize
+ * Resolve the tags of every post against the taxonomy
+ * Private endpoint (requires manageTags permission)
+ */
+router.post('/normalize', auth('manageTags'), tagController.normalizePostTags);
+
+/**
+ * GET /v1/tags/slug/:slug
+ * Tag page: localized label and published posts, premium posts gated by the paywall
+ * Public endpoint
+ */
+router.get(
+  '/slug/:slug',
+  optionalAuth(),
+  validate(tagValidation.getTagPage),
+  tagController.getTagPage,
+);
+
+/**
+ * GET|PATCH|DELETE /v1/tags/:tagId
+ * Get, update (renaming it in every post) or delete a tag
+ * Private endpoint (requires manageTags permission)
+ */
+router
+  .route('/:tagId')
+  .get(auth('manageTags'), validate(tagValidation.getTag), tagController.getTag)
+  .patch(auth('manageTags'), validate(tagValidation.updateTag), tagController.updateTag)
+  .delete(auth('manageTags'), validate(tagValidation.deleteTag), tagController.deleteTag);
+
+/**
+ * POST /v1/tags/:tagId/merge
+ * Merge tags into this one, in every post
+ * Private endpoint (requires manageTags permission)
+ */
+router.post(
+  '/:tagId/merge',
+  auth('manageTags'),
+  validate(tagValidation.mergeTags),
+  tagController.mergeTags,
+);
+
+module.exports = router;
@@ -14,6 +14,37 @@ const router = express.Router();
  */
 router.get('/languages', cacheMiddleware(86400), translationController.getLanguages);
 
+/**
+ * GET /v1/translations/languages/all
+ * Get every registered language, enabled or not
+ * Private endpoint (requires manageSiteSettings permission)
+ */
+router.get('/languages/all', auth('manageSiteSettings'), translationController.getAllLanguages);
+
+/**
+ * POST /v1/translations/languages
+ * Register a new language, disabled until enabled by an admin
+ * Private endpoint (requires manageSiteSettings permission)
+ */
+router.post(
+  '/languages',
+  auth('manageSiteSettings'),
+  validate(translationValidation.createLanguage),
+  translationController.createLanguage,
+);
+
+/**
+ * PATCH /v1/translations/languages/:code
+ * Update a language, e.g. enable it or make it the default
+ * Private endpoint (requires manageSiteSettings permission)
+ */
+router.patch(
+  '/languages/:code',
+  auth('manageSiteSettings'),
+  validate(translationValidation.updateLanguage),
+  translationController.updateLanguage,
+);
+
 /**
  * GET /v1/translations/namespaces
  * Get all translation namespaces with their keys
@@ -50,6 +81,101 @@ router.get(
   translationController.getTranslationStatus,
 );
 
+/**
+ * GET|POST /v1/translations/glossary
+ * List or create glossary terms (preferred translations and do-not-translate terms)
+ * Private endpoint (requires manageTranslations permission)
+ */
+router
+  .route('/glossary')
+  .get(
+    auth('manageTranslations'),
+    validate(translationValidation.getGlossaryTerms),
+    translationController.getGlossaryTerms,
+  )
+  .post(
+    auth('manageTranslations'),
+    validate(translationValidation.createGlossaryTerm),
+    translationController.createGlossaryTerm,
+  );
+
+/**
+ * GET|PATCH|DELETE /v1/translations/glossary/:termId
+ * Get, update or delete a glossary term
+ * Private endpoint (requires manageTranslations permission)
+ */
+router
+  .route('/glossary/:termId')
+  .get(
+    auth('manageTranslations'),
+    validate(translationValidation.getGlossaryTerm),
+    translationController.getGlossaryTerm,
+  )
+  .patch(
+    auth('manageTranslations'),
+    validate(translationValidation.updateGlossaryTerm),
+    translationController.updateGlossaryTerm,
+  )
+  .delete(
+    auth('manageTranslations'),
+    validate(translationValidation.deleteGlossaryTerm),
+    translationController.deleteGlossaryTerm,
+  );
+
+/**
+ * GET /v1/translations/review
+ * List translations waiting for review (pending by default)
+ * Private endpoint (requires manageTranslations permission)
+ */
+router.get(
+  '/review',
+  auth('manageTranslations'),
+  validate(translationValidation.getReviewQueue),
+  translationController.getReviewQueue,
+);
+
+/**
+ * GET|PATCH /v1/translations/review/:translationId
+ * Get or edit a translation under review
+ * Private endpoint (requires manageTranslations permission)
+ */
+router
+  .route('/review/:translationId')
+  .get(
+    auth('manageTranslations'),
+    validate(translationValidation.getReviewTranslation),
+    translationController.getReviewTranslation,
+  )
+  .patch(
+    auth('manageTranslations'),
+    validate(translationValidation.updateReviewTranslation),
+    translationController.updateReviewTranslation,
+  );
+
+/**
+ * POST /v1/translations/review/:translationId/approve
+ * Approve a translation and publish it on its post
+ * Private endpoint (requires manageTranslations permission)
+ */
+router.post(
+  '/review/:translationId/approve',
+  auth('manageTranslations'),
+  validate(translationValidation.approveTranslation),
+  translationController.approveTranslation,
+);
+
+/**
+ * POST /v1/translations/review/:translationId/reject
+ * Reject a translation and send it back to draft with review notes
+ * Private endpoint (requires manageTranslations permission)
+ */
+router.post(
+  '/review/:translationId/reject',
+  auth('manageTranslations'),
+  validate(translationValidation.rejectTranslation),
+  translationController.rejectTranslation,
+);
+
 /**
  * PUT /v1/translations/:language
  * Update translation strings in a specific locale
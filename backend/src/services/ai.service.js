@@ -1,14 +1,176 @@
-const { openai } = require('../config/openai');
+const crypto = require('crypto');
 const { cache } = require('../config/redis');
 const config = require('../config/config');
+const languages = require('../config/languages');
 const logger = require('../utils/logger');
+const { createProvider } = require('./aiProviders');
+
+/**
+ * Get a language's name and market context for prompts from the language registry
+ * @param {String} code - Language code
+ * @returns {{name: String, context: String}}
+ * @private
+ */
+const promptLanguage = (code) => {
+  const language = languages.getLanguage(code);
+  return language
+    ? { name: language.name, context: language.promptContext }
+    : { name: code, context: `the ${code} market` };
+};
+
+/**
+ * Generic writing instruction for languages without hand-written prompts
+ * @param {String} code - Language code
+ * @returns {String}
+ * @private
+ */
+const writeIn = (code) => {
+  const { name, context } = promptLanguage(code);
+  return `Write in ${name}, adapted to ${context}.`;
+};
+
+/**
+ * Build prompt instructions for glossary terms
+ * @param {Array<Object>} glossary - Glossary entries with term, translation and doNotTranslate
+ * @returns {String} - Instructions to append to the system prompt, empty without entries
+ * @private
+ */
+const glossaryInstructions = (glossary = []) => {
+  if (glossary.length === 0) {
+    return '';
+  }
+
+  const keep = glossary.filter((entry) => entry.doNotTranslate).map((entry) => entry.term);
+  const preferred = glossary
+    .filter((entry) => !entry.doNotTranslate)
+    .map((entry) => `"${entry.term}" => "${entry.translation}"`);
+
+  return [
+    '\nGlossary rules take precedence over any cultural adaptation.',
+    keep.length > 0 &&
+      `Never translate, adapt or inflect these terms, copy them exactly: ${keep.map((term) => `"${term}"`).join(', ')}.`,
+    preferred.length > 0 && `Always use these translations: ${preferred.join('; ')}.`,
+  ]
+    .filter(Boolean)
+    .join('\n');
+};
 
 /**
  * AI Service for content generation, SEO optimization, and translations
  */
 class AIService {
   /**
-   * Generate blog content using OpenAI
+   * @param {Object} [provider] - AI provider, defaults to the one selected in config
+   */
+  constructor(provider) {
+    this.provider = provider || createProvider();
+  }
+
+  /**
+   * Replace the AI provider (used when switching providers at runtime or in tests)
+   * @param {Object} provider - AI provider
+   */
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Model a task runs on
+   * @param {String} task - Task name, see config.ai.models
+   * @returns {String}
+   * @private
+   */
+  getModel(task) {
+    return config.ai.models[task] || config.ai.models.default;
+  }
+
+  /**
+   * Run a completion for a task against the current provider
+   * @param {String} task - Task name, used to select the model from config.ai.models
+   * @param {Object} request - Completion request
+   * @param {Array<Object>} request.messages - Chat messages
+   * @param {Number} [request.temperature] - Sampling temperature
+   * @param {Number} [request.maxTokens] - Maximum tokens to generate
+   * @param {Boolean} [request.json] - Parse the response as a JSON object
+   * @param {Object} [request.input] - Structured task input for offline providers
+   * @returns {Promise<String|Object>} - Completion text or parsed JSON
+   * @private
+   */
+  async complete(task, { messages, temperature, maxTokens, json = false, input = {} }) {
+    const content = await this.provider.complete({
+      task,
+      model: this.getModel(task),
+      messages,
+      temperature,
+      maxTokens,
+      json,
+      input,
+    });
+
+    return json ? JSON.parse(content) : content;
+  }
+
+  /**
+   * Cache key of a task's response, per provider and model so switching either never
+   * serves the output of the other
+   * @param {String} task - Task name
+   * @param {String} key - Key of the request
+   * @returns {String}
+   * @private
+   */
+  getCacheKey(task, key) {
+    return `${key}:${this.provider.name}:${this.getModel(task)}`;
+  }
+
+  /**
+   * Read a cached AI response, skipped for providers whose output must not be cached
+   * @param {String} task - Task name
+   * @param {String} key - Key of the request
+   * @returns {Promise<*>}
+   * @private
+   */
+  async getCached(task, key) {
+    return this.provider.cacheable ? cache.get(this.getCacheKey(task, key)) : null;
+  }
+
+  /**
+   * Cache an AI response, skipped for providers whose output must not be cached
+   * @param {String} task - Task name
+   * @param {String} key - Key of the request
+   * @param {*} value - Value to cache
+   * @param {Number} ttl - Time to live in seconds
+   * @private
+   */
+  async setCached(task, key, value, ttl) {
+    if (this.provider.cacheable) {
+      await cache.set(this.getCacheKey(task, key), value, ttl);
+    }
+  }
+
+  /**
+   * Model the current provider computes embeddings with
+   * @returns {String|null} - Model name, null when the provider cannot compute embeddings
+   */
+  getEmbeddingModel() {
+    return this.provider.embed ? config.ai.models.embedding : null;
+  }
+
+  /**
+   * Embed texts with the current provider
+   * @param {Array<String>} texts - Texts to embed
+   * @returns {Promise<Array<Array<Number>>|null>} - One vector per text, null when the
+   * provider cannot compute embeddings
+   */
+  async embed(texts) {
+    if (!this.provider.embed) {
+      return null;
+    }
+
+    return this.provider.embed({ model: config.ai.models.embedding, input: texts });
+  }
+
+  /**
+   * Generate blog content
    * @param {Object} options - Content generation options
    * @returns {Promise<String>} - Generated content
    */
@@ -35,7 +197,7 @@ class AIService {
     ).toString('base64')}`;
 
     // Try to get from cache first
-    const cachedContent = await cache.get(cacheKey);
+    const cachedContent = await this.getCached('content', cacheKey);
     if (cachedContent) {
       return cachedContent;
     }
@@ -63,13 +225,12 @@ class AIService {
     };
 
     try {
-      const completion = await openai.chat.completions.create({
-        model: 'gpt-4',
+      const content = await this.complete('content', {
         messages: [
           {
             role: 'system',
             content: `${systemPrompts[language] || systemPrompts.en} 
-              Write in a ${tone} tone. ${languagePrompt[language] || languagePrompt.en}
+              Write in a ${tone} tone. ${languagePrompt[language] || writeIn(language)}
               Include SEO-friendly content with proper headings (H2, H3), bullet points, and numbered lists where appropriate. 
               Create approximately ${wordCount} words. 
               Structure the content to maximize user engagement and include natural calls-to-action.
@@ -92,13 +253,12 @@ class AIService {
           },
         ],
         temperature: 0.7,
-        max_tokens: Math.min(4000, Math.ceil(wordCount * 2)),
+        maxTokens: Math.min(4000, Math.ceil(wordCount * 2)),
+        input: { title, topic, keywords, tone, wordCount, language },
       });
 
-      const content = completion.choices[0].message.content;
-
       // Cache for 1 day
-      await cache.set(cacheKey, content, 86400);
+      await this.setCached('content', cacheKey, content, 86400);
 
       return content;
     } catch (error) {
@@ -107,6 +267,44 @@ class AIService {
     }
   }
 
+  /**
+   * Generate a meta description for a blog post
+   * @param {String} content - Blog post content
+   * @param {String} language - Language code
+   * @returns {Promise<String>} - Generated meta description
+   */
+  async generateMetaDescription(content, language = 'en') {
+    const languagePrompt = {
+      en: 'Write in English',
+      fr: 'Écrivez en français (Write in French)',
+      de: 'Schreiben Sie auf Deutsch (Write in German)',
+      es: 'Escribe en español (Write in Spanish)',
+    };
+
+    try {
+      return await this.complete('metaDescription', {
+        messages: [
+          {
+            role: 'system',
+            content: `You are an SEO expert. ${languagePrompt[language] || writeIn(language)}.
+              Create a compelling meta description of approximately 150-160 characters.`,
+          },
+          {
+            role: 'user',
+            content: `Based on the following content, create an SEO-optimized meta description:
+              ${content.substring(0, 2000)}...`,
+          },
+        ],
+        temperature: 0.7,
+        maxTokens: 200,
+        input: { content, language },
+      });
+    } catch (error) {
+      logger.error('Error generating meta description:', error);
+      throw error;
+    }
+  }
+
   /**
    * Generate SEO metadata for a blog post
    * @param {String} title - Post title
@@ -119,7 +317,7 @@ class AIService {
     const cacheKey = `ai:seo:${language}:${Buffer.from(title).toString('base64')}`;
 
     // Try to get from cache first
-    const cachedSEO = await cache.get(cacheKey);
+    const cachedSEO = await this.getCached('seo', cacheKey);
     if (cachedSEO) {
       return cachedSEO;
     }
@@ -137,7 +335,7 @@ class AIService {
     Title: ${title}
     Content excerpt: ${content.substring(0, 1000)}...
     
-    ${seoInstructions[language] || seoInstructions.en}
+    ${seoInstructions[language] || `${seoInstructions.en} ${writeIn(language)}`}
     
     Return ONLY a valid JSON object with these fields:
     {
@@ -150,8 +348,7 @@ class AIService {
     `;
 
     try {
-      const completion = await openai.chat.completions.create({
-        model: 'gpt-4',
+      const result = await this.complete('seo', {
         messages: [
           {
             role: 'system',
@@ -164,13 +361,12 @@ class AIService {
           },
         ],
         temperature: 0.3,
-        response_format: { type: 'json_object' },
+        json: true,
+        input: { title, content, language },
       });
 
-      const result = JSON.parse(completion.choices[0].message.content);
-
       // Cache for 1 week
-      await cache.set(cacheKey, result, 604800);
+      await this.setCached('seo', cacheKey, result, 604800);
 
       return result;
     } catch (error) {
@@ -224,7 +420,7 @@ class AIService {
     const cacheKey = `ai:improve:${language}:${Buffer.from(content.substring(0, 100) + improvementInstructions).toString('base64')}`;
 
     // Try to get from cache first
-    const cachedContent = await cache.get(cacheKey);
+    const cachedContent = await this.getCached('improve', cacheKey);
     if (cachedContent) {
       return cachedContent;
     }
@@ -238,14 +434,13 @@ class AIService {
     };
 
     try {
-      const completion = await openai.chat.completions.create({
-        model: 'gpt-4',
+      improvedContent = await this.complete('improve', {
         messages: [
           {
             role: 'system',
             content: `You are an expert content editor for ${language} content. 
               Improve the content while maintaining its meaning and core structure. 
-              ${languageContext[language] || languageContext.en}`,
+              ${languageContext[language] || writeIn(language)}`,
           },
           {
             role: 'user',
@@ -258,12 +453,11 @@ class AIService {
           },
         ],
         temperature: 0.5,
+        input: { content, improvements: applicableImprovements, language },
       });
 
-      improvedContent = completion.choices[0].message.content;
-
       // Cache for 1 day
-      await cache.set(cacheKey, improvedContent, 86400);
+      await this.setCached('improve', cacheKey, improvedContent, 86400);
 
       return improvedContent;
     } catch (error) {
@@ -278,42 +472,34 @@ class AIService {
    * @param {String} title - Original title
    * @param {String} sourceLanguage - Source language code
    * @param {String} targetLanguage - Target language code
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.glossary] - Glossary entries to enforce
    * @returns {Promise<Object>} - Translated content with title and content fields
    */
-  async translateContent(content, title, sourceLanguage = 'en', targetLanguage) {
-    if (!config.languages.includes(targetLanguage) || sourceLanguage === targetLanguage) {
+  async translateContent(content, title, sourceLanguage = 'en', targetLanguage, { glossary } = {}) {
+    if (!languages.isEnabled(targetLanguage) || sourceLanguage === targetLanguage) {
       throw new Error('Invalid language combination');
     }
 
-    // Create cache key
-    const cacheKey = `ai:translate:${sourceLanguage}:${targetLanguage}:${Buffer.from(title).toString('base64')}`;
+    // Create cache key from the full source so edited content is never served a stale translation
+    const glossaryPrompt = glossaryInstructions(glossary);
+    const sourceHash = crypto
+      .createHash('sha256')
+      .update(`${title}\n${content}\n${glossaryPrompt}`)
+      .digest('hex');
+    const cacheKey = `ai:translate:${sourceLanguage}:${targetLanguage}:${sourceHash}`;
 
     // Try to get from cache first
-    const cachedTranslation = await cache.get(cacheKey);
+    const cachedTranslation = await this.getCached('translation', cacheKey);
     if (cachedTranslation) {
       return cachedTranslation;
     }
 
-    // Define language names and cultural contexts for prompt
-    const languageContexts = {
-      en: { name: 'English', context: 'US/UK business culture with focus on efficiency and ROI' },
-      fr: { name: 'French', context: 'French business culture emphasizing quality and innovation' },
-      de: {
-        name: 'German',
-        context: 'German business culture focusing on precision, quality, and technical excellence',
-      },
-      es: {
-        name: 'Spanish',
-        context: 'Spanish/Latin American business culture with warm, relationship-focused approach',
-      },
-    };
-
-    const sourceContext = languageContexts[sourceLanguage];
-    const targetContext = languageContexts[targetLanguage];
+    const sourceContext = promptLanguage(sourceLanguage);
+    const targetContext = promptLanguage(targetLanguage);
 
     try {
-      const completion = await openai.chat.completions.create({
-        model: 'gpt-4',
+      const result = await this.complete('translation', {
         messages: [
           {
             role: 'system',
@@ -321,7 +507,7 @@ class AIService {
               Not only translate the content but also adapt it culturally for the ${targetContext.context}.
               Maintain the original meaning, tone, and formatting while making it feel native to the target market.
               Keep all headings, markdown formatting, and structure intact.
-              Adapt business examples, cultural references, and terminology to be relevant for the target market.`,
+              Adapt business examples, cultural references, and terminology to be relevant for the target market.${glossaryPrompt}`,
           },
           {
             role: 'user',
@@ -339,13 +525,12 @@ class AIService {
           },
         ],
         temperature: 0.3,
-        response_format: { type: 'json_object' },
+        json: true,
+        input: { title, content, sourceLanguage, targetLanguage, glossary },
       });
 
-      const result = JSON.parse(completion.choices[0].message.content);
-
       // Cache for 1 week since translations rarely change
-      await cache.set(cacheKey, result, 604800);
+      await this.setCached('translation', cacheKey, result, 604800);
 
       return result;
     } catch (error) {
@@ -354,6 +539,64 @@ class AIService {
     }
   }
 
+  /**
+   * Translate a batch of text segments, keeping their order
+   * Used by the translation memory to translate only segments it has not seen before.
+   * @param {Array<String>} segments - Source segments (Markdown inline formatting allowed)
+   * @param {String} sourceLanguage - Source language code
+   * @param {String} targetLanguage - Target language code
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.glossary] - Glossary entries to enforce
+   * @returns {Promise<Array<String>>} - Translated segments, same length and order as the input
+   */
+  async translateSegments(segments, sourceLanguage, targetLanguage, { glossary } = {}) {
+    if (!languages.isEnabled(targetLanguage) || sourceLanguage === targetLanguage) {
+      throw new Error('Invalid language combination');
+    }
+
+    if (segments.length === 0) {
+      return [];
+    }
+
+    const sourceContext = promptLanguage(sourceLanguage);
+    const targetContext = promptLanguage(targetLanguage);
+
+    try {
+      const result = await this.complete('translationSegments', {
+        messages: [
+          {
+            role: 'system',
+            content: `You are a professional translator from ${sourceContext.name} to ${targetContext.name}.
+              You translate independent segments of a blog post about AI tools for the ${targetContext.context}.
+              Keep inline Markdown, links, HTML tags and placeholders intact.
+              Never merge, split, drop or reorder segments. Return only valid JSON.${glossaryInstructions(glossary)}`,
+          },
+          {
+            role: 'user',
+            content: `Translate each segment of this JSON array from ${sourceContext.name} to ${targetContext.name}:
+              ${JSON.stringify(segments)}
+
+              Return a JSON object with a "segments" array holding exactly ${segments.length} translated strings in the same order.`,
+          },
+        ],
+        temperature: 0.3,
+        json: true,
+        input: { segments, sourceLanguage, targetLanguage, glossary },
+      });
+
+      if (!Array.isArray(result.segments) || result.segments.length !== segments.length) {
+        throw new Error(
+          `Expected ${segments.length} translated segments, got ${result.segments?.length || 0}`,
+        );
+      }
+
+      return result.segments;
+    } catch (error) {
+      logger.error('Error translating segments:', error);
+      throw error;
+    }
+  }
+
   /**
    * Generate blog post titles based on a topic
    * @param {String} topic - Blog post topic
@@ -379,14 +622,13 @@ class AIService {
 
     const prompt = `${stylePrompts[style] || stylePrompts.engaging} for a blog post about: ${topic}. 
       The blog is focused on AI tools for entrepreneurs and businesses.
-      ${languageGuidance[language] || languageGuidance.en}
+      ${languageGuidance[language] || `${languageGuidance.en} ${writeIn(language)}`}
       Generate 5 different title options in ${language}, each 60 characters or less.
       Make sure titles are optimized for the ${language} market and search behavior.
       Return ONLY a valid JSON object with a "titles" array containing the 5 titles.`;
 
     try {
-      const completion = await openai.chat.completions.create({
-        model: 'gpt-4',
+      const result = await this.complete('titles', {
         messages: [
           {
             role: 'system',
@@ -399,10 +641,10 @@ class AIService {
           },
         ],
         temperature: 0.7,
-        response_format: { type: 'json_object' },
+        json: true,
+        input: { topic, style, language },
       });
 
-      const result = JSON.parse(completion.choices[0].message.content);
       return Array.isArray(result.titles)
         ? result.titles
         : [result.titles || `${style.charAt(0).toUpperCase() + style.slice(1)} Guide to ${topic}`];
@@ -411,6 +653,46 @@ class AIService {
       return [`${style.charAt(0).toUpperCase() + style.slice(1)} Guide to ${topic}`];
     }
   }
+
+  /**
+   * Score a reader comment for spam and toxicity
+   * Provider errors are thrown, callers fall back to their own scoring.
+   * @param {String} text - Comment text
+   * @param {String} language - Comment language
+   * @returns {Promise<Object|null>} - Scores from 0 to 1 with the reasons, or null when the
+   * provider gives none and the local heuristic should be used
+   */
+  async moderateComment(text, language = 'en') {
+    const result = await this.complete('moderation', {
+      messages: [
+        {
+          role: 'system',
+          content: `You moderate reader comments on a blog about AI tools for the ${language} market.
+            Rate how likely a comment is spam (advertising, link farming, scams) and how toxic it is
+            (insults, harassment, hate). Criticism of the article is neither.
+            Return ONLY a valid JSON object with "spam" and "toxicity" numbers from 0 to 1,
+            and a "reasons" array of short strings.`,
+        },
+        {
+          role: 'user',
+          content: text,
+        },
+      ],
+      temperature: 0,
+      json: true,
+      input: { text, language },
+    });
+
+    if (!result || typeof result.spam !== 'number' || typeof result.toxicity !== 'number') {
+      return null;
+    }
+    const clamp = (score) => Math.min(Math.max(score, 0), 1);
+    return {
+      spam: clamp(result.spam),
+      toxicity: clamp(result.toxicity),
+      reasons: Array.isArray(result.reasons) ? result.reasons.map(String) : [],
+    };
+  }
 }
 
 module.exports = new AIService();
@@ -0,0 +1,98 @@
+/**
+ * Deterministic offline provider for development and CI
+ * Builds responses from the structured task input instead of calling a model,
+ * so AI code paths can run without API keys or network access.
+ */
+
+const truncate = (text = '', length) => text.replace(/\s+/g, ' ').trim().substring(0, length);
+
+const extractKeywords = (text = '') =>
+  text
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length > 3)
+    .filter((word, index, words) => words.indexOf(word) === index)
+    .slice(0, 5);
+
+// Responders keyed by AIService task name
+const responders = {
+  content: ({ title = '', topic = '', keywords = [] }) =>
+    [
+      `# ${title}`,
+      '',
+      `This article covers ${topic || title}.`,
+      '',
+      '## Overview',
+      '',
+      keywords.length ? `Key topics: ${keywords.join(', ')}.` : 'Key topics are covered below.',
+      '',
+      '## Conclusion',
+      '',
+      `${title} is worth evaluating for your business.`,
+    ].join('\n'),
+
+  metaDescription: ({ content = '' }) => truncate(content, 160),
+
+  seo: ({ title = '', content = '' }) => ({
+    title: truncate(title, 60),
+    description: truncate(content, 160),
+    keywords: extractKeywords(title),
+  }),
+
+  improve: ({ content = '' }) => content,
+
+  translation: ({ title = '', content = '', targetLanguage }) => ({
+    title: `[${targetLanguage}] ${title}`,
+    content,
+    excerpt: truncate(content, 250),
+  }),
+
+  translationSegments: ({ segments = [], targetLanguage }) => ({
+    segments: segments.map((segment) => `[${targetLanguage}] ${segment}`),
+  }),
+
+  titles: ({ topic = '', style = 'engaging' }) => ({
+    titles: [1, 2, 3, 4, 5].map((n) => truncate(`${topic} (${style} ${n})`, 60)),
+  }),
+
+  // No opinion, comments are scored by the local heuristic
+  moderation: () => null,
+};
+
+class EchoProvider {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.fixtures] - Canned responses keyed by task name
+   */
+  constructor({ fixtures = {} } = {}) {
+    this.name = 'echo';
+    // Responses are cheap and deterministic, never cache them alongside real ones
+    this.cacheable = false;
+    this.fixtures = fixtures;
+  }
+
+  /**
+   * Produce a completion for a task
+   * @param {Object} request - Completion request
+   * @param {String} request.task - AIService task name
+   * @param {Array<Object>} request.messages - Chat messages
+   * @param {Object} [request.input] - Structured task input
+   * @returns {Promise<String>} - Completion text (JSON-encoded for object responses)
+   */
+  async complete({ task, messages = [], input = {} }) {
+    let result;
+
+    if (Object.prototype.hasOwnProperty.call(this.fixtures, task)) {
+      result = this.fixtures[task];
+    } else if (responders[task]) {
+      result = responders[task](input);
+    } else {
+      const userMessage = [...messages].reverse().find((message) => message.role === 'user');
+      result = userMessage ? userMessage.content : '';
+    }
+
+    return typeof result === 'string' ? result : JSON.stringify(result);
+  }
+}
+
+module.exports = EchoProvider;
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const config = require('../../config/config');
+const OpenAIProvider = require('./openai.provider');
+const EchoProvider = require('./echo.provider');
+
+/**
+ * AI provider registry
+ *
+ * Every provider exposes the same interface:
+ *   name       - provider name
+ *   cacheable  - whether responses may be stored in the AI response cache
+ *   complete({ task, model, messages, temperature, maxTokens, json, input }) => Promise<String>
+ * and optionally, when the provider can compute embeddings:
+ *   embed({ model, input }) => Promise<Array<Array<Number>>>
+ */
+
+// SDK clients are only created for the provider actually in use, so missing keys
+// for other providers never fail at startup
+const factories = {
+  openai: () => {
+    const { openai } = require('../../config/openai');
+    return new OpenAIProvider(openai, { name: 'openai' });
+  },
+
+  local: (options) => {
+    const { createClient } = require('../../config/openai');
+    return new OpenAIProvider(createClient(options), { name: 'local' });
+  },
+
+  echo: ({ fixturesPath } = {}) => {
+    const fixtures = fixturesPath ? JSON.parse(fs.readFileSync(fixturesPath, 'utf8')) : {};
+    return new EchoProvider({ fixtures });
+  },
+};
+
+/**
+ * Create an AI provider
+ * @param {String} [name] - Provider name (openai, local, echo), defaults to config
+ * @returns {Object} - Provider instance
+ */
+const createProvider = (name = config.ai.provider) => {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown AI provider: ${name}`);
+  }
+
+  return factory(config.ai.providers[name]);
+};
+
+module.exports = {
+  createProvider,
+  OpenAIProvider,
+  EchoProvider,
+};
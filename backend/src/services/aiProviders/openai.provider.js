@@ -0,0 +1,58 @@
+/**
+ * Provider backed by the OpenAI chat completions API
+ * Works with any OpenAI-compatible server when given a client with a custom baseURL
+ */
+class OpenAIProvider {
+  /**
+   * @param {OpenAI} client - OpenAI SDK client
+   * @param {Object} [options]
+   * @param {String} [options.name] - Provider name reported to callers
+   */
+  constructor(client, { name = 'openai' } = {}) {
+    this.client = client;
+    this.name = name;
+    this.cacheable = true;
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request - Completion request
+   * @param {String} request.model - Model name
+   * @param {Array<Object>} request.messages - Chat messages
+   * @param {Number} [request.temperature] - Sampling temperature
+   * @param {Number} [request.maxTokens] - Maximum tokens to generate
+   * @param {Boolean} [request.json] - Whether a JSON object response is expected
+   * @returns {Promise<String>} - Completion text
+   */
+  async complete({ model, messages, temperature, maxTokens, json = false }) {
+    const completion = await this.client.chat.completions.create({
+      model,
+      messages,
+      temperature,
+      ...(maxTokens && { max_tokens: maxTokens }),
+      ...(json && { response_format: { type: 'json_object' } }),
+    });
+
+    const choice = completion.choices && completion.choices[0];
+    if (!choice || !choice.message || !choice.message.content) {
+      throw new Error(`${this.name} provider returned an empty completion`);
+    }
+
+    return choice.message.content;
+  }
+
+  /**
+   * Embed texts
+   * @param {Object} request - Embedding request
+   * @param {String} request.model - Embedding model name
+   * @param {Array<String>} request.input - Texts to embed
+   * @returns {Promise<Array<Array<Number>>>} - One vector per text, in order
+   */
+  async embed({ model, input }) {
+    const response = await this.client.embeddings.create({ model, input });
+
+    return [...response.data].sort((a, b) => a.index - b.index).map((item) => item.embedding);
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -1,27 +1,54 @@
 const ApiError = require('../utils/ApiError');
 const httpStatus = require('http-status');
-const aiService = require('./ai.service');
-const { BlogPost } = require('../models');
+const translationMemoryService = require('./translationMemory.service');
+const glossaryService = require('./glossary.service');
+const translationReviewService = require('./translationReview.service');
+const revisionService = require('./revision.service');
+const tagService = require('./tag.service');
+const { BlogPost, Category, Tag } = require('../models');
+const pick = require('../utils/pick');
 const logger = require('../utils/logger');
+const config = require('../config/config');
+const { getDefaultLanguage, isEnabled } = require('../config/languages');
+const { computeSourceRevision } = require('../utils/sourceRevision');
+
+// Fields of the category populated on posts, translations name it in every language
+const CATEGORY_FIELDS = 'name slug translations';
 
 /**
  * Create a new blog post
  * @param {Object} postData - Blog post data
+ * @param {Object} [options]
+ * @param {string} [options.source] - What wrote the content, manual or ai-generate
  * @returns {Promise<BlogPost>}
  */
-const createPost = async (postData) => {
+const createPost = async (postData, { source = 'manual' } = {}) => {
   // Generate slug if not provided
   if (!postData.slug && postData.title) {
     postData.slug = generateSlug(postData.title);
   }
 
+  if (
+    postData.slug &&
+    (await BlogPost.isSlugTaken(postData.slug, postData.language || getDefaultLanguage()))
+  ) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Slug already taken');
+  }
+
   // Calculate reading time if content is provided
   if (postData.content) {
     postData.readingTime = calculateReadingTime(postData.content);
   }
 
+  if (postData.tags) {
+    postData.tags = await tagService.resolveTags(postData.tags);
+  }
+
   // Create the post
   const post = await BlogPost.create(postData);
+  await revisionService.recordRevision(post, { author: post.author, source });
+  await Category.updatePostCounts([post.category]);
+  await Tag.updatePostCounts(post.tags);
 
   return post;
 };
@@ -48,10 +75,12 @@ const getPosts = async (filter, options = {}) => {
   if (!filter.status) {
     query.status = 'published';
   }
+  // Embargoed posts are not listed before their publication time
+  query.publishAt = { $not: { $gt: new Date() } };
 
   const posts = await BlogPost.find(query)
     .populate('author', 'name email avatar')
-    .populate('category', 'name slug')
+    .populate('category', CATEGORY_FIELDS)
     .sort(parseSortBy(sortBy))
     .skip(skip)
     .limit(limit);
@@ -59,7 +88,10 @@ const getPosts = async (filter, options = {}) => {
   const total = await BlogPost.countDocuments(query);
 
   // Localize posts based on requested language
-  const results = posts.map((post) => localizePost(post, language));
+  const results = await withTagLabels(
+    posts.map((post) => localizePost(post, language)),
+    language,
+  );
 
   return {
     results,
@@ -79,7 +111,7 @@ const getPosts = async (filter, options = {}) => {
 const getPostById = async (id, language = 'en') => {
   const post = await BlogPost.findById(id)
     .populate('author', 'name email avatar')
-    .populate('category', 'name slug');
+    .populate('category', CATEGORY_FIELDS);
 
   if (!post) {
     return null;
@@ -90,33 +122,39 @@ const getPostById = async (id, language = 'en') => {
 
 /**
  * Get post by slug
+ * The slug can be the post's slug in any language; the post is served in the requested
+ * language with its canonical URL and the URL of every language for hreflang alternates.
  * @param {string} slug - Post slug
  * @param {string} language - Preferred language
- * @returns {Promise<BlogPost>}
+ * @returns {Promise<Object>}
  */
 const getPostBySlug = async (slug, language = 'en') => {
-  // Try to find by original slug or translated slug
-  const post = await BlogPost.findOne({
-    $or: [{ slug }, { [`translations.${language}.slug`]: slug }],
-  })
-    .populate('author', 'name email avatar')
-    .populate('category', 'name slug');
+  const post = await BlogPost.findBySlug(slug, language);
 
-  if (!post) {
+  // Embargoed posts are not served before their publication time
+  if (!post || post.publishAt > new Date()) {
     return null;
   }
 
-  return localizePost(post, language);
+  await post.populate([
+    { path: 'author', select: 'name email avatar' },
+    { path: 'category', select: CATEGORY_FIELDS },
+  ]);
+
+  const [localizedPost] = await withTagLabels([localizePost(post, language)], language);
+  const alternates = getPostAlternates(post);
+  const canonicalUrl = localizedPost.canonicalUrl || alternates[localizedPost.language];
+
+  return { ...localizedPost, canonicalUrl, alternates };
 };
 
 /**
- * Update post by id
+ * Get a post the user may update, in its source language
  * @param {ObjectId} postId - Post id
- * @param {Object} updateBody - Update body
  * @param {ObjectId} userId - User id (for authorization)
  * @returns {Promise<BlogPost>}
  */
-const updatePost = async (postId, updateBody, userId) => {
+const getEditablePost = async (postId, userId) => {
   const post = await BlogPost.findById(postId);
 
   if (!post) {
@@ -129,23 +167,106 @@ const updatePost = async (postId, updateBody, userId) => {
     throw new ApiError(httpStatus.FORBIDDEN, 'Not authorized to update this post');
   }
 
+  return post;
+};
+
+/**
+ * Update post by id
+ * @param {ObjectId} postId - Post id
+ * @param {Object} updateBody - Update body
+ * @param {ObjectId} userId - User id (for authorization)
+ * @param {Object} [options]
+ * @param {string} [options.source] - What changed the text, manual or ai-improve
+ * @returns {Promise<BlogPost>}
+ */
+const updatePost = async (postId, updateBody, userId, { source = 'manual' } = {}) => {
+  const post = await getEditablePost(postId, userId);
+
   // Update slug if title is being updated
   if (updateBody.title && !updateBody.slug) {
     updateBody.slug = generateSlug(updateBody.title);
   }
 
+  if (
+    updateBody.slug &&
+    (await BlogPost.isSlugTaken(updateBody.slug, updateBody.language || post.language, postId))
+  ) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Slug already taken');
+  }
+
   // Update reading time if content is being updated
   if (updateBody.content) {
     updateBody.readingTime = calculateReadingTime(updateBody.content);
   }
 
-  // Set publishedAt date if status is being changed to published
-  if (updateBody.status === 'published' && post.status !== 'published') {
-    updateBody.publishedAt = new Date();
+  if (updateBody.tags) {
+    updateBody.tags = await tagService.resolveTags(updateBody.tags);
   }
 
+  // Posts stored before revisions existed have none yet, keep their original text
+  await revisionService.recordRevision(post, { author: post.author });
+
+  const previousCategory = post.category;
+  const previousTags = [...post.tags];
   Object.assign(post, updateBody);
   await post.save();
+  await revisionService.recordRevision(post, { author: userId, source });
+  if (updateBody.category) {
+    await Category.updatePostCounts([previousCategory, post.category]);
+  }
+  if (updateBody.tags) {
+    await Tag.updatePostCounts([...previousTags, ...post.tags]);
+  }
+
+  return post;
+};
+
+/**
+ * Restore the text of a revision on its post
+ * The title, excerpt and content come back, as well as those of the translations the
+ * revision has and the post still serves, with the source revision each translation was
+ * made from. Translations in revisions recorded without it are left with none, so they are
+ * reported stale. Slugs, SEO and publication are left as they are. The restore is recorded
+ * as a new revision.
+ * @param {ObjectId} postId - Post id
+ * @param {number} number - Number of the revision to restore
+ * @param {ObjectId} userId - User id (for authorization)
+ * @returns {Promise<BlogPost>}
+ */
+const restoreRevision = async (postId, number, userId) => {
+  const post = await BlogPost.findById(postId);
+
+  if (!post) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Post not found');
+  }
+
+  // Same rule as updating the post
+  if (post.author.toString() !== userId) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Not authorized to update this post');
+  }
+
+  const revision = await revisionService.getRevision(postId, number);
+  Object.assign(post, {
+    title: revision.title,
+    excerpt: revision.excerpt,
+    content: revision.content,
+    readingTime: calculateReadingTime(revision.content || ''),
+  });
+  revision.translations.forEach((text, language) => {
+    const translation = post.translations.get(language);
+    if (translation) {
+      const restored = text.toObject();
+      Object.assign(translation, pick(restored, ['title', 'excerpt', 'content']), {
+        sourceRevision: restored.sourceRevision,
+      });
+    }
+  });
+  await post.save();
+  await revisionService.recordRevision(post, {
+    author: userId,
+    source: 'restore',
+    restoredFrom: revision.number,
+  });
 
   return post;
 };
@@ -172,17 +293,26 @@ const deletePost = async (postId, userId) => {
   // Soft delete (change status to archived)
   post.status = 'archived';
   await post.save();
+  await Category.updatePostCounts([post.category]);
+  await Tag.updatePostCounts(post.tags);
 
   return post;
 };
 
 /**
- * Translate post content to target languages
+ * Translate post content to a single target language and queue it for review
+ * Called by the translation job worker, one job per language. Segments already
+ * in the translation memory are reused instead of being sent to the AI provider.
+ * The result is stored as a pending Translation and only served once approved.
  * @param {ObjectId} postId - Post id
- * @param {Array<string>} targetLanguages - Languages to translate to
- * @returns {Promise<Object>} - Translated content by language
+ * @param {string} targetLanguage - Language to translate to
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with the segments translated so far and
+ * the segments to translate
+ * @returns {Promise<Object>} - Source post, pending translation, segment reuse stats and
+ * glossary violations
  */
-const translatePost = async (postId, targetLanguages = ['en', 'fr', 'de', 'es']) => {
+const translatePostLanguage = async (postId, targetLanguage, { onProgress } = {}) => {
   const post = await BlogPost.findById(postId);
 
   if (!post) {
@@ -192,52 +322,48 @@ const translatePost = async (postId, targetLanguages = ['en', 'fr', 'de', 'es'])
   // Determine source language - default to 'en' if not set
   const sourceLanguage = post.language || 'en';
 
-  // Filter out source language from target languages
-  const languages = targetLanguages.filter((lang) => lang !== sourceLanguage);
-
-  if (languages.length === 0) {
-    return { message: 'No languages to translate to' };
-  }
-
-  const translations = {};
-  const errors = {};
-
-  for (const lang of languages) {
-    try {
-      // Use OpenAI to translate content
-      const translated = await aiService.translateContent(
-        post.content,
-        post.title,
-        sourceLanguage,
-        lang,
-      );
-
-      // Generate slug for the translated title
-      const translatedSlug = generateSlug(translated.title);
-
-      // Store translations in the format expected by the model
-      translations[lang] = {
-        title: translated.title,
-        content: translated.content,
-        excerpt: translated.excerpt || post.excerpt,
-        slug: translatedSlug,
-      };
-    } catch (error) {
-      logger.error(`Translation failed for ${lang}:`, error);
-      errors[lang] = error.message;
-    }
+  if (targetLanguage === sourceLanguage) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Cannot translate a post into its source language');
   }
 
-  // Update post with new translations
-  if (Object.keys(translations).length > 0) {
-    post.translations = { ...post.translations, ...translations };
-    await post.save();
+  const glossary = await glossaryService.getTermsForText(
+    sourceLanguage,
+    targetLanguage,
+    [post.title, post.excerpt, post.content].join('\n'),
+  );
+
+  const translated = await translationMemoryService.translateDocument(
+    { title: post.title, content: post.content, excerpt: post.excerpt },
+    sourceLanguage,
+    targetLanguage,
+    { postId: post._id, glossary, onProgress },
+  );
+
+  // Machine translations wait for a translator's approval before they are served
+  const translation = await translationReviewService.saveMachineTranslation(
+    post._id,
+    targetLanguage,
+    {
+      title: translated.title,
+      content: translated.content,
+      excerpt: translated.excerpt || post.excerpt,
+      slug: generateSlug(translated.title),
+      glossaryViolations: translated.violations,
+      sourceRevision: computeSourceRevision(post),
+    },
+  );
+
+  logger.info(
+    `Translated post ${postId} to ${targetLanguage}: ${translated.stats.reused} segments reused, ${translated.stats.translated} translated`,
+  );
+
+  if (translated.violations.length > 0) {
+    logger.warn(
+      `Translation of post ${postId} to ${targetLanguage} has ${translated.violations.length} glossary violations`,
+    );
   }
 
-  return {
-    translations,
-    errors: Object.keys(errors).length > 0 ? errors : undefined,
-  };
+  return { post, translation, stats: translated.stats, violations: translated.violations };
 };
 
 /**
@@ -324,32 +450,166 @@ const parseSortBy = (sortBy) => {
   return { [field]: order };
 };
 
+/**
+ * Get the public URL of a post in a language
+ * @param {string} language - Language code
+ * @param {string} slug - Post slug in that language
+ * @returns {string}
+ */
+const getPostUrl = (language, slug) => `${config.frontendUrl}/${language}/blog/${slug}`;
+
+/**
+ * Get the public URL of a category in a language
+ * @param {string} language - Language code
+ * @param {string} slug - Category slug in that language
+ * @returns {string}
+ */
+const getCategoryUrl = (language, slug) =>
+  `${config.frontendUrl}/${language}/blog/category/${slug}`;
+
+/**
+ * Get the languages a post is served in: its source language and approved translations
+ * @param {Object} post - Blog post document
+ * @returns {Array<string>} - Language codes, the source language first
+ */
+const getServedLanguages = (post) => {
+  const postObject = post.toObject ? post.toObject() : post;
+  const sourceLanguage = postObject.language || getDefaultLanguage();
+
+  return [
+    sourceLanguage,
+    ...Object.entries(postObject.translations || {})
+      .filter(([language, translation]) => language !== sourceLanguage && translation.approvedAt)
+      .map(([language]) => language),
+  ];
+};
+
+/**
+ * Get the URL of a post in every enabled language it is served in
+ * @param {Object} post - Blog post document
+ * @returns {Object} - URL by language code, x-default points to the source language
+ */
+const getPostAlternates = (post) => {
+  const postObject = post.toObject ? post.toObject() : post;
+  const sourceLanguage = postObject.language || getDefaultLanguage();
+  const alternates = { [sourceLanguage]: getPostUrl(sourceLanguage, postObject.slug) };
+
+  Object.entries(postObject.translations || {}).forEach(([language, translation]) => {
+    if (
+      language !== sourceLanguage &&
+      isEnabled(language) &&
+      translation.approvedAt &&
+      translation.slug
+    ) {
+      alternates[language] = getPostUrl(language, translation.slug);
+    }
+  });
+
+  alternates['x-default'] = alternates[sourceLanguage];
+  return alternates;
+};
+
+/**
+ * Filter matching the published posts served in a language
+ * @param {string} language - Language code
+ * @returns {Object} - Mongo filter
+ */
+const getPublishedFilter = (language) => {
+  const conditions = [
+    { language },
+    {
+      [`translations.${language}.approvedAt`]: { $exists: true },
+      [`translations.${language}.slug`]: { $exists: true },
+    },
+  ];
+  // Posts created before the source language was stored are in the default language
+  if (language === getDefaultLanguage()) {
+    conditions.push({ language: { $exists: false } });
+  }
+  return { status: 'published', $or: conditions };
+};
+
+/**
+ * Add the localized labels of their tags to localized posts
+ * Tags stay slugs, which tag pages are linked by.
+ * @param {Array<Object>} posts - Localized posts
+ * @param {string} language - Language code
+ * @returns {Promise<Array<Object>>} - Posts with tagLabels, [{ slug, name }]
+ * @private
+ */
+const withTagLabels = async (posts, language) => {
+  const labels = await tagService.getLabels(
+    posts.flatMap((post) => post.tags || []),
+    language,
+  );
+  return posts.map((post) => ({
+    ...post,
+    tagLabels: (post.tags || []).map((slug) => ({ slug, name: labels.get(slug) })),
+  }));
+};
+
+/**
+ * Name and slug of a category populated on a post, in a language
+ * Posts populate the category with its translations (see CATEGORY_FIELDS), categories that
+ * are not populated are left as they are.
+ * @param {Object} category - Populated category or category id
+ * @param {string} language - Language code
+ * @returns {Object}
+ * @private
+ */
+const localizeEmbeddedCategory = (category, language) => {
+  if (!category || !category.translations) {
+    return category;
+  }
+  const { translations, ...categoryObject } = category;
+  const translation =
+    translations instanceof Map ? translations.get(language) : translations[language];
+  return {
+    ...categoryObject,
+    name: translation?.name || categoryObject.name,
+    slug: translation?.slug || categoryObject.slug,
+  };
+};
+
 /**
  * Localize post content based on language
+ * The localized post carries no translations: unapproved and embargoed ones must not be
+ * served, and other languages are linked by getPostAlternates. Its category is named in
+ * the language, whatever the language the post is served in.
  * @param {Object} post - Blog post document
  * @param {string} language - Target language
  * @returns {Object} - Localized post
  */
 const localizePost = (post, language) => {
-  if (post.language === language) {
-    return post;
+  const postObject = { ...(post.toJSON ? post.toJSON() : post) };
+  const translation = postObject.translations && postObject.translations[language];
+  delete postObject.translations;
+  if (postObject.category) {
+    postObject.category = localizeEmbeddedCategory(postObject.category, language);
+  }
+  if (postObject.language === language) {
+    return postObject;
   }
 
-  if (post.translations && post.translations[language]) {
-    const translation = post.translations[language];
-    const postObject = post.toObject ? post.toObject() : post;
-
+  // Only translations approved by a translator are served
+  if (translation && translation.approvedAt) {
     return {
       ...postObject,
       title: translation.title || postObject.title,
       content: translation.content || postObject.content,
       excerpt: translation.excerpt || postObject.excerpt,
       slug: translation.slug || postObject.slug,
+      // SEO fields are per language, the source ones are never served in another language
+      metaTitle: translation.metaTitle,
+      metaDescription: translation.metaDescription,
+      keywords: translation.keywords || [],
+      canonicalUrl: translation.canonicalUrl,
+      ogImage: translation.ogImage?.url ? translation.ogImage : postObject.ogImage,
       language,
     };
   }
 
-  return post;
+  return postObject;
 };
 
 module.exports = {
@@ -357,9 +617,18 @@ module.exports = {
   getPosts,
   getPostById,
   getPostBySlug,
+  getEditablePost,
   updatePost,
+  restoreRevision,
   deletePost,
-  translatePost,
+  translatePostLanguage,
   incrementViews,
   trackAffiliateClick,
+  getPostUrl,
+  getCategoryUrl,
+  getServedLanguages,
+  getPostAlternates,
+  getPublishedFilter,
+  localizePost,
+  CATEGORY_FIELDS,
 };
@@ -0,0 +1,306 @@
+const httpStatus = require('http-status');
+const { BlogPost, Category } = require('../models');
+const { cache } = require('../config/redis');
+const sitemapService = require('./sitemap.service');
+const feedService = require('./feed.service');
+const ApiError = require('../utils/ApiError');
+
+/**
+ * Blog categories
+ *
+ * Categories form a tree: each one stores its parent and its ancestors, nearest
+ * first, with their name and slug. Moving or renaming a category rewrites the
+ * ancestors of its whole subtree. Names, descriptions and slugs are translated
+ * per language, and categories are served localized with the source values as
+ * fallback.
+ */
+
+const TREE_CACHE_TTL = 60 * 60;
+
+/**
+ * Localize a category, translations are left out
+ * @param {Object} category - Category document
+ * @param {string} language - Language code
+ * @returns {Object}
+ */
+const localizeCategory = (category, language) => {
+  const categoryObject = category.toJSON();
+  delete categoryObject.translations;
+  const translation = category.getTranslation(language);
+
+  return {
+    ...categoryObject,
+    name: translation?.name || category.name,
+    slug: translation?.slug || category.slug,
+    description: translation?.description || category.description,
+  };
+};
+
+/**
+ * Clear what embeds categories: category caches and sitemaps, and the posts and feeds
+ * which carry the name and slug of their category
+ * @private
+ */
+const refreshCategories = async () => {
+  await cache.clearByPattern('categories:*');
+  await cache.clearByPattern('post:*');
+  await cache.clearByPattern('posts:*');
+  await cache.clearByPattern('cache:/v1/blog*');
+  await sitemapService.invalidateCategories();
+  await feedService.invalidateFeeds();
+};
+
+/**
+ * Check the slugs of a validated category are not used by another category
+ * @private
+ */
+const checkSlugs = async (category) => {
+  if (await Category.isSlugTaken(category.slug, null, category._id)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Slug already taken');
+  }
+  for (const [language, translation] of category.translations) {
+    if (await Category.isSlugTaken(translation.slug, language, category._id)) {
+      throw new ApiError(httpStatus.BAD_REQUEST, `Slug already taken in ${language}`);
+    }
+  }
+};
+
+/**
+ * Check the parent of a category exists and is not in the category's subtree
+ * @private
+ */
+const checkParent = async (category) => {
+  if (!category.parent) {
+    return;
+  }
+  const parent = await Category.findById(category.parent);
+  if (!parent) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Parent category not found');
+  }
+  if (
+    parent._id.equals(category._id) ||
+    parent.ancestors.some((ancestor) => ancestor._id.equals(category._id))
+  ) {
+    throw new ApiError(
+      httpStatus.BAD_REQUEST,
+      'A category cannot be moved under itself or its subcategories',
+    );
+  }
+};
+
+/**
+ * Rewrite the ancestors of the subtree of a category that was moved or renamed
+ * Each descendant keeps its ancestors below the category, and takes the category's
+ * new name, slug and ancestors above it.
+ * @private
+ */
+const updateDescendants = async (category) => {
+  const descendants = await Category.find({ 'ancestors._id': category._id });
+  if (!descendants.length) {
+    return;
+  }
+
+  const self = { _id: category._id, name: category.name, slug: category.slug };
+  await Category.bulkWrite(
+    descendants.map((descendant) => {
+      const index = descendant.ancestors.findIndex((ancestor) => ancestor._id.equals(category._id));
+      const ancestors = [
+        ...descendant.ancestors.slice(0, index).map(({ _id, name, slug }) => ({ _id, name, slug })),
+        self,
+        ...category.ancestors.map(({ _id, name, slug }) => ({ _id, name, slug })),
+      ];
+      return { updateOne: { filter: { _id: descendant._id }, update: { $set: { ancestors } } } };
+    }),
+  );
+};
+
+/**
+ * Create a category
+ * @param {Object} categoryBody
+ * @returns {Promise<Category>}
+ */
+const createCategory = async (categoryBody) => {
+  const category = new Category(categoryBody);
+  await category.validate();
+  await checkSlugs(category);
+  await checkParent(category);
+
+  await category.save();
+  await refreshCategories();
+  return category;
+};
+
+/**
+ * Query for categories
+ * @param {Object} filter - Mongo filter
+ * @param {Object} options - Query options
+ * @param {string} [options.sortBy] - Sort option in the format: sortField:(desc|asc)
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const queryCategories = async (filter, options) => {
+  return Category.paginate(filter, { sortBy: 'sortOrder:asc,name:asc', ...options });
+};
+
+/**
+ * Get category by id
+ * @param {ObjectId} id
+ * @returns {Promise<Category>}
+ */
+const getCategoryById = async (id) => {
+  return Category.findById(id);
+};
+
+/**
+ * Get an active category by its slug in a language, localized with its ancestors and
+ * children
+ * Source slugs are matched too, so links in any language keep working.
+ * @param {string} slug - Category slug
+ * @param {string} language - Language code
+ * @returns {Promise<Object>}
+ */
+const getCategoryBySlug = async (slug, language) => {
+  const category = await Category.findOne({
+    $or: [{ [`translations.${language}.slug`]: slug }, { slug }],
+    isActive: true,
+  });
+  if (!category) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Category not found');
+  }
+
+  const ancestorIds = category.ancestors.map((ancestor) => ancestor._id);
+  const ancestors = await Category.find({ _id: { $in: ancestorIds } });
+  const byId = new Map(ancestors.map((ancestor) => [ancestor.id, ancestor]));
+  const children = await Category.findByParent(category._id);
+
+  return {
+    ...localizeCategory(category, language),
+    // Nearest first, as stored
+    ancestors: ancestorIds
+      .map((id) => byId.get(id.toString()))
+      .filter(Boolean)
+      .map((ancestor) => {
+        const { id, name, slug: ancestorSlug } = localizeCategory(ancestor, language);
+        return { id, name, slug: ancestorSlug };
+      }),
+    children: children.map((child) => localizeCategory(child, language)),
+  };
+};
+
+/**
+ * Get the tree of active categories in a language
+ * Siblings are ordered by sortOrder, then by localized name.
+ * @param {string} language - Language code
+ * @returns {Promise<Array<Object>>} - Root categories, each with its children
+ */
+const getCategoryTree = async (language) => {
+  const cacheKey = `categories:tree:${language}`;
+  const cachedTree = await cache.get(cacheKey);
+  if (cachedTree) {
+    return cachedTree;
+  }
+
+  const categories = await Category.find({ isActive: true });
+  const nodes = new Map(
+    categories.map((category) => {
+      const { id, name, slug, description, image, sortOrder, postCount } = localizeCategory(
+        category,
+        language,
+      );
+      return [id, { id, name, slug, description, image, sortOrder, postCount, children: [] }];
+    }),
+  );
+
+  const roots = [];
+  categories.forEach((category) => {
+    const node = nodes.get(category.id);
+    const parent = category.parent && nodes.get(category.parent.toString());
+    // Children of inactive categories are left out with them
+    if (parent) {
+      parent.children.push(node);
+    } else if (!category.parent) {
+      roots.push(node);
+    }
+  });
+
+  const sortNodes = (siblings) => {
+    siblings.sort((a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name, language));
+    siblings.forEach((node) => sortNodes(node.children));
+    return siblings;
+  };
+  const tree = sortNodes(roots);
+
+  await cache.set(cacheKey, tree, TREE_CACHE_TTL);
+  return tree;
+};
+
+/**
+ * Update category by id
+ * Translations given replace those of their language, the others are kept.
+ * @param {ObjectId} categoryId
+ * @param {Object} updateBody
+ * @returns {Promise<Category>}
+ */
+const updateCategoryById = async (categoryId, updateBody) => {
+  const category = await getCategoryById(categoryId);
+  if (!category) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Category not found');
+  }
+
+  const { translations, ...fields } = updateBody;
+  Object.assign(category, fields);
+  Object.entries(translations || {}).forEach(([language, translation]) => {
+    if (translation) {
+      category.translations.set(language, translation);
+    } else {
+      category.translations.delete(language);
+    }
+  });
+
+  await category.validate();
+  await checkSlugs(category);
+  await checkParent(category);
+
+  const subtreeChanged = ['parent', 'name', 'slug'].some((path) => category.isModified(path));
+  await category.save();
+  if (subtreeChanged) {
+    await updateDescendants(category);
+  }
+  await refreshCategories();
+  return category;
+};
+
+/**
+ * Delete category by id
+ * Categories with subcategories or posts, archived ones included, cannot be deleted.
+ * @param {ObjectId} categoryId
+ * @returns {Promise<Category>}
+ */
+const deleteCategoryById = async (categoryId) => {
+  const category = await getCategoryById(categoryId);
+  if (!category) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Category not found');
+  }
+  if (await Category.exists({ parent: category._id })) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Category has subcategories');
+  }
+  if (await BlogPost.exists({ category: category._id })) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Category has posts');
+  }
+
+  await category.deleteOne();
+  await refreshCategories();
+  return category;
+};
+
+module.exports = {
+  localizeCategory,
+  createCategory,
+  queryCategories,
+  getCategoryById,
+  getCategoryBySlug,
+  getCategoryTree,
+  updateCategoryById,
+  deleteCategoryById,
+};
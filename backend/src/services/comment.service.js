@@ -0,0 +1,404 @@
+const httpStatus = require('http-status');
+const { BlogPost, Comment, User } = require('../models');
+const { cache, client } = require('../config/redis');
+const { roleRights } = require('../config/roles');
+const logger = require('../config/logger');
+const aiService = require('./ai.service');
+const emailService = require('./email.service');
+const settingsService = require('./settings.service');
+const { getServedLanguages, getPostUrl, localizePost } = require('./blog.service');
+const { scoreComment } = require('../utils/commentScore');
+const ApiError = require('../utils/ApiError');
+
+/**
+ * Reader comments
+ *
+ * Comments are threaded per post and language. Every new or edited comment is
+ * scored for spam and toxicity, by the AI provider or the local heuristic when
+ * it gives no score: likely spam is set aside, doubtful comments wait in the
+ * moderation queue, the others are published at once. Posts keep the count of
+ * their approved comments.
+ */
+
+// Scores from which a comment is marked as spam, or held for moderation
+const SPAM_THRESHOLD = 0.8;
+const HOLD_THRESHOLD = 0.4;
+const RATE_WINDOW_SECONDS = 60 * 60;
+
+/**
+ * Whether a user can moderate comments
+ * @private
+ */
+const isModerator = (user) => !!roleRights.get(user.role)?.includes('moderateComments');
+
+/**
+ * Score a comment, with the local heuristic when the AI provider gives no score
+ * @private
+ */
+const scoreContent = async (content, language) => {
+  try {
+    const scores = await aiService.moderateComment(content, language);
+    if (scores) {
+      return { ...scores, source: 'ai' };
+    }
+  } catch (error) {
+    logger.warn(`AI comment moderation failed, using the local heuristic: ${error.message}`);
+  }
+  return { ...scoreComment(content), source: 'heuristic' };
+};
+
+/**
+ * Status of a scored comment
+ * @private
+ */
+const statusFor = (moderation, moderateAll) => {
+  if (moderation.spam >= SPAM_THRESHOLD) {
+    return 'spam';
+  }
+  if (moderateAll || Math.max(moderation.spam, moderation.toxicity) >= HOLD_THRESHOLD) {
+    return 'pending';
+  }
+  return 'approved';
+};
+
+/**
+ * Count a comment against the hourly limit of its author, moderators have none
+ * @private
+ */
+const checkRateLimit = async (user) => {
+  if (isModerator(user)) {
+    return;
+  }
+  const limit = await settingsService.getSetting('content.commentsPerHour');
+  const window = Math.floor(Date.now() / (RATE_WINDOW_SECONDS * 1000));
+  const key = `comments:rate:${user.id}:${window}`;
+
+  const count = await cache.increment(key);
+  // Redis being down does not close comments
+  if (count === null) {
+    return;
+  }
+  if (count === 1) {
+    await client.expire(key, RATE_WINDOW_SECONDS);
+  }
+  if (count > limit) {
+    throw new ApiError(httpStatus.TOO_MANY_REQUESTS, 'Too many comments, try again later');
+  }
+};
+
+/**
+ * Get a post readers can comment on in a language
+ * @private
+ */
+const getCommentablePost = async (postId, language) => {
+  const post = await BlogPost.findById(postId);
+  if (!post || post.status !== 'published' || post.publishAt > new Date()) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Post not found');
+  }
+  if (!getServedLanguages(post).includes(language)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Post is not published in ${language}`);
+  }
+  return post;
+};
+
+/**
+ * Email the author of a comment about an approved reply, replies to oneself excepted
+ * @private
+ */
+const notifyReply = async (reply) => {
+  const parent = reply.parent && (await Comment.findById(reply.parent));
+  if (!parent || parent.deletedAt || parent.author.equals(reply.author)) {
+    return;
+  }
+  const [recipient, replier, post] = await Promise.all([
+    User.findById(parent.author),
+    User.findById(reply.author),
+    BlogPost.findById(reply.post),
+  ]);
+  if (!recipient || !post) {
+    return;
+  }
+
+  const { title, slug } = localizePost(post, reply.language);
+  const url = `${getPostUrl(reply.language, slug)}#comment-${reply.id}`;
+  await emailService.sendEmail(
+    recipient.email,
+    `New reply to your comment on ${title}`,
+    `Dear ${recipient.name},\n${replier ? replier.name : 'A reader'} replied to your comment on "${title}":\n\n${reply.content}\n\n${url}`,
+  );
+};
+
+/**
+ * Send the reply notification without holding up the request
+ * @private
+ */
+const notifyInBackground = (reply) => {
+  notifyReply(reply).catch((error) =>
+    logger.warn(`Notifying reply ${reply.id} failed: ${error.message}`),
+  );
+};
+
+/**
+ * Comment as served to readers: the author's name only, and no content once deleted
+ * @private
+ */
+const serializeComment = (comment, authors) => {
+  const commentObject = comment.toJSON();
+  if (comment.deletedAt) {
+    return { ...commentObject, content: null, author: null, replies: [] };
+  }
+  const author = authors.get(comment.author.toString());
+  return {
+    ...commentObject,
+    author: author ? { id: author.id, name: author.name } : null,
+    replies: [],
+  };
+};
+
+/**
+ * Create a comment, or a reply to an approved comment
+ * @param {Object} commentBody
+ * @param {ObjectId} commentBody.post - Post id
+ * @param {string} commentBody.language - Language the post is read in
+ * @param {ObjectId} [commentBody.parent] - Comment replied to
+ * @param {string} commentBody.content - Comment text
+ * @param {Object} user - Author
+ * @returns {Promise<Comment>} - The comment, with its status
+ */
+const createComment = async ({ post: postId, language, parent: parentId, content }, user) => {
+  if (!(await settingsService.getSetting('content.allowComments'))) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Comments are closed');
+  }
+  const post = await getCommentablePost(postId, language);
+
+  const comment = new Comment({ post: post._id, language, author: user.id, content });
+  if (parentId) {
+    const parent = await Comment.findById(parentId);
+    if (
+      !parent ||
+      !parent.post.equals(post._id) ||
+      parent.language !== language ||
+      parent.status !== 'approved' ||
+      parent.deletedAt
+    ) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'Comment replied to not found');
+    }
+    const maxDepth = await settingsService.getSetting('content.commentMaxDepth');
+    if (parent.depth + 1 > maxDepth) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'Replies cannot be nested any deeper');
+    }
+    Object.assign(comment, { parent: parent._id, root: parent.root, depth: parent.depth + 1 });
+  }
+  await comment.validate();
+  await checkRateLimit(user);
+
+  comment.moderation = await scoreContent(content, language);
+  comment.status = statusFor(
+    comment.moderation,
+    await settingsService.getSetting('content.moderateAllComments'),
+  );
+  await comment.save();
+
+  if (comment.status === 'approved') {
+    await Comment.updateCommentCounts([post._id]);
+    notifyInBackground(comment);
+  }
+  return comment;
+};
+
+/**
+ * Get the comment threads of a post in a language
+ * Top-level comments are paginated, newest first, each with all its replies, oldest
+ * first. Readers see approved comments and their own pending ones; replies under a
+ * comment they cannot see are left out with it. Posts that are not served in the
+ * language, unpublished or embargoed ones included, have none.
+ * @param {ObjectId} postId - Post id
+ * @param {string} language - Language code
+ * @param {Object} options - Query options
+ * @param {Object} [user] - Authenticated reader
+ * @returns {Promise<QueryResult>}
+ */
+const getPostComments = async (postId, language, options, user) => {
+  await getCommentablePost(postId, language);
+  const visible = user
+    ? { $or: [{ status: 'approved' }, { status: 'pending', author: user.id }] }
+    : { status: 'approved' };
+
+  const result = await Comment.paginate(
+    { post: postId, language, depth: 0, ...visible },
+    { sortBy: 'createdAt:desc', ...options },
+  );
+  const replies = await Comment.find({
+    root: { $in: result.results.map((comment) => comment._id) },
+    depth: { $gt: 0 },
+    ...visible,
+  }).sort('createdAt');
+
+  const comments = [...result.results, ...replies];
+  const authorIds = [...new Set(comments.map((comment) => comment.author.toString()))];
+  const authors = new Map(
+    (await User.find({ _id: { $in: authorIds } }).select('name')).map((author) => [
+      author.id,
+      author,
+    ]),
+  );
+
+  const nodes = new Map(
+    comments.map((comment) => [comment.id, serializeComment(comment, authors)]),
+  );
+  replies.forEach((reply) => {
+    const parent = nodes.get(reply.parent.toString());
+    if (parent) {
+      parent.replies.push(nodes.get(reply.id));
+    }
+  });
+
+  return { ...result, results: result.results.map((comment) => nodes.get(comment.id)) };
+};
+
+/**
+ * Edit a comment within the edit window, it is scored again
+ * Edits count against the hourly limit like new comments, and close with comments.
+ * @param {ObjectId} commentId
+ * @param {Object} updateBody
+ * @param {string} updateBody.content - New text
+ * @param {Object} user - Author
+ * @returns {Promise<Comment>}
+ */
+const updateComment = async (commentId, { content }, user) => {
+  const comment = await Comment.findById(commentId);
+  if (!comment || comment.deletedAt) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Comment not found');
+  }
+  if (comment.author.toString() !== user.id) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Not authorized to edit this comment');
+  }
+  if (!['approved', 'pending'].includes(comment.status)) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Comment was rejected');
+  }
+  const editWindow = await settingsService.getSetting('content.commentEditWindowMinutes');
+  if (Date.now() - comment.createdAt.getTime() > editWindow * 60 * 1000) {
+    throw new ApiError(
+      httpStatus.FORBIDDEN,
+      `Comments can only be edited within ${editWindow} minutes`,
+    );
+  }
+
+  if (!(await settingsService.getSetting('content.allowComments'))) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Comments are closed');
+  }
+  await checkRateLimit(user);
+
+  const previousStatus = comment.status;
+  comment.content = content;
+  comment.editedAt = new Date();
+  comment.moderation = await scoreContent(content, comment.language);
+  // A comment approved by a moderator stays approved unless it turns into spam
+  const status = statusFor(
+    comment.moderation,
+    await settingsService.getSetting('content.moderateAllComments'),
+  );
+  comment.status = comment.moderatedBy && status === 'pending' ? previousStatus : status;
+  await comment.save();
+
+  if (comment.status !== previousStatus) {
+    await Comment.updateCommentCounts([comment.post]);
+  }
+  return comment;
+};
+
+/**
+ * Delete a comment, by its author or a moderator
+ * The comment keeps its place in its thread, without its content.
+ * @param {ObjectId} commentId
+ * @param {Object} user
+ * @returns {Promise<Comment>}
+ */
+const deleteComment = async (commentId, user) => {
+  const comment = await Comment.findById(commentId);
+  if (!comment || comment.deletedAt) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Comment not found');
+  }
+  if (comment.author.toString() !== user.id && !isModerator(user)) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Not authorized to delete this comment');
+  }
+
+  comment.deletedAt = new Date();
+  comment.content = undefined;
+  await comment.save();
+  await Comment.updateCommentCounts([comment.post]);
+  return comment;
+};
+
+/**
+ * Get the comments waiting for moderation, or set aside, oldest first
+ * Scores are included for moderators.
+ * @param {Object} filter - Mongo filter, on pending comments when no status is given
+ * @param {Object} options - Query options
+ * @returns {Promise<QueryResult>}
+ */
+const getModerationQueue = async (filter, options) => {
+  const result = await Comment.paginate(
+    { status: 'pending', deletedAt: null, ...filter },
+    { sortBy: 'createdAt:asc', ...options },
+  );
+  return {
+    ...result,
+    results: result.results.map((comment) => ({
+      ...comment.toJSON(),
+      moderation: comment.moderation,
+    })),
+  };
+};
+
+/**
+ * Approve, reject or mark a comment as spam
+ * Replies get their notification when first approved.
+ * @param {ObjectId} commentId
+ * @param {string} status - approved, rejected or spam
+ * @param {Object} user - Moderator
+ * @returns {Promise<Comment>}
+ */
+const moderateComment = async (commentId, status, user) => {
+  const comment = await Comment.findById(commentId);
+  if (!comment || comment.deletedAt) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Comment not found');
+  }
+
+  const previousStatus = comment.status;
+  const firstApproval =
+    status === 'approved' && !comment.moderatedBy && previousStatus !== 'approved';
+  Object.assign(comment, { status, moderatedBy: user.id, moderatedAt: new Date() });
+  await comment.save();
+
+  if (status !== previousStatus) {
+    await Comment.updateCommentCounts([comment.post]);
+  }
+  if (firstApproval) {
+    notifyInBackground(comment);
+  }
+  return comment;
+};
+
+/**
+ * Count the approved comments posted since a date
+ * @param {Date} since
+ * @returns {Promise<number>}
+ */
+const countComments = async (since) => {
+  return Comment.countDocuments({
+    status: 'approved',
+    deletedAt: null,
+    createdAt: { $gte: since },
+  });
+};
+
+module.exports = {
+  createComment,
+  getPostComments,
+  updateComment,
+  deleteComment,
+  getModerationQueue,
+  moderateComment,
+  countComments,
+};
@@ -0,0 +1,275 @@
+const httpStatus = require('http-status');
+const { Subscription } = require('../models');
+const { client } = require('../config/redis');
+const { roleRights } = require('../config/roles');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+
+/**
+ * Plan entitlements and usage quotas
+ *
+ * A user's plan is the plan document whose code is their subscription planId,
+ * while the subscription is active, and the FREE plan otherwise. Metered
+ * features are plan features named after the keys of FEATURES: a feature the
+ * plan lacks or disables is not included, one without a limit is unlimited.
+ * Usage is counted in Redis per billing period: the Stripe period of active
+ * subscriptions, the calendar month otherwise. Counters are keyed by the end of
+ * the period, so usage starts from zero when the period rolls over.
+ */
+
+const FEATURES = {
+  aiWords: { label: 'AI words generated', unit: 'words' },
+  translations: { label: 'Translations', unit: 'translations' },
+  seoGenerations: { label: 'SEO generations', unit: 'generations' },
+};
+
+// Subscription statuses giving access to the plan, other subscribers are on the free plan
+const ACTIVE_STATUSES = ['active', 'trialing'];
+const FREE_PLAN_CODE = 'FREE';
+// Counters outlive their period a little, for usage reports
+const USAGE_GRACE_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Whether a user has a paid subscription giving access to their plan
+ * @param {Object} [user]
+ * @returns {boolean}
+ */
+const hasActiveSubscription = (user) => {
+  const { planId, status } = user?.subscription || {};
+  return !!planId && planId !== 'free' && ACTIVE_STATUSES.includes(status);
+};
+
+/**
+ * Whether usage of a user is not limited: site administrators
+ * @private
+ */
+const isUnmetered = (user) => !!roleRights.get(user.role)?.includes('manageSiteSettings');
+
+/**
+ * Get the plan of a user
+ * @param {Object} user
+ * @returns {Promise<Subscription|null>} - Null when no plan applies, not even the free one
+ */
+const getPlan = async (user) => {
+  const plan = hasActiveSubscription(user)
+    ? await Subscription.findByCode(user.subscription.planId.toUpperCase())
+    : null;
+  return plan || Subscription.findByCode(FREE_PLAN_CODE);
+};
+
+/**
+ * Get the plan sold at a Stripe price
+ * @param {string} priceId - Stripe price id
+ * @returns {Promise<Subscription|null>}
+ */
+const getPlanByPrice = async (priceId) => {
+  return Subscription.findOne({ 'prices.stripeId': priceId });
+};
+
+/**
+ * Get the current billing period of a user
+ * @param {Object} user
+ * @param {Date} [now]
+ * @returns {{start: Date, end: Date}}
+ */
+const getBillingPeriod = (user, now = new Date()) => {
+  const { currentPeriodStart, currentPeriodEnd } = user.subscription || {};
+  if (hasActiveSubscription(user) && currentPeriodEnd > now) {
+    return { start: currentPeriodStart || null, end: currentPeriodEnd };
+  }
+  return {
+    start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+    end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)),
+  };
+};
+
+/**
+ * Redis hash of the usage of a user in a billing period, one field per feature
+ * @private
+ */
+const usageKey = (userId, period) => `usage:${userId}:${period.end.getTime()}`;
+
+/**
+ * Limit of a feature in a plan
+ * @private
+ * @returns {{included: boolean, limit: number|null}} - Null limit for unlimited
+ */
+const getFeatureLimit = (plan, feature) => {
+  const planFeature = plan?.features.find((candidate) => candidate.name === feature);
+  if (!planFeature || !planFeature.enabled) {
+    return { included: false, limit: 0 };
+  }
+  return { included: true, limit: planFeature.limit ?? null };
+};
+
+/**
+ * Add to the usage of a feature, negative amounts give usage back
+ * @param {Object} user
+ * @param {string} feature - Key of FEATURES
+ * @param {number} amount
+ * @returns {Promise<number|null>} - Usage of the period, null when it could not be counted
+ */
+const recordUsage = async (user, feature, amount) => {
+  const period = getBillingPeriod(user);
+  const key = usageKey(user.id, period);
+  try {
+    const used = await client.hIncrBy(key, feature, Math.round(amount));
+    await client.expireAt(key, Math.ceil(period.end.getTime() / 1000) + USAGE_GRACE_SECONDS);
+    return used;
+  } catch (error) {
+    // Redis being down does not stop editors, usage is just not counted
+    logger.warn(`Recording ${feature} usage of user ${user.id} failed: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Use part of the quota of a feature, before using the feature
+ * The amount is counted at once so concurrent requests cannot overrun the quota together.
+ * @param {Object} user
+ * @param {string} feature - Key of FEATURES
+ * @param {number} [amount]
+ * @returns {Promise}
+ * @throws {ApiError} 403 when the plan does not include the feature, 429 when the quota of
+ * the period would be exceeded
+ */
+const consumeQuota = async (user, feature, amount = 1) => {
+  const { label, unit } = FEATURES[feature];
+  const { included, limit } = isUnmetered(user)
+    ? { included: true, limit: null }
+    : getFeatureLimit(await getPlan(user), feature);
+  if (!included) {
+    throw new ApiError(httpStatus.FORBIDDEN, `${label} are not included in your plan`);
+  }
+
+  const used = await recordUsage(user, feature, amount);
+  if (limit === null || used === null || used <= limit) {
+    return;
+  }
+  await recordUsage(user, feature, -amount);
+  const resetDate = getBillingPeriod(user).end.toISOString().slice(0, 10);
+  throw new ApiError(
+    httpStatus.TOO_MANY_REQUESTS,
+    `${label} quota reached: ${used - amount} of ${limit} ${unit} used this period, ` +
+      `${amount} more requested. The quota resets on ${resetDate}.`,
+  );
+};
+
+/**
+ * Give back quota used by a task that failed
+ * @private
+ */
+const refundQuotas = (user, amounts) =>
+  Promise.all(
+    Object.entries(amounts).map(([feature, amount]) => recordUsage(user, feature, -amount)),
+  );
+
+/**
+ * Use part of the quotas of several features at once, before using any of them
+ * Either every quota is used or none is, so a request is never rejected half paid for.
+ * @param {Object} user
+ * @param {Object<string, number>} amounts - Amount by key of FEATURES
+ * @returns {Promise}
+ * @throws {ApiError} see consumeQuota
+ */
+const consumeQuotas = async (user, amounts) => {
+  const consumed = {};
+  try {
+    for (const [feature, amount] of Object.entries(amounts)) {
+      await consumeQuota(user, feature, amount);
+      consumed[feature] = amount;
+    }
+  } catch (error) {
+    await refundQuotas(user, consumed);
+    throw error;
+  }
+};
+
+/**
+ * Run a task using quota already used, given back when the task fails
+ * @param {Object} user
+ * @param {Object<string, number>} amounts - Amount by key of FEATURES
+ * @param {Function} task - Async function using the features
+ * @returns {Promise<*>} - Result of the task
+ */
+const refundOnFailure = async (user, amounts, task) => {
+  try {
+    return await task();
+  } catch (error) {
+    await refundQuotas(user, amounts);
+    throw error;
+  }
+};
+
+/**
+ * Run a task using part of the quota of a feature, given back when the task fails
+ * @param {Object} user
+ * @param {string} feature - Key of FEATURES
+ * @param {number} amount
+ * @param {Function} task - Async function using the feature
+ * @returns {Promise<*>} - Result of the task
+ */
+const withQuota = async (user, feature, amount, task) => {
+  await consumeQuota(user, feature, amount);
+  return refundOnFailure(user, { [feature]: amount }, task);
+};
+
+/**
+ * Get the plan, billing period and usage of every metered feature of a user
+ * Usage is null when Redis cannot be read.
+ * @param {Object} user
+ * @returns {Promise<Object>}
+ */
+const getUsage = async (user) => {
+  const plan = await getPlan(user);
+  const period = getBillingPeriod(user);
+  const usage = await client.hGetAll(usageKey(user.id, period)).catch((error) => {
+    logger.warn(`Reading the usage of user ${user.id} failed: ${error.message}`);
+    return null;
+  });
+  const unmetered = isUnmetered(user);
+
+  const features = {};
+  Object.entries(FEATURES).forEach(([feature, { label, unit }]) => {
+    const { included, limit } = unmetered
+      ? { included: true, limit: null }
+      : getFeatureLimit(plan, feature);
+    const used = usage ? parseInt(usage[feature] || '0', 10) : null;
+    features[feature] = {
+      label,
+      unit,
+      included,
+      limit,
+      used,
+      remaining: limit === null || used === null ? null : Math.max(limit - used, 0),
+    };
+  });
+
+  return {
+    plan: plan ? { code: plan.code, name: plan.name } : null,
+    period,
+    features,
+  };
+};
+
+/**
+ * Count the words of generated text
+ * @param {string} text
+ * @returns {number}
+ */
+const countWords = (text = '') => text.split(/\s+/).filter(Boolean).length;
+
+module.exports = {
+  FEATURES,
+  hasActiveSubscription,
+  getPlan,
+  getPlanByPrice,
+  getBillingPeriod,
+  recordUsage,
+  consumeQuota,
+  consumeQuotas,
+  refundOnFailure,
+  withQuota,
+  getUsage,
+  countWords,
+};
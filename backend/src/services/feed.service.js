@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const httpStatus = require('http-status');
+const i18next = require('i18next');
+const { BlogPost, Category } = require('../models');
+const { cache } = require('../config/redis');
+const config = require('../config/config');
+const { getLanguage } = require('../config/languages');
+const {
+  getPublishedFilter,
+  localizePost,
+  getPostUrl,
+  getCategoryUrl,
+  CATEGORY_FIELDS,
+} = require('./blog.service');
+const settingsService = require('./settings.service');
+const tagService = require('./tag.service');
+const ApiError = require('../utils/ApiError');
+const { toTeaser } = require('../utils/teaser');
+
+/**
+ * Syndication feeds
+ *
+ * RSS 2.0, Atom and JSON Feed output of the latest published posts in a
+ * language, optionally narrowed to a category or a tag. Premium posts only
+ * carry their excerpt. The feed items are cached per language, category and tag
+ * until a post changes, and rendered on each request.
+ */
+
+const FEED_SIZE = 20;
+const CACHE_TTL = 60 * 60;
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Find a category by its source or translated slug
+ * @param {string} slug - Category slug
+ * @param {string} language - Language code
+ * @returns {Promise<Category>}
+ * @private
+ */
+const getCategoryBySlug = async (slug, language) => {
+  const category = await Category.findOne({
+    isActive: true,
+    $or: [{ slug }, { [`translations.${language}.slug`]: slug }],
+  });
+  if (!category) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Category not found');
+  }
+  return category;
+};
+
+/**
+ * Convert a localized post to a feed item
+ * Premium posts without an excerpt are summed up by the teaser readers without access get.
+ * @param {Object} post - Localized post
+ * @param {string} language - Language code
+ * @param {number} teaserWords - Words of premium teasers
+ * @param {Map<string, string>} tagLabels - Localized tag labels by slug
+ * @returns {Object}
+ * @private
+ */
+const toFeedItem = (post, language, teaserWords, tagLabels) => ({
+  id: post.id,
+  url: getPostUrl(language, post.slug),
+  title: post.title,
+  summary: post.excerpt || '',
+  // Premium content stays behind the paywall, see paywallService
+  content: post.isPremium ? post.excerpt || toTeaser(post.content, teaserWords) : post.content,
+  isPremium: post.isPremium,
+  author: post.author?.name,
+  category: post.category?.name,
+  tags: (post.tags || []).map((slug) => tagLabels.get(slug)),
+  image: post.featuredImage?.url,
+  publishedAt: post.publishedAt,
+  updatedAt: post.updatedAt,
+});
+
+/**
+ * Build the feed data of a language, category and tag
+ * @param {string} language - Language code
+ * @param {Object} filter
+ * @param {string} [filter.category] - Category slug
+ * @param {string} [filter.tag] - Tag
+ * @returns {Promise<Object>}
+ * @private
+ */
+const buildFeed = async (language, { category, tag }) => {
+  const query = getPublishedFilter(language);
+  const t = (key) => i18next.t(key, { lng: language });
+  let title = t('app.name');
+  let homePageUrl = `${config.frontendUrl}/${language}/blog`;
+
+  if (category) {
+    const doc = await getCategoryBySlug(category, language);
+    const translation = doc.getTranslation(language);
+    query.category = doc._id;
+    title = `${title} - ${translation?.name || doc.name}`;
+    homePageUrl = getCategoryUrl(language, translation?.slug || doc.slug);
+  }
+  if (tag) {
+    query.tags = tag;
+    homePageUrl = `${homePageUrl}?tag=${encodeURIComponent(tag)}`;
+  }
+
+  const posts = await BlogPost.find(query)
+    .populate('author', 'name')
+    .populate('category', CATEGORY_FIELDS)
+    .sort({ publishedAt: -1 })
+    .limit(FEED_SIZE);
+
+  const tagLabels = await tagService.getLabels(
+    [...(tag ? [tag] : []), ...posts.flatMap((post) => post.tags || [])],
+    language,
+  );
+  if (tag) {
+    title = `${title} - #${tagLabels.get(tag)}`;
+  }
+
+  const teaserWords = await settingsService.getSetting('monetization.premiumTeaserWords');
+  const items = posts.map((post) =>
+    toFeedItem(localizePost(post, language), language, teaserWords, tagLabels),
+  );
+  const updatedAt = items.reduce(
+    (latest, item) => Math.max(latest, new Date(item.updatedAt).getTime()),
+    0,
+  );
+
+  return {
+    language,
+    locale: getLanguage(language)?.locale || language,
+    title,
+    description: t('app.tagline'),
+    homePageUrl,
+    updatedAt: new Date(updatedAt || Date.now()).toISOString(),
+    items,
+  };
+};
+
+/**
+ * Render a feed as RSS 2.0
+ * @param {Object} feed
+ * @param {string} feedUrl - URL of the feed itself
+ * @returns {string}
+ * @private
+ */
+const renderRss = (feed, feedUrl) => {
+  const items = feed.items.map((item) =>
+    [
+      '    <item>',
+      `      <title>${escapeXml(item.title)}</title>`,
+      `      <link>${escapeXml(item.url)}</link>`,
+      `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+      `      <pubDate>${new Date(item.publishedAt).toUTCString()}</pubDate>`,
+      ...(item.author ? [`      <dc:creator>${escapeXml(item.author)}</dc:creator>`] : []),
+      ...(item.category ? [`      <category>${escapeXml(item.category)}</category>`] : []),
+      ...item.tags.map((tag) => `      <category>${escapeXml(tag)}</category>`),
+      `      <description>${escapeXml(item.content)}</description>`,
+      '    </item>',
+    ].join('\n'),
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.homePageUrl)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    `    <language>${escapeXml(feed.locale)}</language>`,
+    `    <lastBuildDate>${new Date(feed.updatedAt).toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+  ].join('\n');
+};
+
+/**
+ * Render a feed as Atom
+ * @param {Object} feed
+ * @param {string} feedUrl - URL of the feed itself
+ * @returns {string}
+ * @private
+ */
+const renderAtom = (feed, feedUrl) => {
+  const entries = feed.items.map((item) =>
+    [
+      '  <entry>',
+      `    <id>urn:post:${escapeXml(item.id)}</id>`,
+      `    <title>${escapeXml(item.title)}</title>`,
+      `    <link rel="alternate" href="${escapeXml(item.url)}"/>`,
+      `    <published>${new Date(item.publishedAt).toISOString()}</published>`,
+      `    <updated>${new Date(item.updatedAt).toISOString()}</updated>`,
+      ...(item.author ? [`    <author><name>${escapeXml(item.author)}</name></author>`] : []),
+      ...[item.category, ...item.tags]
+        .filter(Boolean)
+        .map((term) => `    <category term="${escapeXml(term)}"/>`),
+      `    <summary type="text">${escapeXml(item.summary)}</summary>`,
+      ...(item.isPremium ? [] : [`    <content type="text">${escapeXml(item.content)}</content>`]),
+      '  </entry>',
+    ].join('\n'),
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(feed.locale)}">`,
+    `  <id>${escapeXml(feedUrl)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <updated>${feed.updatedAt}</updated>`,
+    `  <link rel="alternate" href="${escapeXml(feed.homePageUrl)}"/>`,
+    `  <link rel="self" href="${escapeXml(feedUrl)}"/>`,
+    ...entries,
+    '</feed>',
+  ].join('\n');
+};
+
+/**
+ * Render a feed as JSON Feed 1.1
+ * @param {Object} feed
+ * @param {string} feedUrl - URL of the feed itself
+ * @returns {string}
+ * @private
+ */
+const renderJsonFeed = (feed, feedUrl) =>
+  JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.homePageUrl,
+    feed_url: feedUrl,
+    language: feed.locale,
+    items: feed.items.map((item) => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      content_text: item.content,
+      ...(item.image && { image: item.image }),
+      date_published: new Date(item.publishedAt).toISOString(),
+      date_modified: new Date(item.updatedAt).toISOString(),
+      ...(item.author && { authors: [{ name: item.author }] }),
+      tags: [item.category, ...item.tags].filter(Boolean),
+      _premium: item.isPremium,
+    })),
+  });
+
+const formats = {
+  rss: { contentType: 'application/rss+xml; charset=utf-8', render: renderRss },
+  atom: { contentType: 'application/atom+xml; charset=utf-8', render: renderAtom },
+  json: { contentType: 'application/feed+json; charset=utf-8', render: renderJsonFeed },
+};
+
+/**
+ * Get a feed of the latest published posts
+ * @param {string} format - rss, atom or json
+ * @param {string} language - Language code
+ * @param {Object} [filter]
+ * @param {string} [filter.category] - Category slug
+ * @param {string} [filter.tag] - Tag
+ * @param {string} feedUrl - URL of the feed itself
+ * @returns {Promise<{body: string, contentType: string, etag: string, lastModified: Date}>}
+ */
+const getFeed = async (format, language, { category, tag } = {}, feedUrl) => {
+  const key = `feed:${language}:${category || 'all'}:${tag || 'all'}`;
+  let feed = await cache.get(key);
+
+  if (!feed) {
+    feed = await buildFeed(language, { category, tag });
+    await cache.set(key, feed, CACHE_TTL);
+  }
+
+  const body = formats[format].render(feed, feedUrl);
+
+  return {
+    body,
+    contentType: formats[format].contentType,
+    etag: `"${crypto.createHash('sha1').update(body).digest('base64')}"`,
+    lastModified: new Date(feed.updatedAt),
+  };
+};
+
+/**
+ * Invalidate every cached feed, called when a post is published, changed or archived
+ * @returns {Promise}
+ */
+const invalidateFeeds = async () => {
+  await cache.clearByPattern('feed:*');
+};
+
+module.exports = {
+  getFeed,
+  invalidateFeeds,
+};
@@ -0,0 +1,153 @@
+const httpStatus = require('http-status');
+const { Glossary } = require('../models');
+const ApiError = require('../utils/ApiError');
+
+/**
+ * Create a glossary entry
+ * @param {Object} termBody
+ * @returns {Promise<Glossary>}
+ */
+const createTerm = async (termBody) => {
+  if (await Glossary.isTermTaken(termBody.term, termBody.sourceLanguage, termBody.targetLanguage)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Term already exists for this language pair');
+  }
+  return Glossary.create(termBody);
+};
+
+/**
+ * Query for glossary entries
+ * @param {Object} filter - Mongo filter
+ * @param {Object} options - Query options
+ * @param {string} [options.sortBy] - Sort option in the format: sortField:(desc|asc)
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const queryTerms = async (filter, options) => {
+  return Glossary.paginate(filter, options);
+};
+
+/**
+ * Get glossary entry by id
+ * @param {ObjectId} id
+ * @returns {Promise<Glossary>}
+ */
+const getTermById = async (id) => {
+  return Glossary.findById(id);
+};
+
+/**
+ * Update glossary entry by id
+ * @param {ObjectId} termId
+ * @param {Object} updateBody
+ * @returns {Promise<Glossary>}
+ */
+const updateTermById = async (termId, updateBody) => {
+  const entry = await getTermById(termId);
+  if (!entry) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Glossary term not found');
+  }
+
+  const term = updateBody.term || entry.term;
+  const sourceLanguage = updateBody.sourceLanguage || entry.sourceLanguage;
+  const targetLanguage =
+    updateBody.targetLanguage !== undefined ? updateBody.targetLanguage : entry.targetLanguage;
+  if (await Glossary.isTermTaken(term, sourceLanguage, targetLanguage, termId)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Term already exists for this language pair');
+  }
+
+  Object.assign(entry, updateBody);
+  await entry.save();
+  return entry;
+};
+
+/**
+ * Delete glossary entry by id
+ * @param {ObjectId} termId
+ * @returns {Promise<Glossary>}
+ */
+const deleteTermById = async (termId) => {
+  const entry = await getTermById(termId);
+  if (!entry) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Glossary term not found');
+  }
+  await entry.deleteOne();
+  return entry;
+};
+
+/**
+ * Build a regex matching a term as a whole word
+ * @param {string} term
+ * @param {boolean} caseSensitive
+ * @returns {RegExp}
+ * @private
+ */
+const termPattern = (term, caseSensitive) => {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(
+    `(^|[^\\p{L}\\p{N}])${escaped}(?=[^\\p{L}\\p{N}]|$)`,
+    caseSensitive ? 'u' : 'iu',
+  );
+};
+
+/**
+ * Keep the glossary entries whose term occurs in a text
+ * @param {Array<Glossary>} terms - Glossary entries
+ * @param {string} text - Source text
+ * @returns {Array<Glossary>}
+ */
+const findTermsInText = (terms, text = '') =>
+  terms.filter((entry) => termPattern(entry.term, entry.caseSensitive).test(text));
+
+/**
+ * Get glossary entries for a language pair that occur in a source text
+ * @param {string} sourceLanguage - Source language code
+ * @param {string} targetLanguage - Target language code
+ * @param {string} [text] - Source text, all entries for the pair are returned when omitted
+ * @returns {Promise<Array<Glossary>>}
+ */
+const getTermsForText = async (sourceLanguage, targetLanguage, text) => {
+  const terms = await Glossary.findForPair(sourceLanguage, targetLanguage);
+  return text === undefined ? terms : findTermsInText(terms, text);
+};
+
+/**
+ * Check a translation against the glossary
+ * Do-not-translate terms must appear unchanged and preferred translations must be used
+ * wherever the source contains the term.
+ * @param {string} sourceText - Source text
+ * @param {string} translatedText - Translated text
+ * @param {Array<Glossary>} terms - Glossary entries for the language pair
+ * @returns {Array<Object>} - Violations, empty when the translation follows the glossary
+ */
+const checkTranslation = (sourceText, translatedText, terms) =>
+  findTermsInText(terms, sourceText).reduce((violations, entry) => {
+    if (entry.doNotTranslate) {
+      if (!termPattern(entry.term, true).test(translatedText)) {
+        violations.push({
+          type: 'doNotTranslate',
+          term: entry.term,
+          message: `"${entry.term}" must not be translated`,
+        });
+      }
+    } else if (!termPattern(entry.translation, entry.caseSensitive).test(translatedText)) {
+      violations.push({
+        type: 'preferredTranslation',
+        term: entry.term,
+        expected: entry.translation,
+        message: `"${entry.term}" should be translated as "${entry.translation}"`,
+      });
+    }
+    return violations;
+  }, []);
+
+module.exports = {
+  createTerm,
+  queryTerms,
+  getTermById,
+  updateTermById,
+  deleteTermById,
+  findTermsInText,
+  getTermsForText,
+  checkTranslation,
+};
@@ -2,3 +2,28 @@ module.exports.authService = require('./auth.service');
 module.exports.emailService = require('./email.service');
 module.exports.tokenService = require('./token.service');
 module.exports.userService = require('./user.service');
+module.exports.aiService = require('./ai.service');
+module.exports.analyticsService = require('./analytics.service');
+module.exports.blogService = require('./blog.service');
+module.exports.translationQueueService = require('./translationQueue.service');
+module.exports.translationMemoryService = require('./translationMemory.service');
+module.exports.glossaryService = require('./glossary.service');
+module.exports.translationReviewService = require('./translationReview.service');
+module.exports.languageService = require('./language.service');
+module.exports.sitemapService = require('./sitemap.service');
+module.exports.feedService = require('./feed.service');
+module.exports.structuredDataService = require('./structuredData.service');
+module.exports.settingsService = require('./settings.service');
+module.exports.seoAuditService = require('./seoAudit.service');
+module.exports.ogImageService = require('./ogImage.service');
+module.exports.searchService = require('./search.service');
+module.exports.relatedPostsService = require('./relatedPosts.service');
+module.exports.revisionService = require('./revision.service');
+module.exports.workflowService = require('./workflow.service');
+module.exports.scheduleQueueService = require('./scheduleQueue.service');
+module.exports.categoryService = require('./category.service');
+module.exports.tagService = require('./tag.service');
+module.exports.commentService = require('./comment.service');
+module.exports.paywallService = require('./paywall.service');
+module.exports.entitlementService = require('./entitlement.service');
+module.exports.migrationService = require('./migration.service');
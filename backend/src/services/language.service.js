@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const httpStatus = require('http-status');
+const { Language } = require('../models');
+const languages = require('../config/languages');
+const { client, cache } = require('../config/redis');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+
+// Every instance keeps the registry in memory, changes are announced here
+const CHANGES_CHANNEL = 'languages:changed';
+// Tells the changes of this instance apart, its registry is already up to date
+const INSTANCE_ID = crypto.randomUUID();
+
+let subscriber = null;
+
+const LANGUAGE_FIELDS = [
+  'code',
+  'name',
+  'nativeName',
+  'locale',
+  'timeZone',
+  'promptContext',
+  'rtl',
+  'enabled',
+  'isDefault',
+];
+
+/**
+ * Convert a language document to a registry entry
+ * @param {Language} language
+ * @returns {Object}
+ * @private
+ */
+const toRegistryEntry = (language) =>
+  LANGUAGE_FIELDS.reduce((entry, field) => {
+    entry[field] = language[field];
+    return entry;
+  }, {});
+
+/**
+ * Load the language registry from the database
+ * The built-in languages are stored on first run so admins can edit them.
+ * @returns {Promise<Array<Object>>} - Registered languages
+ */
+const loadLanguages = async () => {
+  let docs = await Language.find();
+  if (docs.length === 0) {
+    docs = await Language.insertMany(languages.defaultLanguages);
+  }
+
+  languages.setLanguages(docs.map(toRegistryEntry));
+  await cache.clearByPattern('cache:/v1/translations/languages*');
+  // Sitemaps list every enabled language
+  await cache.clearByPattern('sitemap:*');
+
+  return languages.getLanguages();
+};
+
+/**
+ * Reload the registry after another instance changed a language
+ * Caches are shared, the instance that made the change cleared them.
+ * @private
+ */
+const reloadRegistry = async () => {
+  const docs = await Language.find();
+  if (docs.length > 0) {
+    languages.setLanguages(docs.map(toRegistryEntry));
+  }
+};
+
+/**
+ * Announce a language change to the other instances
+ * @private
+ */
+const publishChange = async () => {
+  try {
+    await client.publish(CHANGES_CHANNEL, INSTANCE_ID);
+  } catch (error) {
+    logger.warn(`Announcing the language change failed: ${error.message}`);
+  }
+};
+
+/**
+ * Keep the registry of this instance in sync with changes made on other instances
+ * The registry is also reloaded whenever the subscription (re)connects, since changes
+ * announced while it was down are lost.
+ * @returns {Promise<void>}
+ */
+const subscribeToChanges = async () => {
+  if (subscriber) {
+    return;
+  }
+  const reload = () =>
+    reloadRegistry().catch((error) =>
+      logger.error(`Reloading the language registry failed: ${error.message}`),
+    );
+
+  subscriber = client.duplicate();
+  subscriber.on('error', (error) =>
+    logger.error(`Language subscriber Redis error: ${error.message}`),
+  );
+  subscriber.on('ready', reload);
+  await subscriber.connect();
+  await subscriber.subscribe(CHANGES_CHANNEL, (instanceId) => {
+    if (instanceId !== INSTANCE_ID) {
+      reload();
+    }
+  });
+};
+
+/**
+ * Create a language, disabled unless requested otherwise
+ * @param {Object} languageBody
+ * @returns {Promise<Language>}
+ */
+const createLanguage = async (languageBody) => {
+  if (await Language.findOne({ code: languageBody.code })) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Language already exists');
+  }
+  if (languageBody.isDefault) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Enable the language before making it the default');
+  }
+
+  const language = await Language.create(languageBody);
+  await loadLanguages();
+  await publishChange();
+  return language;
+};
+
+/**
+ * Update a language, e.g. to enable it
+ * @param {string} code - Language code
+ * @param {Object} updateBody
+ * @returns {Promise<Language>}
+ */
+const updateLanguageByCode = async (code, updateBody) => {
+  const language = await Language.findOne({ code });
+  if (!language) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Language not found');
+  }
+
+  const willBeDefault = updateBody.isDefault ?? language.isDefault;
+  const willBeEnabled = updateBody.enabled ?? language.enabled;
+  if (willBeDefault && !willBeEnabled) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'The default language cannot be disabled');
+  }
+  if (language.isDefault && updateBody.isDefault === false) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Make another language the default instead');
+  }
+
+  if (updateBody.isDefault && !language.isDefault) {
+    await Language.updateMany({ isDefault: true }, { isDefault: false });
+  }
+
+  Object.assign(language, updateBody);
+  await language.save();
+  await loadLanguages();
+  await publishChange();
+  return language;
+};
+
+module.exports = {
+  loadLanguages,
+  subscribeToChanges,
+  createLanguage,
+  updateLanguageByCode,
+};
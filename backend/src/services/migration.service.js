@@ -0,0 +1,190 @@
+const { BlogPost, Category, Subscription, SystemSettings, User } = require('../models');
+const { cache } = require('../config/redis');
+const { getLanguages, getDefaultLanguage } = require('../config/languages');
+const logger = require('../config/logger');
+const searchService = require('./search.service');
+const relatedPostsService = require('./relatedPosts.service');
+
+/**
+ * One-off data migrations
+ *
+ * Migrations bring documents stored by earlier versions up to date. They run in
+ * order when the API starts, each once: a completed migration is recorded in
+ * SystemSettings under migrations.<name>, a failed one runs again on the next
+ * start. Instances starting together may run the same migration, so migrations
+ * must be idempotent.
+ */
+
+/**
+ * Index the slugs of posts stored before slugs were unique per language
+ * The source slug index was unique across languages and is dropped. Source slugs were
+ * unique then and are indexed as they are; approved translated slugs another post uses
+ * in their language get a suffix, see BlogPost.resolveSlugConflicts.
+ * @returns {Promise<number>} - Number of posts whose slugs were indexed
+ * @private
+ */
+const indexPostSlugs = async () => {
+  try {
+    await BlogPost.collection.dropIndex('slug_1');
+  } catch (error) {
+    // Never created, or dropped by another instance
+    if (error.codeName !== 'IndexNotFound') {
+      throw error;
+    }
+  }
+  await BlogPost.collection.createIndex({ slug: 1 });
+
+  const unindexed = { 'slugs.0': { $exists: false } };
+  const ids = (await BlogPost.find(unindexed, '_id')).map((post) => post._id);
+  await BlogPost.updateMany(unindexed, [
+    {
+      $set: {
+        slugs: [{ language: { $ifNull: ['$language', getDefaultLanguage()] }, slug: '$slug' }],
+      },
+    },
+  ]);
+
+  // Saving indexes the approved translated slugs
+  for await (const post of BlogPost.find({ _id: { $in: ids } }).cursor()) {
+    const renamed = await post.resolveSlugConflicts();
+    if (renamed.length > 0) {
+      logger.warn(`Post ${post.id} got new slugs in ${renamed.join(', ')}, already used`);
+    }
+    await post.save();
+  }
+
+  if (ids.length) {
+    await cache.clearByPattern('post:*');
+    await cache.clearByPattern('sitemap:*');
+  }
+  return ids.length;
+};
+
+/**
+ * Approve the translations stored on posts before the review workflow
+ * Translations copied from a reviewed Translation carry its id, those without it nor an
+ * approval date were served as they are before reviews existed. Embargoed translations
+ * keep waiting for their publishAt. Posts are saved one by one so their translated slugs
+ * are indexed, those another post uses in the language get a suffix, and reindexed for
+ * search.
+ * @returns {Promise<number>} - Number of posts updated
+ * @private
+ */
+const approveLegacyTranslations = async () => {
+  const isLegacy = (translation) =>
+    !translation.approvedAt && !translation.translationId && !translation.publishAt;
+  const filters = getLanguages().map(({ code }) => ({
+    [`translations.${code}`]: { $exists: true },
+    [`translations.${code}.approvedAt`]: { $exists: false },
+    [`translations.${code}.translationId`]: { $exists: false },
+    [`translations.${code}.publishAt`]: { $exists: false },
+  }));
+  const approvedAt = new Date();
+
+  let count = 0;
+  for await (const post of BlogPost.find({ $or: filters }).cursor()) {
+    post.translations.forEach((translation) => {
+      if (isLegacy(translation)) {
+        translation.approvedAt = approvedAt;
+      }
+    });
+    const renamed = await post.resolveSlugConflicts();
+    if (renamed.length > 0) {
+      logger.warn(`Post ${post.id} got new slugs in ${renamed.join(', ')}, already used`);
+    }
+    await post.save();
+    await searchService.indexPost(post);
+    count += 1;
+  }
+
+  if (count) {
+    await cache.clearByPattern('post:*');
+    await cache.clearByPattern('posts:*');
+    await cache.clearByPattern('cache:/v1/blog*');
+    await cache.clearByPattern('sitemap:*');
+    await cache.clearByPattern('feed:*');
+  }
+  return count;
+};
+
+/**
+ * Store the plan code of subscribers whose planId holds the Stripe price they subscribed to
+ * Users are updated in the collection directly, those with a price no plan sells are
+ * logged and left as they are.
+ * @returns {Promise<number>} - Number of users updated
+ * @private
+ */
+const migrateSubscriptionPlans = async () => {
+  const plans = await Subscription.find({}, 'code prices');
+  const codes = ['free', ...plans.map((plan) => plan.code.toLowerCase())];
+  const codesByPrice = new Map(
+    plans.flatMap((plan) => plan.prices.map((price) => [price.stripeId, plan.code.toLowerCase()])),
+  );
+
+  let count = 0;
+  const users = User.collection.find(
+    { 'subscription.planId': { $exists: true, $nin: codes } },
+    { projection: { 'subscription.planId': 1 } },
+  );
+  for await (const user of users) {
+    const { planId } = user.subscription;
+    const code = codesByPrice.get(planId);
+    if (!code) {
+      logger.warn(`User ${user._id} subscribes to ${planId}, which no plan sells`);
+      continue;
+    }
+    await User.collection.updateOne({ _id: user._id }, { $set: { 'subscription.planId': code } });
+    count += 1;
+  }
+  return count;
+};
+
+/**
+ * Count the posts of every category, counts were only incremented before
+ * @returns {Promise<number>} - Number of categories counted
+ * @private
+ */
+const recountCategoryPosts = async () => {
+  const categories = await Category.find({}, '_id');
+  await Category.updatePostCounts(categories.map((category) => category._id));
+  await cache.clearByPattern('categories:*');
+  return categories.length;
+};
+
+const migrations = [
+  // Before any migration saves posts, which indexes their slugs
+  { name: 'indexPostSlugs', up: indexPostSlugs },
+  { name: 'approveLegacyTranslations', up: approveLegacyTranslations },
+  { name: 'migrateSubscriptionPlans', up: migrateSubscriptionPlans },
+  // Posts published before related posts existed only got vectors on their first request
+  { name: 'backfillEmbeddings', up: relatedPostsService.backfillEmbeddings },
+  { name: 'recountCategoryPosts', up: recountCategoryPosts },
+];
+
+/**
+ * Run the migrations not completed yet, in order
+ * A failed migration stops the run, later ones may depend on it.
+ * @returns {Promise<Array<string>>} - Names of the migrations run
+ */
+const runMigrations = async () => {
+  const run = [];
+  for (const { name, up } of migrations) {
+    const key = `migrations.${name}`;
+    if (await SystemSettings.getByKey(key)) {
+      continue;
+    }
+    const result = await up();
+    await SystemSettings.set(
+      key,
+      { completedAt: new Date(), result },
+      { category: 'migrations', description: `Migration ${name}` },
+    );
+    logger.info(`Migration ${name} completed: ${JSON.stringify(result)}`);
+    run.push(name);
+  }
+  return run;
+};
+
+module.exports = {
+  runMigrations,
+};
@@ -0,0 +1,143 @@
+const httpStatus = require('http-status');
+const { BlogPost } = require('../models');
+const { cache } = require('../config/redis');
+const { getLanguage } = require('../config/languages');
+const { localizePost, getPostAlternates } = require('./blog.service');
+const settingsService = require('./settings.service');
+const { renderSocialCard, SOCIAL_CARD_WIDTH, SOCIAL_CARD_HEIGHT } = require('../utils/socialCard');
+const ApiError = require('../utils/ApiError');
+
+/**
+ * Open Graph images and meta tags of posts
+ *
+ * Each published post gets a social card per language it is served in, rendered
+ * from its localized title, category and author. A post's own ogImage, when set
+ * for the language, is shared instead of the card.
+ */
+
+// Cleared with the rest of the post cache when the post changes
+const CACHE_TTL = 24 * 60 * 60;
+
+const cacheKey = (postId, language) => `post:${postId}:og-image:${language}`;
+
+// Open Graph locales use an underscore, e.g. fr_FR
+const ogLocale = (language) => (getLanguage(language)?.locale || language).replace('-', '_');
+
+const categoryName = (category, language) =>
+  category && (category.getTranslation(language)?.name || category.name);
+
+/**
+ * Load a published post localized in a language
+ * @param {ObjectId} postId - Post id
+ * @param {string} language - Preferred language
+ * @returns {Promise<{doc: BlogPost, post: Object}>}
+ * @private
+ */
+const getPublishedPost = async (postId, language) => {
+  const doc = await BlogPost.findById(postId).populate('author', 'name').populate('category');
+  if (!doc || doc.status !== 'published') {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Post not found');
+  }
+
+  return { doc, post: localizePost(doc, language) };
+};
+
+/**
+ * Get the social card of a published post
+ * Falls back to the source language when the post has no approved translation.
+ * @param {ObjectId} postId - Post id
+ * @param {string} language - Preferred language
+ * @returns {Promise<Buffer>} - PNG image
+ */
+const getPostOgImage = async (postId, language) => {
+  const cached = await cache.get(cacheKey(postId, language));
+  if (cached) {
+    return Buffer.from(cached, 'base64');
+  }
+
+  const { doc, post } = await getPublishedPost(postId, language);
+
+  const png = renderSocialCard({
+    title: post.title,
+    category: categoryName(doc.category, post.language),
+    author: doc.author?.name,
+    siteName: await settingsService.getSetting('general.siteName'),
+    language: post.language,
+    rtl: !!getLanguage(post.language)?.rtl,
+  });
+
+  await cache.set(cacheKey(postId, language), png.toString('base64'), CACHE_TTL);
+  return png;
+};
+
+/**
+ * Get the Open Graph and Twitter meta tags of a published post
+ * @param {ObjectId} postId - Post id
+ * @param {string} language - Preferred language
+ * @param {string} baseUrl - URL the SEO routes are served from, for the card URL
+ * @returns {Promise<{language: string, image: Object, openGraph: Array, twitter: Array}>}
+ */
+const getPostSocialMeta = async (postId, language, baseUrl) => {
+  const { doc, post } = await getPublishedPost(postId, language);
+  const alternates = getPostAlternates(doc);
+  const siteName = await settingsService.getSetting('general.siteName');
+  const description = post.metaDescription || post.excerpt;
+
+  const image = post.ogImage?.url
+    ? { url: post.ogImage.url, alt: post.ogImage.alt || post.title }
+    : {
+        url: `${baseUrl}/${doc.id}/og-image?lang=${post.language}`,
+        type: 'image/png',
+        width: SOCIAL_CARD_WIDTH,
+        height: SOCIAL_CARD_HEIGHT,
+        alt: post.title,
+      };
+
+  const openGraph = [
+    ['og:type', 'article'],
+    ['og:site_name', siteName],
+    ['og:title', post.metaTitle || post.title],
+    ['og:description', description],
+    ['og:url', post.canonicalUrl || alternates[post.language]],
+    ['og:locale', ogLocale(post.language)],
+    ...Object.keys(alternates)
+      .filter((code) => code !== 'x-default' && code !== post.language)
+      .map((code) => ['og:locale:alternate', ogLocale(code)]),
+    ['og:image', image.url],
+    ['og:image:type', image.type],
+    ['og:image:width', image.width],
+    ['og:image:height', image.height],
+    ['og:image:alt', image.alt],
+    ['article:published_time', post.publishedAt && new Date(post.publishedAt).toISOString()],
+    ['article:modified_time', post.updatedAt && new Date(post.updatedAt).toISOString()],
+    ['article:author', doc.author?.name],
+    ['article:section', categoryName(doc.category, post.language)],
+    ...(post.tags || []).map((tag) => ['article:tag', tag]),
+  ];
+
+  const twitter = [
+    ['twitter:card', 'summary_large_image'],
+    ['twitter:title', post.metaTitle || post.title],
+    ['twitter:description', description],
+    ['twitter:image', image.url],
+    ['twitter:image:alt', image.alt],
+  ];
+
+  // Tags without a value are left out
+  const toTags = (key, tags) =>
+    tags
+      .filter(([, content]) => content !== undefined && content !== null && content !== '')
+      .map(([name, content]) => ({ [key]: name, content: String(content) }));
+
+  return {
+    language: post.language,
+    image,
+    openGraph: toTags('property', openGraph),
+    twitter: toTags('name', twitter),
+  };
+};
+
+module.exports = {
+  getPostOgImage,
+  getPostSocialMeta,
+};
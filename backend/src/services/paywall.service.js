@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const { client } = require('../config/redis');
+const config = require('../config/config');
+const { roleRights } = require('../config/roles');
+const logger = require('../config/logger');
+const settingsService = require('./settings.service');
+const { hasActiveSubscription } = require('./entitlement.service');
+const { toTeaser } = require('../utils/teaser');
+
+/**
+ * Premium content paywall
+ *
+ * Premium posts are served in full to readers with an active paid subscription,
+ * and to staff whose role can read premium posts. Other readers get a number of
+ * free premium reads per month, counted per user or, for anonymous readers, per
+ * fingerprint of their IP address and user agent; reading a post again in the
+ * same month is free. Past the allowance, and in listings, premium posts are
+ * served as a teaser with a paywall descriptor.
+ */
+
+// Reads are counted per calendar month, kept a few days past its end
+const READS_TTL_SECONDS = 35 * 24 * 60 * 60;
+
+// Adds the post to the reads of the month unless it is there or the limit is reached, in
+// one step so concurrent reads cannot go over the limit. Returns whether the read is
+// granted and the number of posts read.
+const USE_FREE_READ_SCRIPT = `
+if redis.call('SISMEMBER', KEYS[1], ARGV[1]) == 1 then
+  return {1, redis.call('SCARD', KEYS[1])}
+end
+local count = redis.call('SCARD', KEYS[1])
+if count >= tonumber(ARGV[2]) then
+  return {0, count}
+end
+redis.call('SADD', KEYS[1], ARGV[1])
+if count == 0 then
+  redis.call('EXPIRE', KEYS[1], ARGV[3])
+end
+return {1, count + 1}
+`;
+
+/**
+ * Whether a user can read premium posts in full
+ * @param {Object} [user] - Authenticated user
+ * @returns {boolean}
+ */
+const isEntitled = (user) => {
+  if (!user) {
+    return false;
+  }
+  return (
+    !!roleRights.get(user.role)?.includes('getPremiumBlogPosts') || hasActiveSubscription(user)
+  );
+};
+
+/**
+ * Identify a reader for metered reads: the user, or a fingerprint of anonymous readers
+ * Behind a reverse proxy, request.ip is the client's address only when TRUST_PROXY is set,
+ * otherwise every anonymous reader shares the proxy's free reads.
+ * @param {Object} [user] - Authenticated user
+ * @param {Object} request - Request of the reader
+ * @param {string} request.ip - IP address
+ * @param {string} [request.userAgent] - User agent
+ * @returns {string}
+ */
+const getReaderId = (user, { ip, userAgent = '' }) => {
+  if (user) {
+    return `user:${user.id}`;
+  }
+  const fingerprint = crypto
+    .createHash('sha256')
+    .update(`${ip}|${userAgent}`)
+    .digest('hex')
+    .slice(0, 32);
+  return `anon:${fingerprint}`;
+};
+
+/**
+ * Redis set of the premium posts a reader read in the current month
+ * @private
+ */
+const readsKey = (readerId, now = new Date()) =>
+  `paywall:reads:${readerId}:${now.toISOString().slice(0, 7)}`;
+
+/**
+ * Count a metered read of a premium post, unless the reader already read it this month
+ * Without Redis no free reads are given.
+ * @private
+ * @returns {Promise<{granted: boolean, remaining: number}>}
+ */
+const useFreeRead = async (postId, readerId, limit) => {
+  try {
+    const [granted, count] = await client.eval(USE_FREE_READ_SCRIPT, {
+      keys: [readsKey(readerId)],
+      arguments: [postId.toString(), String(limit), String(READS_TTL_SECONDS)],
+    });
+    return { granted: granted === 1, remaining: Math.max(limit - count, 0) };
+  } catch (error) {
+    logger.warn(`Counting the premium read of ${readerId} failed: ${error.message}`);
+    return { granted: false, remaining: 0 };
+  }
+};
+
+/**
+ * Check whether a reader can read a post in full, using one of their free reads if needed
+ * @param {Object} post - Post, localized or not
+ * @param {Object} [user] - Authenticated user
+ * @param {string} readerId - Reader, see getReaderId
+ * @returns {Promise<{granted: boolean, metered: boolean, freeReads: Object}>} - Access, and
+ * the free reads of the month when they were used
+ */
+const checkAccess = async (post, user, readerId) => {
+  if (!post.isPremium || isEntitled(user)) {
+    return { granted: true, metered: false };
+  }
+  const limit = await settingsService.getSetting('monetization.freePremiumReads');
+  const { granted, remaining } =
+    limit > 0
+      ? await useFreeRead(post.id || post._id, readerId, limit)
+      : { granted: false, remaining: 0 };
+  return { granted, metered: true, freeReads: { limit, remaining } };
+};
+
+/**
+ * Serve a post according to the reader's access
+ * Locked posts get a teaser instead of their content, lose their translations, and
+ * carry a paywall descriptor; metered reads carry the free reads left.
+ * @param {Object} post - Localized post
+ * @param {Object} access - Access, see checkAccess
+ * @param {number} teaserWords - Words of the teaser
+ * @returns {Object}
+ */
+const applyAccess = (post, access, teaserWords) => {
+  if (access.granted) {
+    return access.metered
+      ? { ...post, paywall: { locked: false, freeReads: access.freeReads } }
+      : post;
+  }
+  const postObject = { ...post, content: toTeaser(post.content, teaserWords) };
+  // Translations carry the content in every language
+  delete postObject.translations;
+  return {
+    ...postObject,
+    paywall: {
+      locked: true,
+      ...(access.freeReads && { freeReads: access.freeReads }),
+      subscribeUrl: `${config.frontendUrl}/subscription`,
+    },
+  };
+};
+
+/**
+ * Gate a post read by a reader, using one of their free reads if needed
+ * @param {Object} post - Localized post
+ * @param {Object} [user] - Authenticated user
+ * @param {string} readerId - Reader, see getReaderId
+ * @returns {Promise<Object>}
+ */
+const gatePost = async (post, user, readerId) => {
+  const access = await checkAccess(post, user, readerId);
+  const teaserWords = await settingsService.getSetting('monetization.premiumTeaserWords');
+  return applyAccess(post, access, teaserWords);
+};
+
+/**
+ * Gate the posts of a listing, free reads are only used by reading a post
+ * @param {Array<Object>} posts - Localized posts
+ * @param {Object} [user] - Authenticated user
+ * @returns {Promise<Array<Object>>}
+ */
+const gatePosts = async (posts, user) => {
+  if (isEntitled(user) || !posts.some((post) => post.isPremium)) {
+    return posts;
+  }
+  const teaserWords = await settingsService.getSetting('monetization.premiumTeaserWords');
+  return posts.map((post) =>
+    post.isPremium ? applyAccess(post, { granted: false }, teaserWords) : post,
+  );
+};
+
+/**
+ * Cache variant of responses that depend on the reader's access
+ * @param {Object} [user] - Authenticated user
+ * @returns {string} - premium or free
+ */
+const getAccessTier = (user) => (isEntitled(user) ? 'premium' : 'free');
+
+module.exports = {
+  isEntitled,
+  getReaderId,
+  checkAccess,
+  gatePost,
+  gatePosts,
+  getAccessTier,
+};
@@ -0,0 +1,326 @@
+const crypto = require('crypto');
+const httpStatus = require('http-status');
+const { BlogPost, PostEmbedding } = require('../models');
+const aiService = require('./ai.service');
+const {
+  localizePost,
+  getPostUrl,
+  getPublishedFilter,
+  getServedLanguages,
+} = require('./blog.service');
+const { toPlainText } = require('../utils/plainText');
+const ApiError = require('../utils/ApiError');
+const logger = require('../config/logger');
+
+/**
+ * Related posts
+ *
+ * Every published post has vectors per language it is served in: term
+ * frequencies, and an embedding from the AI provider when it supports them.
+ * Related posts are the nearest neighbours in the same language, by cosine
+ * similarity of embeddings when the post and all its neighbours have one of the
+ * provider's current model, and of TF-IDF vectors otherwise (offline providers,
+ * provider errors, model changes). Missing and outdated vectors are computed
+ * again in the background when they are found.
+ */
+
+const MAX_TERMS = 200;
+// Keeps the text under the input limit of embedding models
+const MAX_TEXT_LENGTH = 8000;
+// Most recent posts compared with a post, so requests load a bounded number of vectors
+const MAX_CANDIDATES = 500;
+// Posts whose vectors are computed again in the background per request
+const MAX_REFRESHES = 10;
+
+// Posts whose vectors this process is computing in the background
+const refreshing = new Set();
+
+const embeddingText = (post) =>
+  [post.title, post.excerpt, toPlainText(post.content)]
+    .filter(Boolean)
+    .join('\n\n')
+    .slice(0, MAX_TEXT_LENGTH);
+
+const hashText = (text) => crypto.createHash('sha1').update(text).digest('hex');
+
+/**
+ * Log-scaled frequencies of the most frequent terms of a text
+ * @private
+ */
+const termFrequencies = (text) => {
+  const counts = (text.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []).reduce(
+    (terms, term) => terms.set(term, (terms.get(term) || 0) + 1),
+    new Map(),
+  );
+
+  return Object.fromEntries(
+    [...counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_TERMS)
+      .map(([term, count]) => [term, 1 + Math.log(count)]),
+  );
+};
+
+const cosine = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * Cosine similarity of sparse TF-IDF vectors
+ * @private
+ */
+const sparseCosine = (a, b, idf) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  Object.entries(a).forEach(([term, tf]) => {
+    const weight = tf * idf(term);
+    normA += weight * weight;
+    if (b[term]) {
+      dot += weight * b[term] * idf(term);
+    }
+  });
+  Object.entries(b).forEach(([term, tf]) => {
+    const weight = tf * idf(term);
+    normB += weight * weight;
+  });
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * Compute and store the vectors of a post in every language it is served in
+ * Languages whose text did not change and that have an embedding of the current model,
+ * when the provider computes them, are skipped. Vectors of posts that are no longer
+ * published are removed.
+ * @param {Object} post - Blog post document
+ * @returns {Promise}
+ */
+const updateEmbeddings = async (post) => {
+  if (!post) {
+    return;
+  }
+  if (post.status !== 'published') {
+    await PostEmbedding.deleteMany({ post: post._id });
+    return;
+  }
+
+  const languages = getServedLanguages(post);
+  const model = aiService.getEmbeddingModel();
+  const existing = await PostEmbedding.find(
+    { post: post._id },
+    { textHash: 1, language: 1, model: 1 },
+  );
+  const stored = new Map(existing.map((doc) => [doc.language, doc]));
+
+  const changed = languages
+    .map((language) => {
+      const text = embeddingText(localizePost(post, language));
+      return { language, text, textHash: hashText(text) };
+    })
+    .filter(({ language, textHash }) => {
+      const doc = stored.get(language);
+      // The model is only stored with a vector, so failed embeddings are tried again
+      return !doc || doc.textHash !== textHash || (doc.model || null) !== model;
+    });
+
+  if (changed.length) {
+    let vectors = null;
+    try {
+      vectors = await aiService.embed(changed.map(({ text }) => text));
+    } catch (error) {
+      // Related posts fall back to TF-IDF until the next change
+      logger.warn(`Embedding post ${post._id} failed: ${error.message}`);
+    }
+
+    await PostEmbedding.bulkWrite(
+      changed.map(({ language, text, textHash }, index) => ({
+        replaceOne: {
+          filter: { post: post._id, language },
+          replacement: {
+            post: post._id,
+            language,
+            textHash,
+            terms: termFrequencies(text),
+            ...(vectors && { model, vector: vectors[index] }),
+          },
+          upsert: true,
+        },
+      })),
+    );
+  }
+
+  await PostEmbedding.deleteMany({ post: post._id, language: { $nin: languages } });
+};
+
+/**
+ * Compute the vectors of posts in the background, without waiting for the provider
+ * @param {Array<ObjectId>} postIds - Post ids
+ * @private
+ */
+const refreshInBackground = (postIds) => {
+  postIds
+    .map((postId) => postId.toString())
+    .filter((postId) => !refreshing.has(postId))
+    .slice(0, MAX_REFRESHES)
+    .forEach((postId) => {
+      refreshing.add(postId);
+      BlogPost.findById(postId)
+        .then((post) => updateEmbeddings(post))
+        .catch((error) =>
+          logger.error(`Updating embeddings of post ${postId} failed: ${error.message}`),
+        )
+        .finally(() => refreshing.delete(postId));
+    });
+};
+
+/**
+ * Compute the vectors of every published post that has none or outdated ones
+ * Run once for the posts published before related posts existed, see migrationService.
+ * @returns {Promise<number>} - Number of posts checked
+ */
+const backfillEmbeddings = async () => {
+  let count = 0;
+  for await (const post of BlogPost.find({ status: 'published' }).cursor()) {
+    await updateEmbeddings(post);
+    count += 1;
+  }
+  return count;
+};
+
+/**
+ * Get the posts most related to a published post, in a language
+ * @param {ObjectId} postId - Post id
+ * @param {string} language - Preferred language, falls back to the source language
+ * @param {Object} options
+ * @param {number} options.limit - Maximum number of related posts
+ * @param {boolean} [options.canReadPremium] - Whether premium posts can be recommended
+ * @returns {Promise<{language: string, method: string, results: Array<Object>}>}
+ */
+const getRelatedPosts = async (postId, language, { limit, canReadPremium = false }) => {
+  const doc = await BlogPost.findById(postId);
+  if (!doc || doc.status !== 'published') {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Post not found');
+  }
+  const servedLanguage = localizePost(doc, language).language;
+  const model = aiService.getEmbeddingModel();
+  const isOutdated = (embedding) => !embedding || (!!model && embedding.model !== model);
+
+  let source = await PostEmbedding.findOne({ post: doc._id, language: servedLanguage }).lean();
+  if (!source) {
+    // Posts without vectors yet are embedded on first request
+    await updateEmbeddings(doc);
+    source = await PostEmbedding.findOne({ post: doc._id, language: servedLanguage }).lean();
+  } else if (isOutdated(source)) {
+    refreshInBackground([doc._id]);
+  }
+  if (!source || !limit) {
+    return { language: servedLanguage, method: null, results: [] };
+  }
+
+  // Candidates are the published posts served in the language the reader may open
+  const candidateIds = (
+    await BlogPost.find(
+      {
+        ...getPublishedFilter(servedLanguage),
+        _id: { $ne: doc._id },
+        ...(!canReadPremium && { isPremium: { $ne: true } }),
+      },
+      { _id: 1 },
+    )
+      .sort({ publishedAt: -1 })
+      .limit(MAX_CANDIDATES)
+  ).map(({ _id }) => _id);
+  const candidateFilter = { post: { $in: candidateIds }, language: servedLanguage };
+
+  // Embeddings are only compared when every candidate has one of the source's model, the
+  // others would be left out. Until theirs are computed, every candidate is compared by
+  // TF-IDF, and candidates without any vector yet are left out.
+  const stored = new Map(
+    (await PostEmbedding.find(candidateFilter, { post: 1, model: 1 }).lean()).map((candidate) => [
+      candidate.post.toString(),
+      candidate,
+    ]),
+  );
+  const outdated = candidateIds.filter((postId) => isOutdated(stored.get(postId.toString())));
+  refreshInBackground(outdated);
+
+  const useEmbeddings =
+    !!model &&
+    source.model === model &&
+    !!source.vector?.length &&
+    stored.size > 0 &&
+    outdated.length === 0;
+  // Only the vectors the method compares are loaded
+  const candidates = await PostEmbedding.find(
+    candidateFilter,
+    useEmbeddings ? { post: 1, vector: 1 } : { post: 1, terms: 1 },
+  ).lean();
+
+  let scored;
+  if (useEmbeddings) {
+    scored = candidates
+      .filter((candidate) => candidate.vector?.length)
+      .map((candidate) => ({
+        post: candidate.post,
+        score: cosine(source.vector, candidate.vector),
+      }));
+  } else {
+    // Document frequencies over the posts of the language
+    const documentFrequency = new Map();
+    [source, ...candidates].forEach(({ terms }) =>
+      Object.keys(terms || {}).forEach((term) =>
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1),
+      ),
+    );
+    const total = candidates.length + 1;
+    const idf = (term) => Math.log((total + 1) / ((documentFrequency.get(term) || 0) + 1)) + 1;
+
+    scored = candidates.map((candidate) => ({
+      post: candidate.post,
+      score: sparseCosine(source.terms || {}, candidate.terms || {}, idf),
+    }));
+  }
+
+  const nearest = scored
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+  const posts = await BlogPost.find({ _id: { $in: nearest.map(({ post }) => post) } }).select(
+    '-content -affiliateLinks',
+  );
+  const postById = new Map(posts.map((post) => [post.id, post]));
+
+  return {
+    language: servedLanguage,
+    method: useEmbeddings ? 'embedding' : 'tfidf',
+    results: nearest
+      .filter(({ post }) => postById.has(post.toString()))
+      .map(({ post, score }) => {
+        const relatedPost = localizePost(postById.get(post.toString()), servedLanguage);
+        return {
+          id: relatedPost.id,
+          title: relatedPost.title,
+          slug: relatedPost.slug,
+          url: getPostUrl(servedLanguage, relatedPost.slug),
+          excerpt: relatedPost.excerpt,
+          featuredImage: relatedPost.featuredImage,
+          isPremium: relatedPost.isPremium,
+          score: Math.round(score * 1000) / 1000,
+        };
+      }),
+  };
+};
+
+module.exports = {
+  updateEmbeddings,
+  backfillEmbeddings,
+  getRelatedPosts,
+};
@@ -0,0 +1,190 @@
+const httpStatus = require('http-status');
+const { PostRevision } = require('../models');
+const ApiError = require('../utils/ApiError');
+const pick = require('../utils/pick');
+const { diffWords } = require('../utils/wordDiff');
+
+/**
+ * Revision history of posts
+ *
+ * Every save that changes the title, excerpt or content of a post, in its
+ * source language or an approved translation, records a revision with its
+ * author and what produced it: a manual edit, AI generation or improvement, a
+ * translation approval or a restore. Saves that leave the text untouched
+ * (status, SEO, affiliate links...) do not.
+ */
+
+// Fields of the source and of each translation kept in revisions
+const TEXT_FIELDS = ['title', 'excerpt', 'content'];
+// Translations also keep the source revision they were made from, see utils/sourceRevision
+const TRANSLATION_FIELDS = [...TEXT_FIELDS, 'sourceRevision'];
+
+// Attempts at numbering a revision when concurrent saves take the same number
+const MAX_NUMBER_ATTEMPTS = 3;
+
+/**
+ * Translations of a post or revision as a plain object
+ * @private
+ */
+const translationsOf = (object) =>
+  object.translations instanceof Map
+    ? Object.fromEntries(object.translations)
+    : object.translations || {};
+
+/**
+ * Text of a post or revision, as a flat map of field paths to text
+ * @private
+ */
+const textFields = (doc) => {
+  const object = doc.toObject ? doc.toObject() : doc;
+  const fields = {};
+  TEXT_FIELDS.forEach((field) => {
+    fields[field] = object[field] || '';
+  });
+  Object.entries(translationsOf(object)).forEach(([language, translation]) => {
+    TEXT_FIELDS.forEach((field) => {
+      fields[`translations.${language}.${field}`] = translation[field] || '';
+    });
+  });
+
+  return fields;
+};
+
+/**
+ * Paths of the fields that differ between two flat text maps
+ * @private
+ */
+const changedPaths = (before, after) =>
+  [...new Set([...Object.keys(before), ...Object.keys(after)])].filter(
+    (path) => (before[path] || '') !== (after[path] || ''),
+  );
+
+/**
+ * Record a revision of a post if its text changed since the last one
+ * @param {Object} post - Blog post document, as saved
+ * @param {Object} [options]
+ * @param {ObjectId} [options.author] - User who made the change
+ * @param {string} [options.source] - manual, ai-generate, ai-improve, translation or restore
+ * @param {number} [options.restoredFrom] - Number of the restored revision
+ * @returns {Promise<PostRevision|null>} - The new revision, or null when the text did not change
+ */
+const recordRevision = async (post, { author, source = 'manual', restoredFrom } = {}) => {
+  const postObject = post.toObject ? post.toObject() : post;
+  const fields = textFields(postObject);
+  const translations = Object.fromEntries(
+    Object.entries(translationsOf(postObject)).map(([language, translation]) => [
+      language,
+      pick(translation, TRANSLATION_FIELDS),
+    ]),
+  );
+
+  for (let attempt = 1; ; attempt += 1) {
+    const last = await PostRevision.findOne({ post: post._id }).sort({ number: -1 });
+    const changedFields = changedPaths(last ? textFields(last) : {}, fields);
+    if (!changedFields.length) {
+      return null;
+    }
+
+    try {
+      return await PostRevision.create({
+        post: post._id,
+        number: last ? last.number + 1 : 1,
+        title: postObject.title,
+        excerpt: postObject.excerpt,
+        content: postObject.content,
+        translations,
+        changedFields,
+        source,
+        author,
+        restoredFrom,
+      });
+    } catch (error) {
+      // Another save of the post took the number, number after it
+      if (error.code !== 11000 || attempt === MAX_NUMBER_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Query the revisions of a post, newest first, without their text
+ * @param {ObjectId} postId - Post id
+ * @param {Object} options - Query options
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const queryRevisions = async (postId, options) => {
+  const revisions = await PostRevision.paginate(
+    { post: postId },
+    { sortBy: 'number:desc', populate: 'author', ...options },
+  );
+
+  return {
+    ...revisions,
+    results: revisions.results.map((revision) => ({
+      id: revision.id,
+      number: revision.number,
+      source: revision.source,
+      author: revision.author && { id: revision.author.id, name: revision.author.name },
+      changedFields: revision.changedFields,
+      restoredFrom: revision.restoredFrom,
+      createdAt: revision.createdAt,
+    })),
+  };
+};
+
+/**
+ * Get a revision of a post by number
+ * @param {ObjectId} postId - Post id
+ * @param {number} number - Revision number
+ * @returns {Promise<PostRevision>}
+ */
+const getRevision = async (postId, number) => {
+  const revision = await PostRevision.findOne({ post: postId, number });
+  if (!revision) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Revision not found');
+  }
+  return revision;
+};
+
+/**
+ * Word-level diff of the text of two revisions of a post
+ * @param {ObjectId} postId - Post id
+ * @param {number} from - Number of the earlier revision
+ * @param {number} to - Number of the later revision
+ * @returns {Promise<Object>} - Both revisions, and a diff per changed field with the number of
+ * words added and removed
+ */
+const diffRevisions = async (postId, from, to) => {
+  const [fromRevision, toRevision] = await Promise.all([
+    getRevision(postId, from),
+    getRevision(postId, to),
+  ]);
+  const before = textFields(fromRevision);
+  const after = textFields(toRevision);
+
+  const summary = (revision) => ({
+    number: revision.number,
+    source: revision.source,
+    author: revision.author,
+    createdAt: revision.createdAt,
+  });
+
+  return {
+    from: summary(fromRevision),
+    to: summary(toRevision),
+    fields: changedPaths(before, after).map((path) => ({
+      field: path,
+      ...diffWords(before[path], after[path]),
+    })),
+  };
+};
+
+module.exports = {
+  recordRevision,
+  queryRevisions,
+  getRevision,
+  diffRevisions,
+};
@@ -0,0 +1,65 @@
+const { client } = require('../config/redis');
+
+/**
+ * Publication schedule stored in Redis
+ *
+ * Jobs are members of a sorted set scored by the time they are due, so they
+ * survive restarts and are shared by every instance. A job is identified by
+ * its action, post and language: scheduling it again moves it to the new time.
+ * Jobs are claimed by removing them from the set, so each runs once.
+ */
+
+const SCHEDULE_KEY = 'schedule:jobs';
+
+/**
+ * Sorted set member of a job
+ * @private
+ */
+const jobMember = ({ action, postId, language }) =>
+  JSON.stringify({ action, postId: postId.toString(), language: language || null });
+
+/**
+ * Schedule a job, or move it to another time
+ * @param {Object} job
+ * @param {string} job.action - publish or unpublish
+ * @param {ObjectId} job.postId - Post id
+ * @param {string} [job.language] - Translation language, the post itself when omitted
+ * @param {Date} at - When the job is due
+ * @returns {Promise}
+ */
+const scheduleJob = async (job, at) => {
+  await client.zAdd(SCHEDULE_KEY, { score: at.getTime(), value: jobMember(job) });
+};
+
+/**
+ * Cancel a scheduled job
+ * @param {Object} job - Job, as scheduled
+ * @returns {Promise}
+ */
+const cancelJob = async (job) => {
+  await client.zRem(SCHEDULE_KEY, jobMember(job));
+};
+
+/**
+ * Claim the jobs that are due
+ * Only the instance that removes a job gets it.
+ * @param {Date} [now]
+ * @returns {Promise<Array<{action: string, postId: string, language: string|null}>>}
+ */
+const claimDueJobs = async (now = new Date()) => {
+  const members = await client.zRangeByScore(SCHEDULE_KEY, 0, now.getTime());
+
+  const claimed = [];
+  for (const member of members) {
+    if (await client.zRem(SCHEDULE_KEY, member)) {
+      claimed.push(JSON.parse(member));
+    }
+  }
+  return claimed;
+};
+
+module.exports = {
+  scheduleJob,
+  cancelJob,
+  claimDueJobs,
+};
@@ -0,0 +1,223 @@
+const mongoose = require('mongoose');
+const { BlogPost, Category, SearchDocument } = require('../models');
+const { getEnabledCodes } = require('../config/languages');
+const { localizePost, getPostUrl, getServedLanguages } = require('./blog.service');
+const { queryTerms, highlight, snippet } = require('../utils/searchHighlight');
+const { toPlainText } = require('../utils/plainText');
+
+/**
+ * Full-text search of published posts
+ *
+ * Posts are indexed once per language they are served in (see SearchDocument)
+ * with a MongoDB text index, so each language is stemmed with its own rules.
+ * Results are ranked by text score, with highlighted snippets. Premium posts
+ * are searchable, but readers without premium access only get snippets of
+ * their excerpt.
+ */
+
+// Languages MongoDB text indexes can stem
+const STEMMED_LANGUAGES = [
+  'da',
+  'de',
+  'en',
+  'es',
+  'fi',
+  'fr',
+  'hu',
+  'it',
+  'nb',
+  'nl',
+  'pt',
+  'ro',
+  'ru',
+  'sv',
+  'tr',
+];
+
+const FACET_SIZE = 20;
+
+const textLanguage = (language) => (STEMMED_LANGUAGES.includes(language) ? language : 'none');
+
+/**
+ * Index a post in every language it is served in, or remove it when it is not published
+ * @param {Object} post - Blog post document
+ * @returns {Promise}
+ */
+const indexPost = async (post) => {
+  if (!post) {
+    return;
+  }
+  if (post.status !== 'published') {
+    await SearchDocument.deleteMany({ post: post._id });
+    return;
+  }
+
+  const postObject = post.toObject ? post.toObject() : post;
+  const languages = getServedLanguages(post);
+
+  await SearchDocument.bulkWrite(
+    languages.map((language) => {
+      const localizedPost = localizePost(post, language);
+      return {
+        replaceOne: {
+          filter: { post: post._id, language },
+          replacement: {
+            post: post._id,
+            language,
+            textLanguage: textLanguage(language),
+            title: localizedPost.title,
+            slug: localizedPost.slug,
+            excerpt: localizedPost.excerpt,
+            content: toPlainText(localizedPost.content),
+            category: postObject.category?._id || postObject.category,
+            tags: postObject.tags || [],
+            isPremium: !!postObject.isPremium,
+            publishedAt: postObject.publishedAt,
+          },
+          upsert: true,
+        },
+      };
+    }),
+  );
+  // Translations no longer served
+  await SearchDocument.deleteMany({ post: post._id, language: { $nin: languages } });
+};
+
+/**
+ * Rebuild the whole index from the published posts
+ * @returns {Promise<number>} - Number of posts indexed
+ */
+const rebuildIndex = async () => {
+  await SearchDocument.deleteMany({});
+
+  let count = 0;
+  for await (const post of BlogPost.find({ status: 'published' }).cursor()) {
+    await indexPost(post);
+    count += 1;
+  }
+  return count;
+};
+
+/**
+ * Search published posts
+ * Facet counts ignore their own filter, so other values stay selectable.
+ * @param {Object} query
+ * @param {string} query.q - Search query, MongoDB $text syntax ("phrases", -excluded)
+ * @param {string} [query.language] - Only return posts in this language
+ * @param {ObjectId} [query.category] - Only return posts in this category
+ * @param {string} [query.tag] - Only return posts with this tag
+ * @param {Object} options
+ * @param {string} options.searchLanguage - Language the query is stemmed in
+ * @param {boolean} [options.canReadPremium] - Whether snippets may quote premium content
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<Object>}
+ */
+const searchPosts = async (
+  { q, language, category, tag },
+  { searchLanguage, canReadPremium = false, limit = 10, page = 1 },
+) => {
+  const filters = {
+    language: language && { language },
+    category: category && { category: new mongoose.Types.ObjectId(category) },
+    tag: tag && { tags: tag },
+  };
+  const matchExcept = (facet) => ({
+    $match: Object.entries(filters).reduce(
+      (match, [name, filter]) => (name !== facet && filter ? { ...match, ...filter } : match),
+      {},
+    ),
+  });
+
+  const [{ results, total, categories, tags, languages }] = await SearchDocument.aggregate([
+    {
+      $match: {
+        $text: { $search: q, $language: textLanguage(searchLanguage) },
+        language: { $in: getEnabledCodes() },
+      },
+    },
+    { $addFields: { score: { $meta: 'textScore' } } },
+    {
+      $facet: {
+        results: [
+          matchExcept(),
+          { $sort: { score: -1, publishedAt: -1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+        ],
+        total: [matchExcept(), { $count: 'count' }],
+        categories: [
+          matchExcept('category'),
+          { $match: { category: { $ne: null } } },
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: FACET_SIZE },
+        ],
+        tags: [
+          matchExcept('tag'),
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: FACET_SIZE },
+        ],
+        languages: [
+          matchExcept('language'),
+          { $group: { _id: '$language', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+        ],
+      },
+    },
+  ]);
+
+  const categoryIds = [...categories.map(({ _id }) => _id), ...results.map((doc) => doc.category)];
+  const categoryDocs = await Category.find({ _id: { $in: categoryIds.filter(Boolean) } });
+  const categoryById = new Map(categoryDocs.map((doc) => [doc.id, doc]));
+  const localizeCategory = (id, categoryLanguage) => {
+    const doc = id && categoryById.get(id.toString());
+    if (!doc) {
+      return null;
+    }
+    const translation = doc.getTranslation(categoryLanguage);
+    return { id: doc.id, name: translation?.name || doc.name, slug: translation?.slug || doc.slug };
+  };
+
+  const terms = queryTerms(q);
+  const totalResults = total.length ? total[0].count : 0;
+
+  return {
+    results: results.map((doc) => {
+      // Premium content is only quoted to readers who can read it
+      const locked = doc.isPremium && !canReadPremium;
+      return {
+        id: doc.post.toString(),
+        language: doc.language,
+        title: highlight(doc.title, terms),
+        slug: doc.slug,
+        url: getPostUrl(doc.language, doc.slug),
+        snippet: snippet(locked ? doc.excerpt : doc.content || doc.excerpt, terms),
+        category: localizeCategory(doc.category, doc.language),
+        tags: doc.tags,
+        isPremium: doc.isPremium,
+        publishedAt: doc.publishedAt,
+        score: doc.score,
+      };
+    }),
+    facets: {
+      categories: categories
+        .map(({ _id, count }) => ({ ...localizeCategory(_id, searchLanguage), count }))
+        .filter((facet) => facet.id),
+      tags: tags.map(({ _id, count }) => ({ tag: _id, count })),
+      languages: languages.map(({ _id, count }) => ({ language: _id, count })),
+    },
+    page,
+    limit,
+    totalPages: Math.ceil(totalResults / limit),
+    totalResults,
+  };
+};
+
+module.exports = {
+  indexPost,
+  rebuildIndex,
+  searchPosts,
+};
@@ -0,0 +1,182 @@
+const httpStatus = require('http-status');
+const { BlogPost } = require('../models');
+const { cache } = require('../config/redis');
+const config = require('../config/config');
+const { getDefaultLanguage } = require('../config/languages');
+const { getPublishedFilter, localizePost } = require('./blog.service');
+const { auditPost } = require('../utils/seoAudit');
+const ApiError = require('../utils/ApiError');
+
+const REPORT_CACHE_TTL = 60 * 60;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Filter matching posts whose title, as served in a language, is the given one
+ * @param {string} title - Title
+ * @param {string} language - Language code
+ * @returns {Object} - Mongo filter
+ * @private
+ */
+const servedTitleFilter = (title, language) => {
+  const sameTitle = new RegExp(`^${escapeRegExp(title.trim())}$`, 'i');
+  const sourceLanguage = language === getDefaultLanguage() ? { $in: [language, null] } : language;
+
+  return {
+    $or: [
+      { language: sourceLanguage, title: sameTitle },
+      {
+        language: { $ne: language },
+        [`translations.${language}.approvedAt`]: { $exists: true },
+        [`translations.${language}.title`]: sameTitle,
+      },
+    ],
+  };
+};
+
+/**
+ * Fields of a post the audit reads in a language, the source and its translation only
+ * @private
+ */
+const auditedFields = (language) => ({
+  language: 1,
+  title: 1,
+  slug: 1,
+  excerpt: 1,
+  content: 1,
+  metaTitle: 1,
+  metaDescription: 1,
+  keywords: 1,
+  featuredImage: 1,
+  [`translations.${language}`]: 1,
+});
+
+/**
+ * Fields of a post its title in a language is served from
+ * @private
+ */
+const titleFields = (language) => ({
+  language: 1,
+  title: 1,
+  [`translations.${language}.title`]: 1,
+  [`translations.${language}.approvedAt`]: 1,
+});
+
+/**
+ * Meta title and description served in a language
+ * @private
+ */
+const servedMeta = (post) => ({ metaTitle: post.metaTitle, metaDescription: post.metaDescription });
+
+/**
+ * Audit the SEO of a post in a language
+ * @param {ObjectId} postId - Post id
+ * @param {string} [language] - Language code, defaults to the source language of the post
+ * @returns {Promise<Object>} - Score and findings
+ */
+const auditPostById = async (postId, language) => {
+  const doc = await BlogPost.findById(postId);
+  if (!doc) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Post not found');
+  }
+
+  const sourceLanguage = doc.language || getDefaultLanguage();
+  const auditLanguage = language || sourceLanguage;
+  const post = localizePost(doc, auditLanguage);
+  if (post.language !== auditLanguage) {
+    throw new ApiError(
+      httpStatus.BAD_REQUEST,
+      `Post has no approved translation in ${auditLanguage}`,
+    );
+  }
+
+  const isSource = auditLanguage === sourceLanguage;
+  const duplicateTitles = await BlogPost.countDocuments({
+    _id: { $ne: doc._id },
+    status: 'published',
+    ...servedTitleFilter(post.title, auditLanguage),
+  });
+
+  return {
+    postId: doc.id,
+    language: auditLanguage,
+    title: post.title,
+    ...auditPost(post, {
+      isSource,
+      meta: servedMeta(post),
+      duplicateTitles,
+      internalHosts: [config.frontendUrl],
+    }),
+  };
+};
+
+/**
+ * Audit every published post in a language and list the worst ones
+ * Posts are read one at a time with the fields the audit needs, only the worst ones are
+ * kept. Reports are cached for an hour.
+ * @param {string} language - Language code
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Number of posts to list (default = 20)
+ * @returns {Promise<Object>}
+ */
+const getAuditReport = async (language, { limit = 20 } = {}) => {
+  const cacheKey = `seo-audit:report:${language}:${limit}`;
+  const cached = await cache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const filter = getPublishedFilter(language);
+  // Titles are compared as served in the language, case-insensitively
+  const titleKey = (post) => post.title.trim().toLowerCase();
+  const titleCounts = new Map();
+  for await (const doc of BlogPost.find(filter, titleFields(language)).lean().cursor()) {
+    const title = titleKey(localizePost(doc, language));
+    titleCounts.set(title, (titleCounts.get(title) || 0) + 1);
+  }
+
+  let totalPosts = 0;
+  let totalScore = 0;
+  let worst = [];
+  for await (const doc of BlogPost.find(filter, auditedFields(language)).lean().cursor()) {
+    const post = localizePost(doc, language);
+    const { score, findings } = auditPost(post, {
+      isSource: (doc.language || getDefaultLanguage()) === language,
+      meta: servedMeta(post),
+      // Posts published meanwhile are not counted yet
+      duplicateTitles: Math.max((titleCounts.get(titleKey(post)) || 1) - 1, 0),
+      internalHosts: [config.frontendUrl],
+    });
+
+    totalPosts += 1;
+    totalScore += score;
+    worst.push({
+      postId: post._id.toString(),
+      title: post.title,
+      slug: post.slug,
+      score,
+      errors: findings.filter((item) => item.severity === 'error').length,
+      warnings: findings.filter((item) => item.severity === 'warning').length,
+      findings,
+    });
+    if (worst.length > limit) {
+      worst = worst.sort((a, b) => a.score - b.score).slice(0, limit);
+    }
+  }
+
+  const report = {
+    language,
+    generatedAt: new Date(),
+    totalPosts,
+    averageScore: totalPosts ? Math.round(totalScore / totalPosts) : null,
+    posts: worst.sort((a, b) => a.score - b.score),
+  };
+
+  await cache.set(cacheKey, report, REPORT_CACHE_TTL);
+  return report;
+};
+
+module.exports = {
+  auditPostById,
+  getAuditReport,
+};
@@ -0,0 +1,215 @@
+const httpStatus = require('http-status');
+const { SystemSettings } = require('../models');
+const { cache } = require('../config/redis');
+const config = require('../config/config');
+const { definitions, getCategory } = require('../config/settings');
+const { getDefaultLanguage, isEnabled } = require('../config/languages');
+const ApiError = require('../utils/ApiError');
+const languageService = require('./language.service');
+
+const CACHE_KEY = 'settings:all';
+
+// Settings kept by another part of the app, which is their only source
+const DERIVED_SETTINGS = {
+  'general.defaultLanguage': {
+    get: getDefaultLanguage,
+    set: async (code) => {
+      if (!isEnabled(code)) {
+        throw new ApiError(httpStatus.BAD_REQUEST, `"${code}" is not an enabled language`);
+      }
+      if (code !== getDefaultLanguage()) {
+        await languageService.updateLanguageByCode(code, { isDefault: true });
+      }
+    },
+  },
+};
+
+const isStored = (key) => !DERIVED_SETTINGS[key];
+
+// Site SEO settings as exposed by /v1/seo/site-settings
+const SITE_SEO_SETTINGS = {
+  siteName: 'general.siteName',
+  siteDescription: 'general.siteDescription',
+  defaultOgImage: 'seo.defaultOgImage',
+  googleAnalyticsId: 'seo.googleAnalyticsId',
+  googleSiteVerification: 'seo.googleSiteVerification',
+  bingSiteVerification: 'seo.bingSiteVerification',
+  robots: 'seo.robots',
+  structuredData: 'seo.structuredData',
+};
+
+/**
+ * Get the value of every stored setting, or its default, by key
+ * @returns {Promise<Object>}
+ * @private
+ */
+const getStoredValues = async () => {
+  const cached = await cache.get(CACHE_KEY);
+  if (cached) {
+    return cached;
+  }
+
+  const keys = Object.keys(definitions).filter(isStored);
+  const docs = await SystemSettings.find({ key: { $in: keys } });
+  const stored = new Map(docs.map((doc) => [doc.key, doc.value]));
+  const values = keys.reduce((result, key) => {
+    result[key] = stored.has(key) ? stored.get(key) : definitions[key].default;
+    return result;
+  }, {});
+
+  await cache.set(CACHE_KEY, values, 3600);
+  return values;
+};
+
+/**
+ * Get the value of every setting by key, derived ones read from their source
+ * @returns {Promise<Object>}
+ * @private
+ */
+const getValues = async () => {
+  const values = { ...(await getStoredValues()) };
+  Object.entries(DERIVED_SETTINGS).forEach(([key, { get }]) => {
+    values[key] = get();
+  });
+  return values;
+};
+
+/**
+ * Get settings grouped by category
+ * @param {Object} [options]
+ * @param {boolean} [options.publicOnly] - Only return the public settings
+ * @returns {Promise<Object>} - e.g. { general: { siteName }, seo: { robots } }
+ */
+const getSettings = async ({ publicOnly = false } = {}) => {
+  const values = await getValues();
+
+  return Object.entries(values).reduce((settings, [key, value]) => {
+    if (!publicOnly || definitions[key].isPublic) {
+      const category = getCategory(key);
+      settings[category] = settings[category] || {};
+      settings[category][key.slice(category.length + 1)] = value;
+    }
+    return settings;
+  }, {});
+};
+
+/**
+ * Get a setting value
+ * @param {string} key - Setting key, e.g. general.siteName
+ * @returns {Promise<*>}
+ */
+const getSetting = async (key) => {
+  const values = await getValues();
+  return values[key];
+};
+
+/**
+ * Validate and store settings grouped by category
+ * Nothing is stored when one of the settings is unknown or invalid. Derived settings are
+ * saved to their source first, e.g. the default language makes that language the default.
+ * @param {Object} settings - e.g. { general: { siteName } }
+ * @param {ObjectId} userId - User making the change
+ * @returns {Promise<Object>} - Every setting, grouped by category
+ */
+const updateSettings = async (settings, userId) => {
+  const updates = Object.entries(settings).flatMap(([category, values]) =>
+    Object.entries(values || {}).map(([name, value]) => {
+      const key = `${category}.${name}`;
+      const definition = definitions[key];
+      if (!definition) {
+        throw new ApiError(httpStatus.BAD_REQUEST, `Unknown setting "${key}"`);
+      }
+
+      const { value: validated, error } = definition.schema.label(key).validate(value);
+      if (error) {
+        throw new ApiError(httpStatus.BAD_REQUEST, error.message);
+      }
+      return { key, category, value: validated, definition };
+    }),
+  );
+
+  for (const { key, value } of updates.filter((update) => !isStored(update.key))) {
+    await DERIVED_SETTINGS[key].set(value);
+  }
+  await Promise.all(
+    updates
+      .filter((update) => isStored(update.key))
+      .map(({ key, category, value, definition }) =>
+        SystemSettings.set(key, value, {
+          description: definition.description,
+          category,
+          isPublic: !!definition.isPublic,
+          userId,
+        }),
+      ),
+  );
+  await cache.del(CACHE_KEY);
+
+  return getSettings();
+};
+
+/**
+ * List the stored settings with who changed them last, most recent first
+ * @returns {Promise<Array<SystemSettings>>}
+ */
+const getSettingsAudit = async () => {
+  return SystemSettings.find({ key: { $in: Object.keys(definitions).filter(isStored) } })
+    .populate('lastModifiedBy', 'name email')
+    .sort({ updatedAt: -1 });
+};
+
+/**
+ * Get the site-wide SEO settings
+ * The WebSite JSON-LD is generated from the site name when none was saved.
+ * @returns {Promise<Object>}
+ */
+const getSiteSEOSettings = async () => {
+  const values = await getValues();
+  const settings = Object.entries(SITE_SEO_SETTINGS).reduce((result, [field, key]) => {
+    result[field] = values[key];
+    return result;
+  }, {});
+
+  if (!settings.structuredData) {
+    settings.structuredData = {
+      '@context': 'https://schema.org',
+      '@type': 'WebSite',
+      name: settings.siteName,
+      url: config.frontendUrl,
+      potentialAction: {
+        '@type': 'SearchAction',
+        target: `${config.frontendUrl}/search?q={search_term_string}`,
+        'query-input': 'required name=search_term_string',
+      },
+    };
+  }
+
+  return settings;
+};
+
+/**
+ * Update the site-wide SEO settings
+ * @param {Object} updateBody - Fields of SITE_SEO_SETTINGS
+ * @param {ObjectId} userId - User making the change
+ * @returns {Promise<Object>} - Site-wide SEO settings
+ */
+const updateSiteSEOSettings = async (updateBody, userId) => {
+  const settings = Object.entries(updateBody).reduce((result, [field, value]) => {
+    const key = SITE_SEO_SETTINGS[field];
+    const category = getCategory(key);
+    result[category] = { ...result[category], [key.slice(category.length + 1)]: value };
+    return result;
+  }, {});
+
+  await updateSettings(settings, userId);
+  return getSiteSEOSettings();
+};
+
+module.exports = {
+  getSettings,
+  getSetting,
+  updateSettings,
+  getSettingsAudit,
+  getSiteSEOSettings,
+  updateSiteSEOSettings,
+};
@@ -0,0 +1,308 @@
+const httpStatus = require('http-status');
+const { BlogPost, Category } = require('../models');
+const { cache } = require('../config/redis');
+const config = require('../config/config');
+const {
+  getLanguages,
+  getEnabledCodes,
+  getDefaultLanguage,
+  isEnabled,
+} = require('../config/languages');
+const {
+  getPostAlternates,
+  getCategoryUrl,
+  getPublishedFilter,
+  localizePost,
+} = require('./blog.service');
+const ApiError = require('../utils/ApiError');
+
+/**
+ * XML sitemaps
+ *
+ * The sitemap index lists one sitemap per language, content type and page. Each
+ * page holds at most `config.sitemap.pageSize` URLs (the protocol limit is
+ * 50,000) ordered by id, with hreflang alternates to the other languages the
+ * page is served in. Pages hold fewer URLs when that many could exceed the
+ * protocol limit of 50 MB, given the number of alternates and the longest URL
+ * allowed. Pages are cached until a change invalidates them: a post
+ * being published, edited or archived only clears the pages of its languages
+ * from its own position onward, so the rest is not regenerated.
+ */
+
+const SITEMAP_TYPES = ['posts', 'categories'];
+const CACHE_TTL = 24 * 60 * 60;
+const INDEX_CACHE_KEY = 'sitemap:index';
+
+// Protocol limits of a sitemap file and of each URL in it, longer URLs are left out
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+const MAX_URL_BYTES = 2048;
+// Markup of the urlset, of a URL with its lastmod, and of an alternate, around the URLs
+const URLSET_BYTES = 1024;
+const URL_MARKUP_BYTES = 100;
+const ALTERNATE_MARKUP_BYTES = 80;
+
+const pageCacheKey = (language, type, page) => `sitemap:${language}:${type}:${page}`;
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const sources = {
+  posts: {
+    model: BlogPost,
+    filter: getPublishedFilter,
+    // The sitemap only needs slugs and dates, leave the contents out
+    projection: () =>
+      getLanguages().reduce(
+        (projection, { code }) => ({ ...projection, [`translations.${code}.content`]: 0 }),
+        { content: 0, affiliateLinks: 0 },
+      ),
+    toEntry: (post, language) => {
+      const alternates = getPostAlternates(post);
+      // Only canonical URLs are listed, a language canonicalized elsewhere is left out
+      const { canonicalUrl } = localizePost(post, language);
+      const loc =
+        canonicalUrl && canonicalUrl !== alternates[language] ? undefined : alternates[language];
+      return { loc, lastmod: post.updatedAt, alternates };
+    },
+  },
+  categories: {
+    model: Category,
+    filter: () => ({ isActive: true }),
+    projection: () => ({}),
+    toEntry: (category, language) => {
+      const translations = category.translations || {};
+      const alternates = getEnabledCodes().reduce((urls, code) => {
+        urls[code] = getCategoryUrl(code, translations[code]?.slug || category.slug);
+        return urls;
+      }, {});
+      alternates['x-default'] = alternates[getDefaultLanguage()];
+      return { loc: alternates[language], lastmod: category.updatedAt, alternates };
+    },
+  },
+};
+
+/**
+ * Number of URLs per page, bounded so a page stays under the protocol size limit
+ * Every URL may have an alternate per enabled language and x-default.
+ * @returns {number}
+ * @private
+ */
+const getPageSize = () => {
+  const alternates = getEnabledCodes().length + 1;
+  const maxUrlBytes =
+    URL_MARKUP_BYTES + MAX_URL_BYTES + alternates * (ALTERNATE_MARKUP_BYTES + MAX_URL_BYTES);
+
+  return Math.min(
+    config.sitemap.pageSize,
+    Math.floor((MAX_SITEMAP_BYTES - URLSET_BYTES) / maxUrlBytes),
+  );
+};
+
+const fitsProtocol = (url) => Buffer.byteLength(escapeXml(url)) <= MAX_URL_BYTES;
+
+/**
+ * Render a urlset
+ * Alternates are only listed when the page exists in more than one language. URLs longer
+ * than the protocol allows are left out.
+ * @param {Array<{loc: string, lastmod: Date, alternates: Object}>} entries
+ * @returns {string}
+ * @private
+ */
+const renderUrlset = (entries) => {
+  const urls = entries
+    .filter(({ loc }) => fitsProtocol(loc))
+    .map(({ loc, lastmod, alternates }) => {
+      const lines = [`    <loc>${escapeXml(loc)}</loc>`];
+      if (lastmod) {
+        lines.push(`    <lastmod>${new Date(lastmod).toISOString()}</lastmod>`);
+      }
+      if (Object.keys(alternates).length > 2) {
+        Object.entries(alternates)
+          .filter(([, href]) => fitsProtocol(href))
+          .forEach(([hreflang, href]) => {
+            lines.push(
+              `    <xhtml:link rel="alternate" hreflang="${hreflang}" href="${escapeXml(href)}"/>`,
+            );
+          });
+      }
+      return `  <url>\n${lines.join('\n')}\n  </url>`;
+    });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...urls,
+    '</urlset>',
+  ].join('\n');
+};
+
+/**
+ * Render a sitemap index
+ * @param {Array<{language: string, type: string, page: number, lastmod: Date}>} sitemaps
+ * @param {string} baseUrl - URL the sitemaps are served from
+ * @returns {string}
+ * @private
+ */
+const renderSitemapIndex = (sitemaps, baseUrl) => {
+  const entries = sitemaps.map(({ language, type, page, lastmod }) => {
+    const lines = [
+      `    <loc>${escapeXml(`${baseUrl}/sitemaps/${language}/${type}-${page}.xml`)}</loc>`,
+    ];
+    if (lastmod) {
+      lines.push(`    <lastmod>${new Date(lastmod).toISOString()}</lastmod>`);
+    }
+    return `  <sitemap>\n${lines.join('\n')}\n  </sitemap>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...entries,
+    '</sitemapindex>',
+  ].join('\n');
+};
+
+/**
+ * List the sitemaps of a language and content type with the last modification of each page
+ * The modification dates are read once in page order, and split into pages as they come.
+ * @param {string} language - Language code
+ * @param {string} type - Content type
+ * @returns {Promise<Array<Object>>}
+ * @private
+ */
+const listSitemaps = async (language, type) => {
+  const { model, filter } = sources[type];
+  const pageSize = getPageSize();
+
+  const sitemaps = [];
+  let position = 0;
+  const docs = model.find(filter(language), { updatedAt: 1 }).sort({ _id: 1 }).lean().cursor();
+  for await (const { updatedAt } of docs) {
+    const page = Math.floor(position / pageSize);
+    if (!sitemaps[page]) {
+      sitemaps[page] = { language, type, page: page + 1, lastmod: updatedAt };
+    } else if (updatedAt > sitemaps[page].lastmod) {
+      sitemaps[page].lastmod = updatedAt;
+    }
+    position += 1;
+  }
+  return sitemaps;
+};
+
+/**
+ * Get the sitemap index
+ * @param {string} baseUrl - URL the sitemaps are served from
+ * @returns {Promise<string>} - XML
+ */
+const getSitemapIndex = async (baseUrl) => {
+  let sitemaps = await cache.get(INDEX_CACHE_KEY);
+
+  if (!sitemaps) {
+    const lists = await Promise.all(
+      getEnabledCodes().flatMap((language) =>
+        SITEMAP_TYPES.map((type) => listSitemaps(language, type)),
+      ),
+    );
+    sitemaps = lists.flat();
+    await cache.set(INDEX_CACHE_KEY, sitemaps, CACHE_TTL);
+  }
+
+  return renderSitemapIndex(sitemaps, baseUrl);
+};
+
+/**
+ * Get a page of the sitemap of a language and content type
+ * @param {string} language - Language code
+ * @param {string} type - Content type, posts or categories
+ * @param {number} page - Page number, starting at 1
+ * @returns {Promise<string>} - XML
+ */
+const getSitemap = async (language, type, page) => {
+  if (!isEnabled(language) || !sources[type]) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Sitemap not found');
+  }
+
+  const key = pageCacheKey(language, type, page);
+  const cached = await cache.get(key);
+  if (cached) {
+    return cached;
+  }
+
+  const { model, filter, projection, toEntry } = sources[type];
+  const pageSize = getPageSize();
+  const docs = await model
+    .find(filter(language))
+    .select(projection())
+    .sort({ _id: 1 })
+    .skip((page - 1) * pageSize)
+    .limit(pageSize)
+    .lean();
+
+  // Only the first page of an empty sitemap exists
+  if (docs.length === 0 && page > 1) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Sitemap not found');
+  }
+
+  const xml = renderUrlset(docs.map((doc) => toEntry(doc, language)).filter((entry) => entry.loc));
+  await cache.set(key, xml, CACHE_TTL);
+
+  return xml;
+};
+
+/**
+ * Invalidate the sitemap pages a post appears on
+ * Pages are ordered by id, so a post being added or removed only shifts the pages
+ * from its own onward. Drafts that were never published are in no sitemap.
+ * @param {Object} post - Blog post document
+ * @returns {Promise}
+ */
+const invalidatePost = async (post) => {
+  if (post.status !== 'published' && !post.publishedAt) {
+    return;
+  }
+
+  const postObject = post.toObject ? post.toObject() : post;
+  const languages = new Set([
+    postObject.language || getDefaultLanguage(),
+    ...Object.keys(postObject.translations || {}),
+  ]);
+
+  await Promise.all(
+    [...languages].map(async (language) => {
+      const position = await BlogPost.countDocuments({
+        ...getPublishedFilter(language),
+        _id: { $lt: postObject._id },
+      });
+      const firstPage = Math.floor(position / getPageSize()) + 1;
+
+      const keys = await cache.keys(`sitemap:${language}:posts:*`);
+      await Promise.all(
+        keys
+          .filter((key) => Number(key.split(':').pop()) >= firstPage)
+          .map((key) => cache.del(key)),
+      );
+    }),
+  );
+  await cache.del(INDEX_CACHE_KEY);
+};
+
+/**
+ * Invalidate the category sitemaps
+ * @returns {Promise}
+ */
+const invalidateCategories = async () => {
+  await cache.clearByPattern('sitemap:*:categories:*');
+  await cache.del(INDEX_CACHE_KEY);
+};
+
+module.exports = {
+  getSitemapIndex,
+  getSitemap,
+  invalidatePost,
+  invalidateCategories,
+};
@@ -0,0 +1,232 @@
+const httpStatus = require('http-status');
+const i18next = require('i18next');
+const { BlogPost, Category } = require('../models');
+const config = require('../config/config');
+const { getLanguage } = require('../config/languages');
+const { localizePost, getPostAlternates, getPostUrl, getCategoryUrl } = require('./blog.service');
+const ApiError = require('../utils/ApiError');
+
+/**
+ * Structured data (JSON-LD) for blog posts
+ *
+ * A post page is described by a graph of schema.org nodes: the publishing
+ * Organization, the BlogPosting, its BreadcrumbList and one Product with a
+ * Review per AI tool linked from the post. Every node is checked against the
+ * properties we require for its type; nodes missing one are left out of the
+ * graph and reported as issues instead of emitting invalid markup.
+ */
+
+// Properties a node must have, per schema.org type
+const REQUIRED_PROPERTIES = {
+  Organization: ['name', 'url'],
+  Person: ['name'],
+  BlogPosting: ['headline', 'author', 'datePublished', 'publisher', 'mainEntityOfPage'],
+  BreadcrumbList: ['itemListElement'],
+  ListItem: ['position', 'name', 'item'],
+  ImageObject: ['url'],
+  Product: ['name', 'review'],
+  Review: ['author', 'reviewRating'],
+  Rating: ['ratingValue'],
+};
+
+const isMissing = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length);
+
+/**
+ * Check a node and the typed nodes nested in it for missing required properties
+ * @param {Object} node - JSON-LD node
+ * @param {string} path - Path of the node in the graph
+ * @returns {Array<{path: string, type: string, property: string}>}
+ * @private
+ */
+const checkNode = (node, path) => {
+  const required = REQUIRED_PROPERTIES[node['@type']] || [];
+  const issues = required
+    .filter((property) => isMissing(node[property]))
+    .map((property) => ({ path, type: node['@type'], property }));
+
+  Object.entries(node).forEach(([property, value]) => {
+    [].concat(value).forEach((child, index) => {
+      if (child && typeof child === 'object' && child['@type']) {
+        const childPath = Array.isArray(value)
+          ? `${path}.${property}[${index}]`
+          : `${path}.${property}`;
+        issues.push(...checkNode(child, childPath));
+      }
+    });
+  });
+
+  return issues;
+};
+
+const slugify = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[^\w\s-]/g, '')
+    .replace(/\s+/g, '-');
+
+/**
+ * Build the BreadcrumbList of a post: home, blog, category ancestors, category, post
+ * @param {Object} post - Localized post
+ * @param {ObjectId} [categoryId] - Category of the post
+ * @param {string} postUrl - URL of the post in its language
+ * @returns {Promise<Object>}
+ * @private
+ */
+const buildBreadcrumbs = async (post, categoryId, postUrl) => {
+  const { language } = post;
+  const t = (key) => i18next.t(key, { lng: language });
+  const crumbs = [
+    { name: t('navigation.home'), item: `${config.frontendUrl}/${language}` },
+    { name: t('navigation.blog'), item: `${config.frontendUrl}/${language}/blog` },
+  ];
+
+  const category = categoryId && (await Category.findById(categoryId));
+  if (category) {
+    // Ancestors are stored nearest first
+    const ancestorIds = (category.ancestors || []).map((ancestor) => ancestor._id).reverse();
+    const ancestors = await Category.find({ _id: { $in: ancestorIds } });
+    const byId = new Map(ancestors.map((ancestor) => [ancestor.id, ancestor]));
+
+    [...ancestorIds.map((id) => byId.get(id.toString())).filter(Boolean), category].forEach(
+      (doc) => {
+        const translation = doc.getTranslation(language);
+        crumbs.push({
+          name: translation?.name || doc.name,
+          item: getCategoryUrl(language, translation?.slug || doc.slug),
+        });
+      },
+    );
+  }
+
+  crumbs.push({ name: post.title, item: postUrl });
+
+  return {
+    '@type': 'BreadcrumbList',
+    '@id': `${postUrl}#breadcrumb`,
+    itemListElement: crumbs.map((crumb, index) => ({
+      '@type': 'ListItem',
+      position: index + 1,
+      ...crumb,
+    })),
+  };
+};
+
+/**
+ * Build one Product with the author's Review per AI tool linked from the post
+ * @param {Object} post - Localized post
+ * @param {string} postUrl - URL of the post in its language
+ * @param {Object} author - Person node of the author
+ * @returns {Array<Object>}
+ * @private
+ */
+const buildProductReviews = (post, postUrl, author) => {
+  const links = new Map();
+  (post.affiliateLinks || []).forEach((link) => {
+    if (!links.has(link.tool)) {
+      links.set(link.tool, link);
+    }
+  });
+
+  return [...links.values()].map((link) => ({
+    '@type': 'Product',
+    '@id': `${postUrl}#product-${slugify(link.tool)}`,
+    name: link.tool,
+    url: link.url,
+    review: {
+      '@type': 'Review',
+      author,
+      datePublished: post.publishedAt,
+      url: postUrl,
+      ...(link.rating !== undefined &&
+        link.rating !== null && {
+          reviewRating: {
+            '@type': 'Rating',
+            ratingValue: link.rating,
+            bestRating: 5,
+            worstRating: 0,
+          },
+        }),
+    },
+  }));
+};
+
+/**
+ * Get the JSON-LD of a published post in a language
+ * Falls back to the source language when the post has no approved translation.
+ * @param {ObjectId} postId - Post id
+ * @param {string} language - Preferred language
+ * @returns {Promise<{language: string, jsonLd: Object, issues: Array<Object>}>}
+ */
+const getPostStructuredData = async (postId, language) => {
+  const doc = await BlogPost.findById(postId).populate('author', 'name');
+  if (!doc || doc.status !== 'published') {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Post not found');
+  }
+
+  const post = localizePost(doc, language);
+  const postUrl = getPostAlternates(doc)[post.language] || getPostUrl(post.language, post.slug);
+  const organizationId = `${config.frontendUrl}/#organization`;
+
+  const organization = {
+    '@type': 'Organization',
+    '@id': organizationId,
+    name: i18next.t('app.name', { lng: post.language }),
+    url: config.frontendUrl,
+  };
+  const author = { '@type': 'Person', name: post.author?.name };
+
+  const blogPosting = {
+    '@type': 'BlogPosting',
+    '@id': `${postUrl}#article`,
+    headline: post.title,
+    description: post.metaDescription || post.excerpt,
+    inLanguage: getLanguage(post.language)?.locale || post.language,
+    url: postUrl,
+    mainEntityOfPage: { '@type': 'WebPage', '@id': postUrl },
+    datePublished: post.publishedAt,
+    dateModified: post.updatedAt,
+    author,
+    publisher: { '@id': organizationId },
+    ...(post.featuredImage?.url && {
+      image: {
+        '@type': 'ImageObject',
+        url: post.featuredImage.url,
+        ...(post.featuredImage.caption && { caption: post.featuredImage.caption }),
+      },
+    }),
+    ...(post.keywords?.length && { keywords: post.keywords.join(', ') }),
+    ...(post.readingTime && { timeRequired: `PT${post.readingTime}M` }),
+    isAccessibleForFree: !post.isPremium,
+  };
+
+  const nodes = [
+    organization,
+    blogPosting,
+    await buildBreadcrumbs(post, doc.category, postUrl),
+    ...buildProductReviews(post, postUrl, author),
+  ];
+
+  const issues = [];
+  const graph = nodes.filter((node) => {
+    const nodeIssues = checkNode(node, node['@id']);
+    issues.push(...nodeIssues);
+    return nodeIssues.length === 0;
+  });
+
+  return {
+    language: post.language,
+    jsonLd: {
+      '@context': 'https://schema.org',
+      '@graph': graph,
+    },
+    issues: issues.map((issue) => ({
+      ...issue,
+      message: `${issue.type} is missing required property "${issue.property}"`,
+    })),
+  };
+};
+
+module.exports = {
+  getPostStructuredData,
+};
@@ -0,0 +1,304 @@
+const httpStatus = require('http-status');
+const { BlogPost, SearchDocument, Tag } = require('../models');
+const { cache } = require('../config/redis');
+const ApiError = require('../utils/ApiError');
+
+/**
+ * Tag taxonomy
+ *
+ * Posts store the canonical slugs of their tags. Labels given to posts are
+ * resolved by key, their slug without separators, so "ChatGPT", "chatgpt" and
+ * "chat-gpt" are one tag; synonyms add other spellings. Tags merged or renamed
+ * keep their old keys as synonyms, so the old spellings resolve to the new tag.
+ */
+
+/**
+ * Localize a tag
+ * @param {Object} tag - Tag document
+ * @param {string} language - Language code
+ * @returns {Object}
+ */
+const localizeTag = (tag, language) => {
+  const translation = tag.getTranslation(language);
+  return {
+    id: tag.id,
+    slug: tag.slug,
+    name: translation?.name || tag.name,
+    postCount: tag.postCount,
+  };
+};
+
+/**
+ * Get the localized labels of tags
+ * Slugs no tag has, e.g. of posts not normalized yet, are their own label.
+ * @param {Array<string>} slugs - Tag slugs, repeated ones included
+ * @param {string} language - Language code
+ * @returns {Promise<Map<string, string>>} - Labels by slug
+ */
+const getLabels = async (slugs, language) => {
+  const unique = [...new Set(slugs)];
+  const tags = unique.length > 0 ? await Tag.find({ slug: { $in: unique } }) : [];
+  const names = new Map(tags.map((tag) => [tag.slug, localizeTag(tag, language).name]));
+  return new Map(unique.map((slug) => [slug, names.get(slug) || slug]));
+};
+
+/**
+ * Replace a tag slug by another in every post, and in the search index
+ * @private
+ */
+const replaceInPosts = async (fromSlug, toSlug) => {
+  for (const Model of [BlogPost, SearchDocument]) {
+    if (toSlug) {
+      await Model.updateMany({ tags: fromSlug }, { $addToSet: { tags: toSlug } });
+    }
+    await Model.updateMany({ tags: fromSlug }, { $pull: { tags: fromSlug } });
+  }
+};
+
+/**
+ * Clear the caches of posts, which carry tag labels, tag pages included
+ * @private
+ */
+const clearCaches = async () => {
+  await cache.clearByPattern('post:*');
+  await cache.clearByPattern('posts:*');
+  await cache.clearByPattern('cache:/v1/blog*');
+};
+
+/**
+ * Check the synonyms of a tag are not the key or a synonym of another tag
+ * @private
+ */
+const checkKeys = async (tag) => {
+  for (const key of [tag.key, ...tag.synonyms]) {
+    if (await Tag.isKeyTaken(key, tag._id)) {
+      throw new ApiError(httpStatus.BAD_REQUEST, `Tag "${key}" already exists`);
+    }
+  }
+};
+
+/**
+ * Keys of synonym labels, the tag's own key and empty keys left out
+ * @private
+ */
+const toSynonyms = (labels, key) => [
+  ...new Set(
+    labels.map((label) => Tag.toKey(label)).filter((synonym) => synonym && synonym !== key),
+  ),
+];
+
+/**
+ * Resolve tag labels to canonical tag slugs
+ * Labels matching no tag create one, named after the label.
+ * @param {Array<string>} labels - Tag labels, in any spelling
+ * @returns {Promise<Array<string>>} - Slugs, without duplicates, in the order of the labels
+ */
+const resolveTags = async (labels) => {
+  const slugs = [];
+  for (const label of labels) {
+    if (Tag.toKey(label)) {
+      let tag = await Tag.findByLabel(label);
+      if (!tag) {
+        try {
+          tag = await Tag.create({ name: label.trim() });
+        } catch (error) {
+          // Created meanwhile by another request
+          if (error.code !== 11000) {
+            throw error;
+          }
+          tag = await Tag.findByLabel(label);
+        }
+      }
+      slugs.push(tag.slug);
+    }
+  }
+  return [...new Set(slugs)];
+};
+
+/**
+ * Create a tag
+ * @param {Object} tagBody
+ * @param {Array<string>} [tagBody.synonyms] - Other spellings, as labels
+ * @returns {Promise<Tag>}
+ */
+const createTag = async ({ synonyms = [], ...tagBody }) => {
+  const tag = new Tag(tagBody);
+  await tag.validate();
+  tag.synonyms = toSynonyms(synonyms, tag.key);
+  await checkKeys(tag);
+
+  await tag.save();
+  return tag;
+};
+
+/**
+ * Query for tags
+ * @param {Object} filter - Mongo filter
+ * @param {Object} options - Query options
+ * @param {string} [options.sortBy] - Sort option in the format: sortField:(desc|asc)
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const queryTags = async (filter, options) => {
+  return Tag.paginate(filter, { sortBy: 'postCount:desc,slug:asc', ...options });
+};
+
+/**
+ * Get tag by id
+ * @param {ObjectId} id
+ * @returns {Promise<Tag>}
+ */
+const getTagById = async (id) => {
+  return Tag.findById(id);
+};
+
+/**
+ * Get a tag by its slug, or any of its spellings
+ * @param {string} slug - Tag slug
+ * @returns {Promise<Tag>}
+ */
+const getTagBySlug = async (slug) => {
+  const tag = (await Tag.findOne({ slug })) || (await Tag.findByLabel(slug));
+  if (!tag) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Tag not found');
+  }
+  return tag;
+};
+
+/**
+ * Update tag by id
+ * A new slug renames the tag in every post, the old one stays a synonym. Translations
+ * given replace the label of their language, null removes it.
+ * @param {ObjectId} tagId
+ * @param {Object} updateBody
+ * @returns {Promise<Tag>}
+ */
+const updateTagById = async (tagId, { translations, synonyms, ...fields }) => {
+  const tag = await getTagById(tagId);
+  if (!tag) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Tag not found');
+  }
+
+  const previous = { slug: tag.slug, key: tag.key };
+  Object.assign(tag, fields);
+  if (fields.slug) {
+    tag.slug = Tag.slugify(fields.slug);
+  }
+  Object.entries(translations || {}).forEach(([language, translation]) => {
+    if (translation) {
+      tag.translations.set(language, translation);
+    } else {
+      tag.translations.delete(language);
+    }
+  });
+  await tag.validate();
+
+  const renamed = tag.slug !== previous.slug;
+  tag.synonyms = toSynonyms(
+    [...(synonyms || tag.synonyms), ...(renamed ? [previous.key] : [])],
+    tag.key,
+  );
+  await checkKeys(tag);
+
+  await tag.save();
+  if (renamed) {
+    await replaceInPosts(previous.slug, tag.slug);
+  }
+  await clearCaches();
+  return tag;
+};
+
+/**
+ * Merge tags into another one
+ * Posts of the merged tags get the target tag instead, the merged tags' keys, synonyms
+ * and labels missing on the target are kept on it, and the merged tags are deleted.
+ * @param {ObjectId} targetId - Tag to keep
+ * @param {Array<ObjectId>} tagIds - Tags to merge into it
+ * @returns {Promise<Tag>}
+ */
+const mergeTags = async (targetId, tagIds) => {
+  const target = await getTagById(targetId);
+  if (!target) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Tag not found');
+  }
+  const merged = await Tag.find({ _id: { $in: tagIds, $ne: target._id } });
+  if (merged.length !== tagIds.filter((id) => id.toString() !== target.id).length) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Tag not found');
+  }
+
+  for (const tag of merged) {
+    await replaceInPosts(tag.slug, target.slug);
+    tag.translations.forEach((translation, language) => {
+      if (!target.translations.has(language)) {
+        target.translations.set(language, translation.toObject());
+      }
+    });
+    target.synonyms = toSynonyms([...target.synonyms, tag.key, ...tag.synonyms], target.key);
+    await tag.deleteOne();
+  }
+
+  await target.save();
+  await Tag.updatePostCounts([target.slug]);
+  await clearCaches();
+  return Tag.findById(target._id);
+};
+
+/**
+ * Delete tag by id, removing it from every post
+ * @param {ObjectId} tagId
+ * @returns {Promise<Tag>}
+ */
+const deleteTagById = async (tagId) => {
+  const tag = await getTagById(tagId);
+  if (!tag) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Tag not found');
+  }
+
+  await replaceInPosts(tag.slug, null);
+  await tag.deleteOne();
+  await clearCaches();
+  return tag;
+};
+
+/**
+ * Resolve the tags of every post against the taxonomy
+ * Tags stored before the taxonomy existed are free-form labels: each distinct label is
+ * resolved, tags are created for those matching none, and posts get the canonical slugs.
+ * @returns {Promise<{labels: number, replaced: number}>} - Number of distinct labels and of
+ * labels replaced by a canonical slug
+ */
+const normalizePostTags = async () => {
+  const labels = await BlogPost.distinct('tags');
+
+  let replaced = 0;
+  const slugs = [];
+  for (const label of labels) {
+    const [slug] = await resolveTags([label]);
+    if (slug !== label) {
+      await replaceInPosts(label, slug);
+      replaced += 1;
+    }
+    if (slug) {
+      slugs.push(slug);
+    }
+  }
+
+  await Tag.updatePostCounts(slugs);
+  await clearCaches();
+  return { labels: labels.length, replaced };
+};
+
+module.exports = {
+  localizeTag,
+  getLabels,
+  resolveTags,
+  createTag,
+  queryTags,
+  getTagById,
+  getTagBySlug,
+  updateTagById,
+  mergeTags,
+  deleteTagById,
+  normalizePostTags,
+};
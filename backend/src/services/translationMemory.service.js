@@ -0,0 +1,346 @@
+const crypto = require('crypto');
+const { TranslationMemory } = require('../models');
+const aiService = require('./ai.service');
+const glossaryService = require('./glossary.service');
+const { splitSegments, joinSegments } = require('../utils/markdownSegments');
+
+// Keep each AI request well within model context limits
+const BATCH_MAX_SEGMENTS = 40;
+const BATCH_MAX_CHARS = 6000;
+
+/**
+ * Hash a source segment for memory lookups
+ * @param {string} text - Segment text
+ * @returns {string}
+ */
+const hashSegment = (text) => crypto.createHash('sha256').update(text.trim()).digest('hex');
+
+/**
+ * Split a text into its leading whitespace, its trimmed text and its trailing whitespace
+ * Memory stores trimmed texts, the whitespace of each text is put back around its
+ * translation so indentation survives reuse.
+ * @param {string} text
+ * @returns {{leading: string, trimmed: string, trailing: string}}
+ * @private
+ */
+const splitWhitespace = (text) => {
+  const [, leading, trimmed, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return { leading, trimmed, trailing };
+};
+
+/**
+ * Group texts into batches for the AI provider
+ * @param {Array<string>} texts
+ * @returns {Array<Array<string>>}
+ * @private
+ */
+const toBatches = (texts) => {
+  const batches = [];
+  let batch = [];
+  let size = 0;
+
+  texts.forEach((text) => {
+    if (
+      batch.length > 0 &&
+      (batch.length >= BATCH_MAX_SEGMENTS || size + text.length > BATCH_MAX_CHARS)
+    ) {
+      batches.push(batch);
+      batch = [];
+      size = 0;
+    }
+    batch.push(text);
+    size += text.length;
+  });
+
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+
+  return batches;
+};
+
+/**
+ * Translate texts, reusing stored translations and sending only unseen texts to the AI provider
+ * Texts are translated and stored trimmed, translations get the whitespace around their text.
+ * @param {Array<string>} texts - Source texts
+ * @param {string} sourceLanguage - Source language code
+ * @param {string} targetLanguage - Target language code
+ * @param {Object} [options]
+ * @param {ObjectId} [options.postId] - Post the texts belong to
+ * @param {Array<Object>} [options.glossary] - Glossary entries for the language pair
+ * @param {Function} [options.onProgress] - Called with the texts translated so far and the
+ * texts to translate, after each batch sent to the AI provider
+ * @returns {Promise<{translations: Array<string>, reused: number, translated: number}>}
+ */
+const translateTexts = async (
+  texts,
+  sourceLanguage,
+  targetLanguage,
+  { postId, glossary = [], onProgress } = {},
+) => {
+  const hashes = texts.map(hashSegment);
+  const memory = await TranslationMemory.findByHashes(sourceLanguage, targetLanguage, [
+    ...new Set(hashes),
+  ]);
+
+  // Unique texts not found in memory, in document order
+  const missing = new Map();
+  hashes.forEach((hash, index) => {
+    if (!memory.has(hash) && !missing.has(hash)) {
+      missing.set(hash, splitWhitespace(texts[index]).trimmed);
+    }
+  });
+
+  const newTranslations = new Map();
+  const missingHashes = [...missing.keys()];
+  let offset = 0;
+
+  for (const batch of toBatches([...missing.values()])) {
+    // Only send the glossary entries that occur in this batch
+    const translated = await aiService.translateSegments(batch, sourceLanguage, targetLanguage, {
+      glossary: glossaryService.findTermsInText(glossary, batch.join('\n')),
+    });
+    translated.forEach((targetText, index) => {
+      newTranslations.set(missingHashes[offset + index], targetText.trim());
+    });
+    offset += batch.length;
+    if (onProgress) {
+      await onProgress(offset, missing.size);
+    }
+  }
+
+  // Machine pairs never replace stored ones, translators' pairs included
+  if (newTranslations.size > 0) {
+    await TranslationMemory.bulkWrite(
+      [...newTranslations.entries()].map(([sourceHash, targetText]) => ({
+        updateOne: {
+          filter: { sourceLanguage, targetLanguage, sourceHash },
+          update: {
+            $setOnInsert: { sourceText: missing.get(sourceHash), targetText, origin: 'machine' },
+            ...(postId && { $addToSet: { posts: postId } }),
+          },
+          upsert: true,
+        },
+      })),
+    );
+  }
+
+  const reusedIds = [...memory.values()].map((entry) => entry._id);
+  if (reusedIds.length > 0) {
+    await TranslationMemory.updateMany(
+      { _id: { $in: reusedIds } },
+      {
+        $inc: { usageCount: 1 },
+        $set: { lastUsedAt: new Date() },
+        ...(postId && { $addToSet: { posts: postId } }),
+      },
+    );
+  }
+
+  return {
+    translations: hashes.map((hash, index) => {
+      const { leading, trailing } = splitWhitespace(texts[index]);
+      const targetText = memory.has(hash) ? memory.get(hash).targetText : newTranslations.get(hash);
+      return `${leading}${targetText.trim()}${trailing}`;
+    }),
+    reused: hashes.filter((hash) => memory.has(hash)).length,
+    translated: newTranslations.size,
+  };
+};
+
+/**
+ * Split Markdown content into segments and find the translatable ones
+ * @param {string} content - Markdown content
+ * @returns {{segments: Array<Object>, indexes: Array<number>}} - Content segments and the
+ * indexes of the translatable ones
+ * @private
+ */
+const contentSegments = (content) => {
+  const segments = splitSegments(content);
+  const indexes = segments
+    .map((segment, index) => (segment.translatable && segment.text.trim() ? index : -1))
+    .filter((index) => index !== -1);
+  return { segments, indexes };
+};
+
+/**
+ * Translate a post's title, excerpt and Markdown content segment by segment
+ * Unchanged headings, paragraphs and list items are reused verbatim from memory. Every
+ * translated text, including reused ones, is checked against the glossary.
+ * @param {Object} source - Source fields
+ * @param {string} source.title - Title
+ * @param {string} source.content - Markdown content
+ * @param {string} [source.excerpt] - Excerpt
+ * @param {string} sourceLanguage - Source language code
+ * @param {string} targetLanguage - Target language code
+ * @param {Object} [options]
+ * @param {ObjectId} [options.postId] - Post id, recorded on memory entries
+ * @param {Array<Object>} [options.glossary] - Glossary entries for the language pair
+ * @param {Function} [options.onProgress] - Progress callback, see translateTexts
+ * @returns {Promise<Object>} - Translated title, content and excerpt with reuse stats and
+ * glossary violations
+ */
+const translateDocument = async (
+  { title, content, excerpt },
+  sourceLanguage,
+  targetLanguage,
+  options = {},
+) => {
+  const { segments, indexes: translatableIndexes } = contentSegments(content);
+
+  const texts = [
+    title,
+    ...(excerpt ? [excerpt] : []),
+    ...translatableIndexes.map((index) => segments[index].text),
+  ];
+
+  const { translations, reused, translated } = await translateTexts(
+    texts,
+    sourceLanguage,
+    targetLanguage,
+    options,
+  );
+
+  const [translatedTitle, ...rest] = translations;
+  const translatedExcerpt = excerpt ? rest.shift() : undefined;
+
+  const fields = ['title', ...(excerpt ? ['excerpt'] : [])];
+  const violations = texts.flatMap((text, index) =>
+    glossaryService
+      .checkTranslation(text, translations[index], options.glossary || [])
+      .map((violation) => ({ ...violation, field: fields[index] || 'content' })),
+  );
+
+  const segmentTexts = segments.map((segment) => segment.text);
+  translatableIndexes.forEach((segmentIndex, index) => {
+    segmentTexts[segmentIndex] = rest[index];
+  });
+
+  return {
+    title: translatedTitle,
+    content: joinSegments(segments, segmentTexts),
+    excerpt: translatedExcerpt,
+    stats: {
+      segments: texts.length,
+      reused,
+      translated,
+    },
+    violations,
+  };
+};
+
+/**
+ * Store the segments of a translation approved by a translator
+ * Approved pairs replace stored ones, so later translations reuse what translators signed
+ * off rather than the machine output they corrected. Content segments are only paired
+ * when both documents have the same structure, otherwise only the title and excerpt are.
+ * @param {Object} source - Title, excerpt and Markdown content the translation was made from
+ * @param {Object} translated - Approved title, excerpt and content
+ * @param {string} sourceLanguage - Source language code
+ * @param {string} targetLanguage - Target language code
+ * @param {Object} [options]
+ * @param {ObjectId} [options.postId] - Post id, recorded on memory entries
+ * @returns {Promise<number>} - Number of pairs stored
+ */
+const recordApprovedTranslation = async (
+  source,
+  translated,
+  sourceLanguage,
+  targetLanguage,
+  { postId } = {},
+) => {
+  const pairs = [[source.title, translated.title]];
+  if (source.excerpt && translated.excerpt) {
+    pairs.push([source.excerpt, translated.excerpt]);
+  }
+
+  const sourceContent = contentSegments(source.content);
+  const translatedContent = contentSegments(translated.content);
+  const sameStructure =
+    sourceContent.indexes.length === translatedContent.indexes.length &&
+    sourceContent.indexes.every(
+      (index, position) =>
+        sourceContent.segments[index].type ===
+        translatedContent.segments[translatedContent.indexes[position]].type,
+    );
+  if (sameStructure) {
+    sourceContent.indexes.forEach((index, position) => {
+      pairs.push([
+        sourceContent.segments[index].text,
+        translatedContent.segments[translatedContent.indexes[position]].text,
+      ]);
+    });
+  }
+
+  const entries = pairs.filter(
+    ([sourceText, targetText]) => sourceText?.trim() && targetText?.trim(),
+  );
+  if (entries.length === 0) {
+    return 0;
+  }
+  await TranslationMemory.bulkWrite(
+    entries.map(([sourceText, targetText]) => ({
+      updateOne: {
+        filter: { sourceLanguage, targetLanguage, sourceHash: hashSegment(sourceText) },
+        update: {
+          $set: {
+            sourceText: splitWhitespace(sourceText).trimmed,
+            targetText: splitWhitespace(targetText).trimmed,
+            origin: 'human',
+          },
+          ...(postId && { $addToSet: { posts: postId } }),
+        },
+        upsert: true,
+      },
+    })),
+  );
+  return entries.length;
+};
+
+/**
+ * Forget the stored translations of segments containing glossary terms
+ * Called when terms are added, changed or removed: those segments were translated with
+ * another glossary, reusing them would keep the outdated terms.
+ * @param {Array<Object>} terms - Glossary entries, as they were and as they are now
+ * @returns {Promise<Map<string, Array<string>>>} - Target languages by id of the posts that
+ * used the forgotten translations
+ */
+const invalidateTerms = async (terms) => {
+  const affected = new Map();
+
+  for (const term of terms) {
+    // Narrowed down in the database, matched as whole words like the glossary does
+    const candidates = await TranslationMemory.find(
+      {
+        sourceLanguage: term.sourceLanguage,
+        ...(term.targetLanguage && { targetLanguage: term.targetLanguage }),
+        sourceText: new RegExp(term.term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i'),
+      },
+      { sourceText: 1, targetLanguage: 1, posts: 1 },
+    );
+    const entries = candidates.filter(
+      (entry) => glossaryService.findTermsInText([term], entry.sourceText).length > 0,
+    );
+    if (entries.length === 0) {
+      continue;
+    }
+
+    await TranslationMemory.deleteMany({ _id: { $in: entries.map((entry) => entry._id) } });
+    entries.forEach((entry) => {
+      entry.posts.forEach((postId) => {
+        const languages = affected.get(postId.toString()) || new Set();
+        affected.set(postId.toString(), languages.add(entry.targetLanguage));
+      });
+    });
+  }
+
+  return new Map([...affected].map(([postId, languages]) => [postId, [...languages]]));
+};
+
+module.exports = {
+  hashSegment,
+  translateTexts,
+  translateDocument,
+  recordApprovedTranslation,
+  invalidateTerms,
+};
@@ -0,0 +1,398 @@
+const httpStatus = require('http-status');
+const { WatchError } = require('redis');
+const { client } = require('../config/redis');
+const config = require('../config/config');
+const logger = require('../config/logger');
+const { User } = require('../models');
+const blogService = require('./blog.service');
+const entitlementService = require('./entitlement.service');
+const ApiError = require('../utils/ApiError');
+
+/**
+ * Redis-backed queue for post translation jobs
+ *
+ * One job is queued per post and target language. Workers move jobs from the
+ * pending list to a processing list (so jobs survive a crash), retry failures
+ * with exponential backoff through a delayed sorted set, and record progress
+ * per language in a status hash for the post. Running jobs send heartbeats:
+ * jobs of a worker that stopped mid-job stop beating and are queued again.
+ */
+
+const QUEUE_KEY = 'translation:queue';
+const PROCESSING_KEY = 'translation:queue:processing';
+const DELAYED_KEY = 'translation:queue:delayed';
+// Last heartbeat of each job in the processing list, in ms
+const HEARTBEATS_KEY = 'translation:queue:heartbeats';
+const STATUS_TTL = 7 * 24 * 60 * 60; // Keep job status for 7 days
+// Concurrent requests for the same post retry their transaction this many times
+const ENQUEUE_ATTEMPTS = 5;
+const RECONNECT_DELAY_MS = 5000;
+
+const statusKey = (postId) => `translation:status:${postId}`;
+
+let running = false;
+let loops = [];
+let promoteTimer = null;
+let recoverTimer = null;
+
+const sleep = (ms) =>
+  new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+
+/**
+ * Parse the stored status of every language
+ * @private
+ */
+const parseStatus = (fields) =>
+  Object.entries(fields || {}).reduce((status, [language, value]) => {
+    status[language] = JSON.parse(value);
+    return status;
+  }, {});
+
+/**
+ * Get job status for every language of a post
+ * @param {ObjectId} postId - Post id
+ * @returns {Promise<Object>} - Status by language code, empty if no jobs were queued
+ */
+const getJobStatus = async (postId) => {
+  return parseStatus(await client.hGetAll(statusKey(postId.toString())));
+};
+
+/**
+ * Merge changes into the stored status of one language
+ * @param {string} postId - Post id
+ * @param {string} language - Language code
+ * @param {Object} changes - Status fields to update
+ * @returns {Promise<Object>} - Updated language status
+ * @private
+ */
+const updateLanguageStatus = async (postId, language, changes) => {
+  const key = statusKey(postId);
+  const current = await client.hGet(key, language);
+  const status = { ...(current ? JSON.parse(current) : {}), ...changes };
+
+  await client.hSet(key, language, JSON.stringify(status));
+  await client.expire(key, STATUS_TTL);
+
+  return status;
+};
+
+/**
+ * Queue translation jobs for a post
+ * Languages that already have a queued or running job are not queued twice: the status
+ * of the post is watched, so concurrent requests cannot both queue a language.
+ * @param {ObjectId} postId - Post id
+ * @param {Array<string>} languages - Target languages
+ * @param {Object} [options]
+ * @param {ObjectId} [options.requestedBy] - User who requested the translations, their
+ * translations quota is given back for jobs that fail
+ * @returns {Promise<{queued: Array<string>, jobs: Object}>} - Languages queued by this call,
+ * and job status by language code
+ */
+const enqueueTranslation = async (postId, languages, { requestedBy } = {}) => {
+  const id = postId.toString();
+  const key = statusKey(id);
+
+  const queueLanguages = () =>
+    client.executeIsolated(async (isolatedClient) => {
+      await isolatedClient.watch(key);
+      const existing = parseStatus(await isolatedClient.hGetAll(key));
+      const newLanguages = languages.filter(
+        (language) => !['queued', 'running'].includes(existing[language]?.status),
+      );
+      if (newLanguages.length === 0) {
+        await isolatedClient.unwatch();
+        return newLanguages;
+      }
+
+      const queuedAt = new Date().toISOString();
+      const multi = isolatedClient.multi();
+      newLanguages.forEach((language) => {
+        multi.hSet(
+          key,
+          language,
+          JSON.stringify({
+            status: 'queued',
+            attempts: 0,
+            error: null,
+            progress: null,
+            queuedAt,
+            startedAt: null,
+            finishedAt: null,
+          }),
+        );
+        multi.lPush(
+          QUEUE_KEY,
+          JSON.stringify({ postId: id, language, attempts: 0, requestedBy, queuedAt }),
+        );
+      });
+      multi.expire(key, STATUS_TTL);
+      await multi.exec();
+      return newLanguages;
+    });
+
+  for (let attempt = 1; attempt <= ENQUEUE_ATTEMPTS; attempt += 1) {
+    try {
+      const queued = await queueLanguages();
+      return { queued, jobs: await getJobStatus(id) };
+    } catch (error) {
+      // Another request changed the status of the post meanwhile, read it again
+      if (!(error instanceof WatchError)) {
+        throw error;
+      }
+    }
+  }
+  throw new ApiError(
+    httpStatus.CONFLICT,
+    'Translations of this post are being queued by another request, try again',
+  );
+};
+
+/**
+ * Give back the translation quota used by the requester of a job that failed
+ * @private
+ */
+const refundJob = async (job) => {
+  try {
+    const user = job.requestedBy && (await User.findById(job.requestedBy));
+    if (user) {
+      await entitlementService.recordUsage(user, 'translations', -1);
+    }
+  } catch (error) {
+    logger.warn(`Refunding the translation job of post ${job.postId} failed: ${error.message}`);
+  }
+};
+
+/**
+ * Process a single translation job, held in the processing list
+ * Failed jobs are retried with exponential backoff through the delayed set, until they
+ * fail permanently or run out of attempts, which gives the requester's quota back.
+ * @param {string} payload - Serialized job as stored in the processing list
+ * @returns {Promise}
+ */
+const processJob = async (payload) => {
+  const job = JSON.parse(payload);
+  const attempts = job.attempts + 1;
+
+  const beat = () => client.hSet(HEARTBEATS_KEY, payload, String(Date.now()));
+  await beat();
+  const heartbeatTimer = setInterval(() => {
+    beat().catch((error) => logger.warn(`Translation job heartbeat failed: ${error.message}`));
+  }, config.translationQueue.stallTimeoutMs / 4);
+
+  try {
+    await updateLanguageStatus(job.postId, job.language, {
+      status: 'running',
+      attempts,
+      progress: 0,
+      startedAt: new Date().toISOString(),
+    });
+
+    const { translation, stats, violations } = await blogService.translatePostLanguage(
+      job.postId,
+      job.language,
+      {
+        onProgress: (done, total) =>
+          updateLanguageStatus(job.postId, job.language, {
+            progress: total ? Math.floor((done / total) * 100) : 100,
+          }),
+      },
+    );
+
+    await updateLanguageStatus(job.postId, job.language, {
+      status: 'done',
+      error: null,
+      progress: 100,
+      finishedAt: new Date().toISOString(),
+      translationId: translation.id,
+      segments: stats,
+      glossaryViolations: violations,
+    });
+  } catch (error) {
+    // Missing posts and invalid requests won't succeed on retry
+    const isPermanent = error.statusCode && error.statusCode < httpStatus.INTERNAL_SERVER_ERROR;
+
+    if (!isPermanent && attempts < config.translationQueue.maxAttempts) {
+      const delay = config.translationQueue.backoffMs * 2 ** (attempts - 1);
+      const nextAttemptAt = Date.now() + delay;
+
+      await client.zAdd(DELAYED_KEY, {
+        score: nextAttemptAt,
+        value: JSON.stringify({ ...job, attempts }),
+      });
+      await updateLanguageStatus(job.postId, job.language, {
+        status: 'queued',
+        error: error.message,
+        progress: null,
+        nextAttemptAt: new Date(nextAttemptAt).toISOString(),
+      });
+
+      logger.warn(
+        `Translation of post ${job.postId} to ${job.language} failed, retrying in ${delay}ms`,
+      );
+    } else {
+      await updateLanguageStatus(job.postId, job.language, {
+        status: 'failed',
+        error: error.message,
+        progress: null,
+        finishedAt: new Date().toISOString(),
+      });
+
+      logger.error(`Translation of post ${job.postId} to ${job.language} failed: ${error.message}`);
+      await refundJob(job);
+    }
+  } finally {
+    clearInterval(heartbeatTimer);
+    await client.lRem(PROCESSING_KEY, 1, payload);
+    await client.hDel(HEARTBEATS_KEY, payload);
+  }
+};
+
+/**
+ * Move delayed jobs whose retry time has passed back onto the queue
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<number>} - Number of jobs queued again
+ */
+const promoteDelayedJobs = async (now = Date.now()) => {
+  const dueJobs = await client.zRangeByScore(DELAYED_KEY, 0, now);
+
+  let promoted = 0;
+  for (const payload of dueJobs) {
+    // Only the worker that removes the job requeues it
+    if (await client.zRem(DELAYED_KEY, payload)) {
+      await client.lPush(QUEUE_KEY, payload);
+      promoted += 1;
+    }
+  }
+  return promoted;
+};
+
+/**
+ * Requeue the jobs of workers that stopped mid-job, whose heartbeat is stale
+ * Jobs without a heartbeat yet are given one now, so a job just taken by a worker
+ * is never requeued.
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<number>} - Number of jobs queued again
+ */
+const recoverStalledJobs = async (now = Date.now()) => {
+  const payloads = await client.lRange(PROCESSING_KEY, 0, -1);
+
+  let recovered = 0;
+  for (const payload of payloads) {
+    await client.hSetNX(HEARTBEATS_KEY, payload, String(now));
+    const lastBeat = Number(await client.hGet(HEARTBEATS_KEY, payload));
+    const stalled = now - lastBeat > config.translationQueue.stallTimeoutMs;
+    // Only the instance that removes the job requeues it
+    if (stalled && (await client.lRem(PROCESSING_KEY, 1, payload))) {
+      await client.hDel(HEARTBEATS_KEY, payload);
+      await client.lPush(QUEUE_KEY, payload);
+      logger.warn(`Requeued stalled translation job: ${payload}`);
+      recovered += 1;
+    }
+  }
+
+  // Heartbeats of jobs that finished meanwhile
+  const finished = (await client.hKeys(HEARTBEATS_KEY)).filter(
+    (payload) => !payloads.includes(payload),
+  );
+  if (finished.length > 0) {
+    await client.hDel(HEARTBEATS_KEY, finished);
+  }
+  return recovered;
+};
+
+/**
+ * Worker loop, waits for jobs on its own connection since blocking commands hold it
+ * Connection failures are retried until the worker stops.
+ * @private
+ */
+const runLoop = async () => {
+  const blockingClient = client.duplicate();
+  blockingClient.on('error', (error) =>
+    logger.error(`Translation worker Redis error: ${error.message}`),
+  );
+
+  while (running && !blockingClient.isOpen) {
+    try {
+      await blockingClient.connect();
+    } catch (error) {
+      logger.error(`Translation worker cannot connect to Redis: ${error.message}`);
+      await sleep(RECONNECT_DELAY_MS);
+    }
+  }
+
+  while (running) {
+    try {
+      const payload = await blockingClient.blMove(QUEUE_KEY, PROCESSING_KEY, 'RIGHT', 'LEFT', 5);
+      if (payload) {
+        await processJob(payload);
+      }
+    } catch (error) {
+      logger.error(`Translation worker error: ${error.message}`);
+      await sleep(1000);
+    }
+  }
+
+  if (blockingClient.isOpen) {
+    await blockingClient.quit().catch(() => blockingClient.disconnect());
+  }
+};
+
+/**
+ * Start processing translation jobs in this process
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Number of jobs processed in parallel
+ * @returns {Promise<void>}
+ */
+const startWorker = async ({ concurrency = config.translationQueue.concurrency } = {}) => {
+  if (running) {
+    return;
+  }
+  running = true;
+
+  const recover = () =>
+    recoverStalledJobs().catch((error) =>
+      logger.error(`Error recovering stalled translation jobs: ${error.message}`),
+    );
+  await recover();
+  recoverTimer = setInterval(recover, config.translationQueue.stallTimeoutMs / 2);
+
+  promoteTimer = setInterval(() => {
+    promoteDelayedJobs().catch((error) =>
+      logger.error(`Error promoting delayed jobs: ${error.message}`),
+    );
+  }, 1000);
+
+  loops = Array.from({ length: concurrency }, () =>
+    runLoop().catch((error) => logger.error(`Translation worker stopped: ${error.message}`)),
+  );
+  logger.info(`Translation worker started with concurrency ${concurrency}`);
+};
+
+/**
+ * Stop the worker once in-flight jobs have finished
+ * @returns {Promise<void>}
+ */
+const stopWorker = async () => {
+  if (!running) {
+    return;
+  }
+  running = false;
+
+  clearInterval(promoteTimer);
+  clearInterval(recoverTimer);
+  await Promise.all(loops);
+  loops = [];
+  logger.info('Translation worker stopped');
+};
+
+module.exports = {
+  enqueueTranslation,
+  getJobStatus,
+  processJob,
+  promoteDelayedJobs,
+  recoverStalledJobs,
+  startWorker,
+  stopWorker,
+};
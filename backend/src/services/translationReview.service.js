@@ -0,0 +1,313 @@
+const httpStatus = require('http-status');
+const { Translation, BlogPost } = require('../models');
+const { cache } = require('../config/redis');
+const { getDefaultLanguage } = require('../config/languages');
+const ApiError = require('../utils/ApiError');
+const pick = require('../utils/pick');
+const { computeSourceRevision } = require('../utils/sourceRevision');
+const revisionService = require('./revision.service');
+const translationMemoryService = require('./translationMemory.service');
+
+/**
+ * Review workflow for machine translations
+ *
+ * Machine translations are stored as pending Translation documents. Translators
+ * edit them in place, then approve them (published and copied into
+ * BlogPost.translations.<lang>, which is what readers are served) or reject them
+ * (back to draft with review notes).
+ */
+
+/**
+ * Find a slug not used by another translation or post in the same language
+ * @param {string} slug - Preferred slug
+ * @param {string} language - Language code
+ * @param {ObjectId} postId - Source post, allowed to keep the slug
+ * @param {ObjectId} [excludeTranslationId] - Translation allowed to keep the slug
+ * @returns {Promise<string>}
+ * @private
+ */
+const uniqueSlug = async (slug, language, postId, excludeTranslationId) => {
+  const isTaken = async (candidate) =>
+    (await Translation.countDocuments({
+      language,
+      slug: candidate,
+      _id: { $ne: excludeTranslationId },
+    })) > 0 || BlogPost.isSlugTaken(candidate, language, postId);
+
+  let candidate = slug;
+  let suffix = 2;
+
+  while (await isTaken(candidate)) {
+    candidate = `${slug}-${suffix}`;
+    suffix += 1;
+  }
+
+  return candidate;
+};
+
+/**
+ * Store a machine translation for review
+ * A new machine translation replaces any unpublished one for the same language and
+ * sends it back to the review queue, unless a translator's edits are under review.
+ * @param {ObjectId} postId - Source post id
+ * @param {string} language - Language code
+ * @param {Object} translated - Translated fields
+ * @param {string} translated.title - Title
+ * @param {string} translated.content - Content
+ * @param {string} [translated.excerpt] - Excerpt
+ * @param {string} translated.slug - Preferred slug
+ * @param {Array<Object>} [translated.glossaryViolations] - Glossary violations
+ * @param {Object} translated.sourceRevision - Revision of the source that was translated
+ * @returns {Promise<Translation>}
+ */
+const saveMachineTranslation = async (postId, language, translated) => {
+  const existing = await Translation.findOne({ sourceId: postId, language });
+  if (existing?.status === 'pending' && existing.origin === 'human') {
+    throw new ApiError(
+      httpStatus.CONFLICT,
+      `The ${language} translation has edits under review, approve or reject them first`,
+    );
+  }
+  const slug = await uniqueSlug(translated.slug, language, postId, existing?._id);
+
+  return Translation.findOneAndUpdate(
+    { sourceId: postId, language },
+    {
+      $set: {
+        title: translated.title,
+        content: translated.content,
+        excerpt: translated.excerpt,
+        slug,
+        glossaryViolations: translated.glossaryViolations || [],
+        sourceRevision: translated.sourceRevision,
+        status: 'pending',
+        origin: 'machine',
+        reviewNotes: null,
+      },
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true },
+  );
+};
+
+/**
+ * Query the review queue
+ * @param {Object} filter - Mongo filter
+ * @param {Object} options - Query options
+ * @param {string} [options.sortBy] - Sort option in the format: sortField:(desc|asc)
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const queryTranslations = async (filter, options) => {
+  return Translation.paginate(
+    { status: 'pending', ...filter },
+    { sortBy: 'updatedAt:asc', ...options },
+  );
+};
+
+/**
+ * Get translation by id
+ * @param {ObjectId} id
+ * @returns {Promise<Translation>}
+ */
+const getTranslationById = async (id) => {
+  return Translation.findById(id);
+};
+
+/**
+ * Get a translation that can still be reviewed
+ * @param {ObjectId} translationId
+ * @returns {Promise<Translation>}
+ * @private
+ */
+const getReviewableTranslation = async (translationId) => {
+  const translation = await getTranslationById(translationId);
+  if (!translation) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Translation not found');
+  }
+  if (translation.status === 'archived') {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Archived translations cannot be reviewed');
+  }
+  return translation;
+};
+
+/**
+ * Edit a translation under review
+ * @param {ObjectId} translationId
+ * @param {Object} updateBody
+ * @param {ObjectId} reviewerId - Translator making the edit
+ * @returns {Promise<Translation>}
+ */
+const updateTranslationById = async (translationId, updateBody, reviewerId) => {
+  const translation = await getReviewableTranslation(translationId);
+
+  if (updateBody.slug) {
+    updateBody.slug = await uniqueSlug(
+      updateBody.slug,
+      translation.language,
+      translation.sourceId,
+      translation._id,
+    );
+  }
+
+  Object.assign(translation, updateBody);
+  if (['title', 'content', 'excerpt'].some((field) => updateBody[field] !== undefined)) {
+    translation.origin = 'human';
+  }
+  // Edits to a published or rejected translation go through review again
+  translation.status = 'pending';
+  translation.lastReviewer = reviewerId;
+
+  await translation.save();
+  return translation;
+};
+
+/**
+ * Approve a translation and publish it on its post
+ * Its segments are stored in translation memory as the translator's, when it was made from
+ * the current source.
+ * @param {ObjectId} translationId
+ * @param {ObjectId} reviewerId - Approving translator
+ * @param {Object} [review]
+ * @param {number} [review.translationQuality] - Quality score from 0 to 10
+ * @param {string} [review.notes] - Review notes
+ * @returns {Promise<Translation>}
+ */
+const approveTranslation = async (
+  translationId,
+  reviewerId,
+  { translationQuality, notes } = {},
+) => {
+  const translation = await getReviewableTranslation(translationId);
+  const reviewDate = new Date();
+
+  const post = await BlogPost.findById(translation.sourceId);
+  if (!post) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Source post not found');
+  }
+
+  // Posts stored before revisions existed have none yet, keep their original text
+  await revisionService.recordRevision(post, { author: post.author });
+
+  if (translation.sourceRevision?.hash === computeSourceRevision(post).hash) {
+    await translationMemoryService.recordApprovedTranslation(
+      { title: post.title, excerpt: post.excerpt, content: post.content },
+      { title: translation.title, excerpt: translation.excerpt, content: translation.content },
+      post.language || getDefaultLanguage(),
+      translation.language,
+      { postId: post._id },
+    );
+  }
+
+  const previous = post.getTranslation(translation.language);
+  const previousSlug = previous?.slug;
+  // An embargoed translation stays unserved until its publishAt
+  const embargoed = previous?.publishAt > reviewDate;
+  // Saving the post also indexes the translated slug for its language. SEO fields are
+  // edited on the post and schedules by publishers, they are kept when a new revision of
+  // the translation is approved.
+  post.translations.set(translation.language, {
+    ...pick(previous ? previous.toObject() : {}, [
+      'metaTitle',
+      'metaDescription',
+      'keywords',
+      'canonicalUrl',
+      'ogImage',
+      'publishAt',
+      'unpublishAt',
+      'timeZone',
+    ]),
+    title: translation.title,
+    content: translation.content,
+    excerpt: translation.excerpt,
+    slug: translation.slug,
+    approvedAt: embargoed ? undefined : reviewDate,
+    translationId: translation._id,
+    sourceRevision: translation.sourceRevision,
+  });
+  await post.save();
+  await revisionService.recordRevision(post, { author: reviewerId, source: 'translation' });
+
+  Object.assign(translation, {
+    status: 'published',
+    lastReviewer: reviewerId,
+    reviewDate,
+    ...(translationQuality !== undefined && { translationQuality }),
+    ...(notes !== undefined && { reviewNotes: notes }),
+  });
+  await translation.save();
+
+  // Clear cache for this post in all languages, old and new translated slugs included
+  await cache.clearByPattern(`post:${post.slug}:*`);
+  await cache.clearByPattern(`post:${translation.slug}:*`);
+  if (previousSlug && previousSlug !== translation.slug) {
+    await cache.clearByPattern(`post:${previousSlug}:*`);
+  }
+  await cache.clearByPattern(`post:${post.id}:*`);
+  await cache.clearByPattern('posts:*');
+
+  return translation;
+};
+
+/**
+ * Reject a translation, sending it back to draft with review notes
+ * A previously published version stays live until a new one is approved.
+ * @param {ObjectId} translationId
+ * @param {ObjectId} reviewerId - Rejecting translator
+ * @param {Object} review
+ * @param {string} review.notes - Why the translation was rejected
+ * @param {number} [review.translationQuality] - Quality score from 0 to 10
+ * @returns {Promise<Translation>}
+ */
+const rejectTranslation = async (translationId, reviewerId, { notes, translationQuality }) => {
+  const translation = await getReviewableTranslation(translationId);
+
+  Object.assign(translation, {
+    status: 'draft',
+    lastReviewer: reviewerId,
+    reviewDate: new Date(),
+    reviewNotes: notes,
+    ...(translationQuality !== undefined && { translationQuality }),
+  });
+  await translation.save();
+
+  return translation;
+};
+
+/**
+ * Flag the published translations that used changed glossary terms as outdated
+ * Their segments are dropped from translation memory. Nothing is translated here:
+ * translators queue the flagged languages again, and the flag goes away with the next
+ * approved translation.
+ * @param {Array<Object>} terms - Glossary entries, as they were and as they are now
+ * @returns {Promise<number>} - Number of translations flagged
+ */
+const flagGlossaryChanges = async (terms) => {
+  const affected = await translationMemoryService.invalidateTerms(terms.filter(Boolean));
+  const changedAt = new Date();
+
+  const operations = [...affected].flatMap(([postId, languages]) =>
+    languages.map((language) => ({
+      updateOne: {
+        filter: { _id: postId, [`translations.${language}.approvedAt`]: { $exists: true } },
+        update: { $set: { [`translations.${language}.glossaryChangedAt`]: changedAt } },
+      },
+    })),
+  );
+  if (operations.length === 0) {
+    return 0;
+  }
+
+  const result = await BlogPost.bulkWrite(operations, { ordered: false });
+  return result.modifiedCount;
+};
+
+module.exports = {
+  saveMachineTranslation,
+  queryTranslations,
+  getTranslationById,
+  updateTranslationById,
+  approveTranslation,
+  rejectTranslation,
+  flagGlossaryChanges,
+};
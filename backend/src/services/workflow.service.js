@@ -0,0 +1,489 @@
+const httpStatus = require('http-status');
+const { BlogPost, Category, Tag, User } = require('../models');
+const { cache } = require('../config/redis');
+const config = require('../config/config');
+const { roleRights } = require('../config/roles');
+const logger = require('../config/logger');
+const emailService = require('./email.service');
+const sitemapService = require('./sitemap.service');
+const feedService = require('./feed.service');
+const searchService = require('./search.service');
+const relatedPostsService = require('./relatedPosts.service');
+const scheduleQueue = require('./scheduleQueue.service');
+const { getLanguage, getLanguages } = require('../config/languages');
+const { isLocalTime, zonedTimeToDate, formatZonedTime } = require('../utils/zonedTime');
+const ApiError = require('../utils/ApiError');
+
+/**
+ * Editorial workflow of posts
+ *
+ * draft → in_review → (changes_requested → in_review)* → approved → scheduled →
+ * published → archived. Each transition needs a right: authors submit and
+ * archive their posts, reviewers approve them or request changes, publishers
+ * publish and schedule them. Every transition is kept in the post's notes with
+ * the note left by whoever made it, and the people concerned are emailed.
+ * Scheduled posts are published by the scheduler once their time has come.
+ *
+ * Posts and translations can be embargoed: they are published at publishAt and
+ * unpublished at unpublishAt, times entered in the time zone of their market.
+ * Their jobs are queued in Redis by scheduleQueue, and rebuilt from the posts
+ * when the scheduler starts.
+ */
+
+/**
+ * Allowed transitions
+ * ownPost: only the post's author, or a reviewer, may make it
+ */
+const TRANSITIONS = [
+  {
+    from: ['draft', 'changes_requested'],
+    to: 'in_review',
+    right: 'manageBlogPosts',
+    ownPost: true,
+  },
+  { from: ['in_review'], to: 'draft', right: 'manageBlogPosts', ownPost: true },
+  { from: ['in_review', 'approved'], to: 'changes_requested', right: 'reviewBlogPosts' },
+  { from: ['in_review'], to: 'approved', right: 'reviewBlogPosts' },
+  { from: ['approved'], to: 'scheduled', right: 'publishBlogPosts' },
+  { from: ['approved', 'scheduled'], to: 'published', right: 'publishBlogPosts' },
+  { from: ['scheduled'], to: 'approved', right: 'publishBlogPosts' },
+  {
+    from: ['draft', 'in_review', 'changes_requested', 'approved', 'scheduled', 'published'],
+    to: 'archived',
+    right: 'manageBlogPosts',
+    ownPost: true,
+  },
+  { from: ['archived'], to: 'draft', right: 'manageBlogPosts', ownPost: true },
+];
+
+const AUTHOR_NOTIFICATIONS = {
+  changes_requested: 'Changes requested on your post',
+  approved: 'Your post was approved',
+  scheduled: 'Your post is scheduled',
+  published: 'Your post is published',
+};
+
+// Jobs that fail are tried again after this delay
+const JOB_RETRY_DELAY_MS = 60 * 1000;
+
+let schedulerTimer = null;
+
+/**
+ * Clear the caches of a post and refresh what is derived from its public state: sitemaps,
+ * feeds, search index and related posts vectors
+ * Related posts vectors are computed in the background, since it calls the AI provider.
+ * @param {Object} post - Blog post document
+ * @returns {Promise}
+ */
+const refreshPost = async (post) => {
+  // Cache keys use the slug of every language, translated slugs included
+  for (const { slug } of post.slugs || [{ slug: post.slug }]) {
+    await cache.clearByPattern(`post:${slug}:*`);
+  }
+  await cache.clearByPattern(`post:${post.id}:*`);
+  await cache.clearByPattern('posts:*');
+  await cache.clearByPattern('cache:/v1/blog*');
+  await sitemapService.invalidatePost(post);
+  await feedService.invalidateFeeds();
+  await searchService.indexPost(post);
+  relatedPostsService
+    .updateEmbeddings(post)
+    .catch((error) =>
+      logger.error(`Updating embeddings of post ${post.id} failed: ${error.message}`),
+    );
+};
+
+/**
+ * Email the people concerned by a transition
+ * Reviewers hear about submitted posts, authors about what happened to theirs.
+ * @private
+ */
+const notifyTransition = async (post, toStatus, { actorId, note } = {}) => {
+  const noteText = note ? `\n\nNote: ${note}` : '';
+
+  if (toStatus === 'in_review') {
+    const reviewerRoles = [...roleRights.entries()]
+      .filter(([, rights]) => rights.includes('reviewBlogPosts'))
+      .map(([role]) => role);
+    const reviewers = await User.find({ role: { $in: reviewerRoles }, _id: { $ne: actorId } });
+    for (const reviewer of reviewers) {
+      await emailService.sendEmail(
+        reviewer.email,
+        `Post submitted for review: ${post.title}`,
+        `Dear ${reviewer.name},\n"${post.title}" was submitted for review.${noteText}`,
+      );
+    }
+    return;
+  }
+
+  const subject = AUTHOR_NOTIFICATIONS[toStatus];
+  if (!subject || post.author.toString() === actorId) {
+    return;
+  }
+  const author = await User.findById(post.author);
+  if (author) {
+    const timeZone = post.timeZone || 'UTC';
+    const when =
+      toStatus === 'scheduled'
+        ? `\nPublication: ${formatZonedTime(post.publishAt, timeZone)} (${timeZone})`
+        : '';
+    await emailService.sendEmail(
+      author.email,
+      `${subject}: ${post.title}`,
+      `Dear ${author.name},\n${subject}: "${post.title}".${when}${noteText}`,
+    );
+  }
+};
+
+/**
+ * Send the notifications of a transition without holding up the request
+ * @private
+ */
+const notifyInBackground = (post, toStatus, options) => {
+  notifyTransition(post, toStatus, options).catch((error) =>
+    logger.warn(`Notifying transition of post ${post.id} to ${toStatus} failed: ${error.message}`),
+  );
+};
+
+/**
+ * Time zone publication times of a post or translation are entered in: the one given,
+ * the one they were last scheduled in, or the market time zone of their language
+ * @private
+ */
+const resolveTimeZone = (timeZone, scheduled, language) =>
+  timeZone || scheduled?.timeZone || getLanguage(language)?.timeZone || 'UTC';
+
+/**
+ * Date of a publication time, local times are read in the time zone given
+ * @private
+ */
+const resolveTime = (value, timeZone) =>
+  isLocalTime(value) ? zonedTimeToDate(value, timeZone) : new Date(value);
+
+/**
+ * Queue a job at a date, or cancel it when there is no date
+ * @private
+ */
+const syncJob = (job, at) =>
+  at ? scheduleQueue.scheduleJob(job, at) : scheduleQueue.cancelJob(job);
+
+/**
+ * Move a post to another workflow status
+ * @param {ObjectId} postId - Post id
+ * @param {Object} transition
+ * @param {string} transition.status - Status to move the post to
+ * @param {string} [transition.note] - Note for the author or reviewers, required when
+ * requesting changes
+ * @param {string} [transition.publishAt] - Publication time, required when scheduling:
+ * an ISO date with offset, or a local time in timeZone
+ * @param {string} [transition.timeZone] - IANA time zone of a local publishAt, defaults to
+ * the market time zone of the post's language
+ * @param {Object} user - User making the transition
+ * @returns {Promise<BlogPost>}
+ */
+const transitionPost = async (postId, { status, note, publishAt, timeZone }, user) => {
+  const post = await BlogPost.findById(postId);
+  if (!post) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Post not found');
+  }
+
+  const fromStatus = post.status;
+  const transition = TRANSITIONS.find(({ from, to }) => to === status && from.includes(fromStatus));
+  if (!transition) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `A ${fromStatus} post cannot be moved to ${status}`);
+  }
+
+  const rights = roleRights.get(user.role) || [];
+  const isAuthor = post.author.toString() === user.id;
+  if (
+    !rights.includes(transition.right) ||
+    (transition.ownPost && !isAuthor && !rights.includes('reviewBlogPosts'))
+  ) {
+    throw new ApiError(httpStatus.FORBIDDEN, `Not authorized to move this post to ${status}`);
+  }
+
+  if (status === 'changes_requested' && !note) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'A note is required when requesting changes');
+  }
+  if (status === 'scheduled') {
+    post.timeZone = resolveTimeZone(timeZone, post, post.language);
+    post.publishAt = publishAt && resolveTime(publishAt, post.timeZone);
+    if (!(post.publishAt > new Date())) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'Scheduled posts need a publication date to come');
+    }
+  } else {
+    post.publishAt = undefined;
+  }
+  // Archived posts are not unpublished again
+  if (status === 'archived') {
+    post.unpublishAt = undefined;
+  }
+
+  post.status = status;
+  post.notes.push({ author: user.id, fromStatus, toStatus: status, content: note });
+  await post.save();
+
+  await syncJob({ action: 'publish', postId: post.id }, post.publishAt);
+  await syncJob({ action: 'unpublish', postId: post.id }, post.unpublishAt);
+
+  // Archived posts are not counted in their category and tags
+  if (fromStatus === 'archived' || status === 'archived') {
+    await Category.updatePostCounts([post.category]);
+    await Tag.updatePostCounts(post.tags);
+  }
+  notifyInBackground(post, status, { actorId: user.id, note });
+  if (fromStatus === 'published' || status === 'published') {
+    await refreshPost(post);
+  }
+
+  return post;
+};
+
+/**
+ * Set or clear the publication and unpublication times of a post or of one of its translations
+ * Scheduling an approved post moves it to scheduled, clearing its publishAt moves it back
+ * to approved. A translation with a publishAt to come is embargoed: it is not served until
+ * then, and clearing its publishAt serves it right away.
+ * @param {ObjectId} postId - Post id
+ * @param {Object} schedule
+ * @param {string} [schedule.language] - Translation to schedule, the post itself when omitted
+ * @param {string|null} [schedule.publishAt] - ISO date with offset or local time, null to clear
+ * @param {string|null} [schedule.unpublishAt] - ISO date with offset or local time, null to clear
+ * @param {string} [schedule.timeZone] - IANA time zone of local times, defaults to the one
+ * last used, or the market time zone of the language
+ * @param {Object} user - User scheduling the post
+ * @returns {Promise<BlogPost>}
+ */
+const schedulePost = async (postId, { language, publishAt, unpublishAt, timeZone }, user) => {
+  const post = await BlogPost.findById(postId);
+  if (!post) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Post not found');
+  }
+
+  const isTranslation = !!language && language !== post.language;
+  const scheduled = isTranslation ? post.getTranslation(language) : post;
+  if (!scheduled) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Translation not found');
+  }
+  if (!isTranslation && post.status === 'archived') {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Archived posts cannot be scheduled');
+  }
+
+  const now = new Date();
+  scheduled.timeZone = resolveTimeZone(timeZone, scheduled, language || post.language);
+  const publishDate = publishAt && resolveTime(publishAt, scheduled.timeZone);
+  const unpublishDate = unpublishAt && resolveTime(unpublishAt, scheduled.timeZone);
+  if ((publishDate && publishDate <= now) || (unpublishDate && unpublishDate <= now)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Schedule times must be to come');
+  }
+  const nextPublishAt = publishAt === undefined ? scheduled.publishAt : publishDate;
+  const nextUnpublishAt = unpublishAt === undefined ? scheduled.unpublishAt : unpublishDate;
+  if (nextPublishAt && nextUnpublishAt && nextUnpublishAt <= nextPublishAt) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'unpublishAt must be after publishAt');
+  }
+
+  const fromStatus = post.status;
+  if (publishAt !== undefined && isTranslation) {
+    if (publishDate) {
+      scheduled.approvedAt = undefined;
+    } else if (scheduled.publishAt) {
+      scheduled.approvedAt = now;
+    }
+  } else if (publishAt !== undefined) {
+    if (publishDate && !['approved', 'scheduled'].includes(fromStatus)) {
+      throw new ApiError(httpStatus.BAD_REQUEST, `A ${fromStatus} post cannot be scheduled`);
+    }
+    if (publishDate) {
+      post.status = 'scheduled';
+    } else if (fromStatus === 'scheduled') {
+      post.status = 'approved';
+    }
+  }
+  scheduled.publishAt = nextPublishAt || undefined;
+  scheduled.unpublishAt = nextUnpublishAt || undefined;
+
+  if (post.status !== fromStatus) {
+    post.notes.push({ author: user.id, fromStatus, toStatus: post.status });
+  }
+  await post.save();
+
+  const job = { postId: post.id, language: isTranslation ? language : null };
+  await syncJob({ ...job, action: 'publish' }, scheduled.publishAt);
+  await syncJob({ ...job, action: 'unpublish' }, scheduled.unpublishAt);
+
+  if (post.status !== fromStatus) {
+    notifyInBackground(post, post.status, { actorId: user.id });
+  }
+  if (post.status === 'published') {
+    await refreshPost(post);
+  }
+
+  return post;
+};
+
+/**
+ * Run a scheduled job, once its post or translation is still due
+ * Jobs whose time was moved later are queued again for their new time.
+ * @param {Object} job
+ * @param {Date} now
+ * @returns {Promise<boolean>} - Whether the post or translation was published or unpublished
+ * @private
+ */
+const runJob = async ({ action, postId, language }, now) => {
+  const post = await BlogPost.findById(postId);
+  const scheduled = post && (language ? post.getTranslation(language) : post);
+  const dueAt = scheduled && scheduled[`${action}At`];
+  const expectedStatus = action === 'publish' ? 'scheduled' : 'published';
+  if (!dueAt || (!language && post.status !== expectedStatus)) {
+    return false;
+  }
+  if (dueAt > now) {
+    await scheduleQueue.scheduleJob({ action, postId, language }, dueAt);
+    return false;
+  }
+
+  const fromStatus = post.status;
+  if (language && action === 'publish') {
+    scheduled.approvedAt = now;
+  } else if (language) {
+    // Cached pages of the translation are found by its slug, dropped from post.slugs on save
+    await cache.clearByPattern(`post:${scheduled.slug}:*`);
+    scheduled.approvedAt = undefined;
+  } else if (action === 'publish') {
+    post.status = 'published';
+    post.publishedAt = post.publishedAt || dueAt;
+  } else {
+    post.status = 'archived';
+  }
+  scheduled[`${action}At`] = undefined;
+  if (post.status !== fromStatus) {
+    post.notes.push({ fromStatus, toStatus: post.status, createdAt: now });
+  }
+  await post.save();
+
+  if (post.status === 'archived') {
+    await Category.updatePostCounts([post.category]);
+    await Tag.updatePostCounts(post.tags);
+  }
+  await refreshPost(post);
+  if (post.status === 'published' && fromStatus !== 'published') {
+    notifyInBackground(post, 'published');
+  }
+  return true;
+};
+
+/**
+ * Run the scheduled jobs that are due
+ * Jobs that fail are logged and tried again a minute later.
+ * @param {Date} [now]
+ * @returns {Promise<number>} - Number of posts and translations published or unpublished
+ */
+const processDueJobs = async (now = new Date()) => {
+  const jobs = await scheduleQueue.claimDueJobs(now);
+
+  let processed = 0;
+  for (const job of jobs) {
+    try {
+      if (await runJob(job, now)) {
+        processed += 1;
+      }
+    } catch (error) {
+      const target = job.language ? `translation ${job.language} of post` : 'post';
+      logger.error(`Scheduled ${job.action} of ${target} ${job.postId} failed: ${error.message}`);
+      await scheduleQueue.scheduleJob(job, new Date(now.getTime() + JOB_RETRY_DELAY_MS));
+    }
+  }
+
+  return processed;
+};
+
+/**
+ * Queue the jobs of every scheduled post and translation
+ * Posts are the source of truth, so jobs lost by Redis are restored on start.
+ * @returns {Promise<number>} - Number of jobs queued
+ */
+const syncSchedule = async () => {
+  const translationConditions = getLanguages().flatMap(({ code }) => [
+    { [`translations.${code}.publishAt`]: { $exists: true } },
+    { [`translations.${code}.unpublishAt`]: { $exists: true } },
+  ]);
+  const cursor = BlogPost.find({
+    $or: [
+      { status: 'scheduled', publishAt: { $exists: true } },
+      { status: 'published', unpublishAt: { $exists: true } },
+      ...translationConditions,
+    ],
+  }).cursor();
+
+  let queued = 0;
+  const queue = async (job, at) => {
+    if (at) {
+      await scheduleQueue.scheduleJob(job, at);
+      queued += 1;
+    }
+  };
+  for await (const post of cursor) {
+    if (post.status === 'scheduled') {
+      await queue({ action: 'publish', postId: post.id }, post.publishAt);
+    }
+    if (post.status === 'published') {
+      await queue({ action: 'unpublish', postId: post.id }, post.unpublishAt);
+    }
+    for (const [language, translation] of post.translations) {
+      await queue({ action: 'publish', postId: post.id, language }, translation.publishAt);
+      await queue({ action: 'unpublish', postId: post.id, language }, translation.unpublishAt);
+    }
+  }
+
+  return queued;
+};
+
+/**
+ * Start running scheduled jobs from this process
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - How often due jobs are run
+ * @returns {Promise}
+ */
+const startScheduler = async ({ intervalMs = config.publishScheduler.intervalMs } = {}) => {
+  if (schedulerTimer) {
+    return;
+  }
+
+  const run = () =>
+    processDueJobs()
+      .then((processed) => {
+        if (processed) {
+          logger.info(`Ran ${processed} scheduled publication jobs`);
+        }
+      })
+      .catch((error) =>
+        logger.error(`Running scheduled publication jobs failed: ${error.message}`),
+      );
+
+  schedulerTimer = setInterval(run, intervalMs);
+  const queued = await syncSchedule();
+  logger.info(`Publish scheduler started with ${queued} scheduled jobs`);
+  await run();
+};
+
+/**
+ * Stop running scheduled jobs from this process
+ */
+const stopScheduler = () => {
+  if (!schedulerTimer) {
+    return;
+  }
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+  logger.info('Publish scheduler stopped');
+};
+
+module.exports = {
+  refreshPost,
+  transitionPost,
+  schedulePost,
+  processDueJobs,
+  syncSchedule,
+  startScheduler,
+  stopScheduler,
+};
@@ -0,0 +1,112 @@
+/**
+ * Local spam and toxicity scoring of comments
+ *
+ * Used when the AI provider cannot score a comment. Each signal adds its weight
+ * to a score capped at 1, and is reported as a reason so moderators see why a
+ * comment was held. Word lists are short on purpose: they catch the obvious
+ * cases, the moderation queue catches the rest.
+ */
+
+const LINK = /\bhttps?:\/\/\S+|\bwww\.\S+/gi;
+
+const SPAM_TERMS = [
+  'casino',
+  'viagra',
+  'cialis',
+  'crypto giveaway',
+  'free money',
+  'make money fast',
+  'work from home',
+  'click here',
+  'buy now',
+  'limited offer',
+  'seo services',
+  'backlinks',
+  'loan',
+  'bitcoin',
+];
+
+// Insults in the site's main languages
+const TOXIC_TERMS = [
+  'idiot',
+  'stupid',
+  'moron',
+  'retard',
+  'loser',
+  'shut up',
+  'kill yourself',
+  'connard',
+  'abruti',
+  'imbécile',
+  'ta gueule',
+  'arschloch',
+  'vollidiot',
+  'halt die klappe',
+  'imbécil',
+  'estúpido',
+  'gilipollas',
+  'idiota',
+  'stronzo',
+];
+
+/**
+ * Check if a text contains a term as whole words
+ * @private
+ */
+const containsTerm = (text, term) =>
+  new RegExp(`(^|[^\\p{L}])${term}([^\\p{L}]|$)`, 'u').test(text);
+
+/**
+ * Score a comment for spam and toxicity
+ * @param {string} text - Comment text
+ * @returns {{spam: number, toxicity: number, reasons: Array<string>}} - Scores from 0 to 1
+ * and the signals found
+ */
+const scoreComment = (text) => {
+  const lower = text.toLowerCase();
+  const letters = text.replace(/[^\p{L}]/gu, '');
+  const reasons = [];
+  let spam = 0;
+  let toxicity = 0;
+
+  const links = (text.match(LINK) || []).length;
+  if (links) {
+    reasons.push(`${links} link${links > 1 ? 's' : ''}`);
+    spam += Math.min(links * 0.25, 0.6);
+  }
+  const spamTerms = SPAM_TERMS.filter((term) => containsTerm(lower, term));
+  if (spamTerms.length) {
+    reasons.push(`spam terms: ${spamTerms.join(', ')}`);
+    spam += spamTerms.length * 0.3;
+  }
+  if (
+    letters.length >= 20 &&
+    letters === letters.toUpperCase() &&
+    letters !== letters.toLowerCase()
+  ) {
+    reasons.push('all caps');
+    spam += 0.2;
+    toxicity += 0.1;
+  }
+  if (/(.)\1{7,}/u.test(text)) {
+    reasons.push('repeated characters');
+    spam += 0.2;
+  }
+  if (links && letters.length < 30) {
+    reasons.push('link with little text');
+    spam += 0.3;
+  }
+
+  const toxicTerms = TOXIC_TERMS.filter((term) => containsTerm(lower, term));
+  if (toxicTerms.length) {
+    reasons.push(`insults: ${toxicTerms.join(', ')}`);
+    toxicity += 0.5 + (toxicTerms.length - 1) * 0.2;
+  }
+
+  const round = (score) => Math.round(Math.min(score, 1) * 100) / 100;
+  return { spam: round(spam), toxicity: round(toxicity), reasons };
+};
+
+module.exports = {
+  scoreComment,
+};
@@ -0,0 +1,107 @@
+/**
+ * Split Markdown into translation segments and join them back
+ *
+ * Every segment keeps the exact source it came from as `prefix + text`, so
+ * joinSegments(splitSegments(markdown)) returns the original string. Only the
+ * `text` of translatable segments is sent for translation; markers such as
+ * "## " or "- " stay in `prefix`.
+ */
+
+const FENCE = /^\s*(```|~~~)/;
+const HEADING = /^(\s{0,3}#{1,6}\s+)(.*)$/;
+const LIST_ITEM = /^(\s*(?:[-*+]|\d+[.)])\s+)(.*)$/;
+
+/**
+ * Split Markdown content into segments
+ * @param {string} markdown - Markdown content
+ * @returns {Array<{type: string, prefix: string, text: string, translatable: boolean}>}
+ */
+const splitSegments = (markdown = '') => {
+  const lines = markdown.split('\n');
+  const segments = [];
+  let paragraph = null;
+  let code = null;
+
+  const flushParagraph = () => {
+    if (paragraph) {
+      segments.push({
+        type: 'paragraph',
+        prefix: '',
+        text: paragraph.join('\n'),
+        translatable: true,
+      });
+      paragraph = null;
+    }
+  };
+
+  lines.forEach((line) => {
+    // Code blocks are kept verbatim, fence lines included
+    if (code) {
+      code.push(line);
+      if (FENCE.test(line)) {
+        segments.push({ type: 'code', prefix: '', text: code.join('\n'), translatable: false });
+        code = null;
+      }
+      return;
+    }
+
+    if (FENCE.test(line)) {
+      flushParagraph();
+      code = [line];
+      return;
+    }
+
+    if (line.trim() === '') {
+      flushParagraph();
+      segments.push({ type: 'blank', prefix: '', text: line, translatable: false });
+      return;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      flushParagraph();
+      segments.push({ type: 'heading', prefix: heading[1], text: heading[2], translatable: true });
+      return;
+    }
+
+    const listItem = line.match(LIST_ITEM);
+    if (listItem) {
+      flushParagraph();
+      segments.push({
+        type: 'listItem',
+        prefix: listItem[1],
+        text: listItem[2],
+        translatable: true,
+      });
+      return;
+    }
+
+    paragraph = paragraph || [];
+    paragraph.push(line);
+  });
+
+  flushParagraph();
+
+  // Unclosed code block, keep what was collected
+  if (code) {
+    segments.push({ type: 'code', prefix: '', text: code.join('\n'), translatable: false });
+  }
+
+  return segments;
+};
+
+/**
+ * Join segments back into Markdown
+ * @param {Array<Object>} segments - Segments from splitSegments
+ * @param {Array<string>} [texts] - Replacement text per segment, defaults to each segment's text
+ * @returns {string}
+ */
+const joinSegments = (segments, texts) =>
+  segments
+    .map((segment, index) => segment.prefix + (texts ? texts[index] : segment.text))
+    .join('\n');
+
+module.exports = {
+  splitSegments,
+  joinSegments,
+};
@@ -0,0 +1,21 @@
+/**
+ * Strip Markdown down to the text a reader sees
+ * Code blocks are dropped, links and images keep their text.
+ * @param {string} markdown - Markdown content
+ * @returns {string}
+ */
+const toPlainText = (markdown = '') =>
+  markdown
+    .replace(/(```|~~~)[\s\S]*?\1/g, ' ')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/^\s{0,3}(?:#{1,6}|>|[-*+]|\d+[.)])\s+/gm, '')
+    .replace(/(\*{1,3}|_{2,3}|~~)(\S[\s\S]*?)\1/g, '$2')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+module.exports = {
+  toPlainText,
+};
@@ -0,0 +1,94 @@
+/**
+ * Highlight search terms in text
+ *
+ * MongoDB does not report which words matched a text search, so matches are
+ * found again here. Words are matched on a prefix of each term, which catches
+ * most inflections the stemmer folds together, such as "tools" for "tool".
+ * Output is HTML: the text is escaped and matches are wrapped in <mark>.
+ */
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+const escapeHtml = (text) =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Terms of a search query, excluded terms left out
+ * @param {string} query - Search query
+ * @returns {Array<string>}
+ */
+const queryTerms = (query) =>
+  query
+    .split(/\s+/)
+    .filter((word) => !word.startsWith('-'))
+    .flatMap((word) => word.toLowerCase().match(WORD) || [])
+    .filter((term) => term.length > 1);
+
+/**
+ * Regular expression matching the words starting like one of the terms
+ * @private
+ */
+const termsPattern = (terms) => {
+  const prefixes = terms.map((term) =>
+    escapeRegExp(term.length > 4 ? term.slice(0, Math.max(4, term.length - 2)) : term),
+  );
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${prefixes.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+};
+
+/**
+ * Escape text and mark the words matching the terms
+ * @param {string} text - Plain text
+ * @param {Array<string>} terms - Query terms
+ * @returns {string} - HTML
+ */
+const highlight = (text = '', terms = []) => {
+  if (!terms.length) {
+    return escapeHtml(text);
+  }
+
+  let html = '';
+  let last = 0;
+  [...text.matchAll(termsPattern(terms))].forEach((match) => {
+    html += `${escapeHtml(text.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  });
+
+  return html + escapeHtml(text.slice(last));
+};
+
+/**
+ * Excerpt of the text around the first match, highlighted
+ * @param {string} text - Plain text
+ * @param {Array<string>} terms - Query terms
+ * @param {number} [length] - Approximate length of the snippet (default = 200)
+ * @returns {string} - HTML
+ */
+const snippet = (text = '', terms = [], length = 200) => {
+  const match = terms.length ? termsPattern(terms).exec(text) : null;
+  let start = match ? Math.max(0, match.index - Math.floor(length / 3)) : 0;
+  let end = Math.min(text.length, start + length);
+
+  // Cut on word boundaries
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && (!match || space < match.index)) {
+      start = space + 1;
+    }
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > start ? space : end;
+  }
+
+  return `${start > 0 ? '…' : ''}${highlight(text.slice(start, end), terms)}${
+    end < text.length ? '…' : ''
+  }`;
+};
+
+module.exports = {
+  queryTerms,
+  highlight,
+  snippet,
+};
@@ -0,0 +1,207 @@
+const { splitSegments } = require('./markdownSegments');
+
+/**
+ * SEO checks for a single post
+ *
+ * Every check looks at the post as served in one language and reports findings
+ * with a severity. The score starts at 100 and each finding takes its
+ * severity's penalty off, so fixing errors first gives the biggest gain.
+ */
+
+const LIMITS = {
+  metaTitle: { max: 100, recommendedMin: 30, recommendedMax: 60 },
+  metaDescription: { max: 160, recommendedMin: 70 },
+};
+
+const PENALTIES = { error: 15, warning: 5, info: 0 };
+
+const IMAGE = /!\[([^\]]*)\]\(([^)\s]+)[^)]*\)/g;
+const LINK = /(?<!!)\[[^\]]*\]\(([^)\s]+)[^)]*\)/g;
+
+const finding = (check, severity, message, details) => ({
+  check,
+  severity,
+  message,
+  ...(details && { details }),
+});
+
+const includesKeyword = (text, keyword) =>
+  !!text && text.toLowerCase().includes(keyword.toLowerCase());
+
+/**
+ * Check the length of a meta field against the schema limit and the recommended range
+ * @private
+ */
+const checkMetaField = (field, value, { max, recommendedMin, recommendedMax }) => {
+  if (!value) {
+    return [finding(field, 'error', `${field} is missing`)];
+  }
+  if (value.length > max) {
+    return [
+      finding(field, 'error', `${field} is longer than ${max} characters`, {
+        length: value.length,
+      }),
+    ];
+  }
+  if (recommendedMax && value.length > recommendedMax) {
+    return [
+      finding(
+        field,
+        'warning',
+        `${field} is longer than ${recommendedMax} characters and may be truncated in search results`,
+        {
+          length: value.length,
+        },
+      ),
+    ];
+  }
+  if (value.length < recommendedMin) {
+    return [
+      finding(field, 'warning', `${field} is shorter than ${recommendedMin} characters`, {
+        length: value.length,
+      }),
+    ];
+  }
+  return [];
+};
+
+/**
+ * Check that headings start at H2 and never skip a level
+ * @private
+ */
+const checkHeadings = (headings) => {
+  const findings = [];
+
+  if (headings.some((heading) => heading.level === 1)) {
+    findings.push(
+      finding('headings', 'warning', 'Content has an H1, the title is already the H1 of the page'),
+    );
+  }
+
+  const skipped = headings.filter(
+    (heading, index) => index > 0 && heading.level > headings[index - 1].level + 1,
+  );
+  if (headings.length && headings[0].level > 2) {
+    skipped.unshift(headings[0]);
+  }
+  if (skipped.length) {
+    findings.push(
+      finding('headings', 'warning', 'Heading levels are skipped', {
+        headings: skipped.map((heading) => `H${heading.level} ${heading.text}`),
+      }),
+    );
+  }
+
+  return findings;
+};
+
+/**
+ * Audit a post as served in one language
+ * @param {Object} post - Localized post
+ * @param {Object} context
+ * @param {boolean} context.isSource - Whether the language is the source language of the post
+ * @param {Object} context.meta - Meta title and description served in the language
+ * @param {number} [context.duplicateTitles] - Other posts with the same title in the language
+ * @param {Array<string>} [context.internalHosts] - URL prefixes of internal links
+ * @returns {{score: number, findings: Array<Object>}}
+ */
+const auditPost = (post, { isSource, meta, duplicateTitles = 0, internalHosts = [] }) => {
+  const findings = [];
+  const segments = splitSegments(post.content).filter((segment) => segment.type !== 'code');
+  const headings = segments
+    .filter((segment) => segment.type === 'heading')
+    .map((segment) => ({ level: segment.prefix.trim().length, text: segment.text.trim() }));
+  const firstParagraph = segments.find((segment) => segment.type === 'paragraph')?.text;
+  const body = segments.map((segment) => segment.text).join('\n');
+
+  // Meta title and description
+  if (isSource) {
+    findings.push(...checkMetaField('metaTitle', meta.metaTitle, LIMITS.metaTitle));
+    findings.push(
+      ...checkMetaField('metaDescription', meta.metaDescription, LIMITS.metaDescription),
+    );
+  } else {
+    ['metaTitle', 'metaDescription'].forEach((field) => {
+      if (!meta[field]) {
+        findings.push(
+          finding('translationMeta', 'warning', `${field} is not translated for this language`),
+        );
+      } else {
+        findings.push(...checkMetaField(field, meta[field], LIMITS[field]));
+      }
+    });
+  }
+
+  // Focus keyword, the first keyword of the post
+  const keyword = post.keywords && post.keywords[0];
+  if (!keyword) {
+    findings.push(finding('keyword', 'warning', 'No focus keyword, add keywords to the post'));
+  } else {
+    if (!includesKeyword(post.title, keyword) && !includesKeyword(meta.metaTitle, keyword)) {
+      findings.push(
+        finding('keyword', 'warning', `Focus keyword "${keyword}" is not in the title`),
+      );
+    }
+    if (
+      !headings.some((heading) => heading.level === 2 && includesKeyword(heading.text, keyword))
+    ) {
+      findings.push(finding('keyword', 'warning', `Focus keyword "${keyword}" is not in any H2`));
+    }
+    if (!includesKeyword(firstParagraph, keyword)) {
+      findings.push(
+        finding('keyword', 'warning', `Focus keyword "${keyword}" is not in the first paragraph`),
+      );
+    }
+  }
+
+  // Heading hierarchy
+  findings.push(...checkHeadings(headings));
+
+  // Internal links
+  const links = [...body.matchAll(LINK)].map((match) => match[1]);
+  const internalLinks = links.filter(
+    (url) => url.startsWith('/') || internalHosts.some((host) => url.startsWith(host)),
+  );
+  if (internalLinks.length === 0) {
+    findings.push(
+      finding('internalLinks', 'warning', 'No internal links to other pages of the site'),
+    );
+  } else if (internalLinks.length === 1) {
+    findings.push(finding('internalLinks', 'info', 'Only one internal link', { count: 1 }));
+  }
+
+  // Image alt text
+  const imagesWithoutAlt = [...body.matchAll(IMAGE)]
+    .filter((match) => !match[1].trim())
+    .map((match) => match[2]);
+  if (imagesWithoutAlt.length) {
+    findings.push(
+      finding('imageAlt', 'error', `${imagesWithoutAlt.length} image(s) without alt text`, {
+        images: imagesWithoutAlt,
+      }),
+    );
+  }
+  if (post.featuredImage?.url && !post.featuredImage.alt) {
+    findings.push(finding('imageAlt', 'warning', 'Featured image has no alt text'));
+  }
+
+  // Duplicate titles
+  if (duplicateTitles > 0) {
+    findings.push(
+      finding('duplicateTitle', 'error', 'Another post has the same title in this language', {
+        count: duplicateTitles,
+      }),
+    );
+  }
+
+  const score = Math.max(
+    0,
+    findings.reduce((total, { severity }) => total - PENALTIES[severity], 100),
+  );
+
+  return { score, findings };
+};
+
+module.exports = {
+  auditPost,
+};
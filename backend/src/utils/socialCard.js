@@ -0,0 +1,176 @@
+const { Resvg } = require('@resvg/resvg-js');
+
+/**
+ * Social card images
+ *
+ * Cards are drawn as SVG and rasterized to PNG with resvg, which only uses the
+ * DejaVu fonts installed with the app: system fonts are not loaded and nothing
+ * is fetched, so a card renders the same on every host. Text is laid out here,
+ * line widths are estimated from the character classes of the font.
+ */
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+const PADDING = 80;
+// Band the title is centered in, between the category and the footer
+const TITLE_TOP = 180;
+const TITLE_HEIGHT = 320;
+
+const FONT_FAMILY = 'DejaVu Sans';
+const FONT_FILES = [
+  require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf'),
+  require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf'),
+];
+
+// Title font sizes tried from the largest, with the lines they can take
+const TITLE_SIZES = [
+  { fontSize: 68, maxLines: 3 },
+  { fontSize: 56, maxLines: 4 },
+  { fontSize: 48, maxLines: 5 },
+];
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Estimate the width of bold text, in pixels
+ * @private
+ */
+const textWidth = (text, fontSize) =>
+  [...text].reduce((width, char) => {
+    if (/[\s.,:;'!|iIl]/.test(char)) return width + 0.35 * fontSize;
+    if (/[A-ZMmWw]/.test(char)) return width + 0.8 * fontSize;
+    return width + 0.7 * fontSize;
+  }, 0);
+
+/**
+ * Wrap text on words to fit a width, ellipsizing the last line when it does not fit
+ * @returns {{lines: Array<string>, overflow: boolean}}
+ * @private
+ */
+const wrapText = (text, fontSize, maxWidth, maxLines) => {
+  const lines = [];
+
+  text
+    .split(/\s+/)
+    .filter(Boolean)
+    .forEach((word) => {
+      const current = lines[lines.length - 1];
+      if (current !== undefined && textWidth(`${current} ${word}`, fontSize) <= maxWidth) {
+        lines[lines.length - 1] = `${current} ${word}`;
+      } else {
+        lines.push(word);
+      }
+    });
+
+  const overflow = lines.length > maxLines;
+  const shown = lines.slice(0, maxLines);
+  let cut = false;
+
+  // Long words are cut to the width too
+  const fitted = shown.map((line, index) => {
+    const ellipsis = overflow && index === shown.length - 1 ? '…' : '';
+    let result = line;
+    while (result.length > 1 && textWidth(`${result}${ellipsis}`, fontSize) > maxWidth) {
+      result = result.slice(0, -1);
+    }
+    cut = cut || result !== line;
+    return ellipsis ? `${result.trimEnd()}${ellipsis}` : result;
+  });
+
+  return { lines: fitted, overflow: overflow || cut };
+};
+
+/**
+ * Lay the title out at the largest size it fits at
+ * @private
+ */
+const layoutTitle = (title) => {
+  const maxWidth = WIDTH - 2 * PADDING;
+  const layouts = TITLE_SIZES.map(({ fontSize, maxLines }) => ({
+    fontSize,
+    ...wrapText(title, fontSize, maxWidth, maxLines),
+  }));
+
+  return layouts.find((layout) => !layout.overflow) || layouts[layouts.length - 1];
+};
+
+/**
+ * Build the SVG of a card
+ * @private
+ */
+const buildSvg = ({ title, category, author, siteName, language, rtl }) => {
+  const { fontSize, lines } = layoutTitle(title);
+  const lineHeight = Math.round(fontSize * 1.2);
+  const titleTop = TITLE_TOP + (TITLE_HEIGHT - lines.length * lineHeight) / 2;
+
+  const start = rtl ? WIDTH - PADDING : PADDING;
+  const end = rtl ? PADDING : WIDTH - PADDING;
+  const anchorStart = rtl ? 'end' : 'start';
+  const anchorEnd = rtl ? 'start' : 'end';
+  const direction = rtl ? 'rtl' : 'ltr';
+
+  const titleLines = lines
+    .map(
+      (line, index) =>
+        `<text x="${start}" y="${Math.round(titleTop + (index + 1) * lineHeight - lineHeight * 0.25)}" font-size="${fontSize}" font-weight="bold" fill="#f8fafc" text-anchor="${anchorStart}" direction="${direction}">${escapeXml(line)}</text>`,
+    )
+    .join('\n  ');
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" font-family="${FONT_FAMILY}">`,
+    '  <defs>',
+    '    <linearGradient id="background" x1="0" y1="0" x2="1" y2="1">',
+    '      <stop offset="0" stop-color="#0f172a"/>',
+    '      <stop offset="1" stop-color="#1e3a8a"/>',
+    '    </linearGradient>',
+    '  </defs>',
+    `  <rect width="${WIDTH}" height="${HEIGHT}" fill="url(#background)"/>`,
+    `  <rect x="${rtl ? WIDTH - 16 : 0}" width="16" height="${HEIGHT}" fill="#38bdf8"/>`,
+    category
+      ? `  <text x="${start}" y="140" font-size="30" font-weight="bold" fill="#38bdf8" letter-spacing="2" text-anchor="${anchorStart}" direction="${direction}">${escapeXml(category.toUpperCase())}</text>`
+      : '',
+    `  ${titleLines}`,
+    `  <line x1="${PADDING}" y1="520" x2="${WIDTH - PADDING}" y2="520" stroke="#334155" stroke-width="2"/>`,
+    author
+      ? `  <text x="${start}" y="575" font-size="30" fill="#e2e8f0" text-anchor="${anchorStart}" direction="${direction}">${escapeXml(author)}</text>`
+      : '',
+    `  <text x="${end}" y="575" font-size="30" font-weight="bold" fill="#e2e8f0" text-anchor="${anchorEnd}" direction="${direction}">${escapeXml(siteName)} · ${escapeXml(language.toUpperCase())}</text>`,
+    '</svg>',
+  ]
+    .filter(Boolean)
+    .join('\n');
+};
+
+/**
+ * Render a 1200×630 social card
+ * @param {Object} card
+ * @param {string} card.title - Post title
+ * @param {string} [card.category] - Category name
+ * @param {string} [card.author] - Author name
+ * @param {string} card.siteName - Site name
+ * @param {string} card.language - Language code, shown on the card
+ * @param {boolean} [card.rtl] - Whether the language is written right to left
+ * @returns {Buffer} - PNG image
+ */
+const renderSocialCard = (card) => {
+  const resvg = new Resvg(buildSvg(card), {
+    font: {
+      loadSystemFonts: false,
+      fontFiles: FONT_FILES,
+      defaultFontFamily: FONT_FAMILY,
+    },
+  });
+
+  return resvg.render().asPng();
+};
+
+module.exports = {
+  SOCIAL_CARD_WIDTH: WIDTH,
+  SOCIAL_CARD_HEIGHT: HEIGHT,
+  renderSocialCard,
+};
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const { splitSegments } = require('./markdownSegments');
+
+/**
+ * Fingerprint the translatable source of a post
+ *
+ * A revision holds one hash over the whole source and one per section: the
+ * title, the excerpt, and each part of the content that starts at a heading.
+ * Translations store the revision of the source they were made from, so
+ * comparing it with the post's current revision tells whether a translation is
+ * stale and which sections changed. Fields that are not translated (views, SEO,
+ * status...) are not part of the revision.
+ */
+
+const hash = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Split Markdown content into sections starting at each heading
+ * @param {string} content - Markdown content
+ * @returns {Array<{key: string, heading: string, text: string}>}
+ * @private
+ */
+const contentSections = (content = '') => {
+  const sections = [];
+  const seen = {};
+  let current = { heading: null, lines: [] };
+
+  const flush = () => {
+    const text = current.lines.join('\n').trim();
+    if (current.heading !== null || text) {
+      const base = current.heading === null ? 'intro' : `heading:${current.heading}`;
+      seen[base] = (seen[base] || 0) + 1;
+      sections.push({
+        key: seen[base] > 1 ? `${base}#${seen[base]}` : base,
+        heading: current.heading,
+        text,
+      });
+    }
+  };
+
+  splitSegments(content).forEach((segment) => {
+    if (segment.type === 'heading') {
+      flush();
+      current = { heading: segment.text.trim(), lines: [] };
+    } else {
+      current.lines.push(segment.prefix + segment.text);
+    }
+  });
+  flush();
+
+  return sections;
+};
+
+/**
+ * Compute the revision of a post's translatable source
+ * @param {Object} source
+ * @param {string} source.title - Title
+ * @param {string} [source.excerpt] - Excerpt
+ * @param {string} source.content - Markdown content
+ * @returns {{hash: string, sections: Array<{key: string, heading: string, hash: string}>}}
+ */
+const computeSourceRevision = ({ title = '', excerpt = '', content = '' }) => {
+  const sections = [
+    { key: 'title', heading: null, hash: hash(title.trim()) },
+    { key: 'excerpt', heading: null, hash: hash(excerpt.trim()) },
+    ...contentSections(content).map(({ key, heading, text }) => ({
+      key,
+      heading,
+      hash: hash(`${heading || ''}\n${text}`),
+    })),
+  ];
+
+  return {
+    hash: hash(sections.map((section) => `${section.key}:${section.hash}`).join('\n')),
+    sections,
+  };
+};
+
+/**
+ * Compare the revision a translation was made from with the current source
+ * @param {Object} [translatedRevision] - Revision stored on the translation
+ * @param {Object} currentRevision - Revision of the current source
+ * @returns {Object} - Whether the translation is stale, and the keys of the sections that
+ * changed, were added to or removed from the source. A translation without a stored
+ * revision is reported stale with `unknown: true`.
+ */
+const diffSourceRevision = (translatedRevision, currentRevision) => {
+  if (!translatedRevision || !translatedRevision.hash) {
+    return { stale: true, changed: [], added: [], removed: [], unknown: true };
+  }
+
+  if (translatedRevision.hash === currentRevision.hash) {
+    return { stale: false, changed: [], added: [], removed: [] };
+  }
+
+  const previous = new Map(translatedRevision.sections.map((section) => [section.key, section]));
+  const current = new Map(currentRevision.sections.map((section) => [section.key, section]));
+
+  return {
+    stale: true,
+    changed: [...current.keys()].filter(
+      (key) => previous.has(key) && previous.get(key).hash !== current.get(key).hash,
+    ),
+    added: [...current.keys()].filter((key) => !previous.has(key)),
+    removed: [...previous.keys()].filter((key) => !current.has(key)),
+  };
+};
+
+module.exports = {
+  computeSourceRevision,
+  diffSourceRevision,
+};
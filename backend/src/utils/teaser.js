@@ -0,0 +1,34 @@
+/**
+ * Beginning of a Markdown text, cut at a word count
+ * Whole paragraphs are kept while they fit; the paragraph reaching the count is cut
+ * after its last fitting word and ends with an ellipsis.
+ * @param {string} content - Markdown text
+ * @param {number} maxWords - Maximum number of words
+ * @returns {string}
+ */
+const toTeaser = (content = '', maxWords = 150) => {
+  const paragraphs = content.trim().split(/\n\s*\n/);
+  const kept = [];
+  let words = 0;
+
+  for (const paragraph of paragraphs) {
+    const paragraphWords = paragraph.trim().split(/\s+/).filter(Boolean);
+    if (words + paragraphWords.length <= maxWords) {
+      kept.push(paragraph);
+      words += paragraphWords.length;
+    } else {
+      const remaining = maxWords - words;
+      if (remaining > 0) {
+        kept.push(`${paragraphWords.slice(0, remaining).join(' ')}…`);
+      } else if (kept.length) {
+        kept[kept.length - 1] = `${kept[kept.length - 1]}…`;
+      }
+      break;
+    }
+  }
+  return kept.join('\n\n');
+};
+
+module.exports = {
+  toTeaser,
+};
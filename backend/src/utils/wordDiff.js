@@ -0,0 +1,174 @@
+/**
+ * Word-level diff of two texts
+ *
+ * Texts are split into words and the whitespace between them, and the longest
+ * common subsequence of tokens is kept as unchanged text. The LCS table grows
+ * with the product of both lengths, so long texts that changed in many places
+ * are first compared line by line, and only the lines that changed are compared
+ * word by word.
+ */
+
+// Largest LCS table computed, about 16 MB
+const MAX_CELLS = 4000000;
+
+const tokenize = (text) => text.match(/\s+|[^\s]+/g) || [];
+
+const splitLines = (text) => text.match(/[^\n]*\n|[^\n]+$/g) || [];
+
+/**
+ * Diff two token lists, common prefix and suffix excluded from the LCS table
+ * @returns {Array<{type: string, tokens: Array<string>}>|null} - null when the table is too large
+ * @private
+ */
+const diffTokens = (a, b) => {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start += 1;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  if (n * m > MAX_CELLS) {
+    return null;
+  }
+
+  // lcs[i * (m + 1) + j] is the LCS length of a[start + i..] and b[start + j..]
+  const lcs = new Uint32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i -= 1) {
+    for (let j = m - 1; j >= 0; j -= 1) {
+      lcs[i * (m + 1) + j] =
+        a[start + i] === b[start + j]
+          ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+    }
+  }
+
+  const ops = [{ type: 'equal', tokens: a.slice(0, start) }];
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[start + i] === b[start + j]) {
+      ops.push({ type: 'equal', tokens: [a[start + i]] });
+      i += 1;
+      j += 1;
+    } else if (j < m && (i === n || lcs[i * (m + 1) + j + 1] >= lcs[(i + 1) * (m + 1) + j])) {
+      ops.push({ type: 'insert', tokens: [b[start + j]] });
+      j += 1;
+    } else {
+      ops.push({ type: 'delete', tokens: [a[start + i]] });
+      i += 1;
+    }
+  }
+  ops.push({ type: 'equal', tokens: a.slice(endA) });
+
+  return ops;
+};
+
+/**
+ * Merge consecutive operations of the same type into text
+ * Deletions are placed before insertions within a changed run.
+ * @private
+ */
+const mergeOps = (ops) => {
+  const merged = [];
+  let pending = { delete: [], insert: [] };
+  const flushChanges = () => {
+    ['delete', 'insert'].forEach((type) => {
+      if (pending[type].length) {
+        merged.push({ type, text: pending[type].join('') });
+      }
+    });
+    pending = { delete: [], insert: [] };
+  };
+
+  ops.forEach(({ type, tokens }) => {
+    if (!tokens.length) {
+      return;
+    }
+    if (type !== 'equal') {
+      tokens.forEach((token) => pending[type].push(token));
+      return;
+    }
+    flushChanges();
+    const last = merged[merged.length - 1];
+    if (last && last.type === 'equal') {
+      last.text += tokens.join('');
+    } else {
+      merged.push({ type, text: tokens.join('') });
+    }
+  });
+  flushChanges();
+
+  return merged;
+};
+
+/**
+ * Diff long texts line by line, then the changed lines word by word
+ * @private
+ */
+const diffByLines = (a, b) => {
+  const lineOps = diffTokens(splitLines(a), splitLines(b)) || [
+    { type: 'delete', tokens: [a] },
+    { type: 'insert', tokens: [b] },
+  ];
+
+  let ops = [];
+  let deleted = [];
+  let inserted = [];
+  const refine = () => {
+    const before = tokenize(deleted.join(''));
+    const after = tokenize(inserted.join(''));
+    ops = ops.concat(
+      diffTokens(before, after) || [
+        { type: 'delete', tokens: before },
+        { type: 'insert', tokens: after },
+      ],
+    );
+    deleted = [];
+    inserted = [];
+  };
+
+  lineOps.forEach((op) => {
+    if (op.type === 'delete') {
+      deleted.push(...op.tokens);
+    } else if (op.type === 'insert') {
+      inserted.push(...op.tokens);
+    } else {
+      refine();
+      ops.push(op);
+    }
+  });
+  refine();
+
+  return ops;
+};
+
+/**
+ * Word-level diff of two texts
+ * @param {string} [before] - Previous text
+ * @param {string} [after] - New text
+ * @returns {{changes: Array<{type: string, text: string}>, added: number, removed: number}} -
+ * Runs of equal, deleted and inserted text, whitespace included, and the number of
+ * words added and removed
+ */
+const diffWords = (before = '', after = '') => {
+  const changes = mergeOps(
+    diffTokens(tokenize(before), tokenize(after)) || diffByLines(before, after),
+  );
+  const countWords = (type) =>
+    changes
+      .filter((change) => change.type === type)
+      .reduce((count, change) => count + (change.text.match(/[^\s]+/g) || []).length, 0);
+
+  return { changes, added: countWords('insert'), removed: countWords('delete') };
+};
+
+module.exports = {
+  diffWords,
+};
@@ -0,0 +1,124 @@
+/**
+ * Local times in IANA time zones
+ *
+ * Publication times are entered as the wall-clock time of a market, e.g. 9am
+ * in Europe/Paris, and stored as UTC dates. The offset of a zone at a date is
+ * read from Intl, so daylight saving time is accounted for without a time zone
+ * database of our own.
+ */
+
+// Local date and time without offset, e.g. 2026-11-02T09:00
+const LOCAL_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?$/;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      }),
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Wall-clock time of a zone at an instant, as the parts of a date
+ * @private
+ */
+const zonedParts = (date, timeZone) =>
+  Object.fromEntries(
+    getFormatter(timeZone)
+      .formatToParts(date)
+      .filter(({ type }) => type !== 'literal')
+      .map(({ type, value }) => [type, Number(value)]),
+  );
+
+/**
+ * Offset of a zone from UTC at an instant, in milliseconds
+ * @private
+ */
+const zoneOffset = (timestamp, timeZone) => {
+  const parts = zonedParts(new Date(timestamp), timeZone);
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+  );
+  return wallClock - (timestamp - (((timestamp % 1000) + 1000) % 1000));
+};
+
+/**
+ * Check if a time zone is a valid IANA time zone
+ * @param {string} timeZone - e.g. Europe/Paris
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check if a string is a local date and time, without offset
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isLocalTime = (value) => LOCAL_TIME.test(value);
+
+/**
+ * Convert a local date and time in a zone to a date
+ * Times skipped when clocks go forward are moved forward with them (02:30 becomes 03:30),
+ * times repeated when clocks go back resolve to their first occurrence.
+ * @param {string} localTime - Local date and time, e.g. 2026-11-02T09:00
+ * @param {string} timeZone - IANA time zone, e.g. Europe/Paris
+ * @returns {Date}
+ */
+const zonedTimeToDate = (localTime, timeZone) => {
+  const asUtc = Date.parse(`${localTime}Z`);
+  // Offsets a day apart cover both sides of a DST change on that day
+  const candidates = [...new Set([asUtc - DAY, asUtc + DAY].map((t) => zoneOffset(t, timeZone)))]
+    .map((offset) => ({ timestamp: asUtc - offset, offset }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+  const valid = candidates.filter(
+    ({ timestamp, offset }) => zoneOffset(timestamp, timeZone) === offset,
+  );
+
+  return new Date(valid.length ? valid[0].timestamp : candidates[candidates.length - 1].timestamp);
+};
+
+/**
+ * Format a date as the local date and time of a zone, without offset
+ * @param {Date} date
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} - e.g. 2026-11-02T09:00:00
+ */
+const formatZonedTime = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = zonedParts(date, timeZone);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(year, 4)}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}`;
+};
+
+module.exports = {
+  isValidTimeZone,
+  isLocalTime,
+  zonedTimeToDate,
+  formatZonedTime,
+};
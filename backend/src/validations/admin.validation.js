@@ -1,5 +1,6 @@
 const Joi = require('joi');
 const { objectId } = require('./custom.validation');
+const { groupedSchema } = require('../config/settings');
 
 /**
  * Admin validation schemas
@@ -32,44 +33,15 @@ const updateApprovalStatus = {
     postId: Joi.string().custom(objectId).required(),
   }),
   body: Joi.object().keys({
-    status: Joi.string().valid('published', 'rejected').required(),
+    status: Joi.string().valid('approved', 'changes_requested').required(),
     feedbackNote: Joi.string().max(1000),
   }),
 };
 
 const updateSystemSettings = {
   body: Joi.object().keys({
-    settings: Joi.object({
-      general: Joi.object({
-        siteName: Joi.string().max(100),
-        siteDescription: Joi.string().max(500),
-        contactEmail: Joi.string().email(),
-        defaultLanguage: Joi.string().length(2),
-      }),
-      seo: Joi.object({
-        defaultTitle: Joi.string().max(200),
-        defaultDescription: Joi.string().max(500),
-        defaultKeywords: Joi.string().max(500),
-        googleAnalyticsId: Joi.string().allow(''),
-        facebookPixelId: Joi.string().allow(''),
-      }),
-      content: Joi.object({
-        postsPerPage: Joi.number().integer().min(1).max(100),
-        maxRelatedPosts: Joi.number().integer().min(0).max(10),
-        defaultFeaturedImage: Joi.string().max(500),
-        allowComments: Joi.boolean(),
-      }),
-      monetization: Joi.object({
-        enableAffiliateLinks: Joi.boolean(),
-        enableSubscriptions: Joi.boolean(),
-        defaultCommission: Joi.number().min(0).max(100),
-      }),
-      security: Joi.object({
-        enableCaptcha: Joi.boolean(),
-        jwtExpiryHours: Joi.number().integer().min(1).max(168),
-        maxLoginAttempts: Joi.number().integer().min(1).max(10),
-      }),
-    }).required(),
+    // Per setting schemas are declared with the settings
+    settings: Joi.object(groupedSchema()).required(),
   }),
 };
 
@@ -1,5 +1,16 @@
 const Joi = require('joi');
-const { objectId } = require('./custom.validation');
+const { objectId, language, timeZone, scheduleTime } = require('./custom.validation');
+
+// Statuses are changed through the workflow, see transitionPost
+const postStatuses = [
+  'draft',
+  'in_review',
+  'changes_requested',
+  'approved',
+  'scheduled',
+  'published',
+  'archived',
+];
 
 const createPost = {
   body: Joi.object().keys({
@@ -11,9 +22,8 @@ const createPost = {
     tags: Joi.array().items(Joi.string()).max(10),
     isPremium: Joi.boolean().default(false),
     isPublished: Joi.boolean().default(false),
-    language: Joi.string().valid('en', 'fr', 'de', 'es').default('fr'),
+    language: Joi.string().custom(language).default('fr'),
     featuredImage: Joi.string().uri(),
-    status: Joi.string().valid('draft', 'published', 'archived').default('draft'),
     publishedAt: Joi.date(),
     affiliateLinks: Joi.array()
       .items(
@@ -25,6 +35,7 @@ const createPost = {
           clicks: Joi.number().default(0),
           conversions: Joi.number().default(0),
           revenue: Joi.number().default(0),
+          rating: Joi.number().min(0).max(5),
         }),
       )
       .max(10),
@@ -47,11 +58,32 @@ const getPosts = {
     tags: Joi.array().items(Joi.string()),
     author: Joi.string().custom(objectId),
     isPremium: Joi.boolean(),
-    status: Joi.string().valid('draft', 'published', 'archived'),
+    status: Joi.string().valid(...postStatuses),
     sortBy: Joi.string(),
     limit: Joi.number().integer(),
     page: Joi.number().integer(),
-    language: Joi.string().valid('en', 'fr', 'de', 'es'),
+    language: Joi.string().custom(language),
+  }),
+};
+
+const searchPosts = {
+  query: Joi.object().keys({
+    q: Joi.string().trim().min(2).max(200).required(),
+    language: Joi.string().custom(language),
+    category: Joi.string().custom(objectId),
+    tag: Joi.string(),
+    limit: Joi.number().integer().min(1).max(50),
+    page: Joi.number().integer().min(1),
+  }),
+};
+
+const getRelatedPosts = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+  query: Joi.object().keys({
+    language: Joi.string().custom(language),
+    limit: Joi.number().integer().min(0).max(10),
   }),
 };
 
@@ -60,7 +92,7 @@ const getPost = {
     id: Joi.string().custom(objectId).required(),
   }),
   query: Joi.object().keys({
-    language: Joi.string().valid('en', 'fr', 'de', 'es'),
+    language: Joi.string().custom(language),
   }),
 };
 
@@ -69,7 +101,14 @@ const getPostBySlug = {
     slug: Joi.string().required(),
   }),
   query: Joi.object().keys({
-    language: Joi.string().valid('en', 'fr', 'de', 'es'),
+    language: Joi.string().custom(language),
+  }),
+};
+
+const getLocalizedPostBySlug = {
+  params: Joi.object().keys({
+    language: Joi.string().custom(language).required(),
+    slug: Joi.string().required(),
   }),
 };
 
@@ -87,9 +126,8 @@ const updatePost = {
       tags: Joi.array().items(Joi.string()).max(10),
       isPremium: Joi.boolean(),
       isPublished: Joi.boolean(),
-      language: Joi.string().valid('en', 'fr', 'de', 'es'),
+      language: Joi.string().custom(language),
       featuredImage: Joi.string().uri(),
-      status: Joi.string().valid('draft', 'published', 'archived'),
       publishedAt: Joi.date(),
       affiliateLinks: Joi.array()
         .items(
@@ -101,16 +139,90 @@ const updatePost = {
             clicks: Joi.number(),
             conversions: Joi.number(),
             revenue: Joi.number(),
+            rating: Joi.number().min(0).max(5),
           }),
         )
         .max(10),
       metaTitle: Joi.string().max(60),
       metaDescription: Joi.string().max(160),
       keywords: Joi.array().items(Joi.string()).max(10),
+      improvements: Joi.array()
+        .items(Joi.string().valid('seo', 'readability', 'engagement', 'cta'))
+        .min(1)
+        .unique(), // AI improvements applied to the content
     })
     .min(1),
 };
 
+const transitionPost = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    status: Joi.string()
+      .valid(...postStatuses)
+      .required(),
+    note: Joi.string().trim().max(1000),
+    // ISO date with offset, or local time in timeZone
+    publishAt: Joi.string().custom(scheduleTime).when('status', {
+      is: 'scheduled',
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
+    timeZone: Joi.string().custom(timeZone),
+  }),
+};
+
+const schedulePost = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object()
+    .keys({
+      // Translation to schedule, the post itself when omitted
+      language: Joi.string().custom(language),
+      // ISO dates with offset, or local times in timeZone; null clears them
+      publishAt: Joi.string().custom(scheduleTime).allow(null),
+      unpublishAt: Joi.string().custom(scheduleTime).allow(null),
+      timeZone: Joi.string().custom(timeZone),
+    })
+    .or('publishAt', 'unpublishAt'),
+};
+
+const getRevisions = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+  query: Joi.object().keys({
+    limit: Joi.number().integer().min(1).max(100),
+    page: Joi.number().integer().min(1),
+  }),
+};
+
+const getRevision = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+    revision: Joi.number().integer().min(1).required(),
+  }),
+};
+
+const diffRevisions = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+  query: Joi.object().keys({
+    from: Joi.number().integer().min(1).required(),
+    to: Joi.number().integer().min(1).required(),
+  }),
+};
+
+const restoreRevision = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+    revision: Joi.number().integer().min(1).required(),
+  }),
+};
+
 const deletePost = {
   params: Joi.object().keys({
     id: Joi.string().custom(objectId).required(),
@@ -122,10 +234,7 @@ const translatePost = {
     id: Joi.string().custom(objectId).required(),
   }),
   body: Joi.object().keys({
-    targetLanguages: Joi.array()
-      .items(Joi.string().valid('en', 'fr', 'de', 'es'))
-      .min(1)
-      .required(),
+    targetLanguages: Joi.array().items(Joi.string().custom(language)).min(1).required(),
   }),
 };
 
@@ -147,9 +256,18 @@ const trackAffiliateClick = {
 module.exports = {
   createPost,
   getPosts,
+  searchPosts,
   getPost,
+  getRelatedPosts,
   getPostBySlug,
+  getLocalizedPostBySlug,
   updatePost,
+  transitionPost,
+  schedulePost,
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision,
   deletePost,
   translatePost,
   updateSEO,
@@ -0,0 +1,101 @@
+const Joi = require('joi');
+const { objectId, language } = require('./custom.validation');
+
+const translation = Joi.object().keys({
+  name: Joi.string().required().max(100),
+  description: Joi.string().allow('').max(1000),
+  slug: Joi.string().lowercase().max(100),
+});
+
+// Keyed by language code
+const translations = Joi.object().pattern(Joi.string().custom(language), translation);
+
+const image = Joi.object().keys({
+  url: Joi.string().uri().required(),
+  alt: Joi.string().max(200),
+});
+
+const createCategory = {
+  body: Joi.object().keys({
+    name: Joi.string().required().max(100),
+    slug: Joi.string().lowercase().max(100),
+    description: Joi.string().allow('').max(1000),
+    metaTitle: Joi.string().max(100),
+    metaDescription: Joi.string().max(160),
+    parent: Joi.string().custom(objectId).allow(null),
+    isActive: Joi.boolean(),
+    sortOrder: Joi.number().integer(),
+    image,
+    translations,
+  }),
+};
+
+const getCategories = {
+  query: Joi.object().keys({
+    parent: Joi.string().custom(objectId),
+    isActive: Joi.boolean(),
+    language: Joi.string().custom(language),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const getCategoryTree = {
+  query: Joi.object().keys({
+    language: Joi.string().custom(language),
+  }),
+};
+
+const getCategory = {
+  params: Joi.object().keys({
+    categoryId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const getCategoryBySlug = {
+  params: Joi.object().keys({
+    slug: Joi.string().required(),
+  }),
+  query: Joi.object().keys({
+    language: Joi.string().custom(language),
+  }),
+};
+
+const updateCategory = {
+  params: Joi.object().keys({
+    categoryId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object()
+    .keys({
+      name: Joi.string().max(100),
+      slug: Joi.string().lowercase().max(100),
+      description: Joi.string().allow('').max(1000),
+      metaTitle: Joi.string().max(100),
+      metaDescription: Joi.string().max(160),
+      // null makes the category a root category
+      parent: Joi.string().custom(objectId).allow(null),
+      isActive: Joi.boolean(),
+      sortOrder: Joi.number().integer(),
+      image,
+      // null removes the translation of a language
+      translations: Joi.object().pattern(Joi.string().custom(language), translation.allow(null)),
+    })
+    .min(1),
+};
+
+const deleteCategory = {
+  params: Joi.object().keys({
+    categoryId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+module.exports = {
+  createCategory,
+  getCategories,
+  getCategoryTree,
+  getCategory,
+  getCategoryBySlug,
+  updateCategory,
+  deleteCategory,
+};
@@ -0,0 +1,66 @@
+const Joi = require('joi');
+const { objectId, language } = require('./custom.validation');
+
+const createComment = {
+  body: Joi.object().keys({
+    post: Joi.string().custom(objectId).required(),
+    // Language the post is read in, the request language when omitted
+    language: Joi.string().custom(language),
+    parent: Joi.string().custom(objectId),
+    content: Joi.string().trim().required().min(1).max(5000),
+  }),
+};
+
+const getComments = {
+  query: Joi.object().keys({
+    post: Joi.string().custom(objectId).required(),
+    language: Joi.string().custom(language),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer().min(1).max(50),
+    page: Joi.number().integer().min(1),
+  }),
+};
+
+const updateComment = {
+  params: Joi.object().keys({
+    commentId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    content: Joi.string().trim().required().min(1).max(5000),
+  }),
+};
+
+const deleteComment = {
+  params: Joi.object().keys({
+    commentId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const getModerationQueue = {
+  query: Joi.object().keys({
+    status: Joi.string().valid('pending', 'spam', 'rejected'),
+    post: Joi.string().custom(objectId),
+    language: Joi.string().custom(language),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer().min(1).max(100),
+    page: Joi.number().integer().min(1),
+  }),
+};
+
+const moderateComment = {
+  params: Joi.object().keys({
+    commentId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    status: Joi.string().valid('approved', 'rejected', 'spam').required(),
+  }),
+};
+
+module.exports = {
+  createComment,
+  getComments,
+  updateComment,
+  deleteComment,
+  getModerationQueue,
+  moderateComment,
+};
@@ -1,3 +1,6 @@
+const { isEnabled } = require('../config/languages');
+const { isValidTimeZone, isLocalTime } = require('../utils/zonedTime');
+
 const objectId = (value, helpers) => {
   if (!value.match(/^[0-9a-fA-F]{24}$/)) {
     return helpers.message('"{{#label}}" must be a valid mongo id');
@@ -15,7 +18,33 @@ const password = (value, helpers) => {
   return value;
 };
 
+const language = (value, helpers) => {
+  if (!isEnabled(value)) {
+    return helpers.message('"{{#label}}" must be an enabled language code');
+  }
+  return value;
+};
+
+const timeZone = (value, helpers) => {
+  if (!isValidTimeZone(value)) {
+    return helpers.message('"{{#label}}" must be an IANA time zone, e.g. Europe/Paris');
+  }
+  return value;
+};
+
+// Date with an offset, or local time of the accompanying time zone
+const scheduleTime = (value, helpers) => {
+  const withOffset = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+  if (!isLocalTime(value) && !(withOffset.test(value) && !Number.isNaN(Date.parse(value)))) {
+    return helpers.message('"{{#label}}" must be an ISO 8601 date, e.g. 2026-11-02T09:00');
+  }
+  return value;
+};
+
 module.exports = {
   objectId,
   password,
+  language,
+  timeZone,
+  scheduleTime,
 };
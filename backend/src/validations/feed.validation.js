@@ -0,0 +1,17 @@
+const Joi = require('joi');
+const { language } = require('./custom.validation');
+
+const getFeed = {
+  params: Joi.object().keys({
+    language: Joi.string().custom(language).required(),
+    format: Joi.string().valid('rss', 'atom', 'json').required(),
+  }),
+  query: Joi.object().keys({
+    category: Joi.string().trim().lowercase(),
+    tag: Joi.string().trim(),
+  }),
+};
+
+module.exports = {
+  getFeed,
+};
@@ -1,5 +1,5 @@
 const Joi = require('joi');
-const { objectId } = require('./custom.validation');
+const { objectId, language } = require('./custom.validation');
 
 /**
  * SEO validation schemas
@@ -10,7 +10,7 @@ const generateSEOMetadata = {
     postId: Joi.string().custom(objectId).required(),
   }),
   query: Joi.object().keys({
-    language: Joi.string().valid('en', 'fr', 'de', 'es'),
+    language: Joi.string().custom(language),
   }),
 };
 
@@ -24,7 +24,11 @@ const updateSEOMetadata = {
       metaDescription: Joi.string().max(160),
       keywords: Joi.array().items(Joi.string()),
       canonicalUrl: Joi.string().uri(),
-      language: Joi.string().valid('en', 'fr', 'de', 'es'),
+      ogImage: Joi.object().keys({
+        url: Joi.string().uri().required(),
+        alt: Joi.string().max(200),
+      }),
+      language: Joi.string().custom(language),
     })
     .min(1),
 };
@@ -34,7 +38,7 @@ const getSEOMetadata = {
     postId: Joi.string().custom(objectId).required(),
   }),
   query: Joi.object().keys({
-    language: Joi.string().valid('en', 'fr', 'de', 'es'),
+    language: Joi.string().custom(language),
   }),
 };
 
@@ -53,9 +57,56 @@ const updateSiteSEOSettings = {
     .min(1),
 };
 
+const getPostAudit = {
+  params: Joi.object().keys({
+    postId: Joi.string().custom(objectId).required(),
+  }),
+  query: Joi.object().keys({
+    language: Joi.string().custom(language),
+  }),
+};
+
+const getAuditReport = {
+  query: Joi.object().keys({
+    language: Joi.string().custom(language),
+    limit: Joi.number().integer().min(1).max(100),
+  }),
+};
+
+const getStructuredData = {
+  params: Joi.object().keys({
+    postId: Joi.string().custom(objectId).required(),
+  }),
+  query: Joi.object().keys({
+    language: Joi.string().custom(language),
+  }),
+};
+
+const getOgImage = {
+  params: Joi.object().keys({
+    postId: Joi.string().custom(objectId).required(),
+  }),
+  query: Joi.object().keys({
+    lang: Joi.string().custom(language),
+  }),
+};
+
+const getSitemap = {
+  params: Joi.object().keys({
+    language: Joi.string().custom(language).required(),
+    type: Joi.string().valid('posts', 'categories').required(),
+    page: Joi.number().integer().min(1).required(),
+  }),
+};
+
 module.exports = {
   generateSEOMetadata,
   updateSEOMetadata,
   getSEOMetadata,
   updateSiteSEOSettings,
+  getPostAudit,
+  getAuditReport,
+  getStructuredData,
+  getOgImage,
+  getSitemap,
 };
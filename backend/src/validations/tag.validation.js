@@ -0,0 +1,86 @@
+const Joi = require('joi');
+const { objectId, language } = require('./custom.validation');
+
+const translation = Joi.object().keys({
+  name: Joi.string().required().max(60),
+});
+
+const createTag = {
+  body: Joi.object().keys({
+    name: Joi.string().required().max(60),
+    slug: Joi.string().max(60),
+    // Other spellings resolving to the tag
+    synonyms: Joi.array().items(Joi.string().max(60)).max(50),
+    // Labels keyed by language code
+    translations: Joi.object().pattern(Joi.string().custom(language), translation),
+  }),
+};
+
+const getTags = {
+  query: Joi.object().keys({
+    q: Joi.string().max(60),
+    language: Joi.string().custom(language),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const getTag = {
+  params: Joi.object().keys({
+    tagId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const getTagPage = {
+  params: Joi.object().keys({
+    slug: Joi.string().required(),
+  }),
+  query: Joi.object().keys({
+    language: Joi.string().custom(language),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer().min(1).max(50),
+    page: Joi.number().integer().min(1),
+  }),
+};
+
+const updateTag = {
+  params: Joi.object().keys({
+    tagId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object()
+    .keys({
+      name: Joi.string().max(60),
+      // A new slug renames the tag in every post
+      slug: Joi.string().max(60),
+      synonyms: Joi.array().items(Joi.string().max(60)).max(50),
+      // null removes the label of a language
+      translations: Joi.object().pattern(Joi.string().custom(language), translation.allow(null)),
+    })
+    .min(1),
+};
+
+const mergeTags = {
+  params: Joi.object().keys({
+    tagId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    tags: Joi.array().items(Joi.string().custom(objectId)).min(1).max(50).required(),
+  }),
+};
+
+const deleteTag = {
+  params: Joi.object().keys({
+    tagId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+module.exports = {
+  createTag,
+  getTags,
+  getTag,
+  getTagPage,
+  updateTag,
+  mergeTags,
+  deleteTag,
+};
@@ -1,13 +1,49 @@
 const Joi = require('joi');
-const { objectId } = require('./custom.validation');
+const { objectId, language, timeZone } = require('./custom.validation');
 
 /**
  * Translation validation schemas
  */
 
+const createLanguage = {
+  body: Joi.object().keys({
+    code: Joi.string()
+      .lowercase()
+      .pattern(/^[a-z]{2,3}$/)
+      .required(),
+    name: Joi.string().required().max(50),
+    nativeName: Joi.string().required().max(50),
+    locale: Joi.string()
+      .pattern(/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/)
+      .required(),
+    timeZone: Joi.string().custom(timeZone),
+    promptContext: Joi.string().required().max(500),
+    rtl: Joi.boolean(),
+    enabled: Joi.boolean(),
+  }),
+};
+
+const updateLanguage = {
+  params: Joi.object().keys({
+    code: Joi.string().required(),
+  }),
+  body: Joi.object()
+    .keys({
+      name: Joi.string().max(50),
+      nativeName: Joi.string().max(50),
+      locale: Joi.string().pattern(/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/),
+      timeZone: Joi.string().custom(timeZone),
+      promptContext: Joi.string().max(500),
+      rtl: Joi.boolean(),
+      enabled: Joi.boolean(),
+      isDefault: Joi.boolean(),
+    })
+    .min(1),
+};
+
 const getNamespaces = {
   query: Joi.object().keys({
-    language: Joi.string().valid('en', 'fr', 'de', 'es'),
+    language: Joi.string().custom(language),
   }),
 };
 
@@ -15,8 +51,8 @@ const translateContent = {
   body: Joi.object().keys({
     content: Joi.string().required().min(10),
     title: Joi.string().required().min(3).max(200),
-    sourceLanguage: Joi.string().valid('en', 'fr', 'de', 'es').required(),
-    targetLanguage: Joi.string().valid('en', 'fr', 'de', 'es').required(),
+    sourceLanguage: Joi.string().custom(language).required(),
+    targetLanguage: Joi.string().custom(language).required(),
   }),
 };
 
@@ -28,7 +64,7 @@ const getTranslationStatus = {
 
 const updateTranslations = {
   params: Joi.object().keys({
-    language: Joi.string().valid('en', 'fr', 'de', 'es').required(),
+    language: Joi.string().custom(language).required(),
   }),
   body: Joi.object().keys({
     namespace: Joi.string().default('common'),
@@ -36,9 +72,131 @@ const updateTranslations = {
   }),
 };
 
+const createGlossaryTerm = {
+  body: Joi.object()
+    .keys({
+      term: Joi.string().required().max(200),
+      sourceLanguage: Joi.string().custom(language).required(),
+      targetLanguage: Joi.string().custom(language).allow(null),
+      translation: Joi.string().max(200),
+      doNotTranslate: Joi.boolean(),
+      caseSensitive: Joi.boolean(),
+      notes: Joi.string().allow('').max(1000),
+    })
+    .or('translation', 'doNotTranslate'),
+};
+
+const getGlossaryTerms = {
+  query: Joi.object().keys({
+    term: Joi.string(),
+    sourceLanguage: Joi.string().custom(language),
+    targetLanguage: Joi.string().custom(language),
+    doNotTranslate: Joi.boolean(),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const getGlossaryTerm = {
+  params: Joi.object().keys({
+    termId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const updateGlossaryTerm = {
+  params: Joi.object().keys({
+    termId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object()
+    .keys({
+      term: Joi.string().max(200),
+      sourceLanguage: Joi.string().custom(language),
+      targetLanguage: Joi.string().custom(language).allow(null),
+      translation: Joi.string().max(200),
+      doNotTranslate: Joi.boolean(),
+      caseSensitive: Joi.boolean(),
+      notes: Joi.string().allow('').max(1000),
+    })
+    .min(1),
+};
+
+const deleteGlossaryTerm = {
+  params: Joi.object().keys({
+    termId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const getReviewQueue = {
+  query: Joi.object().keys({
+    language: Joi.string().custom(language),
+    status: Joi.string().valid('draft', 'pending', 'published', 'archived'),
+    sourceId: Joi.string().custom(objectId),
+    mine: Joi.boolean(),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const getReviewTranslation = {
+  params: Joi.object().keys({
+    translationId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const updateReviewTranslation = {
+  params: Joi.object().keys({
+    translationId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object()
+    .keys({
+      title: Joi.string().min(3).max(200),
+      content: Joi.string().min(10),
+      excerpt: Joi.string().allow('').max(500),
+      slug: Joi.string().max(100),
+      metaTitle: Joi.string().allow('').max(100),
+      metaDescription: Joi.string().allow('').max(160),
+      assignedTo: Joi.string().custom(objectId).allow(null),
+    })
+    .min(1),
+};
+
+const approveTranslation = {
+  params: Joi.object().keys({
+    translationId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    translationQuality: Joi.number().min(0).max(10),
+    notes: Joi.string().allow('').max(2000),
+  }),
+};
+
+const rejectTranslation = {
+  params: Joi.object().keys({
+    translationId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    translationQuality: Joi.number().min(0).max(10),
+    notes: Joi.string().required().max(2000),
+  }),
+};
+
 module.exports = {
+  createLanguage,
+  updateLanguage,
   getNamespaces,
   translateContent,
   getTranslationStatus,
   updateTranslations,
+  createGlossaryTerm,
+  getGlossaryTerms,
+  getGlossaryTerm,
+  updateGlossaryTerm,
+  deleteGlossaryTerm,
+  getReviewQueue,
+  getReviewTranslation,
+  updateReviewTranslation,
+  approveTranslation,
+  rejectTranslation,
 };
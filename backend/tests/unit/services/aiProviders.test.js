@@ -0,0 +1,93 @@
+const EchoProvider = require('../../../src/services/aiProviders/echo.provider');
+const OpenAIProvider = require('../../../src/services/aiProviders/openai.provider');
+
+describe('AI providers', () => {
+  describe('EchoProvider', () => {
+    test('should build a translation from the task input', async () => {
+      const provider = new EchoProvider();
+
+      const result = await provider.complete({
+        task: 'translation',
+        messages: [],
+        input: { title: 'Best AI tools', content: 'Some content', targetLanguage: 'fr' },
+      });
+
+      expect(JSON.parse(result)).toEqual({
+        title: '[fr] Best AI tools',
+        content: 'Some content',
+        excerpt: 'Some content',
+      });
+    });
+
+    test('should return the same output for the same input', async () => {
+      const provider = new EchoProvider();
+      const request = { task: 'seo', input: { title: 'ChatGPT review', content: 'Long text' } };
+
+      expect(await provider.complete(request)).toEqual(await provider.complete(request));
+    });
+
+    test('should prefer fixtures over built-in responders', async () => {
+      const provider = new EchoProvider({ fixtures: { titles: { titles: ['Fixture title'] } } });
+
+      const result = await provider.complete({ task: 'titles', input: { topic: 'AI' } });
+
+      expect(JSON.parse(result)).toEqual({ titles: ['Fixture title'] });
+    });
+
+    test('should echo the last user message for unknown tasks', async () => {
+      const provider = new EchoProvider();
+
+      const result = await provider.complete({
+        task: 'unknown',
+        messages: [
+          { role: 'system', content: 'system prompt' },
+          { role: 'user', content: 'hello' },
+        ],
+      });
+
+      expect(result).toBe('hello');
+      expect(provider.cacheable).toBe(false);
+    });
+  });
+
+  describe('OpenAIProvider', () => {
+    test('should map the request to a chat completion call', async () => {
+      const client = {
+        chat: {
+          completions: {
+            create: jest.fn().mockResolvedValue({ choices: [{ message: { content: '{}' } }] }),
+          },
+        },
+      };
+      const provider = new OpenAIProvider(client, { name: 'local' });
+
+      const result = await provider.complete({
+        model: 'llama3',
+        messages: [{ role: 'user', content: 'hi' }],
+        temperature: 0.3,
+        maxTokens: 100,
+        json: true,
+      });
+
+      expect(result).toBe('{}');
+      expect(client.chat.completions.create).toHaveBeenCalledWith({
+        model: 'llama3',
+        messages: [{ role: 'user', content: 'hi' }],
+        temperature: 0.3,
+        max_tokens: 100,
+        response_format: { type: 'json_object' },
+      });
+    });
+
+    test('should throw when the completion is empty', async () => {
+      const client = {
+        chat: { completions: { create: jest.fn().mockResolvedValue({ choices: [] }) } },
+      };
+      const provider = new OpenAIProvider(client);
+
+      await expect(provider.complete({ model: 'gpt-4', messages: [] })).rejects.toThrow(
+        'openai provider returned an empty completion',
+      );
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const blogService = require('../../../src/services/blog.service');
+const { BlogPost } = require('../../../src/models');
+
+jest.mock('../../../src/config/config', () => ({
+  frontendUrl: 'https://example.com',
+}));
+
+jest.mock('../../../src/services/translationMemory.service', () => ({}));
+jest.mock('../../../src/services/translationReview.service', () => ({}));
+
+jest.mock('../../../src/models', () => ({
+  BlogPost: {
+    findBySlug: jest.fn(),
+  },
+}));
+
+describe('Blog service locale routing', () => {
+  const approvedAt = new Date('2026-01-01');
+  const buildPost = () => {
+    const post = {
+      id: 'p1',
+      language: 'en',
+      slug: 'best-ai-tools',
+      title: 'Best AI tools',
+      content: 'Content',
+      translations: {
+        fr: { title: 'Meilleurs outils', content: 'Contenu', slug: 'meilleurs-outils', approvedAt },
+        de: { title: 'Beste Tools', content: 'Inhalt', slug: 'beste-tools' },
+      },
+    };
+    return {
+      ...post,
+      toJSON: () => post,
+      toObject: () => post,
+      populate: jest.fn(),
+    };
+  };
+
+  describe('getPostAlternates', () => {
+    test('should list the source and approved translations with an x-default', () => {
+      expect(blogService.getPostAlternates(buildPost())).toEqual({
+        en: 'https://example.com/en/blog/best-ai-tools',
+        fr: 'https://example.com/fr/blog/meilleurs-outils',
+        'x-default': 'https://example.com/en/blog/best-ai-tools',
+      });
+    });
+  });
+
+  describe('getPostBySlug', () => {
+    test('should serve the post in the requested language with its canonical URL', async () => {
+      BlogPost.findBySlug.mockResolvedValue(buildPost());
+
+      const post = await blogService.getPostBySlug('best-ai-tools', 'fr');
+
+      expect(BlogPost.findBySlug).toHaveBeenCalledWith('best-ai-tools', 'fr');
+      expect(post).toMatchObject({
+        title: 'Meilleurs outils',
+        language: 'fr',
+        canonicalUrl: 'https://example.com/fr/blog/meilleurs-outils',
+      });
+      expect(Object.keys(post.alternates)).toEqual(['en', 'fr', 'x-default']);
+    });
+
+    test('should not serve the translations, unapproved or embargoed ones included', async () => {
+      BlogPost.findBySlug.mockResolvedValue(buildPost());
+
+      expect(await blogService.getPostBySlug('best-ai-tools', 'fr')).not.toHaveProperty(
+        'translations',
+      );
+      expect(await blogService.getPostBySlug('best-ai-tools', 'en')).not.toHaveProperty(
+        'translations',
+      );
+    });
+
+    test('should serve the SEO fields of the translation, never the source ones', async () => {
+      const source = buildPost();
+      const post = {
+        ...source.toJSON(),
+        metaTitle: 'Best AI tools compared',
+        keywords: ['ai tools'],
+        canonicalUrl: 'https://example.com/guides/ai-tools',
+        ogImage: { url: 'https://example.com/og.png' },
+      };
+      post.translations.fr = {
+        ...post.translations.fr,
+        metaTitle: 'Comparatif des meilleurs outils',
+        keywords: ['outils ia'],
+      };
+      BlogPost.findBySlug.mockResolvedValue({ ...source, toJSON: () => post });
+
+      const localizedPost = await blogService.getPostBySlug('meilleurs-outils', 'fr');
+
+      expect(localizedPost).toMatchObject({
+        metaTitle: 'Comparatif des meilleurs outils',
+        keywords: ['outils ia'],
+        canonicalUrl: 'https://example.com/fr/blog/meilleurs-outils',
+        ogImage: { url: 'https://example.com/og.png' },
+      });
+      expect(localizedPost.metaDescription).toBeUndefined();
+    });
+
+    test('should fall back to the source language when the translation is not approved', async () => {
+      BlogPost.findBySlug.mockResolvedValue(buildPost());
+
+      const post = await blogService.getPostBySlug('best-ai-tools', 'de');
+
+      expect(post).toMatchObject({
+        title: 'Best AI tools',
+        language: 'en',
+        canonicalUrl: 'https://example.com/en/blog/best-ai-tools',
+      });
+    });
+  });
+
+  describe('localizePost', () => {
+    test('should name the category in the language the post is served in', () => {
+      const category = {
+        id: 'c1',
+        name: 'Tools',
+        slug: 'tools',
+        translations: new Map([['fr', { name: 'Outils', slug: 'outils' }]]),
+      };
+      const post = { ...buildPost().toJSON(), category };
+
+      expect(blogService.localizePost(post, 'fr').category).toEqual({
+        id: 'c1',
+        name: 'Outils',
+        slug: 'outils',
+      });
+      expect(blogService.localizePost(post, 'de').category).toEqual({
+        id: 'c1',
+        name: 'Tools',
+        slug: 'tools',
+      });
+      expect(blogService.localizePost({ ...post, category: 'c1' }, 'fr').category).toBe('c1');
+    });
+  });
+});
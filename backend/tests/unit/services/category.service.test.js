@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const categoryService = require('../../../src/services/category.service');
+const sitemapService = require('../../../src/services/sitemap.service');
+const { BlogPost, Category } = require('../../../src/models');
+
+jest.mock('../../../src/config/redis', () => ({
+  cache: { get: jest.fn(), set: jest.fn(), clearByPattern: jest.fn() },
+}));
+jest.mock('../../../src/services/sitemap.service', () => ({ invalidateCategories: jest.fn() }));
+jest.mock('../../../src/services/feed.service', () => ({ invalidateFeeds: jest.fn() }));
+
+jest.mock('../../../src/models', () => ({
+  BlogPost: {
+    exists: jest.fn(),
+  },
+  Category: {
+    findById: jest.fn(),
+    find: jest.fn(),
+    exists: jest.fn(),
+    bulkWrite: jest.fn(),
+    isSlugTaken: jest.fn(),
+  },
+}));
+
+describe('Category service', () => {
+  const id = () => new mongoose.Types.ObjectId();
+
+  const makeCategory = (fields) => {
+    const modified = new Set();
+    const category = {
+      _id: id(),
+      parent: null,
+      ancestors: [],
+      sortOrder: 0,
+      translations: new Map(),
+      isModified: (path) => modified.has(path),
+      getTranslation(language) {
+        return this.translations.get(language);
+      },
+      toJSON() {
+        return { id: this.id, name: this.name, slug: this.slug, sortOrder: this.sortOrder };
+      },
+      validate: jest.fn(),
+      save: jest.fn(),
+      deleteOne: jest.fn(),
+      ...fields,
+    };
+    category.id = category._id.toString();
+    // Track assignments like mongoose does
+    return new Proxy(category, {
+      set(target, path, value) {
+        modified.add(path);
+        // eslint-disable-next-line no-param-reassign
+        target[path] = value;
+        return true;
+      },
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Category.isSlugTaken.mockResolvedValue(false);
+  });
+
+  describe('updateCategoryById', () => {
+    test('should rewrite the ancestors of the subtree of a moved category', async () => {
+      const tools = makeCategory({ name: 'Tools', slug: 'tools' });
+      const ai = makeCategory({
+        name: 'AI',
+        slug: 'ai',
+        parent: tools._id,
+        ancestors: [{ _id: tools._id, name: 'Tools', slug: 'tools' }],
+      });
+      const chatbots = makeCategory({
+        name: 'Chatbots',
+        slug: 'chatbots',
+        ancestors: [
+          { _id: ai._id, name: 'AI', slug: 'ai' },
+          { _id: tools._id, name: 'Tools', slug: 'tools' },
+        ],
+      });
+      const software = makeCategory({ name: 'Software', slug: 'software' });
+      Category.findById.mockImplementation(async (categoryId) =>
+        [tools, ai, software].find((category) => category._id.equals(categoryId)),
+      );
+      Category.find.mockResolvedValue([chatbots]);
+      // The pre-save hook of the model recomputes the ancestors of the moved category
+      ai.save.mockImplementation(async () => {
+        ai.ancestors = [{ _id: software._id, name: 'Software', slug: 'software' }];
+      });
+
+      await categoryService.updateCategoryById(ai.id, { parent: software._id, name: 'AI tools' });
+
+      expect(Category.find).toHaveBeenCalledWith({ 'ancestors._id': ai._id });
+      expect(Category.bulkWrite).toHaveBeenCalledWith([
+        {
+          updateOne: {
+            filter: { _id: chatbots._id },
+            update: {
+              $set: {
+                ancestors: [
+                  { _id: ai._id, name: 'AI tools', slug: 'ai' },
+                  { _id: software._id, name: 'Software', slug: 'software' },
+                ],
+              },
+            },
+          },
+        },
+      ]);
+      expect(sitemapService.invalidateCategories).toHaveBeenCalled();
+    });
+
+    test('should not move a category under its own subtree', async () => {
+      const ai = makeCategory({ name: 'AI', slug: 'ai' });
+      const chatbots = makeCategory({
+        name: 'Chatbots',
+        slug: 'chatbots',
+        ancestors: [{ _id: ai._id, name: 'AI', slug: 'ai' }],
+      });
+      Category.findById.mockImplementation(async (categoryId) =>
+        [ai, chatbots].find((category) => category._id.equals(categoryId)),
+      );
+
+      await expect(
+        categoryService.updateCategoryById(ai.id, { parent: chatbots._id }),
+      ).rejects.toThrow('A category cannot be moved under itself or its subcategories');
+      expect(ai.save).not.toHaveBeenCalled();
+    });
+
+    test('should reject a translated slug used by another category', async () => {
+      const ai = makeCategory({ name: 'AI', slug: 'ai' });
+      Category.findById.mockResolvedValue(ai);
+      Category.isSlugTaken.mockImplementation(async (slug, language) => language === 'fr');
+
+      await expect(
+        categoryService.updateCategoryById(ai.id, {
+          translations: { fr: { name: 'IA', slug: 'ia' } },
+        }),
+      ).rejects.toThrow('Slug already taken in fr');
+    });
+  });
+
+  describe('getCategoryTree', () => {
+    test('should nest localized categories in sort order', async () => {
+      const tools = makeCategory({ name: 'Tools', slug: 'tools', sortOrder: 2 });
+      const guides = makeCategory({ name: 'Guides', slug: 'guides', sortOrder: 1 });
+      const ai = makeCategory({ name: 'AI', slug: 'ai', parent: tools._id });
+      ai.translations.set('fr', { name: 'IA', slug: 'ia' });
+      Category.find.mockResolvedValue([ai, tools, guides]);
+
+      const tree = await categoryService.getCategoryTree('fr');
+
+      expect(tree.map((node) => node.name)).toEqual(['Guides', 'Tools']);
+      expect(tree[1].children).toEqual([
+        expect.objectContaining({ id: ai.id, name: 'IA', slug: 'ia', children: [] }),
+      ]);
+    });
+  });
+
+  describe('deleteCategoryById', () => {
+    test('should not delete a category that still has posts', async () => {
+      const ai = makeCategory({ name: 'AI', slug: 'ai' });
+      Category.findById.mockResolvedValue(ai);
+      Category.exists.mockResolvedValue(null);
+      BlogPost.exists.mockResolvedValue({ _id: id() });
+
+      await expect(categoryService.deleteCategoryById(ai.id)).rejects.toThrow('Category has posts');
+      expect(ai.deleteOne).not.toHaveBeenCalled();
+    });
+  });
+});
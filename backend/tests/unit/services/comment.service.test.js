@@ -0,0 +1,232 @@
+const httpStatus = require('http-status');
+const commentService = require('../../../src/services/comment.service');
+const aiService = require('../../../src/services/ai.service');
+const settingsService = require('../../../src/services/settings.service');
+const { BlogPost, Comment, User } = require('../../../src/models');
+const { cache, client } = require('../../../src/config/redis');
+
+jest.mock('../../../src/config/logger', () => ({ warn: jest.fn() }));
+jest.mock('../../../src/config/redis', () => ({
+  cache: { increment: jest.fn() },
+  client: { expire: jest.fn() },
+}));
+
+jest.mock('../../../src/services/ai.service', () => ({ moderateComment: jest.fn() }));
+jest.mock('../../../src/services/email.service', () => ({ sendEmail: jest.fn() }));
+jest.mock('../../../src/services/settings.service', () => ({ getSetting: jest.fn() }));
+jest.mock('../../../src/services/blog.service', () => ({
+  getServedLanguages: jest.fn(() => ['en', 'fr']),
+  getPostUrl: jest.fn((language, slug) => `/${language}/blog/${slug}`),
+  localizePost: jest.fn((post) => post),
+}));
+
+jest.mock('../../../src/models', () => {
+  const Comment = jest.fn(function (fields) {
+    Object.assign(this, { id: 'new', _id: 'new', depth: 0, ...fields });
+    this.validate = jest.fn();
+    this.save = jest.fn();
+  });
+  Object.assign(Comment, {
+    findById: jest.fn(),
+    find: jest.fn(),
+    paginate: jest.fn(),
+    updateCommentCounts: jest.fn(),
+  });
+  return {
+    BlogPost: { findById: jest.fn() },
+    Comment,
+    User: { find: jest.fn(), findById: jest.fn() },
+  };
+});
+
+describe('Comment service', () => {
+  const objectId = (value) => ({ toString: () => value, equals: (other) => `${other}` === value });
+  const post = { _id: objectId('post'), status: 'published', title: 'Post', slug: 'post' };
+  const reader = { id: 'reader', role: 'user' };
+  const settings = {
+    'content.allowComments': true,
+    'content.commentEditWindowMinutes': 15,
+    'content.commentMaxDepth': 2,
+    'content.commentsPerHour': 10,
+    'content.moderateAllComments': false,
+  };
+
+  const makeComment = (fields) => ({
+    id: fields._id,
+    post: post._id,
+    language: 'en',
+    status: 'approved',
+    depth: 0,
+    createdAt: new Date(),
+    toJSON() {
+      return { id: this.id, status: this.status, depth: this.depth, content: this.content };
+    },
+    save: jest.fn(),
+    ...fields,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    settingsService.getSetting.mockImplementation(async (key) => settings[key]);
+    BlogPost.findById.mockResolvedValue(post);
+    aiService.moderateComment.mockResolvedValue(null);
+    cache.increment.mockResolvedValue(1);
+  });
+
+  describe('createComment', () => {
+    test('should publish a clean comment scored by the heuristic and recount the post', async () => {
+      const comment = await commentService.createComment(
+        { post: 'post', language: 'en', content: 'Great overview, thanks!' },
+        reader,
+      );
+
+      expect(comment.status).toBe('approved');
+      expect(comment.moderation.source).toBe('heuristic');
+      expect(comment.save).toHaveBeenCalled();
+      expect(client.expire).toHaveBeenCalledWith(
+        expect.stringMatching(/^comments:rate:reader:/),
+        3600,
+      );
+      expect(Comment.updateCommentCounts).toHaveBeenCalledWith([post._id]);
+    });
+
+    test('should set spam aside and hold doubtful comments for moderation', async () => {
+      const spam = await commentService.createComment(
+        { post: 'post', language: 'en', content: 'Casino bonus https://spam.example click here' },
+        reader,
+      );
+      expect(spam.status).toBe('spam');
+
+      aiService.moderateComment.mockResolvedValue({ spam: 0.1, toxicity: 0.5, reasons: ['rude'] });
+      const rude = await commentService.createComment(
+        { post: 'post', language: 'en', content: 'This is rubbish' },
+        reader,
+      );
+      expect(rude.status).toBe('pending');
+      expect(rude.moderation.source).toBe('ai');
+      expect(Comment.updateCommentCounts).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to the heuristic when the AI provider fails', async () => {
+      aiService.moderateComment.mockRejectedValue(new Error('timeout'));
+
+      const comment = await commentService.createComment(
+        { post: 'post', language: 'fr', content: 'Article très utile' },
+        reader,
+      );
+
+      expect(comment.moderation.source).toBe('heuristic');
+      expect(comment.status).toBe('approved');
+    });
+
+    test('should reject comments when closed, too deep or over the hourly limit', async () => {
+      const body = { post: 'post', language: 'en', content: 'Hello' };
+
+      settingsService.getSetting.mockImplementation(async (key) =>
+        key === 'content.allowComments' ? false : settings[key],
+      );
+      await expect(commentService.createComment(body, reader)).rejects.toMatchObject({
+        statusCode: httpStatus.FORBIDDEN,
+      });
+      settingsService.getSetting.mockImplementation(async (key) => settings[key]);
+
+      Comment.findById.mockResolvedValue(
+        makeComment({ _id: 'parent', depth: 2, root: 'root', author: objectId('other') }),
+      );
+      await expect(
+        commentService.createComment({ ...body, parent: 'parent' }, reader),
+      ).rejects.toMatchObject({ statusCode: httpStatus.BAD_REQUEST });
+
+      cache.increment.mockResolvedValue(11);
+      await expect(commentService.createComment(body, reader)).rejects.toMatchObject({
+        statusCode: httpStatus.TOO_MANY_REQUESTS,
+      });
+    });
+  });
+
+  describe('getPostComments', () => {
+    test('should nest replies under their parent and blank deleted comments', async () => {
+      const root = makeComment({ _id: 'root', author: objectId('alice'), content: 'First' });
+      const deleted = makeComment({
+        _id: 'deleted',
+        author: objectId('bob'),
+        parent: objectId('root'),
+        depth: 1,
+        deletedAt: new Date(),
+      });
+      const reply = makeComment({
+        _id: 'reply',
+        author: objectId('alice'),
+        parent: objectId('deleted'),
+        depth: 2,
+        content: 'Reply',
+      });
+      Comment.paginate.mockResolvedValue({ results: [root], page: 1, totalResults: 1 });
+      Comment.find.mockReturnValue({ sort: jest.fn().mockResolvedValue([deleted, reply]) });
+      User.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([
+          { id: 'alice', name: 'Alice' },
+          { id: 'bob', name: 'Bob' },
+        ]),
+      });
+
+      const result = await commentService.getPostComments('post', 'en', {}, reader);
+
+      const [thread] = result.results;
+      expect(thread.author).toEqual({ id: 'alice', name: 'Alice' });
+      expect(thread.replies[0]).toMatchObject({ id: 'deleted', content: null, author: null });
+      expect(thread.replies[0].replies[0]).toMatchObject({ id: 'reply', content: 'Reply' });
+      expect(Comment.paginate.mock.calls[0][0].$or).toEqual([
+        { status: 'approved' },
+        { status: 'pending', author: 'reader' },
+      ]);
+    });
+
+    test('should not list the comments of unpublished or embargoed posts', async () => {
+      BlogPost.findById.mockResolvedValueOnce({ ...post, status: 'draft' });
+      await expect(commentService.getPostComments('post', 'en', {})).rejects.toMatchObject({
+        statusCode: httpStatus.NOT_FOUND,
+      });
+
+      BlogPost.findById.mockResolvedValueOnce({ ...post, publishAt: new Date(Date.now() + 1000) });
+      await expect(commentService.getPostComments('post', 'en', {})).rejects.toMatchObject({
+        statusCode: httpStatus.NOT_FOUND,
+      });
+      expect(Comment.paginate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateComment', () => {
+    test('should only let authors edit within the edit window', async () => {
+      Comment.findById.mockResolvedValue(
+        makeComment({
+          _id: 'old',
+          author: objectId('reader'),
+          createdAt: new Date(Date.now() - 20 * 60 * 1000),
+        }),
+      );
+
+      await expect(
+        commentService.updateComment('old', { content: 'Edited' }, reader),
+      ).rejects.toMatchObject({ statusCode: httpStatus.FORBIDDEN });
+    });
+
+    test('should reject edits when comments are closed or over the hourly limit', async () => {
+      const edited = () => makeComment({ _id: 'c1', author: objectId('reader') });
+
+      Comment.findById.mockResolvedValue(edited());
+      cache.increment.mockResolvedValue(11);
+      await expect(
+        commentService.updateComment('c1', { content: 'Edited' }, reader),
+      ).rejects.toMatchObject({ statusCode: httpStatus.TOO_MANY_REQUESTS });
+
+      settingsService.getSetting.mockImplementation(async (key) =>
+        key === 'content.allowComments' ? false : settings[key],
+      );
+      await expect(
+        commentService.updateComment('c1', { content: 'Edited' }, reader),
+      ).rejects.toMatchObject({ statusCode: httpStatus.FORBIDDEN });
+      expect(aiService.moderateComment).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const httpStatus = require('http-status');
+const entitlementService = require('../../../src/services/entitlement.service');
+const { Subscription } = require('../../../src/models');
+const { client } = require('../../../src/config/redis');
+
+jest.mock('../../../src/config/logger', () => ({ warn: jest.fn() }));
+jest.mock('../../../src/models', () => ({
+  Subscription: { findByCode: jest.fn(), findOne: jest.fn() },
+}));
+jest.mock('../../../src/config/redis', () => {
+  const hashes = new Map();
+  return {
+    client: {
+      hashes,
+      hIncrBy: jest.fn(async (key, field, amount) => {
+        const hash = hashes.get(key) || {};
+        hash[field] = String(parseInt(hash[field] || '0', 10) + amount);
+        hashes.set(key, hash);
+        return parseInt(hash[field], 10);
+      }),
+      hGetAll: jest.fn(async (key) => hashes.get(key) || {}),
+      expireAt: jest.fn(),
+    },
+  };
+});
+
+describe('Entitlement service', () => {
+  const plans = {
+    FREE: {
+      code: 'FREE',
+      name: 'Free',
+      features: [{ name: 'aiWords', enabled: true, limit: 100 }],
+    },
+    PRO: {
+      code: 'PRO',
+      name: 'Pro',
+      features: [
+        { name: 'aiWords', enabled: true, limit: 1000 },
+        { name: 'translations', enabled: true },
+        { name: 'seoGenerations', enabled: false, limit: 10 },
+      ],
+    },
+  };
+  const periodEnd = new Date(Date.now() + 10 * 24 * 60 * 60 * 1000);
+  const subscriber = {
+    id: 'subscriber',
+    role: 'editor',
+    subscription: {
+      planId: 'pro',
+      status: 'active',
+      currentPeriodStart: new Date(periodEnd.getTime() - 30 * 24 * 60 * 60 * 1000),
+      currentPeriodEnd: periodEnd,
+    },
+  };
+  const freeUser = { id: 'free', role: 'editor', subscription: { planId: 'free' } };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client.hashes.clear();
+    Subscription.findByCode.mockImplementation(async (code) => plans[code] || null);
+  });
+
+  describe('getBillingPeriod', () => {
+    test('should use the Stripe period of active subscriptions and the month otherwise', () => {
+      expect(entitlementService.getBillingPeriod(subscriber)).toEqual({
+        start: subscriber.subscription.currentPeriodStart,
+        end: periodEnd,
+      });
+
+      const now = new Date('2026-03-15T12:00:00Z');
+      expect(entitlementService.getBillingPeriod(freeUser, now)).toEqual({
+        start: new Date('2026-03-01T00:00:00Z'),
+        end: new Date('2026-04-01T00:00:00Z'),
+      });
+    });
+  });
+
+  describe('consumeQuota', () => {
+    test('should count usage and reject requests over the quota without counting them', async () => {
+      await entitlementService.consumeQuota(freeUser, 'aiWords', 80);
+
+      await expect(entitlementService.consumeQuota(freeUser, 'aiWords', 30)).rejects.toMatchObject({
+        statusCode: httpStatus.TOO_MANY_REQUESTS,
+        message: expect.stringContaining('80 of 100 words used this period'),
+      });
+      await entitlementService.consumeQuota(freeUser, 'aiWords', 20);
+
+      const { features } = await entitlementService.getUsage(freeUser);
+      expect(features.aiWords).toMatchObject({ limit: 100, used: 100, remaining: 0 });
+    });
+
+    test('should reject features the plan does not include or disables', async () => {
+      await expect(entitlementService.consumeQuota(freeUser, 'translations')).rejects.toMatchObject(
+        { statusCode: httpStatus.FORBIDDEN },
+      );
+      await expect(
+        entitlementService.consumeQuota(subscriber, 'seoGenerations'),
+      ).rejects.toMatchObject({ statusCode: httpStatus.FORBIDDEN });
+      expect(client.hIncrBy).not.toHaveBeenCalled();
+    });
+
+    test('should not limit unlimited features and administrators', async () => {
+      await entitlementService.consumeQuota(subscriber, 'translations', 5000);
+      await entitlementService.consumeQuota({ ...freeUser, role: 'admin' }, 'aiWords', 5000);
+
+      expect(client.hIncrBy).toHaveBeenCalledTimes(2);
+      expect(Subscription.findByCode).toHaveBeenCalledTimes(1);
+    });
+
+    test('should let requests through when usage cannot be counted', async () => {
+      client.hIncrBy.mockRejectedValueOnce(new Error('connection lost'));
+
+      await expect(
+        entitlementService.consumeQuota(freeUser, 'aiWords', 500),
+      ).resolves.toBeUndefined();
+    });
+  });
+
+  describe('consumeQuotas', () => {
+    test('should use every quota or none', async () => {
+      await expect(
+        entitlementService.consumeQuotas(freeUser, { aiWords: 50, seoGenerations: 1 }),
+      ).rejects.toMatchObject({ statusCode: httpStatus.FORBIDDEN });
+
+      expect((await entitlementService.getUsage(freeUser)).features.aiWords.used).toBe(0);
+
+      await entitlementService.consumeQuotas(subscriber, { aiWords: 50, translations: 2 });
+      const { features } = await entitlementService.getUsage(subscriber);
+      expect(features.aiWords.used).toBe(50);
+      expect(features.translations.used).toBe(2);
+    });
+  });
+
+  describe('withQuota', () => {
+    test('should give the quota back when the task fails', async () => {
+      await expect(
+        entitlementService.withQuota(subscriber, 'aiWords', 300, async () => {
+          throw new Error('provider down');
+        }),
+      ).rejects.toThrow('provider down');
+
+      const result = await entitlementService.withQuota(
+        subscriber,
+        'aiWords',
+        200,
+        async () => 'ok',
+      );
+
+      expect(result).toBe('ok');
+      const { plan, period, features } = await entitlementService.getUsage(subscriber);
+      expect(plan).toEqual({ code: 'PRO', name: 'Pro' });
+      expect(period.end).toBe(periodEnd);
+      expect(features.aiWords.used).toBe(200);
+      expect(features.translations).toMatchObject({ included: true, limit: null, remaining: null });
+      expect(features.seoGenerations.included).toBe(false);
+    });
+  });
+
+  describe('getUsage', () => {
+    test('should count usage per billing period', async () => {
+      const renewed = {
+        ...subscriber,
+        subscription: {
+          ...subscriber.subscription,
+          currentPeriodStart: periodEnd,
+          currentPeriodEnd: new Date(periodEnd.getTime() + 30 * 24 * 60 * 60 * 1000),
+        },
+      };
+      await entitlementService.recordUsage(subscriber, 'aiWords', 10);
+
+      expect((await entitlementService.getUsage(subscriber)).features.aiWords.used).toBe(10);
+      expect((await entitlementService.getUsage(renewed)).features.aiWords.used).toBe(0);
+    });
+
+    test('should report the plan without usage when Redis cannot be read', async () => {
+      client.hGetAll.mockRejectedValueOnce(new Error('connection lost'));
+
+      const { plan, features } = await entitlementService.getUsage(subscriber);
+
+      expect(plan.code).toBe('PRO');
+      expect(features.aiWords).toMatchObject({ limit: 1000, used: null, remaining: null });
+    });
+  });
+});
@@ -0,0 +1,164 @@
+const feedService = require('../../../src/services/feed.service');
+const { BlogPost, Category } = require('../../../src/models');
+const { cache } = require('../../../src/config/redis');
+
+jest.mock('../../../src/config/config', () => ({
+  frontendUrl: 'https://example.com',
+}));
+
+jest.mock('../../../src/services/translationMemory.service', () => ({}));
+jest.mock('../../../src/services/translationReview.service', () => ({}));
+jest.mock('../../../src/services/settings.service', () => ({
+  getSetting: jest.fn(async (key) => ({ 'monetization.premiumTeaserWords': 2 })[key]),
+}));
+
+jest.mock('../../../src/services/tag.service', () => {
+  const labels = { en: { seo: 'SEO' }, fr: { productivity: 'Productivité' } };
+  return {
+    getLabels: jest.fn(
+      async (slugs, language) =>
+        new Map(slugs.map((slug) => [slug, labels[language][slug] || slug])),
+    ),
+  };
+});
+
+jest.mock('../../../src/config/redis', () => ({
+  cache: {
+    get: jest.fn(),
+    set: jest.fn(),
+    clearByPattern: jest.fn(),
+  },
+}));
+
+jest.mock('../../../src/models', () => ({
+  BlogPost: {
+    find: jest.fn(),
+  },
+  Category: {
+    findOne: jest.fn(),
+  },
+}));
+
+const mockQuery = (docs) => {
+  const query = {
+    populate: jest.fn(() => query),
+    sort: jest.fn(() => query),
+    limit: jest.fn().mockResolvedValue(docs),
+  };
+  return query;
+};
+
+describe('Feed service', () => {
+  const approvedAt = new Date('2026-02-01T10:00:00.000Z');
+  const buildPost = (overrides) => {
+    const post = {
+      id: 'p1',
+      language: 'en',
+      slug: 'best-ai-tools',
+      title: 'Best AI tools',
+      excerpt: 'A short list',
+      content: 'The full review',
+      isPremium: false,
+      tags: ['productivity'],
+      author: { name: 'Jane Doe' },
+      publishedAt: new Date('2026-01-10T08:00:00.000Z'),
+      updatedAt: new Date('2026-03-01T10:00:00.000Z'),
+      translations: {
+        fr: {
+          title: 'Meilleurs outils',
+          excerpt: 'Une liste',
+          content: 'La revue complète',
+          slug: 'meilleurs-outils',
+          approvedAt,
+        },
+      },
+      ...overrides,
+    };
+    return { ...post, toJSON: () => post };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cache.get.mockResolvedValue(null);
+  });
+
+  test('should render localized posts as RSS with a validator set', async () => {
+    const query = mockQuery([buildPost()]);
+    BlogPost.find.mockReturnValue(query);
+
+    const feed = await feedService.getFeed(
+      'rss',
+      'fr',
+      {},
+      'https://api.example.com/v1/feeds/fr/rss',
+    );
+
+    expect(BlogPost.find).toHaveBeenCalledWith(expect.objectContaining({ status: 'published' }));
+    expect(feed.contentType).toMatch('application/rss+xml');
+    expect(feed.body).toContain('<title>Meilleurs outils</title>');
+    expect(feed.body).toContain('<link>https://example.com/fr/blog/meilleurs-outils</link>');
+    expect(feed.body).toContain('<description>La revue complète</description>');
+    expect(feed.body).toContain('<language>fr-FR</language>');
+    expect(feed.body).toContain('<category>Productivité</category>');
+    expect(feed.etag).toMatch(/^".+"$/);
+    expect(feed.lastModified.toISOString()).toBe('2026-03-01T10:00:00.000Z');
+    expect(cache.set).toHaveBeenCalledWith(
+      'feed:fr:all:all',
+      expect.any(Object),
+      expect.any(Number),
+    );
+  });
+
+  test('should only include the excerpt of premium posts', async () => {
+    BlogPost.find.mockReturnValue(mockQuery([buildPost({ isPremium: true })]));
+
+    const atom = await feedService.getFeed('atom', 'en', {}, 'https://api.example.com/feed');
+    expect(atom.body).toContain('<summary type="text">A short list</summary>');
+    expect(atom.body).not.toContain('The full review');
+
+    cache.get.mockResolvedValue(null);
+    const json = JSON.parse((await feedService.getFeed('json', 'en', {}, 'x')).body);
+    expect(json.items[0]).toMatchObject({ content_text: 'A short list', _premium: true });
+  });
+
+  test('should sum up premium posts without an excerpt by the paywall teaser', async () => {
+    BlogPost.find.mockReturnValue(mockQuery([buildPost({ isPremium: true, excerpt: '' })]));
+
+    const json = JSON.parse((await feedService.getFeed('json', 'en', {}, 'x')).body);
+
+    expect(json.items[0].content_text).toBe('The full…');
+  });
+
+  test('should filter by category and tag', async () => {
+    Category.findOne.mockResolvedValue({
+      _id: 'c1',
+      name: 'Marketing',
+      slug: 'marketing',
+      getTranslation: () => undefined,
+    });
+    BlogPost.find.mockReturnValue(mockQuery([]));
+
+    const feed = await feedService.getFeed(
+      'json',
+      'en',
+      { category: 'marketing', tag: 'seo' },
+      'x',
+    );
+
+    expect(BlogPost.find).toHaveBeenCalledWith(
+      expect.objectContaining({ category: 'c1', tags: 'seo' }),
+    );
+    expect(JSON.parse(feed.body)).toMatchObject({
+      title: expect.stringMatching(/ - #SEO$/),
+      home_page_url: 'https://example.com/en/blog/category/marketing?tag=seo',
+    });
+  });
+
+  test('should return 404 for an unknown category', async () => {
+    Category.findOne.mockResolvedValue(null);
+
+    await expect(
+      feedService.getFeed('rss', 'en', { category: 'missing' }, 'x'),
+    ).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
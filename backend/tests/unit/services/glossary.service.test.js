@@ -0,0 +1,50 @@
+const glossaryService = require('../../../src/services/glossary.service');
+
+jest.mock('../../../src/models', () => ({
+  Glossary: {},
+}));
+
+describe('Glossary service', () => {
+  const terms = [
+    { term: 'ChatGPT', doNotTranslate: true, caseSensitive: true },
+    { term: 'workflow', translation: 'flux de travail', doNotTranslate: false },
+    { term: 'AI', translation: 'IA', doNotTranslate: false, caseSensitive: true },
+  ];
+
+  describe('findTermsInText', () => {
+    test('should match whole words only', () => {
+      const found = glossaryService.findTermsInText(terms, 'Build a Workflow with ChatGPT, PAID');
+
+      expect(found.map((entry) => entry.term)).toEqual(['ChatGPT', 'workflow']);
+    });
+  });
+
+  describe('checkTranslation', () => {
+    test('should return no violations when the glossary is followed', () => {
+      const violations = glossaryService.checkTranslation(
+        'Automate your workflow with ChatGPT and AI',
+        'Automatisez votre flux de travail avec ChatGPT et l’IA',
+        terms,
+      );
+
+      expect(violations).toEqual([]);
+    });
+
+    test('should flag translated do-not-translate terms and missing preferred translations', () => {
+      const violations = glossaryService.checkTranslation(
+        'Automate your workflow with ChatGPT',
+        'Automatisez votre processus avec Chat GPT',
+        terms,
+      );
+
+      expect(violations).toEqual([
+        expect.objectContaining({ type: 'doNotTranslate', term: 'ChatGPT' }),
+        expect.objectContaining({
+          type: 'preferredTranslation',
+          term: 'workflow',
+          expected: 'flux de travail',
+        }),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const languageService = require('../../../src/services/language.service');
+const languages = require('../../../src/config/languages');
+const { Language } = require('../../../src/models');
+const { client } = require('../../../src/config/redis');
+
+jest.mock('../../../src/models', () => ({
+  Language: {
+    find: jest.fn(),
+    findOne: jest.fn(),
+    insertMany: jest.fn(),
+    updateMany: jest.fn(),
+  },
+}));
+
+jest.mock('../../../src/config/logger', () => ({ warn: jest.fn(), error: jest.fn() }));
+jest.mock('../../../src/config/redis', () => {
+  const subscriber = {
+    channels: new Map(),
+    on: jest.fn(),
+    connect: jest.fn(),
+    subscribe: jest.fn(async (channel, listener) => subscriber.channels.set(channel, listener)),
+  };
+  return {
+    client: { publish: jest.fn(), duplicate: jest.fn(() => subscriber), subscriber },
+    cache: { clearByPattern: jest.fn() },
+  };
+});
+
+describe('Language service', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = languages.defaultLanguages.map((language) => ({
+      ...language,
+      save: jest.fn(),
+    }));
+    Language.find.mockImplementation(async () => stored);
+    Language.findOne.mockImplementation(async ({ code }) =>
+      stored.find((language) => language.code === code),
+    );
+  });
+
+  afterAll(() => {
+    languages.setLanguages(languages.defaultLanguages);
+  });
+
+  describe('loadLanguages', () => {
+    test('should store the built-in languages on first run', async () => {
+      Language.find.mockResolvedValueOnce([]);
+      Language.insertMany.mockResolvedValueOnce(stored);
+
+      await languageService.loadLanguages();
+
+      expect(Language.insertMany).toHaveBeenCalledWith(languages.defaultLanguages);
+      expect(languages.getEnabledCodes()).toEqual(['en', 'fr', 'de', 'es']);
+    });
+  });
+
+  describe('updateLanguageByCode', () => {
+    test('should enable a language without code changes', async () => {
+      expect(languages.isEnabled('it')).toBe(false);
+
+      await languageService.updateLanguageByCode('it', { enabled: true });
+
+      expect(languages.isEnabled('it')).toBe(true);
+      expect(languages.getLanguage('it').promptContext).toMatch(/Italian/);
+    });
+
+    test('should not disable the default language', async () => {
+      await expect(languageService.updateLanguageByCode('en', { enabled: false })).rejects.toThrow(
+        'The default language cannot be disabled',
+      );
+    });
+
+    test('should move the default flag to the new default language', async () => {
+      await languageService.updateLanguageByCode('fr', { isDefault: true });
+
+      expect(Language.updateMany).toHaveBeenCalledWith({ isDefault: true }, { isDefault: false });
+    });
+  });
+
+  describe('subscribeToChanges', () => {
+    test('should reload the registry on changes announced by other instances', async () => {
+      await languageService.subscribeToChanges();
+      await languageService.updateLanguageByCode('it', { enabled: true });
+      const [[channel, instanceId]] = client.publish.mock.calls;
+      const listener = client.subscriber.channels.get(channel);
+
+      stored.find((language) => language.code === 'it').enabled = false;
+      Language.find.mockClear();
+      listener(instanceId);
+      expect(Language.find).not.toHaveBeenCalled();
+
+      listener('another-instance');
+      await new Promise(setImmediate);
+      expect(languages.isEnabled('it')).toBe(false);
+    });
+  });
+
+  describe('resolveLanguage', () => {
+    test('should serve enabled languages only', () => {
+      languages.setLanguages(languages.defaultLanguages);
+
+      expect(languages.resolveLanguage('fr')).toBe('fr');
+      expect(languages.resolveLanguage('it')).toBe('en');
+      expect(languages.resolveLanguage('x'.repeat(500))).toBe('en');
+      expect(languages.resolveLanguage(undefined)).toBe('en');
+    });
+  });
+});
@@ -0,0 +1,148 @@
+const migrationService = require('../../../src/services/migration.service');
+const searchService = require('../../../src/services/search.service');
+const { BlogPost, Category, Subscription, SystemSettings, User } = require('../../../src/models');
+
+jest.mock('../../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn() }));
+jest.mock('../../../src/config/redis', () => ({ cache: { clearByPattern: jest.fn() } }));
+jest.mock('../../../src/services/search.service', () => ({ indexPost: jest.fn() }));
+jest.mock('../../../src/services/relatedPosts.service', () => ({
+  backfillEmbeddings: jest.fn().mockResolvedValue(0),
+}));
+jest.mock('../../../src/models', () => ({
+  BlogPost: {
+    find: jest.fn(),
+    updateMany: jest.fn(),
+    collection: { dropIndex: jest.fn(), createIndex: jest.fn() },
+  },
+  Category: { find: jest.fn(), updatePostCounts: jest.fn() },
+  Subscription: { find: jest.fn() },
+  SystemSettings: { getByKey: jest.fn(), set: jest.fn() },
+  User: { collection: { find: jest.fn(), updateOne: jest.fn() } },
+}));
+
+// Query awaited for its documents or read through a cursor
+const mockQuery = (docs) => Object.assign(Promise.resolve(docs), { cursor: () => docs });
+
+describe('Migration service', () => {
+  const legacyPost = () => {
+    const translations = new Map([
+      ['fr', { title: 'Legacy' }],
+      ['de', { title: 'Reviewed', approvedAt: new Date('2026-01-01'), translationId: 'tr1' }],
+      ['es', { title: 'Unpublished', translationId: 'tr2' }],
+      ['it', { title: 'Embargoed', publishAt: new Date('2099-01-01') }],
+    ]);
+    return {
+      id: 'p1',
+      translations,
+      resolveSlugConflicts: jest.fn().mockResolvedValue([]),
+      save: jest.fn(),
+    };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    BlogPost.find.mockImplementation(() => mockQuery([]));
+    Subscription.find.mockResolvedValue([]);
+    User.collection.find.mockReturnValue([]);
+    Category.find.mockResolvedValue([]);
+  });
+
+  describe('runMigrations', () => {
+    test('should approve translations stored before reviews, and record the migration', async () => {
+      const post = legacyPost();
+      BlogPost.find.mockImplementation((filter) => mockQuery(filter.$or ? [post] : []));
+      SystemSettings.getByKey.mockResolvedValue(null);
+
+      const run = await migrationService.runMigrations();
+
+      expect(run).toContain('approveLegacyTranslations');
+      expect(post.translations.get('fr').approvedAt).toBeInstanceOf(Date);
+      expect(post.translations.get('de').approvedAt).toEqual(new Date('2026-01-01'));
+      expect(post.translations.get('es').approvedAt).toBeUndefined();
+      expect(post.translations.get('it').approvedAt).toBeUndefined();
+      // Approved slugs are checked once approved, before being indexed
+      expect(post.resolveSlugConflicts.mock.invocationCallOrder[0]).toBeLessThan(
+        post.save.mock.invocationCallOrder[0],
+      );
+      expect(searchService.indexPost).toHaveBeenCalledWith(post);
+      expect(SystemSettings.set).toHaveBeenCalledWith(
+        'migrations.approveLegacyTranslations',
+        expect.objectContaining({ result: 1 }),
+        expect.objectContaining({ category: 'migrations' }),
+      );
+    });
+
+    test('should index the slugs of earlier posts, suffixing translated slugs in use', async () => {
+      SystemSettings.getByKey.mockResolvedValue(null);
+      const post = {
+        id: 'p1',
+        _id: 'p1',
+        resolveSlugConflicts: jest.fn().mockResolvedValue(['fr']),
+        save: jest.fn(),
+      };
+      BlogPost.find.mockImplementation((filter) =>
+        mockQuery(filter['slugs.0'] || filter._id ? [post] : []),
+      );
+      BlogPost.collection.dropIndex.mockRejectedValue(
+        Object.assign(new Error('index not found'), { codeName: 'IndexNotFound' }),
+      );
+
+      const run = await migrationService.runMigrations();
+
+      expect(run[0]).toBe('indexPostSlugs');
+      expect(BlogPost.collection.createIndex).toHaveBeenCalledWith({ slug: 1 });
+      expect(BlogPost.updateMany).toHaveBeenCalledWith(
+        { 'slugs.0': { $exists: false } },
+        expect.any(Array),
+      );
+      expect(BlogPost.find).toHaveBeenCalledWith({ _id: { $in: ['p1'] } });
+      expect(post.resolveSlugConflicts).toHaveBeenCalled();
+      expect(post.save).toHaveBeenCalled();
+    });
+
+    test('should replace the Stripe prices stored as planId by plan codes', async () => {
+      SystemSettings.getByKey.mockResolvedValue(null);
+      Subscription.find.mockResolvedValue([
+        { code: 'PRO', prices: [{ stripeId: 'price_monthly' }, { stripeId: 'price_yearly' }] },
+      ]);
+      User.collection.find.mockReturnValue([
+        { _id: 'u1', subscription: { planId: 'price_yearly' } },
+        { _id: 'u2', subscription: { planId: 'price_retired' } },
+      ]);
+
+      await migrationService.runMigrations();
+
+      expect(User.collection.find).toHaveBeenCalledWith(
+        { 'subscription.planId': { $exists: true, $nin: ['free', 'pro'] } },
+        expect.any(Object),
+      );
+      expect(User.collection.updateOne).toHaveBeenCalledTimes(1);
+      expect(User.collection.updateOne).toHaveBeenCalledWith(
+        { _id: 'u1' },
+        { $set: { 'subscription.planId': 'pro' } },
+      );
+      expect(SystemSettings.set).toHaveBeenCalledWith(
+        'migrations.migrateSubscriptionPlans',
+        expect.objectContaining({ result: 1 }),
+        expect.any(Object),
+      );
+    });
+
+    test('should recount the posts of every category', async () => {
+      SystemSettings.getByKey.mockResolvedValue(null);
+      Category.find.mockResolvedValue([{ _id: 'c1' }, { _id: 'c2' }]);
+
+      const run = await migrationService.runMigrations();
+
+      expect(run).toContain('recountCategoryPosts');
+      expect(Category.updatePostCounts).toHaveBeenCalledWith(['c1', 'c2']);
+    });
+
+    test('should not run completed migrations again', async () => {
+      SystemSettings.getByKey.mockResolvedValue({ completedAt: new Date() });
+
+      await expect(migrationService.runMigrations()).resolves.toEqual([]);
+      expect(BlogPost.find).not.toHaveBeenCalled();
+    });
+  });
+});
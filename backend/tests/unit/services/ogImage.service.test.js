@@ -0,0 +1,148 @@
+const ogImageService = require('../../../src/services/ogImage.service');
+const { BlogPost } = require('../../../src/models');
+const { cache } = require('../../../src/config/redis');
+
+jest.mock('../../../src/config/config', () => ({
+  frontendUrl: 'https://example.com',
+}));
+
+jest.mock('../../../src/config/redis', () => ({
+  cache: {
+    get: jest.fn(),
+    set: jest.fn(),
+  },
+}));
+
+jest.mock('../../../src/services/translationMemory.service', () => ({}));
+jest.mock('../../../src/services/translationReview.service', () => ({}));
+jest.mock('../../../src/services/settings.service', () => ({
+  getSetting: jest.fn().mockResolvedValue('AI Tools Blog'),
+}));
+
+jest.mock('../../../src/models', () => ({
+  BlogPost: {
+    findById: jest.fn(),
+  },
+}));
+
+describe('OG image service', () => {
+  const approvedAt = new Date('2026-01-01');
+  const buildPost = (overrides = {}) => {
+    const post = {
+      id: 'p1',
+      status: 'published',
+      language: 'en',
+      slug: 'best-ai-tools',
+      title: 'Best AI tools',
+      excerpt: 'Our picks',
+      content: 'Content',
+      tags: ['writing'],
+      publishedAt: approvedAt,
+      translations: {
+        fr: {
+          title: 'Meilleurs outils',
+          content: 'Contenu',
+          slug: 'meilleurs-outils',
+          metaDescription: 'Nos choix',
+          approvedAt,
+        },
+      },
+      ...overrides,
+    };
+    return {
+      ...post,
+      author: { name: 'Jane Doe' },
+      category: {
+        name: 'Writing',
+        getTranslation: (language) => (language === 'fr' ? { name: 'Écriture' } : undefined),
+      },
+      toJSON: () => post,
+      toObject: () => post,
+    };
+  };
+  const mockFind = (post) => {
+    BlogPost.findById.mockReturnValue({
+      populate: jest.fn().mockReturnThis(),
+      then: (resolve) => resolve(post),
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cache.get.mockResolvedValue(null);
+  });
+
+  describe('getPostOgImage', () => {
+    test('should render a 1200x630 PNG and cache it', async () => {
+      mockFind(buildPost());
+
+      const png = await ogImageService.getPostOgImage('p1', 'fr');
+
+      expect(png.subarray(1, 4).toString()).toBe('PNG');
+      expect(png.readUInt32BE(16)).toBe(1200);
+      expect(png.readUInt32BE(20)).toBe(630);
+      expect(cache.set).toHaveBeenCalledWith(
+        'post:p1:og-image:fr',
+        png.toString('base64'),
+        expect.any(Number),
+      );
+    });
+
+    test('should serve the cached image without loading the post', async () => {
+      cache.get.mockResolvedValue(Buffer.from('png').toString('base64'));
+
+      const png = await ogImageService.getPostOgImage('p1', 'fr');
+
+      expect(png.toString()).toBe('png');
+      expect(BlogPost.findById).not.toHaveBeenCalled();
+    });
+
+    test('should throw 404 when the post is not published', async () => {
+      mockFind(buildPost({ status: 'draft' }));
+
+      await expect(ogImageService.getPostOgImage('p1', 'en')).rejects.toMatchObject({
+        statusCode: 404,
+      });
+    });
+  });
+
+  describe('getPostSocialMeta', () => {
+    test('should build localized Open Graph and Twitter tags pointing to the card', async () => {
+      mockFind(buildPost());
+
+      const meta = await ogImageService.getPostSocialMeta(
+        'p1',
+        'fr',
+        'https://api.example.com/v1/seo',
+      );
+
+      expect(meta.image).toMatchObject({
+        url: 'https://api.example.com/v1/seo/p1/og-image?lang=fr',
+        width: 1200,
+        height: 630,
+      });
+      expect(meta.openGraph).toEqual(
+        expect.arrayContaining([
+          { property: 'og:title', content: 'Meilleurs outils' },
+          { property: 'og:description', content: 'Nos choix' },
+          { property: 'og:url', content: 'https://example.com/fr/blog/meilleurs-outils' },
+          { property: 'og:locale', content: 'fr_FR' },
+          { property: 'og:locale:alternate', content: 'en_US' },
+          { property: 'article:section', content: 'Écriture' },
+          { property: 'article:tag', content: 'writing' },
+        ]),
+      );
+      expect(meta.twitter).toContainEqual({ name: 'twitter:card', content: 'summary_large_image' });
+    });
+
+    test('should share the post image of the language instead of the card when set', async () => {
+      mockFind(buildPost({ ogImage: { url: 'https://cdn.example.com/og.png', alt: 'Cover' } }));
+
+      const meta = await ogImageService.getPostSocialMeta('p1', 'en', 'https://api.example.com');
+
+      expect(meta.image).toEqual({ url: 'https://cdn.example.com/og.png', alt: 'Cover' });
+      expect(meta.openGraph.map((tag) => tag.property)).not.toContain('og:image:width');
+      expect(meta.openGraph).toContainEqual({ property: 'og:description', content: 'Our picks' });
+    });
+  });
+});
@@ -0,0 +1,142 @@
+const paywallService = require('../../../src/services/paywall.service');
+const settingsService = require('../../../src/services/settings.service');
+const { client } = require('../../../src/config/redis');
+
+jest.mock('../../../src/config/config', () => ({ frontendUrl: 'https://example.com' }));
+jest.mock('../../../src/config/logger', () => ({ warn: jest.fn() }));
+jest.mock('../../../src/services/settings.service', () => ({ getSetting: jest.fn() }));
+jest.mock('../../../src/config/redis', () => {
+  const sets = new Map();
+  const members = (key) => sets.get(key) || new Set();
+  return {
+    client: {
+      sets,
+      // Same steps as the script, which runs atomically in Redis
+      eval: jest.fn(async (script, { keys: [key], arguments: [member, limit] }) => {
+        const set = members(key);
+        if (set.has(member)) {
+          return [1, set.size];
+        }
+        if (set.size >= Number(limit)) {
+          return [0, set.size];
+        }
+        sets.set(key, set.add(member));
+        return [1, set.size];
+      }),
+    },
+  };
+});
+
+describe('Paywall service', () => {
+  const settings = {
+    'monetization.freePremiumReads': 2,
+    'monetization.premiumTeaserWords': 3,
+  };
+  const premiumPost = (id) => ({
+    id,
+    isPremium: true,
+    content: 'One two three four five',
+    translations: { fr: { content: 'Un deux trois quatre cinq' } },
+  });
+  const reader = { id: 'reader', role: 'user', subscription: { planId: 'free', status: 'active' } };
+  const readerId = paywallService.getReaderId(reader, {});
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client.sets.clear();
+    settingsService.getSetting.mockImplementation(async (key) => settings[key]);
+  });
+
+  describe('isEntitled', () => {
+    test('should entitle active paid subscriptions and staff only', () => {
+      expect(paywallService.isEntitled(undefined)).toBe(false);
+      expect(paywallService.isEntitled(reader)).toBe(false);
+      expect(
+        paywallService.isEntitled({
+          role: 'user',
+          subscription: { planId: 'pro', status: 'trialing' },
+        }),
+      ).toBe(true);
+      expect(
+        paywallService.isEntitled({
+          role: 'user',
+          subscription: { planId: 'pro', status: 'past_due' },
+        }),
+      ).toBe(false);
+      expect(paywallService.isEntitled({ role: 'editor' })).toBe(true);
+    });
+  });
+
+  describe('getReaderId', () => {
+    test('should fingerprint anonymous readers by IP address and user agent', () => {
+      const id = paywallService.getReaderId(undefined, { ip: '1.2.3.4', userAgent: 'Firefox' });
+
+      expect(id).toMatch(/^anon:[0-9a-f]{32}$/);
+      expect(paywallService.getReaderId(undefined, { ip: '1.2.3.4', userAgent: 'Firefox' })).toBe(
+        id,
+      );
+      expect(
+        paywallService.getReaderId(undefined, { ip: '1.2.3.4', userAgent: 'Chrome' }),
+      ).not.toBe(id);
+      expect(readerId).toBe('user:reader');
+    });
+  });
+
+  describe('gatePost', () => {
+    test('should use free reads, count each post once a month, then show a teaser', async () => {
+      const first = await paywallService.gatePost(premiumPost('p1'), reader, readerId);
+      expect(first.content).toBe('One two three four five');
+      expect(first.paywall).toEqual({ locked: false, freeReads: { limit: 2, remaining: 1 } });
+
+      const again = await paywallService.gatePost(premiumPost('p1'), reader, readerId);
+      expect(again.paywall.freeReads.remaining).toBe(1);
+
+      await paywallService.gatePost(premiumPost('p2'), reader, readerId);
+      const locked = await paywallService.gatePost(premiumPost('p3'), reader, readerId);
+
+      expect(locked.content).toBe('One two three…');
+      expect(locked.translations).toBeUndefined();
+      expect(locked.paywall).toEqual({
+        locked: true,
+        freeReads: { limit: 2, remaining: 0 },
+        subscribeUrl: 'https://example.com/subscription',
+      });
+      expect(
+        client.sets.get(`paywall:reads:user:reader:${new Date().toISOString().slice(0, 7)}`).size,
+      ).toBe(2);
+    });
+
+    test('should serve free posts, and premium posts to entitled readers, untouched', async () => {
+      const post = { id: 'p1', isPremium: false, content: 'Free content here' };
+      expect(await paywallService.gatePost(post, undefined, 'anon:x')).toBe(post);
+
+      const premium = premiumPost('p2');
+      expect(await paywallService.gatePost(premium, { role: 'admin' }, 'user:admin')).toBe(premium);
+      expect(client.eval).not.toHaveBeenCalled();
+    });
+
+    test('should lock premium posts when Redis cannot count reads', async () => {
+      client.eval.mockRejectedValueOnce(new Error('connection lost'));
+
+      const post = await paywallService.gatePost(premiumPost('p1'), reader, readerId);
+
+      expect(post.paywall.locked).toBe(true);
+    });
+  });
+
+  describe('gatePosts', () => {
+    test('should show teasers of premium posts in listings without using free reads', async () => {
+      const posts = [premiumPost('p1'), { id: 'p2', isPremium: false, content: 'Free' }];
+
+      const [premium, free] = await paywallService.gatePosts(posts, reader);
+
+      expect(premium.content).toBe('One two three…');
+      expect(premium.paywall).toEqual({
+        locked: true,
+        subscribeUrl: 'https://example.com/subscription',
+      });
+      expect(free).toBe(posts[1]);
+      expect(client.eval).not.toHaveBeenCalled();
+    });
+  });
+});
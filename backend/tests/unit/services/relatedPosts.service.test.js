@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const relatedPostsService = require('../../../src/services/relatedPosts.service');
+const aiService = require('../../../src/services/ai.service');
+const { BlogPost, PostEmbedding } = require('../../../src/models');
+
+jest.mock('../../../src/config/config', () => ({
+  frontendUrl: 'https://example.com',
+  ai: { models: { embedding: 'embed-small' } },
+}));
+
+jest.mock('../../../src/config/logger', () => ({ warn: jest.fn(), error: jest.fn() }));
+jest.mock('../../../src/services/translationMemory.service', () => ({}));
+jest.mock('../../../src/services/translationReview.service', () => ({}));
+jest.mock('../../../src/services/ai.service', () => ({
+  embed: jest.fn(),
+  getEmbeddingModel: jest.fn(),
+}));
+
+jest.mock('../../../src/models', () => ({
+  BlogPost: {
+    findById: jest.fn(),
+    find: jest.fn(),
+  },
+  PostEmbedding: {
+    find: jest.fn(),
+    findOne: jest.fn(),
+    bulkWrite: jest.fn(),
+    deleteMany: jest.fn(),
+  },
+}));
+
+describe('Related posts service', () => {
+  const buildPost = (id, title, overrides = {}) => {
+    const post = {
+      _id: id,
+      id,
+      status: 'published',
+      language: 'en',
+      title,
+      slug: title.toLowerCase().replace(/\s+/g, '-'),
+      content: `${title} content`,
+      translations: {},
+      ...overrides,
+    };
+    return { ...post, toJSON: () => post, toObject: () => post };
+  };
+  const lean = (value) => ({ lean: jest.fn().mockResolvedValue(value) });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    aiService.getEmbeddingModel.mockReturnValue('embed-small');
+  });
+
+  describe('updateEmbeddings', () => {
+    test('should store term frequencies and vectors of the languages whose text changed', async () => {
+      const approvedAt = new Date();
+      const post = buildPost('p1', 'Best AI tools', {
+        translations: { fr: { title: 'Outils', content: 'Contenu', slug: 'outils', approvedAt } },
+      });
+      PostEmbedding.find.mockResolvedValue([{ language: 'fr', textHash: 'stale' }]);
+      aiService.embed.mockResolvedValue([
+        [1, 0],
+        [0, 1],
+      ]);
+
+      await relatedPostsService.updateEmbeddings(post);
+
+      expect(aiService.embed).toHaveBeenCalledWith([
+        'Best AI tools\n\nBest AI tools content',
+        'Outils\n\nContenu',
+      ]);
+      const replacements = PostEmbedding.bulkWrite.mock.calls[0][0].map(
+        ({ replaceOne }) => replaceOne.replacement,
+      );
+      expect(replacements[0]).toMatchObject({
+        language: 'en',
+        model: 'embed-small',
+        vector: [1, 0],
+        terms: { best: expect.any(Number), tools: expect.any(Number), content: 1 },
+      });
+      expect(replacements[1]).toMatchObject({ language: 'fr', vector: [0, 1] });
+    });
+
+    test('should keep term frequencies only when the provider cannot embed', async () => {
+      PostEmbedding.find.mockResolvedValue([]);
+      aiService.embed.mockRejectedValue(new Error('rate limited'));
+
+      await relatedPostsService.updateEmbeddings(buildPost('p1', 'Best AI tools'));
+
+      const [{ replaceOne }] = PostEmbedding.bulkWrite.mock.calls[0][0];
+      expect(replaceOne.replacement.terms).toBeDefined();
+      expect(replaceOne.replacement.vector).toBeUndefined();
+    });
+
+    test('should embed again unchanged text without a vector of the current model', async () => {
+      const textHash = crypto
+        .createHash('sha1')
+        .update('Best AI tools\n\nBest AI tools content')
+        .digest('hex');
+      aiService.embed.mockResolvedValue([[1, 0]]);
+
+      PostEmbedding.find.mockResolvedValue([{ language: 'en', textHash, model: 'embed-small' }]);
+      await relatedPostsService.updateEmbeddings(buildPost('p1', 'Best AI tools'));
+      expect(aiService.embed).not.toHaveBeenCalled();
+
+      PostEmbedding.find.mockResolvedValue([{ language: 'en', textHash }]);
+      await relatedPostsService.updateEmbeddings(buildPost('p1', 'Best AI tools'));
+      expect(aiService.embed).toHaveBeenCalledTimes(1);
+
+      PostEmbedding.find.mockResolvedValue([{ language: 'en', textHash, model: 'embed-old' }]);
+      await relatedPostsService.updateEmbeddings(buildPost('p1', 'Best AI tools'));
+      expect(aiService.embed).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('backfillEmbeddings', () => {
+    test('should update the vectors of every published post', async () => {
+      BlogPost.find.mockReturnValue({ cursor: () => [buildPost('p1', 'Best AI tools')] });
+      PostEmbedding.find.mockResolvedValue([]);
+      aiService.embed.mockResolvedValue([[1, 0]]);
+
+      await expect(relatedPostsService.backfillEmbeddings()).resolves.toBe(1);
+
+      expect(BlogPost.find).toHaveBeenCalledWith({ status: 'published' });
+      expect(PostEmbedding.bulkWrite).toHaveBeenCalled();
+    });
+  });
+
+  describe('getRelatedPosts', () => {
+    const mockRelated = (source, candidates) => {
+      BlogPost.findById.mockResolvedValue(buildPost('p1', 'Best AI tools'));
+      PostEmbedding.findOne.mockReturnValue(lean(source));
+      PostEmbedding.find.mockReturnValue(lean(candidates));
+      BlogPost.find.mockImplementation((filter, projection) =>
+        projection
+          ? {
+              sort: () => ({
+                limit: jest.fn().mockResolvedValue(candidates.map(({ post }) => ({ _id: post }))),
+              }),
+            }
+          : {
+              select: jest
+                .fn()
+                .mockResolvedValue([
+                  buildPost('p2', 'AI writing tools'),
+                  buildPost('p3', 'Cooking recipes'),
+                ]),
+            },
+      );
+    };
+
+    test('should rank neighbours by embedding similarity when they share the model', async () => {
+      mockRelated({ post: 'p1', model: 'embed-small', vector: [1, 0] }, [
+        { post: 'p3', model: 'embed-small', vector: [0.2, 1] },
+        { post: 'p2', model: 'embed-small', vector: [1, 0.1] },
+      ]);
+
+      const related = await relatedPostsService.getRelatedPosts('p1', 'en', { limit: 3 });
+
+      expect(BlogPost.find).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'published', isPremium: { $ne: true } }),
+        { _id: 1 },
+      );
+      expect(PostEmbedding.find).toHaveBeenLastCalledWith(expect.any(Object), {
+        post: 1,
+        vector: 1,
+      });
+      expect(related.method).toBe('embedding');
+      expect(related.results.map((post) => post.id)).toEqual(['p2', 'p3']);
+      expect(related.results[0]).toMatchObject({
+        url: 'https://example.com/en/blog/ai-writing-tools',
+      });
+    });
+
+    test('should fall back to TF-IDF similarity without comparable embeddings', async () => {
+      aiService.getEmbeddingModel.mockReturnValue(null);
+      mockRelated({ post: 'p1', terms: { best: 1, tools: 1, ai: 1 } }, [
+        { post: 'p3', terms: { cooking: 1, recipes: 1 } },
+        { post: 'p2', model: 'other', vector: [1], terms: { writing: 1, tools: 1 } },
+      ]);
+
+      const related = await relatedPostsService.getRelatedPosts('p1', 'en', {
+        limit: 3,
+        canReadPremium: true,
+      });
+
+      expect(BlogPost.find.mock.calls[0][0].isPremium).toBeUndefined();
+      expect(related.method).toBe('tfidf');
+      // Posts sharing no term are not related
+      expect(related.results.map((post) => post.id)).toEqual(['p2']);
+    });
+
+    test('should compare every candidate by TF-IDF while one lacks an embedding', async () => {
+      mockRelated(
+        { post: 'p1', model: 'embed-small', vector: [1, 0], terms: { ai: 1, tools: 1 } },
+        [
+          { post: 'p2', model: 'embed-small', vector: [1, 0.1], terms: { ai: 1, tools: 1 } },
+          { post: 'p3', terms: { cooking: 1, tools: 1 } },
+        ],
+      );
+
+      const related = await relatedPostsService.getRelatedPosts('p1', 'en', { limit: 3 });
+
+      expect(related.method).toBe('tfidf');
+      expect(related.results.map((post) => post.id)).toEqual(['p2', 'p3']);
+      // The missing embedding is computed in the background
+      expect(BlogPost.findById).toHaveBeenCalledWith('p3');
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const revisionService = require('../../../src/services/revision.service');
+const { PostRevision } = require('../../../src/models');
+
+jest.mock('../../../src/models', () => ({
+  PostRevision: {
+    findOne: jest.fn(),
+    create: jest.fn(),
+  },
+}));
+
+describe('Revision service', () => {
+  const post = {
+    _id: 'p1',
+    title: 'Best AI tools',
+    excerpt: 'A short list',
+    content: 'Use an assistant to write.',
+    status: 'published',
+    translations: new Map([
+      ['fr', { title: 'Outils', content: 'Utilisez un assistant.', slug: 'outils' }],
+    ]),
+  };
+  const lastRevision = (revision) =>
+    PostRevision.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue(revision) });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    PostRevision.create.mockImplementation(async (revision) => revision);
+  });
+
+  describe('recordRevision', () => {
+    test('should record the first revision with every field of the text', async () => {
+      lastRevision(null);
+
+      const revision = await revisionService.recordRevision(post, {
+        author: 'u1',
+        source: 'ai-generate',
+      });
+
+      expect(revision).toMatchObject({
+        post: 'p1',
+        number: 1,
+        source: 'ai-generate',
+        author: 'u1',
+        translations: { fr: { title: 'Outils', content: 'Utilisez un assistant.' } },
+        changedFields: [
+          'title',
+          'excerpt',
+          'content',
+          'translations.fr.title',
+          'translations.fr.content',
+        ],
+      });
+    });
+
+    test('should keep the source revision each translation was made from', async () => {
+      lastRevision(null);
+      const sourceRevision = { hash: 'abc', sections: [] };
+      const translated = {
+        ...post,
+        translations: new Map([['fr', { ...post.translations.get('fr'), sourceRevision }]]),
+      };
+
+      const revision = await revisionService.recordRevision(translated, { author: 'u1' });
+
+      expect(revision.translations.fr).toEqual({
+        title: 'Outils',
+        content: 'Utilisez un assistant.',
+        sourceRevision,
+      });
+      expect(revision.changedFields).not.toContain('translations.fr.sourceRevision');
+    });
+
+    test('should only list the fields changed since the last revision', async () => {
+      lastRevision({ ...post, number: 4, content: 'Use a tool.' });
+
+      const revision = await revisionService.recordRevision(post, { author: 'u1' });
+
+      expect(revision).toMatchObject({ number: 5, source: 'manual', changedFields: ['content'] });
+    });
+
+    test('should not record saves that leave the text unchanged', async () => {
+      lastRevision({ ...post, number: 4, status: 'draft' });
+
+      expect(await revisionService.recordRevision(post, { author: 'u1' })).toBeNull();
+      expect(PostRevision.create).not.toHaveBeenCalled();
+    });
+
+    test('should take the next number when a concurrent save took it', async () => {
+      lastRevision({ ...post, number: 4, title: 'Old title' });
+      PostRevision.create.mockRejectedValueOnce(
+        Object.assign(new Error('E11000'), { code: 11000 }),
+      );
+
+      const revision = await revisionService.recordRevision(post, { author: 'u1' });
+
+      expect(PostRevision.create).toHaveBeenCalledTimes(2);
+      expect(revision.changedFields).toEqual(['title']);
+    });
+  });
+
+  describe('diffRevisions', () => {
+    test('should diff the fields changed between two revisions', async () => {
+      PostRevision.findOne.mockImplementation(async ({ number }) =>
+        number === 1
+          ? { ...post, number: 1, source: 'ai-generate', translations: new Map() }
+          : { ...post, number: 3, source: 'manual', content: 'Use an assistant to edit.' },
+      );
+
+      const diff = await revisionService.diffRevisions('p1', 1, 3);
+
+      expect(diff.from).toMatchObject({ number: 1, source: 'ai-generate' });
+      expect(diff.fields.map(({ field }) => field)).toEqual([
+        'content',
+        'translations.fr.title',
+        'translations.fr.content',
+      ]);
+      expect(diff.fields[0]).toMatchObject({
+        changes: [
+          { type: 'equal', text: 'Use an assistant to ' },
+          { type: 'delete', text: 'write.' },
+          { type: 'insert', text: 'edit.' },
+        ],
+        added: 1,
+        removed: 1,
+      });
+    });
+
+    test('should throw when a revision does not exist', async () => {
+      PostRevision.findOne.mockResolvedValue(null);
+
+      await expect(revisionService.diffRevisions('p1', 1, 9)).rejects.toThrow('Revision not found');
+    });
+  });
+});
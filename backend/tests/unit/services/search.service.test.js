@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const searchService = require('../../../src/services/search.service');
+const { SearchDocument, Category } = require('../../../src/models');
+
+jest.mock('../../../src/config/config', () => ({
+  frontendUrl: 'https://example.com',
+}));
+
+jest.mock('../../../src/services/translationMemory.service', () => ({}));
+jest.mock('../../../src/services/translationReview.service', () => ({}));
+
+jest.mock('../../../src/models', () => ({
+  BlogPost: {},
+  Category: {
+    find: jest.fn(),
+  },
+  SearchDocument: {
+    aggregate: jest.fn(),
+    bulkWrite: jest.fn(),
+    deleteMany: jest.fn(),
+  },
+}));
+
+describe('Search service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('indexPost', () => {
+    const post = {
+      _id: 'p1',
+      status: 'published',
+      language: 'en',
+      title: 'Best AI tools',
+      slug: 'best-ai-tools',
+      content: '## Why\n\nThe **best** [writing tools](/en/blog/writing).\n\n```\ncode()\n```',
+      tags: ['writing'],
+      translations: {
+        fr: {
+          title: 'Meilleurs outils',
+          content: 'Contenu',
+          slug: 'meilleurs-outils',
+          approvedAt: new Date(),
+        },
+        de: { title: 'Beste Tools', content: 'Inhalt', slug: 'beste-tools' },
+      },
+    };
+
+    test('should index the source and approved translations as plain text', async () => {
+      await searchService.indexPost(post);
+
+      const operations = SearchDocument.bulkWrite.mock.calls[0][0];
+      expect(operations.map(({ replaceOne }) => replaceOne.replacement)).toEqual([
+        expect.objectContaining({
+          language: 'en',
+          textLanguage: 'en',
+          content: 'Why The best writing tools.',
+        }),
+        expect.objectContaining({
+          language: 'fr',
+          title: 'Meilleurs outils',
+          slug: 'meilleurs-outils',
+        }),
+      ]);
+      expect(SearchDocument.deleteMany).toHaveBeenCalledWith({
+        post: 'p1',
+        language: { $nin: ['en', 'fr'] },
+      });
+    });
+
+    test('should remove posts that are not published', async () => {
+      await searchService.indexPost({ ...post, status: 'archived' });
+
+      expect(SearchDocument.bulkWrite).not.toHaveBeenCalled();
+      expect(SearchDocument.deleteMany).toHaveBeenCalledWith({ post: 'p1' });
+    });
+  });
+
+  describe('searchPosts', () => {
+    const categoryId = new mongoose.Types.ObjectId();
+    const doc = {
+      post: new mongoose.Types.ObjectId(),
+      language: 'fr',
+      title: 'Meilleurs outils IA',
+      slug: 'meilleurs-outils',
+      excerpt: 'Notre sélection',
+      content: 'Les meilleurs outils pour écrire, testés par la rédaction.',
+      category: categoryId,
+      tags: ['writing'],
+      isPremium: true,
+      score: 2.5,
+    };
+
+    beforeEach(() => {
+      SearchDocument.aggregate.mockResolvedValue([
+        {
+          results: [doc],
+          total: [{ count: 1 }],
+          categories: [{ _id: categoryId, count: 1 }],
+          tags: [{ _id: 'writing', count: 1 }],
+          languages: [
+            { _id: 'fr', count: 1 },
+            { _id: 'en', count: 3 },
+          ],
+        },
+      ]);
+      Category.find.mockResolvedValue([
+        {
+          id: categoryId.toString(),
+          name: 'Writing',
+          slug: 'writing',
+          getTranslation: () => ({ name: 'Écriture', slug: 'ecriture' }),
+        },
+      ]);
+    });
+
+    test('should stem the query in the search language and return highlighted results with facets', async () => {
+      const result = await searchService.searchPosts(
+        { q: 'outil', language: 'fr' },
+        { searchLanguage: 'fr', canReadPremium: true },
+      );
+
+      const [match, , { $facet: facets }] = SearchDocument.aggregate.mock.calls[0][0];
+      expect(match.$match.$text).toEqual({ $search: 'outil', $language: 'fr' });
+      expect(facets.results[0]).toEqual({ $match: { language: 'fr' } });
+      expect(facets.languages[0]).toEqual({ $match: {} });
+
+      expect(result.results[0]).toMatchObject({
+        title: 'Meilleurs <mark>outils</mark> IA',
+        snippet: 'Les meilleurs <mark>outils</mark> pour écrire, testés par la rédaction.',
+        url: 'https://example.com/fr/blog/meilleurs-outils',
+        category: { name: 'Écriture', slug: 'ecriture' },
+      });
+      expect(result.facets).toEqual({
+        categories: [{ id: categoryId.toString(), name: 'Écriture', slug: 'ecriture', count: 1 }],
+        tags: [{ tag: 'writing', count: 1 }],
+        languages: [
+          { language: 'fr', count: 1 },
+          { language: 'en', count: 3 },
+        ],
+      });
+      expect(result).toMatchObject({ page: 1, totalPages: 1, totalResults: 1 });
+    });
+
+    test('should only quote the excerpt of premium posts to readers without access', async () => {
+      const result = await searchService.searchPosts({ q: 'outil' }, { searchLanguage: 'ja' });
+
+      expect(SearchDocument.aggregate.mock.calls[0][0][0].$match.$text.$language).toBe('none');
+      expect(result.results[0].snippet).toBe('Notre sélection');
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const seoAuditService = require('../../../src/services/seoAudit.service');
+const { BlogPost } = require('../../../src/models');
+const { cache } = require('../../../src/config/redis');
+
+jest.mock('../../../src/config/config', () => ({
+  frontendUrl: 'https://example.com',
+}));
+
+jest.mock('../../../src/services/translationMemory.service', () => ({}));
+jest.mock('../../../src/services/translationReview.service', () => ({}));
+
+jest.mock('../../../src/config/redis', () => ({
+  cache: { get: jest.fn(), set: jest.fn() },
+}));
+
+jest.mock('../../../src/models', () => ({
+  BlogPost: { find: jest.fn() },
+}));
+
+describe('SEO audit service', () => {
+  const post = (id, title, extra = {}) => ({
+    _id: { toString: () => id },
+    language: 'en',
+    title,
+    slug: id,
+    content: `<p>${title}</p>`,
+    keywords: [],
+    ...extra,
+  });
+  const posts = [
+    post('p1', 'Same title'),
+    post('p2', 'same title '),
+    post('p3', 'Weekly news', { keywords: ['weekly'], metaTitle: 'Weekly news' }),
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cache.get.mockResolvedValue(null);
+    BlogPost.find.mockImplementation(() => ({ lean: () => ({ cursor: () => posts }) }));
+  });
+
+  describe('getAuditReport', () => {
+    test('should stream the posts with the audited fields only and list the worst ones', async () => {
+      const report = await seoAuditService.getAuditReport('en', { limit: 2 });
+
+      expect(BlogPost.find).toHaveBeenCalledTimes(2);
+      BlogPost.find.mock.calls.forEach(([, projection]) => {
+        expect(projection).not.toHaveProperty('translations');
+        expect(projection).not.toHaveProperty('canonicalUrl');
+      });
+      expect(BlogPost.find.mock.calls[0][1]).not.toHaveProperty('content');
+      expect(BlogPost.find.mock.calls[1][1]).toHaveProperty(['translations.en'], 1);
+
+      expect(report.totalPosts).toBe(3);
+      expect(report.posts.map((result) => result.postId).sort()).toEqual(['p1', 'p2']);
+      expect(report.posts[0].findings).toContainEqual(
+        expect.objectContaining({ check: 'duplicateTitle' }),
+      );
+      expect(report.posts[0].score).toBeLessThanOrEqual(report.posts[1].score);
+      expect(cache.set).toHaveBeenCalledWith('seo-audit:report:en:2', report, expect.any(Number));
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const settingsService = require('../../../src/services/settings.service');
+const { SystemSettings } = require('../../../src/models');
+const { cache } = require('../../../src/config/redis');
+const languageService = require('../../../src/services/language.service');
+
+jest.mock('../../../src/config/config', () => ({
+  frontendUrl: 'https://example.com',
+}));
+
+jest.mock('../../../src/config/redis', () => ({
+  cache: {
+    get: jest.fn(),
+    set: jest.fn(),
+    del: jest.fn(),
+  },
+}));
+
+jest.mock('../../../src/services/language.service', () => ({
+  updateLanguageByCode: jest.fn(),
+}));
+
+jest.mock('../../../src/models', () => ({
+  SystemSettings: {
+    find: jest.fn(),
+    set: jest.fn(),
+  },
+}));
+
+describe('Settings service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cache.get.mockResolvedValue(null);
+    SystemSettings.find.mockResolvedValue([
+      { key: 'general.siteName', value: 'Stored name' },
+      { key: 'security.maxLoginAttempts', value: 3 },
+    ]);
+  });
+
+  describe('getSettings', () => {
+    test('should merge stored values over the defaults, grouped by category', async () => {
+      const settings = await settingsService.getSettings();
+
+      expect(settings.general).toMatchObject({
+        siteName: 'Stored name',
+        contactEmail: 'admin@example.com',
+      });
+      expect(settings.security.maxLoginAttempts).toBe(3);
+      expect(cache.set).toHaveBeenCalledWith(
+        'settings:all',
+        expect.any(Object),
+        expect.any(Number),
+      );
+    });
+
+    test('should read the default language from the language registry', async () => {
+      SystemSettings.find.mockResolvedValue([{ key: 'general.defaultLanguage', value: 'fr' }]);
+
+      const settings = await settingsService.getSettings({ publicOnly: true });
+
+      expect(settings.general.defaultLanguage).toBe('en');
+      expect(SystemSettings.find.mock.calls[0][0].key.$in).not.toContain('general.defaultLanguage');
+    });
+
+    test('should only return public settings when requested', async () => {
+      const settings = await settingsService.getSettings({ publicOnly: true });
+
+      expect(settings.general.siteName).toBe('Stored name');
+      expect(settings.general.contactEmail).toBeUndefined();
+      expect(settings.security).toBeUndefined();
+    });
+  });
+
+  describe('updateSettings', () => {
+    test('should store each setting with its category, visibility and modifier', async () => {
+      await settingsService.updateSettings(
+        { general: { siteName: 'New name' }, monetization: { defaultCommission: 10 } },
+        'admin1',
+      );
+
+      expect(SystemSettings.set).toHaveBeenCalledWith('general.siteName', 'New name', {
+        description: expect.any(String),
+        category: 'general',
+        isPublic: true,
+        userId: 'admin1',
+      });
+      expect(SystemSettings.set).toHaveBeenCalledWith(
+        'monetization.defaultCommission',
+        10,
+        expect.objectContaining({ category: 'monetization', isPublic: false, userId: 'admin1' }),
+      );
+      expect(cache.del).toHaveBeenCalledWith('settings:all');
+    });
+
+    test('should make the language the default instead of storing the default language', async () => {
+      await settingsService.updateSettings(
+        { general: { siteName: 'New name', defaultLanguage: 'fr' } },
+        'admin1',
+      );
+
+      expect(languageService.updateLanguageByCode).toHaveBeenCalledWith('fr', { isDefault: true });
+      expect(SystemSettings.set).toHaveBeenCalledTimes(1);
+      expect(SystemSettings.set).toHaveBeenCalledWith(
+        'general.siteName',
+        'New name',
+        expect.any(Object),
+      );
+
+      await expect(
+        settingsService.updateSettings({ general: { defaultLanguage: 'pt' } }, 'admin1'),
+      ).rejects.toThrow('"pt" is not an enabled language');
+      expect(languageService.updateLanguageByCode).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject unknown or invalid settings without storing any', async () => {
+      await expect(
+        settingsService.updateSettings(
+          { general: { siteName: 'Ok', favouriteColor: 'blue' } },
+          'a',
+        ),
+      ).rejects.toMatchObject({ statusCode: 400 });
+      await expect(
+        settingsService.updateSettings({ security: { maxLoginAttempts: 50 } }, 'a'),
+      ).rejects.toThrow('"security.maxLoginAttempts" must be less than or equal to 10');
+
+      expect(SystemSettings.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('site SEO settings', () => {
+    test('should generate the WebSite JSON-LD when none is stored', async () => {
+      const settings = await settingsService.getSiteSEOSettings();
+
+      expect(settings).toMatchObject({
+        siteName: 'Stored name',
+        robots: 'index, follow',
+        structuredData: { '@type': 'WebSite', name: 'Stored name', url: 'https://example.com' },
+      });
+    });
+
+    test('should map site SEO fields to their settings', async () => {
+      await settingsService.updateSiteSEOSettings({ siteName: 'SEO name', robots: 'noindex' }, 'a');
+
+      expect(SystemSettings.set).toHaveBeenCalledWith(
+        'general.siteName',
+        'SEO name',
+        expect.objectContaining({ category: 'general' }),
+      );
+      expect(SystemSettings.set).toHaveBeenCalledWith(
+        'seo.robots',
+        'noindex',
+        expect.objectContaining({ category: 'seo' }),
+      );
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const sitemapService = require('../../../src/services/sitemap.service');
+const { BlogPost, Category } = require('../../../src/models');
+const { cache } = require('../../../src/config/redis');
+const config = require('../../../src/config/config');
+
+jest.mock('../../../src/config/config', () => ({
+  frontendUrl: 'https://example.com',
+  sitemap: { pageSize: 2 },
+}));
+
+jest.mock('../../../src/services/translationMemory.service', () => ({}));
+jest.mock('../../../src/services/translationReview.service', () => ({}));
+
+jest.mock('../../../src/config/redis', () => ({
+  cache: {
+    get: jest.fn(),
+    set: jest.fn(),
+    del: jest.fn(),
+    keys: jest.fn(),
+    clearByPattern: jest.fn(),
+  },
+}));
+
+jest.mock('../../../src/models', () => ({
+  BlogPost: {
+    find: jest.fn(),
+    countDocuments: jest.fn(),
+  },
+  Category: {
+    find: jest.fn(),
+    countDocuments: jest.fn(),
+  },
+}));
+
+const mockQuery = (docs) => {
+  const query = {
+    select: jest.fn(() => query),
+    sort: jest.fn(() => query),
+    skip: jest.fn(() => query),
+    limit: jest.fn(() => query),
+    lean: jest.fn().mockResolvedValue(docs),
+  };
+  return query;
+};
+
+const mockCursor = (docs) => {
+  const query = {
+    sort: jest.fn(() => query),
+    lean: jest.fn(() => query),
+    cursor: jest.fn(() => docs),
+  };
+  return query;
+};
+
+describe('Sitemap service', () => {
+  const updatedAt = new Date('2026-03-01T10:00:00.000Z');
+  const approvedAt = new Date('2026-02-01T10:00:00.000Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cache.get.mockResolvedValue(null);
+  });
+
+  describe('getSitemap', () => {
+    test('should list posts served in the language with lastmod and hreflang alternates', async () => {
+      const query = mockQuery([
+        {
+          _id: 'p1',
+          language: 'en',
+          slug: 'tools-&-tips',
+          updatedAt,
+          translations: { fr: { slug: 'outils', approvedAt } },
+        },
+      ]);
+      BlogPost.find.mockReturnValue(query);
+
+      const xml = await sitemapService.getSitemap('fr', 'posts', 2);
+
+      expect(query.skip).toHaveBeenCalledWith(2);
+      expect(query.limit).toHaveBeenCalledWith(2);
+      expect(xml).toContain('<loc>https://example.com/fr/blog/outils</loc>');
+      expect(xml).toContain('<lastmod>2026-03-01T10:00:00.000Z</lastmod>');
+      expect(xml).toContain(
+        '<xhtml:link rel="alternate" hreflang="en" href="https://example.com/en/blog/tools-&amp;-tips"/>',
+      );
+      expect(xml).toContain('hreflang="x-default"');
+      expect(cache.set).toHaveBeenCalledWith('sitemap:fr:posts:2', xml, expect.any(Number));
+    });
+
+    test('should use translated category slugs in every enabled language', async () => {
+      Category.find.mockReturnValue(
+        mockQuery([{ slug: 'marketing', updatedAt, translations: { de: { slug: 'vertrieb' } } }]),
+      );
+
+      const xml = await sitemapService.getSitemap('de', 'categories', 1);
+
+      expect(xml).toContain('<loc>https://example.com/de/blog/category/vertrieb</loc>');
+      expect(xml).toContain('hreflang="es" href="https://example.com/es/blog/category/marketing"');
+    });
+
+    test('should keep pages under the protocol size limit', async () => {
+      const query = mockQuery([{ _id: 'p1', language: 'en', slug: 'x'.repeat(3000), updatedAt }]);
+      BlogPost.find.mockReturnValue(query);
+      config.sitemap.pageSize = 50000;
+
+      const xml = await sitemapService.getSitemap('en', 'posts', 1);
+      config.sitemap.pageSize = 2;
+
+      // Up to 2 KB per URL and for each of the 4 enabled languages and x-default
+      expect(query.limit.mock.calls[0][0]).toBeLessThan(5000);
+      expect(query.limit.mock.calls[0][0] * 6 * 2048).toBeLessThan(50 * 1024 * 1024);
+      // URLs longer than the protocol allows are left out
+      expect(xml).not.toContain('<url>');
+    });
+
+    test('should serve a cached sitemap', async () => {
+      cache.get.mockResolvedValue('<urlset/>');
+
+      await expect(sitemapService.getSitemap('en', 'posts', 1)).resolves.toBe('<urlset/>');
+      expect(BlogPost.find).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for a disabled language or a page past the end', async () => {
+      await expect(sitemapService.getSitemap('it', 'posts', 1)).rejects.toMatchObject({
+        statusCode: 404,
+      });
+
+      BlogPost.find.mockReturnValue(mockQuery([]));
+      await expect(sitemapService.getSitemap('en', 'posts', 3)).rejects.toMatchObject({
+        statusCode: 404,
+      });
+    });
+  });
+
+  describe('getSitemapIndex', () => {
+    test('should list one sitemap per page, language and content type', async () => {
+      const earlier = new Date('2026-01-01T10:00:00.000Z');
+      BlogPost.find.mockImplementation(() =>
+        mockCursor([{ updatedAt: earlier }, { updatedAt }, { updatedAt: earlier }]),
+      );
+      Category.find.mockReturnValue(mockCursor([]));
+
+      const xml = await sitemapService.getSitemapIndex('https://api.example.com/v1/seo');
+
+      expect(xml).toContain('<loc>https://api.example.com/v1/seo/sitemaps/en/posts-1.xml</loc>');
+      expect(xml).toContain('<loc>https://api.example.com/v1/seo/sitemaps/es/posts-2.xml</loc>');
+      expect(xml).not.toContain('categories');
+      expect(xml.match(/<sitemap>/g)).toHaveLength(8);
+      expect(xml).toContain('posts-1.xml</loc>\n    <lastmod>2026-03-01T10:00:00.000Z</lastmod>');
+      expect(xml).toContain('posts-2.xml</loc>\n    <lastmod>2026-01-01T10:00:00.000Z</lastmod>');
+    });
+  });
+
+  describe('invalidatePost', () => {
+    test('should clear the pages of each language from the post position onward', async () => {
+      BlogPost.countDocuments.mockResolvedValue(2);
+      cache.keys.mockImplementation(async (pattern) =>
+        pattern === 'sitemap:en:posts:*'
+          ? ['sitemap:en:posts:1', 'sitemap:en:posts:2', 'sitemap:en:posts:3']
+          : ['sitemap:fr:posts:1'],
+      );
+
+      await sitemapService.invalidatePost({
+        _id: 'p1',
+        status: 'archived',
+        publishedAt: approvedAt,
+        language: 'en',
+        translations: { fr: { slug: 'outils', approvedAt } },
+      });
+
+      expect(cache.del.mock.calls.map(([key]) => key).sort()).toEqual([
+        'sitemap:en:posts:2',
+        'sitemap:en:posts:3',
+        'sitemap:index',
+      ]);
+    });
+
+    test('should skip drafts that were never published', async () => {
+      await sitemapService.invalidatePost({ _id: 'p1', status: 'draft', language: 'en' });
+
+      expect(cache.del).not.toHaveBeenCalled();
+    });
+  });
+});
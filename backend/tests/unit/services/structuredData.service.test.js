@@ -0,0 +1,141 @@
+const structuredDataService = require('../../../src/services/structuredData.service');
+const { BlogPost, Category } = require('../../../src/models');
+
+jest.mock('../../../src/config/config', () => ({
+  frontendUrl: 'https://example.com',
+}));
+
+jest.mock('i18next', () => ({ t: jest.fn((key) => key) }));
+
+jest.mock('../../../src/services/translationMemory.service', () => ({}));
+jest.mock('../../../src/services/translationReview.service', () => ({}));
+
+jest.mock('../../../src/models', () => ({
+  BlogPost: {
+    findById: jest.fn(),
+  },
+  Category: {
+    findById: jest.fn(),
+    find: jest.fn(),
+  },
+}));
+
+describe('Structured data service', () => {
+  const approvedAt = new Date('2026-02-01T10:00:00.000Z');
+  const buildPost = (overrides) => {
+    const post = {
+      id: 'p1',
+      status: 'published',
+      language: 'en',
+      slug: 'best-ai-writers',
+      title: 'Best AI writers',
+      excerpt: 'Our picks',
+      content: 'Content',
+      isPremium: false,
+      author: { name: 'Jane Doe' },
+      category: 'c2',
+      publishedAt: new Date('2026-01-10T08:00:00.000Z'),
+      updatedAt: new Date('2026-03-01T10:00:00.000Z'),
+      featuredImage: { url: 'https://cdn.example.com/cover.png' },
+      affiliateLinks: [
+        { tool: 'WriteBot', url: 'https://writebot.example', rating: 4.5 },
+        { tool: 'WriteBot', url: 'https://writebot.example/pricing' },
+        { tool: 'DraftAI', url: 'https://draftai.example' },
+      ],
+      translations: {
+        fr: { title: 'Meilleurs rédacteurs IA', slug: 'meilleurs-redacteurs', approvedAt },
+      },
+      ...overrides,
+    };
+    return { ...post, toJSON: () => post, toObject: () => post };
+  };
+  const mockFindById = (post) =>
+    BlogPost.findById.mockReturnValue({ populate: jest.fn().mockResolvedValue(post) });
+  const category = (id, name, slug, ancestors = [], translations = {}) => ({
+    id,
+    _id: { toString: () => id },
+    name,
+    slug,
+    ancestors,
+    getTranslation: (language) => translations[language],
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Category.findById.mockResolvedValue(
+      category('c2', 'Writing', 'writing', [{ _id: 'c1' }], { fr: { name: 'Rédaction' } }),
+    );
+    Category.find.mockResolvedValue([category('c1', 'Tools', 'tools')]);
+  });
+
+  test('should build a localized BlogPosting, Organization and breadcrumbs', async () => {
+    mockFindById(buildPost());
+
+    const { language, jsonLd } = await structuredDataService.getPostStructuredData('p1', 'fr');
+    const graph = jsonLd['@graph'];
+    const article = graph.find((node) => node['@type'] === 'BlogPosting');
+    const breadcrumbs = graph.find((node) => node['@type'] === 'BreadcrumbList');
+
+    expect(language).toBe('fr');
+    expect(jsonLd['@context']).toBe('https://schema.org');
+    expect(graph.find((node) => node['@type'] === 'Organization')).toMatchObject({
+      url: 'https://example.com',
+    });
+    expect(article).toMatchObject({
+      headline: 'Meilleurs rédacteurs IA',
+      inLanguage: 'fr-FR',
+      url: 'https://example.com/fr/blog/meilleurs-redacteurs',
+      author: { '@type': 'Person', name: 'Jane Doe' },
+      image: { '@type': 'ImageObject', url: 'https://cdn.example.com/cover.png' },
+      isAccessibleForFree: true,
+    });
+    expect(breadcrumbs.itemListElement.map((item) => item.item)).toEqual([
+      'https://example.com/fr',
+      'https://example.com/fr/blog',
+      'https://example.com/fr/blog/category/tools',
+      'https://example.com/fr/blog/category/writing',
+      'https://example.com/fr/blog/meilleurs-redacteurs',
+    ]);
+    expect(breadcrumbs.itemListElement[3]).toMatchObject({ position: 4, name: 'Rédaction' });
+  });
+
+  test('should add Product reviews for rated tools and report the others', async () => {
+    mockFindById(buildPost());
+
+    const { jsonLd, issues } = await structuredDataService.getPostStructuredData('p1', 'en');
+    const products = jsonLd['@graph'].filter((node) => node['@type'] === 'Product');
+
+    expect(products).toHaveLength(1);
+    expect(products[0]).toMatchObject({
+      name: 'WriteBot',
+      review: { '@type': 'Review', reviewRating: { ratingValue: 4.5, bestRating: 5 } },
+    });
+    expect(issues).toEqual([
+      expect.objectContaining({
+        type: 'Review',
+        property: 'reviewRating',
+        path: 'https://example.com/en/blog/best-ai-writers#product-draftai.review',
+      }),
+    ]);
+  });
+
+  test('should leave out a BlogPosting missing required properties', async () => {
+    mockFindById(buildPost({ author: null, affiliateLinks: [] }));
+
+    const { jsonLd, issues } = await structuredDataService.getPostStructuredData('p1', 'en');
+
+    expect(jsonLd['@graph'].map((node) => node['@type'])).toEqual([
+      'Organization',
+      'BreadcrumbList',
+    ]);
+    expect(issues).toEqual([expect.objectContaining({ type: 'Person', property: 'name' })]);
+  });
+
+  test('should return 404 for a post that is not published', async () => {
+    mockFindById(buildPost({ status: 'draft' }));
+
+    await expect(structuredDataService.getPostStructuredData('p1', 'en')).rejects.toMatchObject({
+      statusCode: 404,
+    });
+  });
+});
@@ -0,0 +1,145 @@
+const tagService = require('../../../src/services/tag.service');
+const { BlogPost, SearchDocument, Tag } = require('../../../src/models');
+
+jest.mock('../../../src/config/redis', () => ({ cache: { clearByPattern: jest.fn() } }));
+
+jest.mock('../../../src/models', () => {
+  const ActualTag = jest.requireActual('../../../src/models/tag.model');
+  return {
+    BlogPost: { updateMany: jest.fn(), distinct: jest.fn() },
+    SearchDocument: { updateMany: jest.fn() },
+    Tag: {
+      slugify: ActualTag.slugify,
+      toKey: ActualTag.toKey.bind(ActualTag),
+      findByLabel: jest.fn(),
+      findById: jest.fn(),
+      find: jest.fn(),
+      create: jest.fn(),
+      isKeyTaken: jest.fn(),
+      updatePostCounts: jest.fn(),
+    },
+  };
+});
+
+describe('Tag service', () => {
+  const makeTag = (fields) => ({
+    id: fields.slug,
+    _id: fields.slug,
+    synonyms: [],
+    translations: new Map(),
+    postCount: 0,
+    getTranslation(language) {
+      return this.translations.get(language);
+    },
+    validate: jest.fn(async function () {
+      this.key = Tag.toKey(this.slug);
+    }),
+    save: jest.fn(),
+    deleteOne: jest.fn(),
+    ...fields,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Tag.isKeyTaken.mockResolvedValue(false);
+  });
+
+  describe('resolveTags', () => {
+    test('should resolve every spelling of a tag to its slug, creating missing tags', async () => {
+      const chatgpt = makeTag({ name: 'ChatGPT', slug: 'chatgpt', key: 'chatgpt' });
+      Tag.findByLabel.mockImplementation(async (label) =>
+        Tag.toKey(label) === 'chatgpt' ? chatgpt : null,
+      );
+      Tag.create.mockImplementation(async ({ name }) => ({ slug: Tag.slugify(name) }));
+
+      const slugs = await tagService.resolveTags([
+        'ChatGPT',
+        'chat-gpt',
+        'Prompt Engineering',
+        '!!',
+      ]);
+
+      expect(slugs).toEqual(['chatgpt', 'prompt-engineering']);
+      expect(Tag.create).toHaveBeenCalledTimes(1);
+      expect(Tag.create).toHaveBeenCalledWith({ name: 'Prompt Engineering' });
+    });
+  });
+
+  describe('getLabels', () => {
+    test('should label tags in the language, slugs without a tag by themselves', async () => {
+      const chatgpt = makeTag({ name: 'ChatGPT', slug: 'chatgpt' });
+      chatgpt.translations.set('fr', { name: 'ChatGPT (fr)' });
+      Tag.find.mockResolvedValue([chatgpt, makeTag({ name: 'SEO', slug: 'seo' })]);
+
+      const labels = await tagService.getLabels(['chatgpt', 'seo', 'chatgpt', 'legacy'], 'fr');
+
+      expect(Tag.find).toHaveBeenCalledWith({ slug: { $in: ['chatgpt', 'seo', 'legacy'] } });
+      expect(labels).toEqual(
+        new Map([
+          ['chatgpt', 'ChatGPT (fr)'],
+          ['seo', 'SEO'],
+          ['legacy', 'legacy'],
+        ]),
+      );
+    });
+  });
+
+  describe('updateTagById', () => {
+    test('should rename a tag in every post and keep the old slug as synonym', async () => {
+      const tag = makeTag({ name: 'AI', slug: 'ai', key: 'ai' });
+      Tag.findById.mockResolvedValue(tag);
+
+      await tagService.updateTagById('ai', {
+        slug: 'Artificial Intelligence',
+        translations: { fr: { name: 'IA' } },
+      });
+
+      expect(tag.slug).toBe('artificial-intelligence');
+      expect(tag.synonyms).toEqual(['ai']);
+      expect(tag.getTranslation('fr')).toEqual({ name: 'IA' });
+      [BlogPost, SearchDocument].forEach((Model) => {
+        expect(Model.updateMany).toHaveBeenCalledWith(
+          { tags: 'ai' },
+          { $addToSet: { tags: 'artificial-intelligence' } },
+        );
+        expect(Model.updateMany).toHaveBeenCalledWith({ tags: 'ai' }, { $pull: { tags: 'ai' } });
+      });
+    });
+
+    test('should reject a synonym used by another tag', async () => {
+      Tag.findById.mockResolvedValue(makeTag({ name: 'AI', slug: 'ai', key: 'ai' }));
+      Tag.isKeyTaken.mockImplementation(async (key) => key === 'chatgpt');
+
+      await expect(tagService.updateTagById('ai', { synonyms: ['Chat GPT'] })).rejects.toThrow(
+        'Tag "chatgpt" already exists',
+      );
+      expect(BlogPost.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('mergeTags', () => {
+    test('should move the posts, spellings and labels of merged tags to the target', async () => {
+      const target = makeTag({ name: 'ChatGPT', slug: 'chatgpt', key: 'chatgpt' });
+      const merged = makeTag({
+        name: 'GPT chat',
+        slug: 'gpt-chat',
+        key: 'gptchat',
+        synonyms: ['openaichat'],
+      });
+      merged.translations.set('fr', { toObject: () => ({ name: 'Chat GPT' }) });
+      Tag.findById.mockResolvedValue(target);
+      Tag.find.mockResolvedValue([merged]);
+
+      await tagService.mergeTags('chatgpt', ['gpt-chat']);
+
+      expect(BlogPost.updateMany).toHaveBeenCalledWith(
+        { tags: 'gpt-chat' },
+        { $addToSet: { tags: 'chatgpt' } },
+      );
+      expect(target.synonyms).toEqual(['gptchat', 'openaichat']);
+      expect(target.getTranslation('fr')).toEqual({ name: 'Chat GPT' });
+      expect(merged.deleteOne).toHaveBeenCalled();
+      expect(Tag.updatePostCounts).toHaveBeenCalledWith(['chatgpt']);
+    });
+  });
+});
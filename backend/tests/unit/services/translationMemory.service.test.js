@@ -0,0 +1,172 @@
+const translationMemoryService = require('../../../src/services/translationMemory.service');
+const aiService = require('../../../src/services/ai.service');
+const { TranslationMemory } = require('../../../src/models');
+
+jest.mock('../../../src/services/ai.service', () => ({
+  translateSegments: jest.fn(),
+}));
+
+jest.mock('../../../src/models', () => ({
+  TranslationMemory: {
+    findByHashes: jest.fn(),
+    bulkWrite: jest.fn(),
+    updateMany: jest.fn(),
+    find: jest.fn(),
+    deleteMany: jest.fn(),
+  },
+}));
+
+describe('Translation memory service', () => {
+  const { hashSegment } = translationMemoryService;
+
+  beforeEach(() => {
+    aiService.translateSegments.mockImplementation(async (segments) =>
+      segments.map((segment) => `fr:${segment}`),
+    );
+  });
+
+  describe('translateDocument', () => {
+    test('should only send segments missing from memory to the AI provider', async () => {
+      TranslationMemory.findByHashes.mockResolvedValue(
+        new Map([
+          [hashSegment('Intro paragraph.'), { _id: 'tm1', targetText: 'Paragraphe relu.' }],
+          [hashSegment('Title'), { _id: 'tm2', targetText: 'Titre' }],
+        ]),
+      );
+
+      const result = await translationMemoryService.translateDocument(
+        { title: 'Title', content: '## Overview\n\nIntro paragraph.\n\n- Edited item' },
+        'en',
+        'fr',
+      );
+
+      expect(aiService.translateSegments).toHaveBeenCalledWith(
+        ['Overview', 'Edited item'],
+        'en',
+        'fr',
+        { glossary: [] },
+      );
+      expect(result.title).toBe('Titre');
+      expect(result.content).toBe('## fr:Overview\n\nParagraphe relu.\n\n- fr:Edited item');
+      expect(result.stats).toEqual({ segments: 4, reused: 2, translated: 2 });
+      expect(TranslationMemory.updateMany).toHaveBeenCalled();
+    });
+
+    test('should translate repeated segments once', async () => {
+      TranslationMemory.findByHashes.mockResolvedValue(new Map());
+
+      const result = await translationMemoryService.translateDocument(
+        { title: 'Same', content: 'Same\n\n- Same' },
+        'en',
+        'fr',
+      );
+
+      expect(aiService.translateSegments).toHaveBeenCalledWith(['Same'], 'en', 'fr', {
+        glossary: [],
+      });
+      expect(result.content).toBe('fr:Same\n\n- fr:Same');
+      expect(TranslationMemory.bulkWrite).toHaveBeenCalledWith([
+        expect.objectContaining({
+          updateOne: expect.objectContaining({
+            filter: { sourceLanguage: 'en', targetLanguage: 'fr', sourceHash: hashSegment('Same') },
+          }),
+        }),
+      ]);
+    });
+  });
+
+  describe('translateTexts', () => {
+    test('should keep the whitespace around texts, reused ones included', async () => {
+      TranslationMemory.findByHashes.mockResolvedValue(
+        new Map([[hashSegment('npm install'), { _id: 'tm1', targetText: 'npm installer' }]]),
+      );
+
+      const { translations } = await translationMemoryService.translateTexts(
+        ['    npm install', '  Indented line\n  next line '],
+        'en',
+        'fr',
+      );
+
+      expect(aiService.translateSegments).toHaveBeenCalledWith(
+        ['Indented line\n  next line'],
+        'en',
+        'fr',
+        { glossary: [] },
+      );
+      expect(translations).toEqual(['    npm installer', '  fr:Indented line\n  next line ']);
+      expect(TranslationMemory.bulkWrite).toHaveBeenCalledWith([
+        expect.objectContaining({
+          updateOne: expect.objectContaining({
+            update: expect.objectContaining({
+              $setOnInsert: expect.objectContaining({
+                sourceText: 'Indented line\n  next line',
+                targetText: 'fr:Indented line\n  next line',
+              }),
+            }),
+          }),
+        }),
+      ]);
+    });
+  });
+
+  describe('recordApprovedTranslation', () => {
+    test('should store the approved pairs as human, content segments when aligned', async () => {
+      TranslationMemory.bulkWrite.mockClear();
+
+      await translationMemoryService.recordApprovedTranslation(
+        { title: 'Title', content: '## Setup\n\n    npm install' },
+        { title: 'Titre', content: '## Installation\n\n    npm install' },
+        'en',
+        'fr',
+        { postId: 'p1' },
+      );
+      await translationMemoryService.recordApprovedTranslation(
+        { title: 'Title', content: 'One paragraph' },
+        { title: 'Titre', content: 'Two\n\nparagraphs' },
+        'en',
+        'fr',
+      );
+
+      const [aligned, restructured] = TranslationMemory.bulkWrite.mock.calls.map(([ops]) =>
+        ops.map(({ updateOne }) => updateOne.update.$set),
+      );
+      expect(aligned).toEqual([
+        { sourceText: 'Title', targetText: 'Titre', origin: 'human' },
+        { sourceText: 'Setup', targetText: 'Installation', origin: 'human' },
+        { sourceText: 'npm install', targetText: 'npm install', origin: 'human' },
+      ]);
+      expect(restructured).toEqual([{ sourceText: 'Title', targetText: 'Titre', origin: 'human' }]);
+      expect(TranslationMemory.bulkWrite.mock.calls[0][0][0].updateOne).toMatchObject({
+        filter: { sourceLanguage: 'en', targetLanguage: 'fr', sourceHash: hashSegment('Title') },
+        update: { $addToSet: { posts: 'p1' } },
+        upsert: true,
+      });
+    });
+  });
+
+  describe('invalidateTerms', () => {
+    test('should forget segments containing the terms and report the posts that used them', async () => {
+      TranslationMemory.find.mockResolvedValue([
+        { _id: 'tm1', sourceText: 'Open the Dashboard.', targetLanguage: 'fr', posts: ['p1'] },
+        { _id: 'tm2', sourceText: 'Dashboards list', targetLanguage: 'de', posts: ['p1'] },
+        { _id: 'tm3', sourceText: 'The dashboard', targetLanguage: 'de', posts: ['p1', 'p2'] },
+      ]);
+
+      const affected = await translationMemoryService.invalidateTerms([
+        { term: 'dashboard', sourceLanguage: 'en', targetLanguage: null },
+      ]);
+
+      expect(TranslationMemory.find).toHaveBeenCalledWith(
+        { sourceLanguage: 'en', sourceText: expect.any(RegExp) },
+        expect.any(Object),
+      );
+      expect(TranslationMemory.deleteMany).toHaveBeenCalledWith({ _id: { $in: ['tm1', 'tm3'] } });
+      expect(affected).toEqual(
+        new Map([
+          ['p1', ['fr', 'de']],
+          ['p2', ['de']],
+        ]),
+      );
+    });
+  });
+});
@@ -0,0 +1,281 @@
+const mockHashes = {};
+const mockLists = {};
+const mockSortedSets = {};
+
+const mockClient = {
+  hGetAll: jest.fn(async (key) => ({ ...(mockHashes[key] || {}) })),
+  hGet: jest.fn(async (key, field) => (mockHashes[key] || {})[field]),
+  hSet: jest.fn(async (key, field, value) => {
+    mockHashes[key] = { ...(mockHashes[key] || {}), [field]: value };
+  }),
+  hSetNX: jest.fn(async (key, field, value) => {
+    if ((mockHashes[key] || {})[field] === undefined) {
+      await mockClient.hSet(key, field, value);
+    }
+  }),
+  hKeys: jest.fn(async (key) => Object.keys(mockHashes[key] || {})),
+  hDel: jest.fn(async (key, fields) => {
+    [].concat(fields).forEach((field) => delete (mockHashes[key] || {})[field]);
+  }),
+  lPush: jest.fn(async (key, value) => {
+    mockLists[key] = [value, ...(mockLists[key] || [])];
+  }),
+  lRange: jest.fn(async (key) => [...(mockLists[key] || [])]),
+  lRem: jest.fn(async (key, count, value) => {
+    const index = (mockLists[key] || []).indexOf(value);
+    if (index === -1) {
+      return 0;
+    }
+    mockLists[key].splice(index, 1);
+    return 1;
+  }),
+  zAdd: jest.fn(async (key, { score, value }) => {
+    mockSortedSets[key] = { ...(mockSortedSets[key] || {}), [value]: score };
+  }),
+  zRangeByScore: jest.fn(async (key, min, max) =>
+    Object.entries(mockSortedSets[key] || {})
+      .filter(([, score]) => score >= min && score <= max)
+      .map(([value]) => value),
+  ),
+  zRem: jest.fn(async (key, value) => {
+    const exists = (mockSortedSets[key] || {})[value] !== undefined;
+    delete (mockSortedSets[key] || {})[value];
+    return exists ? 1 : 0;
+  }),
+  expire: jest.fn(),
+  watch: jest.fn(),
+  unwatch: jest.fn(),
+  executeIsolated: jest.fn((fn) => fn(mockClient)),
+  multi: jest.fn(() => {
+    const commands = [];
+    const multi = {
+      hSet: (...args) => commands.push(() => mockClient.hSet(...args)) && multi,
+      lPush: (...args) => commands.push(() => mockClient.lPush(...args)) && multi,
+      expire: (...args) => commands.push(() => mockClient.expire(...args)) && multi,
+      exec: async () => Promise.all(commands.map((command) => command())),
+    };
+    return multi;
+  }),
+};
+
+jest.mock('../../../src/config/redis', () => ({
+  client: mockClient,
+  cache: { clearByPattern: jest.fn() },
+}));
+
+jest.mock('../../../src/config/config', () => ({
+  translationQueue: {
+    workerEnabled: false,
+    concurrency: 1,
+    maxAttempts: 3,
+    backoffMs: 10,
+    stallTimeoutMs: 60000,
+  },
+}));
+
+jest.mock('../../../src/config/logger', () => ({ warn: jest.fn(), error: jest.fn() }));
+
+jest.mock('../../../src/services/blog.service', () => ({
+  translatePostLanguage: jest.fn(),
+}));
+
+jest.mock('../../../src/services/entitlement.service', () => ({
+  recordUsage: jest.fn(),
+}));
+
+jest.mock('../../../src/models', () => ({
+  User: { findById: jest.fn() },
+}));
+
+const { WatchError } = require('redis');
+const httpStatus = require('http-status');
+const translationQueueService = require('../../../src/services/translationQueue.service');
+const blogService = require('../../../src/services/blog.service');
+const entitlementService = require('../../../src/services/entitlement.service');
+const { User } = require('../../../src/models');
+const ApiError = require('../../../src/utils/ApiError');
+
+describe('Translation queue service', () => {
+  const postId = '5ebac534954b54139806c112';
+
+  beforeEach(() => {
+    Object.keys(mockHashes).forEach((key) => delete mockHashes[key]);
+    Object.keys(mockLists).forEach((key) => delete mockLists[key]);
+    Object.keys(mockSortedSets).forEach((key) => delete mockSortedSets[key]);
+  });
+
+  describe('enqueueTranslation', () => {
+    test('should queue one job per language and report them as queued', async () => {
+      const { queued, jobs } = await translationQueueService.enqueueTranslation(postId, [
+        'fr',
+        'de',
+      ]);
+
+      expect(queued).toEqual(['fr', 'de']);
+      expect(mockLists['translation:queue']).toHaveLength(2);
+      expect(jobs.fr).toMatchObject({ status: 'queued', attempts: 0 });
+      expect(jobs.de).toMatchObject({ status: 'queued', attempts: 0 });
+    });
+
+    test('should not queue a language that already has a pending job', async () => {
+      await translationQueueService.enqueueTranslation(postId, ['fr']);
+      const { queued } = await translationQueueService.enqueueTranslation(postId, ['fr', 'es']);
+
+      expect(queued).toEqual(['es']);
+      const queuedLanguages = mockLists['translation:queue'].map((job) => JSON.parse(job).language);
+      expect(queuedLanguages.sort()).toEqual(['es', 'fr']);
+    });
+
+    test('should queue a language again once its previous job failed', async () => {
+      mockHashes[`translation:status:${postId}`] = {
+        fr: JSON.stringify({ status: 'failed', attempts: 3, error: 'timeout' }),
+      };
+
+      const { jobs } = await translationQueueService.enqueueTranslation(postId, ['fr']);
+
+      expect(mockLists['translation:queue']).toHaveLength(1);
+      expect(jobs.fr).toMatchObject({ status: 'queued', attempts: 0, error: null });
+    });
+  });
+
+  describe('enqueueTranslation transactions', () => {
+    test('should read the status again when another request changed it meanwhile', async () => {
+      mockClient.executeIsolated.mockImplementationOnce(async () => {
+        // The other request queued French first
+        mockHashes[`translation:status:${postId}`] = {
+          fr: JSON.stringify({ status: 'queued', attempts: 0 }),
+        };
+        mockLists['translation:queue'] = [JSON.stringify({ postId, language: 'fr' })];
+        throw new WatchError();
+      });
+
+      await translationQueueService.enqueueTranslation(postId, ['fr', 'de']);
+
+      const queuedLanguages = mockLists['translation:queue'].map((job) => JSON.parse(job).language);
+      expect(queuedLanguages.sort()).toEqual(['de', 'fr']);
+    });
+  });
+
+  describe('processJob', () => {
+    const payload = JSON.stringify({ postId, language: 'fr', attempts: 0 });
+
+    beforeEach(() => {
+      mockLists['translation:queue:processing'] = [payload];
+    });
+
+    test('should record progress and the result of a successful job', async () => {
+      blogService.translatePostLanguage.mockImplementation(async (id, language, { onProgress }) => {
+        await onProgress(1, 4);
+        expect(JSON.parse(mockHashes[`translation:status:${postId}`].fr).progress).toBe(25);
+        return { translation: { id: 't1' }, stats: { reused: 1, translated: 3 }, violations: [] };
+      });
+
+      await translationQueueService.processJob(payload);
+
+      const { fr } = await translationQueueService.getJobStatus(postId);
+      expect(fr).toMatchObject({ status: 'done', progress: 100, translationId: 't1' });
+      expect(mockLists['translation:queue:processing']).toEqual([]);
+      expect(mockHashes['translation:queue:heartbeats']).toEqual({});
+    });
+
+    test('should retry failed jobs with exponential backoff', async () => {
+      blogService.translatePostLanguage.mockRejectedValue(new Error('provider timeout'));
+      const retryOf = (attempts) =>
+        Object.keys(mockSortedSets['translation:queue:delayed']).find(
+          (value) => JSON.parse(value).attempts === attempts,
+        );
+      const before = Date.now();
+
+      await translationQueueService.processJob(payload);
+      await translationQueueService.processJob(retryOf(1));
+
+      const [[, first], [, second]] = mockClient.zAdd.mock.calls;
+      expect(first.score).toBeGreaterThanOrEqual(before + 10);
+      expect(second.score).toBeGreaterThanOrEqual(before + 20);
+      const { fr } = await translationQueueService.getJobStatus(postId);
+      expect(fr).toMatchObject({ status: 'queued', attempts: 2, error: 'provider timeout' });
+
+      await translationQueueService.processJob(retryOf(2));
+
+      expect(retryOf(3)).toBeUndefined();
+      expect((await translationQueueService.getJobStatus(postId)).fr).toMatchObject({
+        status: 'failed',
+        attempts: 3,
+      });
+    });
+
+    test('should not retry jobs that cannot succeed', async () => {
+      blogService.translatePostLanguage.mockRejectedValue(
+        new ApiError(httpStatus.NOT_FOUND, 'Post not found'),
+      );
+
+      await translationQueueService.processJob(payload);
+
+      expect(mockClient.zAdd).not.toHaveBeenCalled();
+      expect((await translationQueueService.getJobStatus(postId)).fr.status).toBe('failed');
+    });
+
+    test('should give the quota back to the requester of a failed job', async () => {
+      const user = { id: 'u1' };
+      User.findById.mockResolvedValue(user);
+      blogService.translatePostLanguage.mockRejectedValue(
+        new ApiError(httpStatus.CONFLICT, 'Edits under review'),
+      );
+      const requested = JSON.stringify({ postId, language: 'fr', attempts: 0, requestedBy: 'u1' });
+      mockLists['translation:queue:processing'] = [requested];
+
+      await translationQueueService.processJob(requested);
+
+      expect(User.findById).toHaveBeenCalledWith('u1');
+      expect(entitlementService.recordUsage).toHaveBeenCalledWith(user, 'translations', -1);
+    });
+
+    test('should keep the quota used by jobs that are retried', async () => {
+      blogService.translatePostLanguage.mockRejectedValue(new Error('provider timeout'));
+
+      await translationQueueService.processJob(
+        JSON.stringify({ postId, language: 'fr', attempts: 0, requestedBy: 'u1' }),
+      );
+
+      expect(entitlementService.recordUsage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('promoteDelayedJobs', () => {
+    test('should queue again the jobs whose retry time has passed only', async () => {
+      mockSortedSets['translation:queue:delayed'] = { due: 1000, later: 5000 };
+
+      await expect(translationQueueService.promoteDelayedJobs(2000)).resolves.toBe(1);
+
+      expect(mockLists['translation:queue']).toEqual(['due']);
+      expect(Object.keys(mockSortedSets['translation:queue:delayed'])).toEqual(['later']);
+    });
+  });
+
+  describe('recoverStalledJobs', () => {
+    test('should only requeue jobs whose heartbeat is stale', async () => {
+      const now = 1000000;
+      mockLists['translation:queue:processing'] = ['stalled', 'alive', 'new'];
+      mockHashes['translation:queue:heartbeats'] = {
+        stalled: String(now - 120000),
+        alive: String(now - 1000),
+        finished: String(now - 1000),
+      };
+
+      await expect(translationQueueService.recoverStalledJobs(now)).resolves.toBe(1);
+
+      expect(mockLists['translation:queue']).toEqual(['stalled']);
+      expect(mockLists['translation:queue:processing']).toEqual(['alive', 'new']);
+      expect(mockHashes['translation:queue:heartbeats']).toEqual({
+        alive: String(now - 1000),
+        new: String(now),
+      });
+    });
+  });
+
+  describe('getJobStatus', () => {
+    test('should return an empty object when no jobs were queued', async () => {
+      await expect(translationQueueService.getJobStatus(postId)).resolves.toEqual({});
+    });
+  });
+});
@@ -0,0 +1,221 @@
+const translationReviewService = require('../../../src/services/translationReview.service');
+const revisionService = require('../../../src/services/revision.service');
+const translationMemoryService = require('../../../src/services/translationMemory.service');
+const { computeSourceRevision } = require('../../../src/utils/sourceRevision');
+const { Translation, BlogPost } = require('../../../src/models');
+
+jest.mock('../../../src/models', () => ({
+  Translation: {
+    findById: jest.fn(),
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    countDocuments: jest.fn(),
+  },
+  BlogPost: {
+    findById: jest.fn(),
+    isSlugTaken: jest.fn(),
+    bulkWrite: jest.fn(),
+  },
+}));
+
+jest.mock('../../../src/services/revision.service', () => ({
+  recordRevision: jest.fn(),
+}));
+
+jest.mock('../../../src/services/translationMemory.service', () => ({
+  recordApprovedTranslation: jest.fn(),
+  invalidateTerms: jest.fn(),
+}));
+
+jest.mock('../../../src/config/redis', () => ({
+  cache: { clearByPattern: jest.fn() },
+}));
+
+describe('Translation review service', () => {
+  const reviewerId = '5ebac534954b54139806c113';
+  let translation;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    translation = {
+      _id: 't1',
+      sourceId: 'p1',
+      language: 'fr',
+      title: 'Titre',
+      content: 'Contenu',
+      excerpt: 'Résumé',
+      slug: 'titre',
+      status: 'pending',
+      origin: 'machine',
+      save: jest.fn(),
+    };
+    Translation.findById.mockResolvedValue(translation);
+  });
+
+  describe('saveMachineTranslation', () => {
+    test('should store the translation as pending with a free slug', async () => {
+      Translation.findOne.mockResolvedValue(null);
+      Translation.countDocuments.mockResolvedValue(0);
+      BlogPost.isSlugTaken.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+      await translationReviewService.saveMachineTranslation('p1', 'fr', {
+        title: 'Titre',
+        content: 'Contenu',
+        slug: 'titre',
+      });
+
+      expect(Translation.findOneAndUpdate).toHaveBeenCalledWith(
+        { sourceId: 'p1', language: 'fr' },
+        {
+          $set: expect.objectContaining({ status: 'pending', origin: 'machine', slug: 'titre-2' }),
+        },
+        expect.objectContaining({ upsert: true }),
+      );
+    });
+
+    test('should not replace the edits of a translator under review', async () => {
+      Translation.findOne.mockResolvedValue({ _id: 't1', status: 'pending', origin: 'human' });
+
+      await expect(
+        translationReviewService.saveMachineTranslation('p1', 'fr', { title: 'T', slug: 't' }),
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(Translation.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateTranslationById', () => {
+    test('should mark edited translations as human and send them back to review', async () => {
+      translation.status = 'draft';
+
+      await translationReviewService.updateTranslationById(
+        't1',
+        { title: 'Nouveau titre' },
+        reviewerId,
+      );
+
+      expect(translation).toMatchObject({
+        title: 'Nouveau titre',
+        origin: 'human',
+        status: 'pending',
+        lastReviewer: reviewerId,
+      });
+      expect(translation.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('approveTranslation', () => {
+    test('should publish the approved translation on its post', async () => {
+      const post = {
+        id: 'p1',
+        slug: 'title',
+        translations: new Map(),
+        getTranslation: jest.fn(),
+        save: jest.fn(),
+      };
+      BlogPost.findById.mockResolvedValue(post);
+
+      await translationReviewService.approveTranslation('t1', reviewerId, {
+        translationQuality: 9,
+      });
+
+      expect(post.translations.get('fr')).toEqual(
+        expect.objectContaining({
+          title: 'Titre',
+          content: 'Contenu',
+          slug: 'titre',
+          approvedAt: expect.any(Date),
+        }),
+      );
+      expect(post.save).toHaveBeenCalled();
+      expect(revisionService.recordRevision).toHaveBeenCalledWith(post, {
+        author: reviewerId,
+        source: 'translation',
+      });
+      expect(translation).toMatchObject({
+        status: 'published',
+        lastReviewer: reviewerId,
+        translationQuality: 9,
+      });
+      // Made from another revision of the source, its segments cannot be paired
+      expect(translationMemoryService.recordApprovedTranslation).not.toHaveBeenCalled();
+    });
+
+    test('should store the approved segments when made from the current source', async () => {
+      const source = { title: 'Title', excerpt: 'Summary', content: 'Content' };
+      const post = {
+        _id: 'p1',
+        id: 'p1',
+        language: 'en',
+        slug: 'title',
+        ...source,
+        translations: new Map(),
+        getTranslation: jest.fn(),
+        save: jest.fn(),
+      };
+      BlogPost.findById.mockResolvedValue(post);
+      translation.sourceRevision = computeSourceRevision(source);
+
+      await translationReviewService.approveTranslation('t1', reviewerId);
+
+      expect(translationMemoryService.recordApprovedTranslation).toHaveBeenCalledWith(
+        source,
+        { title: 'Titre', excerpt: 'Résumé', content: 'Contenu' },
+        'en',
+        'fr',
+        { postId: 'p1' },
+      );
+    });
+  });
+
+  describe('rejectTranslation', () => {
+    test('should send the translation back to draft without publishing it', async () => {
+      await translationReviewService.rejectTranslation('t1', reviewerId, { notes: 'Wrong tone' });
+
+      expect(BlogPost.findById).not.toHaveBeenCalled();
+      expect(translation).toMatchObject({ status: 'draft', reviewNotes: 'Wrong tone' });
+    });
+
+    test('should throw when the translation does not exist', async () => {
+      Translation.findById.mockResolvedValue(null);
+
+      await expect(
+        translationReviewService.rejectTranslation('t1', reviewerId, { notes: 'Wrong tone' }),
+      ).rejects.toThrow('Translation not found');
+    });
+  });
+
+  describe('flagGlossaryChanges', () => {
+    test('should flag the published translations of the posts using the terms', async () => {
+      const term = { term: 'API', sourceLanguage: 'en' };
+      translationMemoryService.invalidateTerms.mockResolvedValue(
+        new Map([
+          ['p1', ['fr', 'de']],
+          ['p2', ['fr']],
+        ]),
+      );
+      BlogPost.bulkWrite.mockResolvedValue({ modifiedCount: 2 });
+
+      const flagged = await translationReviewService.flagGlossaryChanges([term, null]);
+
+      expect(translationMemoryService.invalidateTerms).toHaveBeenCalledWith([term]);
+      const [operations] = BlogPost.bulkWrite.mock.calls[0];
+      expect(operations).toHaveLength(3);
+      expect(operations[0].updateOne.filter).toEqual({
+        _id: 'p1',
+        'translations.fr.approvedAt': { $exists: true },
+      });
+      expect(operations[0].updateOne.update.$set).toHaveProperty(
+        ['translations.fr.glossaryChangedAt'],
+        expect.any(Date),
+      );
+      expect(flagged).toBe(2);
+    });
+
+    test('should not write anything when no translation used the terms', async () => {
+      translationMemoryService.invalidateTerms.mockResolvedValue(new Map());
+
+      expect(await translationReviewService.flagGlossaryChanges([{ term: 'API' }])).toBe(0);
+      expect(BlogPost.bulkWrite).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,299 @@
+const workflowService = require('../../../src/services/workflow.service');
+const emailService = require('../../../src/services/email.service');
+const searchService = require('../../../src/services/search.service');
+const scheduleQueue = require('../../../src/services/scheduleQueue.service');
+const { BlogPost, User } = require('../../../src/models');
+
+jest.mock('../../../src/config/config', () => ({
+  publishScheduler: { intervalMs: 60000 },
+}));
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+jest.mock('../../../src/config/redis', () => ({ cache: { clearByPattern: jest.fn() } }));
+jest.mock('../../../src/services/email.service', () => ({ sendEmail: jest.fn() }));
+jest.mock('../../../src/services/sitemap.service', () => ({ invalidatePost: jest.fn() }));
+jest.mock('../../../src/services/feed.service', () => ({ invalidateFeeds: jest.fn() }));
+jest.mock('../../../src/services/search.service', () => ({ indexPost: jest.fn() }));
+jest.mock('../../../src/services/scheduleQueue.service', () => ({
+  scheduleJob: jest.fn(),
+  cancelJob: jest.fn(),
+  claimDueJobs: jest.fn(),
+}));
+jest.mock('../../../src/services/relatedPosts.service', () => ({
+  updateEmbeddings: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../../../src/models', () => ({
+  BlogPost: {
+    findById: jest.fn(),
+    find: jest.fn(),
+  },
+  Category: {
+    updatePostCounts: jest.fn(),
+  },
+  Tag: {
+    updatePostCounts: jest.fn(),
+  },
+  User: {
+    find: jest.fn(),
+    findById: jest.fn(),
+  },
+}));
+
+describe('Workflow service', () => {
+  const authorId = '5ebac534954b54139806c111';
+  const author = { id: authorId, role: 'editor' };
+  const reviewer = { id: '5ebac534954b54139806c112', role: 'editor' };
+  const reader = { id: '5ebac534954b54139806c113', role: 'user' };
+  let post;
+
+  // Notifications are sent in the background
+  const flushNotifications = () =>
+    new Promise((resolve) => {
+      setImmediate(resolve);
+    });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    post = {
+      id: 'p1',
+      title: 'Best AI tools',
+      slug: 'best-ai-tools',
+      language: 'fr',
+      status: 'draft',
+      author: { toString: () => authorId },
+      notes: [],
+      translations: new Map(),
+      getTranslation(language) {
+        return this.translations.get(language);
+      },
+      save: jest.fn(),
+    };
+    BlogPost.findById.mockResolvedValue(post);
+    User.find.mockResolvedValue([{ email: 'reviewer@example.com', name: 'Reviewer' }]);
+    User.findById.mockResolvedValue({ email: 'author@example.com', name: 'Author' });
+  });
+
+  describe('transitionPost', () => {
+    test('should submit a draft for review and email the reviewers', async () => {
+      await workflowService.transitionPost('p1', { status: 'in_review' }, author);
+      await flushNotifications();
+
+      expect(post.status).toBe('in_review');
+      expect(post.notes).toEqual([
+        { author: authorId, fromStatus: 'draft', toStatus: 'in_review', content: undefined },
+      ]);
+      expect(post.save).toHaveBeenCalled();
+      expect(User.find).toHaveBeenCalledWith({
+        role: { $in: ['editor', 'admin'] },
+        _id: { $ne: authorId },
+      });
+      expect(emailService.sendEmail).toHaveBeenCalledWith(
+        'reviewer@example.com',
+        'Post submitted for review: Best AI tools',
+        expect.any(String),
+      );
+      expect(searchService.indexPost).not.toHaveBeenCalled();
+    });
+
+    test('should email the author the note of requested changes', async () => {
+      post.status = 'in_review';
+
+      await workflowService.transitionPost(
+        'p1',
+        { status: 'changes_requested', note: 'Add sources' },
+        reviewer,
+      );
+      await flushNotifications();
+
+      expect(post.status).toBe('changes_requested');
+      expect(emailService.sendEmail).toHaveBeenCalledWith(
+        'author@example.com',
+        'Changes requested on your post: Best AI tools',
+        expect.stringContaining('Note: Add sources'),
+      );
+    });
+
+    test('should refresh the public state of a post when it is published', async () => {
+      post.status = 'approved';
+
+      await workflowService.transitionPost('p1', { status: 'published' }, reviewer);
+
+      expect(post.status).toBe('published');
+      expect(searchService.indexPost).toHaveBeenCalledWith(post);
+    });
+
+    test('should reject transitions the workflow does not allow', async () => {
+      await expect(
+        workflowService.transitionPost('p1', { status: 'published' }, reviewer),
+      ).rejects.toThrow('A draft post cannot be moved to published');
+      expect(post.save).not.toHaveBeenCalled();
+    });
+
+    test('should reject users without the right of the transition', async () => {
+      post.status = 'in_review';
+
+      await expect(
+        workflowService.transitionPost('p1', { status: 'approved' }, reader),
+      ).rejects.toThrow('Not authorized to move this post to approved');
+    });
+
+    test('should schedule a post at a local time of its market', async () => {
+      post.status = 'approved';
+
+      await expect(
+        workflowService.transitionPost(
+          'p1',
+          { status: 'scheduled', publishAt: '2020-01-01T09:00' },
+          reviewer,
+        ),
+      ).rejects.toThrow('Scheduled posts need a publication date to come');
+
+      await workflowService.transitionPost(
+        'p1',
+        { status: 'scheduled', publishAt: '2099-07-01T09:00' },
+        reviewer,
+      );
+
+      // 9am in Paris is 7am UTC in summer
+      const publishAt = new Date('2099-07-01T07:00:00Z');
+      expect(post).toMatchObject({ status: 'scheduled', publishAt, timeZone: 'Europe/Paris' });
+      expect(scheduleQueue.scheduleJob).toHaveBeenCalledWith(
+        { action: 'publish', postId: 'p1' },
+        publishAt,
+      );
+    });
+
+    test('should cancel the publication job of a post taken off the schedule', async () => {
+      post.status = 'scheduled';
+      post.publishAt = new Date('2099-07-01T07:00:00Z');
+
+      await workflowService.transitionPost('p1', { status: 'approved' }, reviewer);
+
+      expect(post.publishAt).toBeUndefined();
+      expect(scheduleQueue.cancelJob).toHaveBeenCalledWith({ action: 'publish', postId: 'p1' });
+    });
+  });
+
+  describe('schedulePost', () => {
+    test('should embargo a translation until its publication time', async () => {
+      post.status = 'published';
+      const translation = { slug: 'meilleurs-outils', approvedAt: new Date('2026-01-01') };
+      post.translations.set('de', translation);
+
+      await workflowService.schedulePost(
+        'p1',
+        { language: 'de', publishAt: '2099-01-05T09:00', unpublishAt: '2099-02-05T09:00' },
+        reviewer,
+      );
+
+      // 9am in Berlin is 8am UTC in winter
+      const publishAt = new Date('2099-01-05T08:00:00Z');
+      const unpublishAt = new Date('2099-02-05T08:00:00Z');
+      expect(translation).toMatchObject({ publishAt, unpublishAt, timeZone: 'Europe/Berlin' });
+      expect(translation.approvedAt).toBeUndefined();
+      expect(scheduleQueue.scheduleJob).toHaveBeenCalledWith(
+        { action: 'publish', postId: 'p1', language: 'de' },
+        publishAt,
+      );
+      expect(scheduleQueue.scheduleJob).toHaveBeenCalledWith(
+        { action: 'unpublish', postId: 'p1', language: 'de' },
+        unpublishAt,
+      );
+      expect(searchService.indexPost).toHaveBeenCalledWith(post);
+    });
+
+    test('should move an approved post to scheduled and back', async () => {
+      post.status = 'approved';
+
+      await workflowService.schedulePost('p1', { publishAt: '2099-07-01T09:00:00Z' }, reviewer);
+      expect(post).toMatchObject({
+        status: 'scheduled',
+        publishAt: new Date('2099-07-01T09:00:00Z'),
+      });
+
+      await workflowService.schedulePost('p1', { publishAt: null }, reviewer);
+      expect(post.status).toBe('approved');
+      expect(post.publishAt).toBeUndefined();
+      expect(scheduleQueue.cancelJob).toHaveBeenCalledWith({
+        action: 'publish',
+        postId: 'p1',
+        language: null,
+      });
+    });
+
+    test('should reject an unpublication before the publication', async () => {
+      post.status = 'approved';
+
+      await expect(
+        workflowService.schedulePost(
+          'p1',
+          { publishAt: '2099-07-01T09:00', unpublishAt: '2099-06-01T09:00' },
+          reviewer,
+        ),
+      ).rejects.toThrow('unpublishAt must be after publishAt');
+      expect(post.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processDueJobs', () => {
+    const now = new Date('2026-01-01T09:00:30Z');
+
+    test('should publish a scheduled post whose time has come', async () => {
+      post.status = 'scheduled';
+      post.publishAt = new Date('2026-01-01T09:00:00Z');
+      scheduleQueue.claimDueJobs.mockResolvedValue([{ action: 'publish', postId: 'p1' }]);
+
+      const processed = await workflowService.processDueJobs(now);
+
+      expect(processed).toBe(1);
+      expect(post).toMatchObject({
+        status: 'published',
+        publishedAt: new Date('2026-01-01T09:00:00Z'),
+        publishAt: undefined,
+      });
+      expect(post.notes).toEqual([
+        { fromStatus: 'scheduled', toStatus: 'published', createdAt: now },
+      ]);
+      expect(searchService.indexPost).toHaveBeenCalledWith(post);
+    });
+
+    test('should queue again a job whose time was moved later', async () => {
+      post.status = 'scheduled';
+      post.publishAt = new Date('2026-01-02T09:00:00Z');
+      const job = { action: 'publish', postId: 'p1' };
+      scheduleQueue.claimDueJobs.mockResolvedValue([job]);
+
+      const processed = await workflowService.processDueJobs(now);
+
+      expect(processed).toBe(0);
+      expect(post.status).toBe('scheduled');
+      expect(scheduleQueue.scheduleJob).toHaveBeenCalledWith(job, post.publishAt);
+    });
+
+    test('should unpublish a translation and retry failed jobs later', async () => {
+      const translation = { slug: 'beste-tools', unpublishAt: new Date('2026-01-01T09:00:00Z') };
+      post.status = 'published';
+      post.translations.set('de', translation);
+      const failing = { action: 'publish', postId: 'p2' };
+      scheduleQueue.claimDueJobs.mockResolvedValue([
+        { action: 'unpublish', postId: 'p1', language: 'de' },
+        failing,
+      ]);
+      BlogPost.findById.mockResolvedValueOnce(post).mockRejectedValueOnce(new Error('timeout'));
+
+      const processed = await workflowService.processDueJobs(now);
+
+      expect(processed).toBe(1);
+      expect(translation.approvedAt).toBeUndefined();
+      expect(translation.unpublishAt).toBeUndefined();
+      expect(scheduleQueue.scheduleJob).toHaveBeenCalledWith(
+        failing,
+        new Date(now.getTime() + 60000),
+      );
+    });
+  });
+});
@@ -0,0 +1,27 @@
+const { scoreComment } = require('../../../src/utils/commentScore');
+
+describe('Comment score utils', () => {
+  describe('scoreComment', () => {
+    test('should not flag ordinary comments', () => {
+      expect(scoreComment('Thanks, the comparison table helped me pick a tool.')).toEqual({
+        spam: 0,
+        toxicity: 0,
+        reasons: [],
+      });
+    });
+
+    test('should score links and spam terms as spam', () => {
+      const { spam, reasons } = scoreComment('Best casino bonus, click here https://spam.example');
+
+      expect(spam).toBeGreaterThanOrEqual(0.8);
+      expect(reasons).toEqual(expect.arrayContaining(['1 link', 'spam terms: casino, click here']));
+    });
+
+    test('should score insults in any language as toxic, as whole words only', () => {
+      expect(scoreComment('Quel abruti, cet auteur').toxicity).toBeGreaterThanOrEqual(0.5);
+      expect(scoreComment('Stupid article, you idiot').toxicity).toBeGreaterThan(0.5);
+      // "loan" inside another word is not a spam term
+      expect(scoreComment('The download page moved').spam).toBe(0);
+    });
+  });
+});
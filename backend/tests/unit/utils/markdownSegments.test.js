@@ -0,0 +1,54 @@
+const { splitSegments, joinSegments } = require('../../../src/utils/markdownSegments');
+
+describe('Markdown segments', () => {
+  const markdown = [
+    '# Best AI writing tools',
+    '',
+    'AI tools help teams write faster.',
+    'They also keep a consistent tone.',
+    '',
+    '## Top picks',
+    '',
+    '- ChatGPT for drafts',
+    '  1. Jasper for marketing copy',
+    '',
+    '```js',
+    'const tool = "ChatGPT";',
+    '```',
+    '',
+  ].join('\n');
+
+  test('should split headings, paragraphs and list items into translatable segments', () => {
+    const segments = splitSegments(markdown).filter((segment) => segment.translatable);
+
+    expect(segments.map(({ type, text }) => ({ type, text }))).toEqual([
+      { type: 'heading', text: 'Best AI writing tools' },
+      {
+        type: 'paragraph',
+        text: 'AI tools help teams write faster.\nThey also keep a consistent tone.',
+      },
+      { type: 'heading', text: 'Top picks' },
+      { type: 'listItem', text: 'ChatGPT for drafts' },
+      { type: 'listItem', text: 'Jasper for marketing copy' },
+    ]);
+  });
+
+  test('should keep code blocks verbatim and untranslatable', () => {
+    const code = splitSegments(markdown).find((segment) => segment.type === 'code');
+
+    expect(code).toMatchObject({
+      translatable: false,
+      text: '```js\nconst tool = "ChatGPT";\n```',
+    });
+  });
+
+  test('should join segments back into the original markdown', () => {
+    expect(joinSegments(splitSegments(markdown))).toBe(markdown);
+  });
+
+  test('should keep markers when joining replacement texts', () => {
+    const segments = splitSegments('## Title\n- item');
+
+    expect(joinSegments(segments, ['Titre', 'élément'])).toBe('## Titre\n- élément');
+  });
+});
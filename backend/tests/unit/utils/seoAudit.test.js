@@ -0,0 +1,85 @@
+const { auditPost } = require('../../../src/utils/seoAudit');
+
+describe('SEO audit', () => {
+  const content = [
+    'Picking the best AI writing tool is hard, here is how we compare them.',
+    '',
+    '## Why use an AI writing tool',
+    '',
+    'Read our [pricing guide](/en/blog/pricing) and [reviews](https://example.com/en/blog).',
+    '',
+    '![Editor screenshot](/img/editor.png)',
+  ].join('\n');
+  const post = {
+    title: 'The best AI writing tool in 2026',
+    content,
+    keywords: ['AI writing tool'],
+    featuredImage: { url: '/img/cover.png', alt: 'Cover' },
+  };
+  const meta = {
+    metaTitle: 'The best AI writing tool in 2026, compared',
+    metaDescription:
+      'We tested every AI writing tool on the market and compared price, quality and speed.',
+  };
+  const context = { isSource: true, meta, internalHosts: ['https://example.com'] };
+  const checks = (findings) => findings.map((finding) => finding.check);
+
+  test('should give a full score to a post passing every check', () => {
+    expect(auditPost(post, context)).toEqual({ score: 100, findings: [] });
+  });
+
+  test('should report meta fields missing or over the schema limits', () => {
+    const { findings } = auditPost(post, {
+      ...context,
+      meta: { metaTitle: 'x'.repeat(101) },
+    });
+
+    expect(findings).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({
+          check: 'metaTitle',
+          severity: 'error',
+          details: { length: 101 },
+        }),
+        expect.objectContaining({ check: 'metaDescription', severity: 'error' }),
+      ]),
+    );
+  });
+
+  test('should report the focus keyword missing from the title, H2s and first paragraph', () => {
+    const { findings } = auditPost({ ...post, keywords: ['chatbot'] }, context);
+
+    expect(findings.filter((finding) => finding.check === 'keyword')).toHaveLength(3);
+  });
+
+  test('should report skipped heading levels, missing links and images without alt', () => {
+    const { score, findings } = auditPost(
+      {
+        ...post,
+        content: '# Title\n\n#### Deep section\n\n![](/img/a.png)\n\n```\n[not a link](/x)\n```',
+        featuredImage: { url: '/img/cover.png' },
+      },
+      context,
+    );
+
+    expect(checks(findings)).toEqual(
+      expect.arrayContaining(['headings', 'internalLinks', 'imageAlt']),
+    );
+    expect(findings.find((finding) => finding.check === 'imageAlt')).toMatchObject({
+      severity: 'error',
+      details: { images: ['/img/a.png'] },
+    });
+    expect(score).toBeLessThan(100);
+  });
+
+  test('should report duplicate titles and untranslated meta', () => {
+    const { findings } = auditPost(post, { isSource: false, meta: {}, duplicateTitles: 2 });
+
+    expect(findings).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ check: 'duplicateTitle', details: { count: 2 } }),
+        expect.objectContaining({ check: 'translationMeta', severity: 'warning' }),
+      ]),
+    );
+  });
+});
@@ -0,0 +1,55 @@
+const { computeSourceRevision, diffSourceRevision } = require('../../../src/utils/sourceRevision');
+
+describe('Source revision', () => {
+  const source = {
+    title: 'Best AI tools',
+    excerpt: 'A short list',
+    content: 'Intro text.\n\n## Writing\n\nUse an assistant.\n\n## Coding\n\n- Copilot\n- Cursor',
+  };
+
+  test('should hash the title, excerpt and each heading section', () => {
+    const revision = computeSourceRevision(source);
+
+    expect(revision.sections.map((section) => section.key)).toEqual([
+      'title',
+      'excerpt',
+      'intro',
+      'heading:Writing',
+      'heading:Coding',
+    ]);
+    expect(computeSourceRevision({ ...source }).hash).toBe(revision.hash);
+  });
+
+  test('should ignore fields that are not translated', () => {
+    const revision = computeSourceRevision(source);
+
+    expect(computeSourceRevision({ ...source, views: 10, metaTitle: 'SEO' }).hash).toBe(
+      revision.hash,
+    );
+    expect(diffSourceRevision(revision, computeSourceRevision(source))).toMatchObject({
+      stale: false,
+    });
+  });
+
+  test('should report changed, added and removed sections', () => {
+    const translated = computeSourceRevision(source);
+    const current = computeSourceRevision({
+      ...source,
+      content: 'Intro text.\n\n## Writing\n\nUse two assistants.\n\n## Design\n\nTry it.',
+    });
+
+    expect(diffSourceRevision(translated, current)).toEqual({
+      stale: true,
+      changed: ['heading:Writing'],
+      added: ['heading:Design'],
+      removed: ['heading:Coding'],
+    });
+  });
+
+  test('should treat translations without a revision as stale', () => {
+    expect(diffSourceRevision(undefined, computeSourceRevision(source))).toMatchObject({
+      stale: true,
+      unknown: true,
+    });
+  });
+});
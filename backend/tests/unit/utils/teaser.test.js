@@ -0,0 +1,15 @@
+const { toTeaser } = require('../../../src/utils/teaser');
+
+describe('Teaser utils', () => {
+  describe('toTeaser', () => {
+    test('should keep whole paragraphs that fit and cut the next one', () => {
+      const content = '# Title\n\nOne two three.\n\nFour five six seven.';
+
+      expect(toTeaser(content, 6)).toBe('# Title\n\nOne two three.\n\nFour…');
+    });
+
+    test('should return short texts unchanged', () => {
+      expect(toTeaser('Short text.', 10)).toBe('Short text.');
+    });
+  });
+});
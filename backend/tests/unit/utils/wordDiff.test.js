@@ -0,0 +1,42 @@
+const { diffWords } = require('../../../src/utils/wordDiff');
+
+describe('Word diff', () => {
+  test('should mark replaced words and keep the unchanged text', () => {
+    const diff = diffWords('The quick brown fox jumps', 'The slow brown fox leaps high');
+
+    expect(diff.changes).toEqual([
+      { type: 'equal', text: 'The ' },
+      { type: 'delete', text: 'quick' },
+      { type: 'insert', text: 'slow' },
+      { type: 'equal', text: ' brown fox ' },
+      { type: 'delete', text: 'jumps' },
+      { type: 'insert', text: 'leaps high' },
+    ]);
+    expect(diff).toMatchObject({ added: 3, removed: 2 });
+  });
+
+  test('should report identical texts as a single unchanged run', () => {
+    expect(diffWords('Same text', 'Same text')).toEqual({
+      changes: [{ type: 'equal', text: 'Same text' }],
+      added: 0,
+      removed: 0,
+    });
+    expect(diffWords('', 'New text').changes).toEqual([{ type: 'insert', text: 'New text' }]);
+  });
+
+  test('should diff long texts changed in many places word by word', () => {
+    const lines = Array.from({ length: 3000 }, (_, i) => `Line ${i} of the article`);
+    const edited = [...lines];
+    edited[5] = 'Line five of the article';
+    edited[2000] = 'Line 2000 of the post';
+
+    const diff = diffWords(lines.join('\n'), edited.join('\n'));
+
+    expect(diff.changes.filter((change) => change.type !== 'equal')).toEqual([
+      { type: 'delete', text: '5' },
+      { type: 'insert', text: 'five' },
+      { type: 'delete', text: 'article' },
+      { type: 'insert', text: 'post' },
+    ]);
+  });
+});
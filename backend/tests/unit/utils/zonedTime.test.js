@@ -0,0 +1,43 @@
+const {
+  isValidTimeZone,
+  zonedTimeToDate,
+  formatZonedTime,
+} = require('../../../src/utils/zonedTime');
+
+describe('Zoned time utils', () => {
+  describe('zonedTimeToDate', () => {
+    test('should read a local time with the offset of its date', () => {
+      expect(zonedTimeToDate('2026-01-15T09:00', 'Europe/Paris')).toEqual(
+        new Date('2026-01-15T08:00:00Z'),
+      );
+      expect(zonedTimeToDate('2026-07-15T09:00', 'Europe/Paris')).toEqual(
+        new Date('2026-07-15T07:00:00Z'),
+      );
+      expect(zonedTimeToDate('2026-07-15T09:00', 'America/New_York')).toEqual(
+        new Date('2026-07-15T13:00:00Z'),
+      );
+    });
+
+    test('should move skipped times forward and resolve repeated times to the first', () => {
+      // Clocks go from 02:00 to 03:00 in Paris on 29 March 2026
+      expect(zonedTimeToDate('2026-03-29T02:30', 'Europe/Paris')).toEqual(
+        new Date('2026-03-29T01:30:00Z'),
+      );
+      // Clocks go from 03:00 back to 02:00 in Paris on 25 October 2026
+      expect(zonedTimeToDate('2026-10-25T02:30', 'Europe/Paris')).toEqual(
+        new Date('2026-10-25T00:30:00Z'),
+      );
+    });
+  });
+
+  test('should format a date as the local time of a zone', () => {
+    expect(formatZonedTime(new Date('2026-07-15T07:00:00Z'), 'Europe/Berlin')).toBe(
+      '2026-07-15T09:00:00',
+    );
+  });
+
+  test('should only accept IANA time zones', () => {
+    expect(isValidTimeZone('Europe/Paris')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+  });
+});